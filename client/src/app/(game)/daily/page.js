@@ -0,0 +1,227 @@
+'use client'
+
+import { useCallback, useEffect, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { motion, AnimatePresence } from 'framer-motion'
+import clsx from 'clsx'
+import { api } from '@/lib/api'
+import { useUserStore } from '@/stores/userStore'
+import { GAME_STATUS } from '@/stores/gameStore'
+import { useDailyStore } from '@/stores/dailyStore'
+import { Board } from '@/components/game/Board'
+import { Keyboard } from '@/components/game/Keyboard'
+
+export default function DailyPage() {
+  const router = useRouter()
+  const { user, checkAuth } = useUserStore()
+  const {
+    status,
+    day,
+    rules,
+    attempt,
+    error,
+    isLoading,
+    loadDaily,
+    startDaily,
+    submitGuess,
+    clearError
+  } = useDailyStore()
+  const [board, setBoard] = useState(null)
+  const [history, setHistory] = useState(null)
+
+  useEffect(() => {
+    checkAuth()
+  }, [checkAuth])
+
+  useEffect(() => {
+    if (!user) {
+      router.push('/login')
+    }
+  }, [user, router])
+
+  useEffect(() => {
+    if (user) loadDaily()
+  }, [user, loadDaily])
+
+  const refreshStats = useCallback(() => {
+    if (!user) return
+    api.getDailyLeaderboard('', 20).then(setBoard).catch(() => setBoard(null))
+    api.getDailyHistory(user.id).then(setHistory).catch(() => setHistory(null))
+  }, [user])
+
+  // Refresh the board and streaks when the page opens and when the attempt ends
+  useEffect(() => {
+    refreshStats()
+  }, [refreshStats, status])
+
+  if (!user) return null
+
+  const myRank = board?.players.find((p) => p.id === user.id)?.rank
+
+  return (
+    <main className="min-h-screen flex flex-col p-4">
+      {/* Header */}
+      <header className="flex justify-between items-center mb-4">
+        <button
+          onClick={() => router.push('/lobby')}
+          className="text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          ← Lobby
+        </button>
+        <div className="flex flex-col items-center">
+          <h1 className="text-xl font-bold">Daily Challenge</h1>
+          {day && <span className="text-xs text-gray-400 font-mono">{day}</span>}
+        </div>
+        <div className="text-sm text-gray-400">
+          🔥 <span className="font-bold text-white">{history?.currentStreak ?? 0}</span>
+        </div>
+      </header>
+
+      {/* Error toast */}
+      <AnimatePresence>
+        {error && (
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            className="fixed top-4 left-1/2 -translate-x-1/2 bg-arena-error/90 text-white px-6 py-3 rounded-lg font-medium z-50"
+            onClick={clearError}
+          >
+            {error}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      <div className="flex-1 flex flex-col lg:flex-row items-center lg:items-start justify-center gap-8 lg:gap-16">
+        {/* Puzzle */}
+        <div className="flex flex-col items-center">
+          {status === GAME_STATUS.IDLE ? (
+            <div className="text-center py-16">
+              <p className="text-gray-400 mb-6 max-w-xs">
+                One word for everyone today. You get a single attempt and the clock starts when you do.
+              </p>
+              <motion.button
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={startDaily}
+                disabled={isLoading}
+                className="px-10 py-5 bg-arena-accent hover:bg-arena-accent/90 rounded-2xl font-bold text-xl transition-colors glow-accent disabled:opacity-50"
+              >
+                📅 Play today&apos;s word
+              </motion.button>
+            </div>
+          ) : (
+            <>
+              <Board useStore={useDailyStore} />
+
+              {status === GAME_STATUS.FINISHED && attempt && (
+                <div className="mt-6 text-center">
+                  <div className="text-2xl font-bold mb-1">
+                    {attempt.solved ? `Solved in ${attempt.guessCount}` : 'Not this time'}
+                  </div>
+                  <p className="text-gray-400">
+                    The word was{' '}
+                    <span className="font-mono font-bold text-white">{attempt.targetWord}</span>
+                    {attempt.solved && (
+                      <>
+                        {' '}· {formatSolveTime(attempt.solveTimeMs)}
+                        {myRank && ` · #${myRank} today`}
+                      </>
+                    )}
+                  </p>
+                </div>
+              )}
+
+              {status === GAME_STATUS.PLAYING && (
+                <div className="mt-4 w-full">
+                  <Keyboard onSubmit={submitGuess} useStore={useDailyStore} />
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Stats */}
+        <div className="w-full max-w-sm flex flex-col gap-6">
+          <section className="bg-arena-card border border-arena-border rounded-2xl p-4">
+            <h2 className="font-bold mb-3">
+              Today&apos;s board
+              {board && (
+                <span className="ml-2 text-sm font-normal text-gray-500">
+                  {board.total} solved of {board.played}
+                </span>
+              )}
+            </h2>
+            {board?.players.length ? (
+              <ol className="text-sm">
+                {board.players.map((player) => (
+                  <li
+                    key={player.id}
+                    className={clsx(
+                      'flex justify-between py-1 border-b border-arena-border last:border-0',
+                      player.id === user.id ? 'text-white font-bold' : 'text-gray-400'
+                    )}
+                  >
+                    <span>
+                      <span className="inline-block w-8 font-mono">#{player.rank}</span>
+                      {player.username}
+                    </span>
+                    <span className="font-mono">
+                      {player.guesses}/{rules.maxGuesses} · {formatSolveTime(player.solveTimeMs)}
+                    </span>
+                  </li>
+                ))}
+              </ol>
+            ) : (
+              <p className="text-sm text-gray-500">Nobody has solved today&apos;s word yet</p>
+            )}
+          </section>
+
+          <section className="bg-arena-card border border-arena-border rounded-2xl p-4">
+            <h2 className="font-bold mb-3">Your streak</h2>
+            <div className="grid grid-cols-3 gap-2 text-center mb-4">
+              <div>
+                <div className="text-2xl font-bold text-arena-accent">{history?.currentStreak ?? 0}</div>
+                <div className="text-xs text-gray-500">Current</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-tile-yellow">{history?.maxStreak ?? 0}</div>
+                <div className="text-xs text-gray-500">Best</div>
+              </div>
+              <div>
+                <div className="text-2xl font-bold text-tile-green">
+                  {history?.played ? Math.round((history.solved / history.played) * 100) : 0}%
+                </div>
+                <div className="text-xs text-gray-500">Solved</div>
+              </div>
+            </div>
+            {history?.history.length > 0 && (
+              <div className="flex flex-wrap gap-1">
+                {history.history.map((entry) => (
+                  <div
+                    key={entry.day}
+                    title={`${entry.day}: ${entry.solved ? `${entry.guesses}/${rules.maxGuesses}` : `X/${rules.maxGuesses}`}`}
+                    className={clsx(
+                      'w-6 h-6 rounded text-[0.65rem] font-bold flex items-center justify-center',
+                      entry.solved ? 'bg-tile-green' : 'bg-tile-grey'
+                    )}
+                  >
+                    {entry.solved ? entry.guesses : 'X'}
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        </div>
+      </div>
+    </main>
+  )
+}
+
+function formatSolveTime(ms) {
+  if (ms === null || ms === undefined) return '–'
+  const totalSeconds = Math.round(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
@@ -0,0 +1,126 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import clsx from 'clsx'
+import { api } from '@/lib/api'
+import { MODE_LABELS } from '@/stores/gameStore'
+import { TierBadge } from '@/components/profile/TierBadge'
+
+const RATING_LABELS = { ...MODE_LABELS, bot: 'vs Bots' }
+
+function PlayerRow({ player, onClick }) {
+  return (
+    <button
+      onClick={onClick}
+      className="flex items-center justify-between gap-4 bg-arena-card/50 border border-arena-border rounded-xl px-4 py-2 hover:bg-arena-border transition-colors"
+    >
+      <span className="w-10 text-left text-sm text-gray-400">{player.rank ? `#${player.rank}` : '—'}</span>
+      <span className="flex-1 text-left text-sm font-bold">{player.username}</span>
+      <TierBadge tier={player.tier} provisional={player.provisional} />
+      <span className="text-sm text-gray-400">
+        {player.wins}W / {player.losses}L{player.draws > 0 && ` / ${player.draws}D`}
+      </span>
+      <span className="w-14 text-right font-mono text-arena-accent">{player.elo}</span>
+    </button>
+  )
+}
+
+export default function LeaderboardPage() {
+  const router = useRouter()
+  const [mode, setMode] = useState('duel')
+  const [board, setBoard] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Ignore answers for a mode that has since changed
+  useEffect(() => {
+    let current = true
+    setBoard(null)
+    setError(null)
+    api.getLeaderboard(50, 0, mode)
+      .then((data) => current && setBoard(data))
+      .catch((err) => current && setError(err.message))
+    return () => {
+      current = false
+    }
+  }, [mode])
+
+  return (
+    <main className="min-h-screen flex flex-col items-center p-4">
+      {/* Header */}
+      <header className="w-full max-w-2xl flex justify-between items-center mb-8">
+        <button
+          onClick={() => router.push('/lobby')}
+          className="text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          ← Lobby
+        </button>
+        <div className="flex flex-col items-center">
+          <h1 className="text-2xl font-bold">Leaderboard</h1>
+          {board?.season && <span className="text-xs text-gray-500">{board.season.name}</span>}
+        </div>
+        <div className="w-12" />
+      </header>
+
+      <div className="w-full max-w-2xl flex flex-col gap-8">
+        <div className="flex flex-wrap justify-center gap-2">
+          {Object.entries(RATING_LABELS).map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setMode(value)}
+              className={clsx(
+                'px-3 py-1 rounded-lg text-sm border transition-colors',
+                mode === value
+                  ? 'bg-arena-accent border-arena-accent'
+                  : 'bg-arena-card border-arena-border hover:bg-arena-border'
+              )}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-arena-error text-center">{error}</p>}
+
+        {!board && !error && (
+          <div className="text-sm text-gray-500 text-center py-12 animate-pulse">Loading leaderboard...</div>
+        )}
+
+        {board && (
+          <section>
+            <h2 className="text-sm font-bold uppercase tracking-wide text-gray-400 mb-3">Ranked</h2>
+            {board.players.length > 0 ? (
+              <div className="flex flex-col gap-2">
+                {board.players.map((player) => (
+                  <PlayerRow
+                    key={player.id}
+                    player={player}
+                    onClick={() => router.push(`/profile/${player.id}`)}
+                  />
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Nobody has finished their placement matches yet</p>
+            )}
+          </section>
+        )}
+
+        {/* Players still in placement, unranked */}
+        {board?.provisional?.length > 0 && (
+          <section>
+            <h2 className="text-sm font-bold uppercase tracking-wide text-gray-400 mb-3">In placement</h2>
+            <div className="flex flex-col gap-2">
+              {board.provisional.map((player) => (
+                <PlayerRow
+                  key={player.id}
+                  player={player}
+                  onClick={() => router.push(`/profile/${player.id}`)}
+                />
+              ))}
+            </div>
+          </section>
+        )}
+      </div>
+    </main>
+  )
+}
@@ -1,17 +1,31 @@
 'use client'
 
-import { useEffect } from 'react'
+import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
 import { motion } from 'framer-motion'
+import clsx from 'clsx'
+import { api } from '@/lib/api'
 import { useUserStore } from '@/stores/userStore'
-import { useGameStore, GAME_STATUS } from '@/stores/gameStore'
+import { useGameStore, GAME_STATUS, GAME_MODES, MODE_LABELS, WORD_LENGTHS, LOCALES, SERIES_LENGTHS, TIME_LIMITS, SHOT_CLOCKS, DEFAULT_TURN_CLOCK, DEFAULT_RULES } from '@/stores/gameStore'
 import { useSocket } from '@/hooks/useSocket'
+import { MatchHistory } from '@/components/game/MatchHistory'
+import { TierBadge } from '@/components/profile/TierBadge'
 
 export default function LobbyPage() {
   const router = useRouter()
   const { user, checkAuth } = useUserStore()
-  const { status, opponent, startSearching, cancelSearch, resetGame } = useGameStore()
-  const { startMatchmaking, cancelMatchmaking } = useSocket()
+  const { status, party, partyError, startSearching, cancelSearch, resetGame } = useGameStore()
+  const { startMatchmaking, cancelMatchmaking, createParty, joinParty, leaveParty } = useSocket()
+  const [mode, setMode] = useState(DEFAULT_RULES.mode)
+  const [locale, setLocale] = useState(DEFAULT_RULES.locale)
+  const [wordLength, setWordLength] = useState(DEFAULT_RULES.wordLength)
+  const [hardMode, setHardMode] = useState(DEFAULT_RULES.hardMode)
+  const [seriesLength, setSeriesLength] = useState(DEFAULT_RULES.seriesLength)
+  const [timeLimit, setTimeLimit] = useState(DEFAULT_RULES.timeLimit)
+  const [shotClock, setShotClock] = useState(DEFAULT_RULES.shotClock)
+  const [pack, setPack] = useState(DEFAULT_RULES.pack)
+  const [packs, setPacks] = useState([])
+  const [partyCode, setPartyCode] = useState('')
 
   useEffect(() => {
     checkAuth()
@@ -23,6 +37,10 @@ export default function LobbyPage() {
     }
   }, [user, router])
 
+  useEffect(() => {
+    api.getPacks().then((data) => setPacks(data.packs)).catch(() => setPacks([]))
+  }, [])
+
   // Navigate to play page when game starts
   useEffect(() => {
     if (status === GAME_STATUS.PLAYING) {
@@ -30,9 +48,23 @@ export default function LobbyPage() {
     }
   }, [status, router])
 
+  // The shot clock is the turn clock in turn-based games and can't be off
+  const isTurns = mode === GAME_MODES.TURNS
+  const effectiveShotClock = isTurns && !shotClock ? DEFAULT_TURN_CLOCK : shotClock
+
   const handleFindMatch = () => {
     startSearching()
-    startMatchmaking()
+    startMatchmaking({
+      ...DEFAULT_RULES,
+      mode,
+      locale,
+      wordLength: selectedLength,
+      hardMode: mode !== GAME_MODES.QUORDLE && hardMode,
+      seriesLength: mode === GAME_MODES.DUEL ? seriesLength : 1,
+      timeLimit,
+      shotClock: effectiveShotClock,
+      pack: selectedPack
+    })
   }
 
   const handleCancel = () => {
@@ -40,6 +72,22 @@ export default function LobbyPage() {
     cancelMatchmaking()
   }
 
+  const handleJoinParty = (e) => {
+    e.preventDefault()
+    if (partyCode.trim()) joinParty(partyCode.trim())
+  }
+
+  // Languages and packs don't cover every word length; fall back to the defaults
+  const localeLengths = LOCALES.find((l) => l.id === locale).wordLengths
+  const selectedLength = localeLengths.includes(wordLength) ? wordLength : DEFAULT_RULES.wordLength
+  const availablePacks = packs.filter(
+    (p) => p.wordLengths.includes(selectedLength) && p.locales.includes(locale)
+  )
+  const selectedPack = availablePacks.some((p) => p.id === pack) ? pack : DEFAULT_RULES.pack
+
+  // Only the party leader queues a 2v2 party
+  const isPartyMember = mode === GAME_MODES.TEAMS && party && party.leaderId !== user?.id
+
   if (!user) return null
 
   return (
@@ -57,12 +105,13 @@ export default function LobbyPage() {
             className="inline-block bg-arena-card border border-arena-border rounded-2xl p-6"
           >
             <div className="text-2xl font-bold mb-1">{user.username}</div>
+            <TierBadge tier={user.tier} provisional={user.provisional} className="mb-2" />
             <div className="flex items-center justify-center gap-4 text-gray-400">
               <span className="flex items-center gap-1">
                 <span className="text-arena-accent font-mono">{user.elo}</span> ELO
               </span>
               <span>•</span>
-              <span>{user.wins || 0}W / {user.losses || 0}L</span>
+              <span>{user.wins || 0}W / {user.losses || 0}L{user.draws > 0 && ` / ${user.draws}D`}</span>
             </div>
           </motion.div>
         </div>
@@ -73,17 +122,280 @@ export default function LobbyPage() {
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
           >
+            {/* Match rules */}
+            <div className="mb-8">
+              <div className="text-sm text-gray-400 mb-2">Mode</div>
+              <div className="inline-flex flex-wrap justify-center gap-2">
+                {Object.entries(MODE_LABELS).map(([value, label]) => (
+                  <button
+                    key={value}
+                    onClick={() => setMode(value)}
+                    className={clsx(
+                      'px-4 h-10 rounded-xl font-bold border transition-colors',
+                      mode === value
+                        ? 'bg-arena-accent border-arena-accent'
+                        : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {mode === GAME_MODES.TEAMS && (
+                <div className="mt-4 mx-auto max-w-sm bg-arena-card border border-arena-border rounded-xl p-4">
+                  {party ? (
+                    <>
+                      <div className="text-sm text-gray-400 mb-2">
+                        Party code{' '}
+                        <span className="font-mono font-bold text-white tracking-widest">{party.partyId}</span>
+                      </div>
+                      <div className="flex flex-col gap-1 mb-3">
+                        {party.members.map((member) => (
+                          <div key={member.id} className="flex justify-between text-sm">
+                            <span className={member.id === user.id ? 'font-bold text-white' : 'text-gray-300'}>
+                              {member.username}
+                              {member.id === party.leaderId && <span className="ml-1 text-arena-accent">★</span>}
+                            </span>
+                            <span className="font-mono text-gray-500">{member.elo}</span>
+                          </div>
+                        ))}
+                        {party.members.length < 2 && (
+                          <div className="text-sm text-gray-500">Waiting for a teammate (or queue solo)</div>
+                        )}
+                      </div>
+                      <button
+                        onClick={leaveParty}
+                        className="text-sm text-gray-500 hover:text-arena-error transition-colors"
+                      >
+                        Leave party
+                      </button>
+                    </>
+                  ) : (
+                    <div className="flex flex-col gap-2">
+                      <button
+                        onClick={createParty}
+                        className="px-4 h-10 rounded-xl font-bold border bg-arena-card border-arena-border hover:bg-arena-border transition-colors"
+                      >
+                        Create party
+                      </button>
+                      <form onSubmit={handleJoinParty} className="flex gap-2">
+                        <input
+                          value={partyCode}
+                          onChange={(e) => setPartyCode(e.target.value.toUpperCase())}
+                          placeholder="Party code"
+                          maxLength={6}
+                          className="flex-1 min-w-0 px-3 h-10 rounded-xl bg-arena-bg border border-arena-border font-mono uppercase tracking-widest focus:outline-none focus:border-arena-accent"
+                        />
+                        <button
+                          type="submit"
+                          className="px-4 h-10 rounded-xl font-bold border bg-arena-card border-arena-border hover:bg-arena-border transition-colors"
+                        >
+                          Join
+                        </button>
+                      </form>
+                    </div>
+                  )}
+                  {partyError && <p className="text-sm text-arena-error mt-2">{partyError}</p>}
+                </div>
+              )}
+
+              <div className="text-sm text-gray-400 mt-4 mb-2">Language</div>
+              <div className="inline-flex gap-2">
+                {LOCALES.map((l) => (
+                  <button
+                    key={l.id}
+                    onClick={() => setLocale(l.id)}
+                    className={clsx(
+                      'px-4 h-10 rounded-xl font-bold border transition-colors',
+                      locale === l.id
+                        ? 'bg-arena-accent border-arena-accent'
+                        : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                    )}
+                  >
+                    {l.name}
+                  </button>
+                ))}
+              </div>
+
+              <div className="text-sm text-gray-400 mt-4 mb-2">Word length</div>
+              <div className="inline-flex gap-2">
+                {WORD_LENGTHS.filter((length) => localeLengths.includes(length)).map((length) => (
+                  <button
+                    key={length}
+                    onClick={() => setWordLength(length)}
+                    className={clsx(
+                      'w-12 h-12 rounded-xl font-bold font-mono border transition-colors',
+                      selectedLength === length
+                        ? 'bg-arena-accent border-arena-accent'
+                        : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                    )}
+                  >
+                    {length}
+                  </button>
+                ))}
+              </div>
+
+              {availablePacks.length > 1 && (
+                <>
+                  <div className="text-sm text-gray-400 mt-4 mb-2">Dictionary</div>
+                  <div className="inline-flex flex-wrap justify-center gap-2">
+                    {availablePacks.map((p) => (
+                      <button
+                        key={p.id}
+                        onClick={() => setPack(p.id)}
+                        title={p.description}
+                        className={clsx(
+                          'px-4 h-10 rounded-xl font-bold border transition-colors',
+                          selectedPack === p.id
+                            ? 'bg-arena-accent border-arena-accent'
+                            : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                        )}
+                      >
+                        {p.name}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              {mode === GAME_MODES.DUEL && (
+                <>
+                  <div className="text-sm text-gray-400 mt-4 mb-2">Match format</div>
+                  <div className="inline-flex gap-2">
+                    {SERIES_LENGTHS.map((length) => (
+                      <button
+                        key={length}
+                        onClick={() => setSeriesLength(length)}
+                        className={clsx(
+                          'px-4 h-10 rounded-xl font-bold border transition-colors',
+                          seriesLength === length
+                            ? 'bg-arena-accent border-arena-accent'
+                            : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                        )}
+                      >
+                        {length === 1 ? 'Single' : `Best of ${length}`}
+                      </button>
+                    ))}
+                  </div>
+                </>
+              )}
+
+              <div className="text-sm text-gray-400 mt-4 mb-2">Time limit</div>
+              <div className="inline-flex gap-2">
+                {TIME_LIMITS.map((seconds) => (
+                  <button
+                    key={seconds}
+                    onClick={() => setTimeLimit(seconds)}
+                    className={clsx(
+                      'px-4 h-10 rounded-xl font-bold border transition-colors',
+                      timeLimit === seconds
+                        ? 'bg-arena-accent border-arena-accent'
+                        : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                    )}
+                  >
+                    {seconds / 60} min
+                  </button>
+                ))}
+              </div>
+
+              <div className="text-sm text-gray-400 mt-4 mb-2">{isTurns ? 'Turn clock' : 'Shot clock'}</div>
+              <div className="inline-flex gap-2">
+                {SHOT_CLOCKS.filter((seconds) => !isTurns || seconds > 0).map((seconds) => (
+                  <button
+                    key={seconds}
+                    onClick={() => setShotClock(seconds)}
+                    className={clsx(
+                      'px-4 h-10 rounded-xl font-bold border transition-colors',
+                      effectiveShotClock === seconds
+                        ? 'bg-arena-accent border-arena-accent'
+                        : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                    )}
+                  >
+                    {seconds === 0 ? 'Off' : `${seconds}s`}
+                  </button>
+                ))}
+              </div>
+
+              {mode === GAME_MODES.ABSURDLE && (
+                <p className="mt-4 text-sm text-gray-500">
+                  There is no word — the game dodges every guess; corner it before your opponent
+                </p>
+              )}
+              {isTurns && (
+                <p className="mt-4 text-sm text-gray-500">
+                  One shared board — take turns guessing; a turn that runs out passes to your opponent
+                </p>
+              )}
+              {mode === GAME_MODES.QUORDLE ? (
+                <p className="mt-4 text-sm text-gray-500">
+                  Four words, nine guesses — clear every board before your opponent
+                </p>
+              ) : (
+                <label className="flex items-center justify-center gap-2 mt-4 text-sm text-gray-400 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={hardMode}
+                    onChange={(e) => setHardMode(e.target.checked)}
+                    className="accent-arena-accent"
+                  />
+                  Hard mode
+                  <span className="text-gray-500">(revealed hints must be used)</span>
+                </label>
+              )}
+            </div>
+
             <motion.button
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
               onClick={handleFindMatch}
-              className="px-12 py-6 bg-arena-accent hover:bg-arena-accent/90 rounded-2xl font-bold text-2xl transition-colors glow-accent"
+              disabled={isPartyMember}
+              className="px-12 py-6 bg-arena-accent hover:bg-arena-accent/90 rounded-2xl font-bold text-2xl transition-colors glow-accent disabled:opacity-50 disabled:cursor-not-allowed"
             >
               🎮 Find Match
             </motion.button>
             
+            <div className="mt-4">
+              <button
+                onClick={() => router.push('/room')}
+                className="text-sm text-gray-400 hover:text-white underline underline-offset-4 transition-colors"
+              >
+                Play a friend in a private room
+              </button>
+              <span className="mx-2 text-gray-600">·</span>
+              <button
+                onClick={() => router.push('/daily')}
+                className="text-sm text-gray-400 hover:text-white underline underline-offset-4 transition-colors"
+              >
+                Daily challenge
+              </button>
+              <span className="mx-2 text-gray-600">·</span>
+              <button
+                onClick={() => router.push('/watch')}
+                className="text-sm text-gray-400 hover:text-white underline underline-offset-4 transition-colors"
+              >
+                Watch live games
+              </button>
+              <span className="mx-2 text-gray-600">·</span>
+              <button
+                onClick={() => router.push(`/profile/${user.id}`)}
+                className="text-sm text-gray-400 hover:text-white underline underline-offset-4 transition-colors"
+              >
+                Profile
+              </button>
+              <span className="mx-2 text-gray-600">·</span>
+              <button
+                onClick={() => router.push('/leaderboard')}
+                className="text-sm text-gray-400 hover:text-white underline underline-offset-4 transition-colors"
+              >
+                Leaderboard
+              </button>
+            </div>
+
             <p className="text-gray-500 mt-4">
-              You'll be matched with a player of similar skill
+              {isPartyMember
+                ? 'Your party leader starts the search'
+                : "You'll be matched with a player of similar skill"}
             </p>
           </motion.div>
         )}
@@ -102,7 +414,13 @@ export default function LobbyPage() {
               />
             </div>
             
-            <h2 className="text-2xl font-bold mb-2">Searching for opponent...</h2>
+            <h2 className="text-2xl font-bold mb-2">
+              {mode === GAME_MODES.ROYALE
+                ? 'Filling the lobby...'
+                : mode === GAME_MODES.TEAMS
+                  ? 'Searching for teams...'
+                  : 'Searching for opponent...'}
+            </h2>
             <p className="text-gray-400 mb-6">
               Looking for players in your ELO range
             </p>
@@ -144,6 +462,17 @@ export default function LobbyPage() {
             <div className="text-sm text-gray-400">Win Rate</div>
           </div>
         </motion.div>
+
+        {/* Recent matches */}
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          transition={{ delay: 0.4 }}
+          className="mt-8 max-w-md mx-auto"
+        >
+          <h2 className="text-sm font-bold uppercase tracking-wide text-gray-400 mb-3">Recent matches</h2>
+          <MatchHistory userId={user.id} />
+        </motion.div>
       </motion.div>
     </main>
   )
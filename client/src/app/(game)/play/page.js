@@ -4,22 +4,38 @@ import { useEffect, useState } from 'react'
 import { useRouter } from 'next/navigation'
 import { motion, AnimatePresence } from 'framer-motion'
 import { useUserStore } from '@/stores/userStore'
-import { useGameStore, GAME_STATUS } from '@/stores/gameStore'
+import { useGameStore, GAME_STATUS, GAME_MODES, LOCALES, DEFAULT_RULES } from '@/stores/gameStore'
 import { useSocket } from '@/hooks/useSocket'
 import { Board } from '@/components/game/Board'
 import { OpponentBoard } from '@/components/game/OpponentBoard'
 import { Keyboard } from '@/components/game/Keyboard'
+import { GameClock } from '@/components/game/GameClock'
+import { TierBadge } from '@/components/profile/TierBadge'
 
 export default function PlayPage() {
   const router = useRouter()
   const { user } = useUserStore()
   const { 
     status, 
-    opponent, 
+    opponents, 
+    rules,
+    round,
+    seriesScore,
+    lastRound,
+    clearLastRound,
+    clock,
+    turnPlayerId,
     result, 
+    placement,
+    standings,
+    solvedBy,
     targetWord, 
+    targetWords,
+    guesses,
     eloChange, 
     newElo,
+    tier,
+    margin,
     error,
     clearError,
     resetGame 
@@ -39,6 +55,23 @@ export default function PlayPage() {
     }
   }, [isHydrated, status, router])
 
+  // Auto-dismiss the round result banner
+  useEffect(() => {
+    if (!lastRound) return
+    const timer = setTimeout(clearLastRound, 3000)
+    return () => clearTimeout(timer)
+  }, [lastRound, clearLastRound])
+
+  const isSeries = rules?.seriesLength > 1
+  const isRoyale = rules?.mode === GAME_MODES.ROYALE
+  const isTeams = rules?.mode === GAME_MODES.TEAMS
+  const isQuordle = rules?.mode === GAME_MODES.QUORDLE
+  const isAbsurdle = rules?.mode === GAME_MODES.ABSURDLE
+  const isTurns = rules?.mode === GAME_MODES.TURNS
+  const isMyTurn = turnPlayerId === user?.id
+  // Absurdle: words still consistent with the feedback so far
+  const wordsLeft = guesses[guesses.length - 1]?.remaining
+
   const handlePlayAgain = () => {
     resetGame()
     router.push('/lobby')
@@ -69,7 +102,65 @@ export default function PlayPage() {
           </div>
         </div>
         
-        <h1 className="text-xl font-bold">WordArena</h1>
+        <div className="flex flex-col items-center">
+          <h1 className="text-xl font-bold">WordArena</h1>
+          {isRoyale && (
+            <span className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+              Battle royale · {opponents.length + 1} players
+            </span>
+          )}
+          {isTeams && (
+            <span className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+              2v2 Teams
+            </span>
+          )}
+          {isQuordle && (
+            <span className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+              Quordle
+            </span>
+          )}
+          {isAbsurdle && (
+            <span className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+              Absurdle
+            </span>
+          )}
+          {isTurns && (
+            <span className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+              Turn-based · shared board
+            </span>
+          )}
+          {rules?.rated === false && (
+            <span className="text-xs font-bold uppercase tracking-wide text-gray-400">
+              Unrated
+            </span>
+          )}
+          {rules?.locale && rules.locale !== DEFAULT_RULES.locale && (
+            <span className="text-xs font-bold uppercase tracking-wide text-tile-green">
+              {LOCALES.find((l) => l.id === rules.locale)?.name ?? rules.locale}
+            </span>
+          )}
+          {rules?.pack && rules.pack !== DEFAULT_RULES.pack && (
+            <span className="text-xs font-bold uppercase tracking-wide text-tile-yellow">
+              {rules.pack} pack
+            </span>
+          )}
+          {rules?.hardMode && (
+            <span className="text-xs font-bold uppercase tracking-wide text-arena-warning">
+              Hard mode
+            </span>
+          )}
+          {isSeries && (
+            <span className="text-xs text-gray-400">
+              Round {round} of {rules.seriesLength} ·{' '}
+              <span className="font-mono font-bold text-white">
+                {seriesScore.me} – {seriesScore.opponent}
+              </span>
+            </span>
+          )}
+          {status === GAME_STATUS.PLAYING && (
+            <GameClock deadline={clock.matchDeadline} warnBelowMs={30000} />
+          )}
+        </div>
         
         <div className="flex items-center gap-4">
           {status === GAME_STATUS.PLAYING && (
@@ -98,23 +189,82 @@ export default function PlayPage() {
         )}
       </AnimatePresence>
 
+      {/* Series round result */}
+      <AnimatePresence>
+        {lastRound && status === GAME_STATUS.PLAYING && (
+          <motion.div
+            initial={{ opacity: 0, y: -20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -20 }}
+            className="fixed top-16 left-1/2 -translate-x-1/2 bg-arena-card border border-arena-border px-6 py-3 rounded-lg font-medium z-40 text-center"
+            onClick={clearLastRound}
+          >
+            Round {lastRound.round}:{' '}
+            {lastRound.result === 'win' ? 'you won' : lastRound.result === 'loss' ? 'you lost' : 'draw'}
+            <span className="text-gray-400"> · the word was </span>
+            <span className="font-mono font-bold">{lastRound.targetWord}</span>
+          </motion.div>
+        )}
+      </AnimatePresence>
+
       {/* Game area */}
       <div className="flex-1 flex flex-col md:flex-row items-center justify-center gap-8 md:gap-16">
         {/* Player's board */}
         <div className="flex flex-col items-center">
-          <div className="text-sm text-gray-400 mb-4 font-medium">You</div>
-          <Board />
+          {isTurns ? (
+            <div className="flex items-center gap-3 mb-4">
+              <div
+                className={`text-sm font-bold ${isMyTurn ? 'text-tile-green' : 'text-gray-400'}`}
+              >
+                {status !== GAME_STATUS.PLAYING
+                  ? 'Shared board'
+                  : isMyTurn
+                    ? 'Your turn'
+                    : `${opponents[0]?.username || 'Opponent'}'s turn`}
+              </div>
+              {status === GAME_STATUS.PLAYING && (
+                <GameClock
+                  deadline={isMyTurn ? clock.shotDeadline : clock.opponentShotDeadline}
+                  label="Turn"
+                  size="sm"
+                />
+              )}
+            </div>
+          ) : (
+            <div className="flex items-center gap-3 mb-4">
+              <div className="text-sm text-gray-400 font-medium">You</div>
+              {status === GAME_STATUS.PLAYING && (
+                <GameClock deadline={clock.shotDeadline} label="Shot" size="sm" />
+              )}
+            </div>
+          )}
+          <Board showCurrentRow={!isTurns || isMyTurn} />
+          {isAbsurdle && wordsLeft !== undefined && (
+            <div className="text-xs text-gray-500 mt-2">
+              {wordsLeft === 1 ? '1 word left' : `${wordsLeft} words left`}
+            </div>
+          )}
         </div>
 
-        {/* VS divider */}
-        <div className="hidden md:flex flex-col items-center justify-center">
-          <div className="text-2xl font-bold text-gray-600">VS</div>
-        </div>
+        {/* Both players guess on the shared board in turn-based games */}
+        {!isTurns && (
+          <>
+            {/* VS divider */}
+            <div className="hidden md:flex flex-col items-center justify-center">
+              <div className="text-2xl font-bold text-gray-600">VS</div>
+            </div>
 
-        {/* Opponent's board (masked) */}
-        <div className="flex flex-col items-center">
-          <OpponentBoard />
-        </div>
+            {/* Opponent's board (masked) */}
+            <div className="flex flex-col items-center">
+              <OpponentBoard />
+              {status === GAME_STATUS.PLAYING && (
+                <div className="mt-2">
+                  <GameClock deadline={clock.opponentShotDeadline} label="Shot" size="sm" />
+                </div>
+              )}
+            </div>
+          </>
+        )}
       </div>
 
       {/* Keyboard */}
@@ -153,10 +303,64 @@ export default function PlayPage() {
                 {result === 'win' ? 'Victory!' : result === 'loss' ? 'Defeat' : 'Draw'}
               </h2>
 
-              <p className="text-gray-400 mb-6">
-                The word was{' '}
-                <span className="font-mono font-bold text-white">{targetWord}</span>
-              </p>
+              {placement && (
+                <p className="text-gray-400 mb-2">
+                  You placed{' '}
+                  <span className="font-bold text-white">{formatPlacement(placement)}</span>
+                  {standings && ` of ${standings.length}`}
+                </p>
+              )}
+
+              {solvedBy && (
+                <p className="text-gray-400 mb-2">
+                  Solved by <span className="font-bold text-white">{solvedBy}</span>
+                </p>
+              )}
+
+              {isSeries && (
+                <p className="text-gray-400 mb-2">
+                  Series{' '}
+                  <span className="font-mono font-bold text-white">
+                    {seriesScore.me} – {seriesScore.opponent}
+                  </span>
+                </p>
+              )}
+
+              {targetWords ? (
+                <p className="text-gray-400 mb-6">
+                  The words were{' '}
+                  <span className="font-mono font-bold text-white">{targetWords.join(' · ')}</span>
+                </p>
+              ) : (
+                <p className="text-gray-400 mb-6">
+                  {isSeries ? 'The last word was' : 'The word was'}{' '}
+                  <span className="font-mono font-bold text-white">{targetWord}</span>
+                </p>
+              )}
+
+              {/* Royale standings */}
+              {standings && (
+                <div className="mb-6 text-sm text-left max-h-48 overflow-y-auto">
+                  {standings.map((standing) => (
+                    <div
+                      key={standing.playerId}
+                      className={`flex justify-between py-1 border-b border-arena-border ${
+                        standing.playerId === user?.id ? 'text-white font-bold' : 'text-gray-400'
+                      }`}
+                    >
+                      <span>
+                        {formatPlacement(standing.placement)} · {standing.username}
+                        {standing.isBot && ' 🤖'}
+                      </span>
+                      <span className="font-mono">
+                        {standing.forfeited
+                          ? 'forfeit'
+                          : `${standing.solved ? standing.guesses : 'X'}/${rules.maxGuesses}`}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
 
               {/* ELO change */}
               <div className="flex justify-center gap-8 mb-8">
@@ -174,6 +378,26 @@ export default function PlayPage() {
                 </div>
               </div>
 
+              {/* Margin of victory share of the change */}
+              {margin?.bonus ? (
+                <div className="text-center text-sm text-gray-400 -mt-4 mb-8">
+                  Includes {margin.bonus > 0 ? '+' : ''}{margin.bonus} for the margin
+                  ({margin.guesses} {margin.guesses === 1 ? 'guess' : 'guesses'}, {Math.round(margin.timeGapMs / 1000)}s)
+                </div>
+              ) : null}
+
+              {/* Tier promotion or demotion */}
+              {tier?.change && (
+                <div className="flex items-center justify-center gap-2 -mt-4 mb-8">
+                  <span className={`text-sm font-bold ${
+                    tier.change === 'promoted' ? 'text-tile-green' : 'text-arena-error'
+                  }`}>
+                    {tier.change === 'promoted' ? 'Promoted to' : 'Demoted to'}
+                  </span>
+                  <TierBadge tier={tier.after} />
+                </div>
+              )}
+
               {/* Actions */}
               <div className="flex gap-4">
                 <motion.button
@@ -201,4 +425,8 @@ export default function PlayPage() {
   )
 }
 
-
+function formatPlacement(placement) {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' }
+  const suffix = placement % 100 >= 11 && placement % 100 <= 13 ? 'th' : suffixes[placement % 10] || 'th'
+  return `${placement}${suffix}`
+}
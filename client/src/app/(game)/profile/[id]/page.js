@@ -0,0 +1,269 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import clsx from 'clsx'
+import { api } from '@/lib/api'
+import { MODE_LABELS } from '@/stores/gameStore'
+import { MatchHistory } from '@/components/game/MatchHistory'
+import { RatingChart } from '@/components/profile/RatingChart'
+import { TierBadge } from '@/components/profile/TierBadge'
+
+const RATING_LABELS = { ...MODE_LABELS, bot: 'vs Bots' }
+const RANGES = [
+  { id: '7d', label: '7D' },
+  { id: '30d', label: '30D' },
+  { id: '90d', label: '90D' },
+  { id: '1y', label: '1Y' },
+  { id: 'all', label: 'All' }
+]
+const GRANULARITIES = [
+  { id: 'match', label: 'Match' },
+  { id: 'day', label: 'Day' },
+  { id: 'week', label: 'Week' }
+]
+
+const formatDelta = (delta) => `${delta >= 0 ? '+' : ''}${delta}`
+
+function OptionButtons({ options, value, onChange }) {
+  return (
+    <div className="flex gap-1">
+      {options.map((option) => (
+        <button
+          key={option.id}
+          onClick={() => onChange(option.id)}
+          className={clsx(
+            'px-2 py-1 rounded-lg text-xs font-bold transition-colors',
+            value === option.id ? 'bg-arena-accent' : 'bg-arena-border hover:bg-arena-border/80'
+          )}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+export default function ProfilePage() {
+  const router = useRouter()
+  const { id } = useParams()
+  const [profile, setProfile] = useState(null)
+  const [error, setError] = useState(null)
+  const [mode, setMode] = useState('duel')
+  const [range, setRange] = useState('90d')
+  const [granularity, setGranularity] = useState('match')
+  const [history, setHistory] = useState(null)
+
+  useEffect(() => {
+    api.getProfile(id)
+      .then((data) => {
+        setProfile(data)
+        if (data.ratings.length) setMode(data.ratings[0].mode)
+      })
+      .catch((err) => setError(err.message))
+  }, [id])
+
+  // Ignore answers for a selection that has since changed
+  useEffect(() => {
+    let current = true
+    setHistory(null)
+    api.getRatingHistory(id, mode, range, granularity)
+      .then((data) => current && setHistory(data))
+      .catch(() => current && setHistory({ points: [] }))
+    return () => {
+      current = false
+    }
+  }, [id, mode, range, granularity])
+
+  if (error) {
+    return (
+      <main className="min-h-screen flex flex-col items-center justify-center p-4 text-center">
+        <p className="text-arena-error mb-4">{error}</p>
+        <button
+          onClick={() => router.push('/lobby')}
+          className="px-6 py-3 bg-arena-accent hover:bg-arena-accent/90 rounded-xl font-bold transition-colors"
+        >
+          Back to lobby
+        </button>
+      </main>
+    )
+  }
+
+  if (!profile) {
+    return (
+      <main className="min-h-screen flex items-center justify-center">
+        <div className="text-xl font-bold text-arena-accent animate-pulse">Loading profile...</div>
+      </main>
+    )
+  }
+
+  const highlights = [
+    { label: 'Peak rating', value: history?.peak?.elo, at: history?.peak?.at, className: 'text-tile-yellow' },
+    {
+      label: 'Biggest gain',
+      value: history?.biggestGain && formatDelta(history.biggestGain.delta),
+      at: history?.biggestGain?.at,
+      matchId: history?.biggestGain?.matchId,
+      className: 'text-tile-green'
+    },
+    {
+      label: 'Biggest loss',
+      value: history?.biggestLoss && formatDelta(history.biggestLoss.delta),
+      at: history?.biggestLoss?.at,
+      matchId: history?.biggestLoss?.matchId,
+      className: 'text-arena-error'
+    }
+  ]
+
+  return (
+    <main className="min-h-screen flex flex-col items-center p-4">
+      {/* Header */}
+      <header className="w-full max-w-2xl flex justify-between items-center mb-8">
+        <button
+          onClick={() => router.push('/lobby')}
+          className="text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          ← Lobby
+        </button>
+        <div className="flex flex-col items-center">
+          <h1 className="text-2xl font-bold">{profile.username}</h1>
+          <TierBadge tier={profile.tier} provisional={profile.provisional} className="my-1" />
+          <span className="text-xs text-gray-500">
+            Joined {new Date(profile.createdAt).toLocaleDateString()}
+          </span>
+        </div>
+        <div className="text-sm text-gray-400">{profile.rank ? `#${profile.rank}` : ''}</div>
+      </header>
+
+      <div className="w-full max-w-2xl flex flex-col gap-8">
+        {/* Overall record */}
+        <div className="grid grid-cols-4 gap-4 text-center">
+          <div className="bg-arena-card/50 rounded-xl p-4 border border-arena-border">
+            <div className="text-2xl font-bold text-arena-accent font-mono">{profile.elo}</div>
+            <div className="text-sm text-gray-400">ELO</div>
+          </div>
+          <div className="bg-arena-card/50 rounded-xl p-4 border border-arena-border">
+            <div className="text-2xl font-bold text-tile-green">{profile.wins}</div>
+            <div className="text-sm text-gray-400">Wins</div>
+          </div>
+          <div className="bg-arena-card/50 rounded-xl p-4 border border-arena-border">
+            <div className="text-2xl font-bold text-tile-yellow">{profile.gamesPlayed}</div>
+            <div className="text-sm text-gray-400">Games</div>
+          </div>
+          <div className="bg-arena-card/50 rounded-xl p-4 border border-arena-border">
+            <div className="text-2xl font-bold">{profile.winRate}%</div>
+            <div className="text-sm text-gray-400">Win Rate</div>
+          </div>
+        </div>
+
+        {/* Rating chart */}
+        <section className="bg-arena-card rounded-xl p-4 border border-arena-border">
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+            <h2 className="text-sm font-bold uppercase tracking-wide text-gray-400">Rating history</h2>
+            <div className="flex gap-3">
+              <OptionButtons options={RANGES} value={range} onChange={setRange} />
+              <OptionButtons options={GRANULARITIES} value={granularity} onChange={setGranularity} />
+            </div>
+          </div>
+
+          {profile.ratings.length > 1 && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {profile.ratings.map((rating) => (
+                <button
+                  key={rating.mode}
+                  onClick={() => setMode(rating.mode)}
+                  className={clsx(
+                    'px-3 py-1 rounded-lg text-sm border transition-colors',
+                    mode === rating.mode
+                      ? 'bg-arena-accent border-arena-accent'
+                      : 'bg-arena-card border-arena-border hover:bg-arena-border'
+                  )}
+                >
+                  {RATING_LABELS[rating.mode] ?? rating.mode}
+                  <span className="ml-2 font-mono">{rating.elo}</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {history ? (
+            <RatingChart points={history.points} />
+          ) : (
+            <div className="text-sm text-gray-500 text-center py-12 animate-pulse">Loading history...</div>
+          )}
+
+          <div className="grid grid-cols-3 gap-4 mt-4 text-center">
+            {highlights.map((highlight) => (
+              <button
+                key={highlight.label}
+                disabled={!highlight.matchId}
+                onClick={() => router.push(`/replay/${highlight.matchId}`)}
+                className="bg-arena-card/50 rounded-xl p-3 border border-arena-border enabled:hover:bg-arena-border transition-colors"
+              >
+                <div className={clsx('text-xl font-bold font-mono', highlight.className)}>
+                  {highlight.value ?? '—'}
+                </div>
+                <div className="text-xs text-gray-400">{highlight.label}</div>
+                {highlight.at && (
+                  <div className="text-xs text-gray-500">{new Date(highlight.at).toLocaleDateString()}</div>
+                )}
+              </button>
+            ))}
+          </div>
+        </section>
+
+        {/* Ratings by mode */}
+        {profile.ratings.length > 0 && (
+          <section>
+            <h2 className="text-sm font-bold uppercase tracking-wide text-gray-400 mb-3">
+              {profile.season ? `${profile.season.name} ratings` : 'Ratings'}
+            </h2>
+            <div className="flex flex-col gap-2">
+              {profile.ratings.map((rating) => (
+                <div
+                  key={rating.mode}
+                  className="flex items-center justify-between bg-arena-card/50 border border-arena-border rounded-xl px-4 py-2"
+                >
+                  <span className="text-sm font-bold">{RATING_LABELS[rating.mode] ?? rating.mode}</span>
+                  <TierBadge tier={rating.tier} provisional={profile.provisional} />
+                  <span className="text-sm text-gray-400">
+                    {rating.wins}W / {rating.losses}L{rating.draws > 0 && ` / ${rating.draws}D`}
+                  </span>
+                  <span className="text-sm text-gray-400">{rating.rank ? `#${rating.rank}` : 'Unranked'}</span>
+                  <span className="font-mono text-arena-accent">{rating.elo}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Past seasons */}
+        {profile.pastSeasons.length > 0 && (
+          <section>
+            <h2 className="text-sm font-bold uppercase tracking-wide text-gray-400 mb-3">Past seasons</h2>
+            <div className="flex flex-col gap-2">
+              {profile.pastSeasons.map((finish) => (
+                <div
+                  key={`${finish.season.id}-${finish.mode}`}
+                  className="flex items-center justify-between bg-arena-card/50 border border-arena-border rounded-xl px-4 py-2"
+                >
+                  <span className="text-sm font-bold">{finish.season.name}</span>
+                  <span className="text-sm text-gray-400">{RATING_LABELS[finish.mode] ?? finish.mode}</span>
+                  <TierBadge tier={finish.tier} />
+                  <span className="text-sm">#{finish.rank}</span>
+                  <span className="font-mono text-arena-accent">{finish.elo}</span>
+                </div>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {/* Recent matches */}
+        <section>
+          <h2 className="text-sm font-bold uppercase tracking-wide text-gray-400 mb-3">Recent matches</h2>
+          <MatchHistory userId={id} limit={10} />
+        </section>
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,315 @@
+'use client'
+
+import { useEffect, useMemo, useState } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import clsx from 'clsx'
+import { api } from '@/lib/api'
+import { GAME_MODES, MODE_LABELS, QUORDLE_BOARDS } from '@/stores/gameStore'
+import { MiniBoard } from '@/components/game/OpponentBoard'
+
+const MAX_GUESSES = 6
+const SPEEDS = [1, 2, 4]
+const TICK_MS = 100
+
+const getTime = (entry) => entry.timestamp ?? entry.data?.timestamp
+
+const formatTime = (ms) => {
+  const seconds = Math.floor(ms / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
+
+// Replay rows are fully revealed: letters and colors
+const toRow = (guess, board = null) => ({
+  word: guess.word,
+  colors: (board === null ? guess.evaluation : guess.evaluations?.[board])?.map(({ color }) => color)
+})
+
+// Rating before and after for everyone the match rated (bots aren't)
+function getEloOutcome(replay) {
+  const outcome = {}
+  replay.participants.forEach((p) => {
+    if (!p.isBot && p.eloBefore != null) outcome[p.userId] = { before: p.eloBefore, after: p.eloAfter }
+  })
+  for (const side of [replay.winner, replay.loser]) {
+    if (side?.id && side.eloBefore != null && !outcome[side.id]) {
+      outcome[side.id] = { before: side.eloBefore, after: side.eloAfter }
+    }
+  }
+  return outcome
+}
+
+export default function ReplayPage() {
+  const router = useRouter()
+  const { id } = useParams()
+  const [replay, setReplay] = useState(null)
+  const [error, setError] = useState(null)
+  const [elapsed, setElapsed] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(1)
+
+  useEffect(() => {
+    api.getReplay(id)
+      .then(setReplay)
+      .catch((err) => setError(err.message))
+  }, [id])
+
+  // Timed entries, relative to the first one
+  const timeline = useMemo(() => {
+    const entries = (replay?.replayLog ?? []).filter((entry) => getTime(entry) != null)
+    const start = Math.min(...entries.map(getTime))
+    return entries
+      .map((entry) => ({ ...entry, at: getTime(entry) - start }))
+      .sort((a, b) => a.at - b.at)
+  }, [replay])
+
+  const duration = timeline.length ? timeline[timeline.length - 1].at : 0
+  const finished = elapsed >= duration
+
+  // Play back in real time (times the chosen speed)
+  useEffect(() => {
+    if (!playing) return
+    const timer = setInterval(() => {
+      setElapsed((current) => Math.min(current + TICK_MS * speed, duration))
+    }, TICK_MS)
+    return () => clearInterval(timer)
+  }, [playing, speed, duration])
+
+  useEffect(() => {
+    if (playing && finished) setPlaying(false)
+  }, [playing, finished])
+
+  const stepBack = () => {
+    setPlaying(false)
+    const previous = timeline.filter((entry) => entry.at < elapsed)
+    setElapsed(previous.length ? previous[previous.length - 1].at : 0)
+  }
+
+  const stepForward = () => {
+    setPlaying(false)
+    setElapsed(timeline.find((entry) => entry.at > elapsed)?.at ?? duration)
+  }
+
+  const togglePlay = () => {
+    if (finished) setElapsed(0)
+    setPlaying(!playing)
+  }
+
+  if (error) {
+    return (
+      <main className="min-h-screen flex flex-col items-center justify-center p-4 text-center">
+        <p className="text-arena-error mb-4">{error}</p>
+        <button
+          onClick={() => router.push('/lobby')}
+          className="px-6 py-3 bg-arena-accent hover:bg-arena-accent/90 rounded-xl font-bold transition-colors"
+        >
+          Back to lobby
+        </button>
+      </main>
+    )
+  }
+
+  if (!replay) {
+    return (
+      <main className="min-h-screen flex items-center justify-center">
+        <div className="text-xl font-bold text-arena-accent animate-pulse">Loading replay...</div>
+      </main>
+    )
+  }
+
+  // Everything that has happened by the current point in the replay
+  const played = timeline.filter((entry) => entry.at <= elapsed)
+  const round = played.filter((entry) => entry.type === 'round_start').pop()?.round ?? 1
+  const roundEnd = played.find((entry) => entry.type === 'round_end' && (entry.round ?? 1) === round)
+  const guesses = played.filter((entry) => entry.type === 'guess' && (entry.round ?? 1) === round)
+  const forfeited = new Set(played.filter((entry) => entry.type === 'forfeit').map((entry) => entry.playerId))
+  const wins = played.filter((entry) => entry.type === 'round_end' && entry.winner)
+
+  const maxGuesses = replay.rules?.maxGuesses || MAX_GUESSES
+  const wordLength = replay.rules?.wordLength || replay.targetWord?.length || 5
+  const isQuordle = replay.mode === GAME_MODES.QUORDLE
+  const isTurns = replay.mode === GAME_MODES.TURNS
+  const eloOutcome = getEloOutcome(replay)
+
+  const boardFor = (player) => {
+    const own = guesses.filter((entry) => entry.playerId === player.id).map((entry) => entry.data)
+    return {
+      ...player,
+      progress: own.map((guess) => toRow(guess)),
+      remaining: own[own.length - 1]?.remaining,
+      solved: roundEnd?.winner === player.id,
+      forfeited: forfeited.has(player.id)
+    }
+  }
+
+  return (
+    <main className="min-h-screen flex flex-col p-4">
+      {/* Header */}
+      <header className="flex justify-between items-center mb-4">
+        <button
+          onClick={() => router.push('/lobby')}
+          className="text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          ← Lobby
+        </button>
+        <div className="flex flex-col items-center">
+          <h1 className="text-xl font-bold">Replay</h1>
+          <span className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+            {MODE_LABELS[replay.mode] ?? replay.mode}
+            {round > 1 && ` · Round ${round}`}
+          </span>
+        </div>
+        <div className="text-sm text-gray-400">{new Date(replay.playedAt).toLocaleDateString()}</div>
+      </header>
+
+      {/* Boards */}
+      <div className="flex-1 flex flex-col md:flex-row flex-wrap items-center md:items-start justify-center gap-8 md:gap-16 py-6">
+        {isTurns ? (
+          <MiniBoard
+            opponent={{
+              username: replay.players.map((player) => player.username).join(' vs '),
+              progress: guesses.map((entry) => toRow(entry.data)),
+              solved: Boolean(roundEnd?.winner)
+            }}
+            wordLength={wordLength}
+            maxGuesses={maxGuesses}
+          />
+        ) : (
+          replay.players.map((player) => {
+            const board = boardFor(player)
+            if (!isQuordle) {
+              return (
+                <MiniBoard
+                  key={player.id}
+                  opponent={board}
+                  wordLength={wordLength}
+                  maxGuesses={maxGuesses}
+                  small={replay.players.length > 2}
+                />
+              )
+            }
+
+            // Quordle: all four boards, each stopping once it was solved
+            const own = guesses.filter((entry) => entry.playerId === player.id).map((entry) => entry.data)
+            return (
+              <div key={player.id} className="flex flex-col items-center">
+                <div className="text-sm text-gray-400 mb-2 font-medium">
+                  {player.username}
+                  {player.isBot && <span className="ml-1 text-arena-accent">🤖</span>}
+                </div>
+                <div className="grid grid-cols-2 gap-3">
+                  {Array.from({ length: QUORDLE_BOARDS }, (_, i) => (
+                    <MiniBoard
+                      key={i}
+                      opponent={{
+                        username: `Board ${i + 1}`,
+                        progress: own.filter((guess) => guess.evaluations?.[i]).map((guess) => toRow(guess, i)),
+                        forfeited: board.forfeited
+                      }}
+                      wordLength={wordLength}
+                      maxGuesses={maxGuesses}
+                      small
+                    />
+                  ))}
+                </div>
+              </div>
+            )
+          })
+        )}
+      </div>
+
+      {/* Round result and, at the end, the rating outcome */}
+      {roundEnd && (
+        <div className="text-center mb-4">
+          <p className="text-gray-400">
+            {roundEnd.targetWords ? 'The words were ' : 'The word was '}
+            <span className="font-mono font-bold text-white">
+              {roundEnd.targetWords ? roundEnd.targetWords.join(' · ') : roundEnd.targetWord}
+            </span>
+          </p>
+          {wins.length > 1 && (
+            <p className="text-xs text-gray-500">
+              {replay.players.map((player) => `${player.username} ${wins.filter((w) => w.winner === player.id).length}`).join(' · ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      {finished && (
+        <div className="flex flex-wrap justify-center gap-4 mb-4">
+          {replay.players.filter((player) => eloOutcome[player.id]).map((player) => {
+            const { before, after } = eloOutcome[player.id]
+            return (
+              <div key={player.id} className="bg-arena-card rounded-xl px-4 py-2 border border-arena-border text-center">
+                <div className="text-sm font-bold">{player.username}</div>
+                <div className="font-mono text-sm">
+                  {before} → {after}
+                  <span className={clsx('ml-2 font-bold', after >= before ? 'text-tile-green' : 'text-arena-error')}>
+                    {after >= before ? '+' : ''}
+                    {after - before}
+                  </span>
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {/* Controls */}
+      <div className="w-full max-w-xl mx-auto bg-arena-card rounded-xl p-4 border border-arena-border">
+        <input
+          type="range"
+          min={0}
+          max={duration}
+          step={TICK_MS}
+          value={elapsed}
+          onChange={(e) => {
+            setPlaying(false)
+            setElapsed(Number(e.target.value))
+          }}
+          className="w-full accent-arena-accent"
+        />
+        <div className="flex items-center justify-between mt-2">
+          <span className="text-xs text-gray-400 font-mono">
+            {formatTime(elapsed)} / {formatTime(duration)}
+          </span>
+          <div className="flex gap-2">
+            <button
+              onClick={stepBack}
+              className="px-3 py-1 bg-arena-border hover:bg-arena-border/80 rounded-lg transition-colors"
+              title="Previous event"
+            >
+              ⏮
+            </button>
+            <button
+              onClick={togglePlay}
+              className="px-4 py-1 bg-arena-accent hover:bg-arena-accent/90 rounded-lg font-bold transition-colors"
+            >
+              {playing ? 'Pause' : finished ? 'Replay' : 'Play'}
+            </button>
+            <button
+              onClick={stepForward}
+              className="px-3 py-1 bg-arena-border hover:bg-arena-border/80 rounded-lg transition-colors"
+              title="Next event"
+            >
+              ⏭
+            </button>
+          </div>
+          <div className="flex gap-1">
+            {SPEEDS.map((option) => (
+              <button
+                key={option}
+                onClick={() => setSpeed(option)}
+                className={clsx(
+                  'px-2 py-1 rounded-lg text-xs font-bold transition-colors',
+                  speed === option ? 'bg-arena-accent' : 'bg-arena-border hover:bg-arena-border/80'
+                )}
+              >
+                {option}x
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </main>
+  )
+}
@@ -0,0 +1,238 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { motion } from 'framer-motion'
+import clsx from 'clsx'
+import { api } from '@/lib/api'
+import { useUserStore } from '@/stores/userStore'
+import { useGameStore, GAME_STATUS, WORD_LENGTHS, LOCALES, SERIES_LENGTHS, TIME_LIMITS, SHOT_CLOCKS, GUESS_LIMITS, DEFAULT_RULES } from '@/stores/gameStore'
+import { useSocket } from '@/hooks/useSocket'
+
+export default function RoomPage() {
+  const router = useRouter()
+  const { user, checkAuth } = useUserStore()
+  const { status, room, roomError } = useGameStore()
+  const { createRoom, joinRoom, updateRoomRules, setRoomReady, leaveRoom } = useSocket()
+  const [code, setCode] = useState('')
+  const [packs, setPacks] = useState([])
+
+  useEffect(() => {
+    checkAuth()
+  }, [checkAuth])
+
+  useEffect(() => {
+    if (!user) {
+      router.push('/login')
+    }
+  }, [user, router])
+
+  useEffect(() => {
+    api.getPacks().then((data) => setPacks(data.packs)).catch(() => setPacks([]))
+  }, [])
+
+  // Navigate to play page when the room launches
+  useEffect(() => {
+    if (status === GAME_STATUS.PLAYING) {
+      router.push('/play')
+    }
+  }, [status, router])
+
+  if (!user) return null
+
+  const isHost = room?.hostId === user.id
+  const me = room?.players.find((p) => p.id === user.id)
+  const localeLengths = LOCALES.find((l) => l.id === room?.rules.locale)?.wordLengths ?? WORD_LENGTHS
+  const availablePacks = room
+    ? packs.filter((p) => p.wordLengths.includes(room.rules.wordLength) && p.locales.includes(room.rules.locale))
+    : []
+
+  const handleJoin = (e) => {
+    e.preventDefault()
+    if (code.trim()) joinRoom(code.trim())
+  }
+
+  const handleLeave = () => {
+    leaveRoom()
+    router.push('/lobby')
+  }
+
+  // Host rule changes go straight to the server (and reset ready flags)
+  const setRule = (key, value) => {
+    updateRoomRules({ rules: { ...room.rules, [key]: value }, botFill: room.botFill })
+  }
+
+  const setBotFill = (botFill) => {
+    updateRoomRules({ rules: room.rules, botFill })
+  }
+
+  return (
+    <main className="min-h-screen flex flex-col items-center justify-center p-4">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="text-center w-full max-w-lg"
+      >
+        <h1 className="text-3xl font-bold mb-8">Private Room</h1>
+
+        {!room && (
+          <div className="flex flex-col gap-4 bg-arena-card border border-arena-border rounded-2xl p-6">
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => createRoom({ rules: DEFAULT_RULES, botFill: false })}
+              className="py-3 bg-arena-accent hover:bg-arena-accent/90 rounded-xl font-bold transition-colors"
+            >
+              Create room
+            </motion.button>
+
+            <div className="text-sm text-gray-500">or join with an invite code</div>
+
+            <form onSubmit={handleJoin} className="flex gap-2">
+              <input
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+                placeholder="Invite code"
+                maxLength={6}
+                className="flex-1 min-w-0 px-3 h-12 rounded-xl bg-arena-bg border border-arena-border font-mono uppercase tracking-widest focus:outline-none focus:border-arena-accent"
+              />
+              <button
+                type="submit"
+                className="px-6 h-12 rounded-xl font-bold border bg-arena-card border-arena-border hover:bg-arena-border transition-colors"
+              >
+                Join
+              </button>
+            </form>
+
+            {roomError && <p className="text-sm text-arena-error">{roomError}</p>}
+
+            <button
+              onClick={() => router.push('/lobby')}
+              className="text-sm text-gray-500 hover:text-white transition-colors"
+            >
+              Back to lobby
+            </button>
+          </div>
+        )}
+
+        {room && (
+          <div className="bg-arena-card border border-arena-border rounded-2xl p-6">
+            <div className="text-sm text-gray-400 mb-1">Invite code</div>
+            <div className="text-4xl font-mono font-bold tracking-[0.3em] mb-6">{room.code}</div>
+
+            {/* Players */}
+            <div className="flex flex-col gap-2 mb-6">
+              {room.players.map((player) => (
+                <div
+                  key={player.id}
+                  className="flex justify-between items-center px-4 py-2 rounded-xl bg-arena-bg border border-arena-border"
+                >
+                  <span className={player.id === user.id ? 'font-bold' : 'text-gray-300'}>
+                    {player.username}
+                    {player.id === room.hostId && <span className="ml-1 text-arena-accent">★</span>}
+                    <span className="ml-2 font-mono text-sm text-gray-500">{player.elo}</span>
+                  </span>
+                  <span className={player.ready ? 'text-tile-green font-bold' : 'text-gray-500'}>
+                    {player.ready ? 'Ready' : 'Not ready'}
+                  </span>
+                </div>
+              ))}
+              {room.players.length < 2 && (
+                <div className="px-4 py-2 rounded-xl border border-dashed border-arena-border text-gray-500">
+                  {room.botFill ? 'Empty seat (a bot will fill it)' : 'Waiting for a friend to join...'}
+                </div>
+              )}
+            </div>
+
+            {/* Rules (host edits, guest reads) */}
+            <div className="text-left text-sm mb-6">
+              <RuleRow label="Language" options={LOCALES.map((l) => l.id)} value={room.rules.locale}
+                format={(id) => LOCALES.find((l) => l.id === id).name}
+                onChange={(value) => setRule('locale', value)} disabled={!isHost} />
+              <RuleRow label="Word length" options={WORD_LENGTHS.filter((length) => localeLengths.includes(length))}
+                value={room.rules.wordLength}
+                onChange={(value) => setRule('wordLength', value)} disabled={!isHost} />
+              {availablePacks.length > 1 && (
+                <RuleRow label="Dictionary" options={availablePacks.map((p) => p.id)} value={room.rules.pack}
+                  format={(id) => availablePacks.find((p) => p.id === id).name}
+                  onChange={(value) => setRule('pack', value)} disabled={!isHost} />
+              )}
+              <RuleRow label="Max guesses" options={GUESS_LIMITS} value={room.rules.maxGuesses}
+                onChange={(value) => setRule('maxGuesses', value)} disabled={!isHost} />
+              <RuleRow label="Match format" options={SERIES_LENGTHS} value={room.rules.seriesLength}
+                format={(length) => (length === 1 ? 'Single' : `Bo${length}`)}
+                onChange={(value) => setRule('seriesLength', value)} disabled={!isHost} />
+              <RuleRow label="Time limit" options={TIME_LIMITS} value={room.rules.timeLimit}
+                format={(seconds) => `${seconds / 60}m`}
+                onChange={(value) => setRule('timeLimit', value)} disabled={!isHost} />
+              <RuleRow label="Shot clock" options={SHOT_CLOCKS} value={room.rules.shotClock}
+                format={(seconds) => (seconds === 0 ? 'Off' : `${seconds}s`)}
+                onChange={(value) => setRule('shotClock', value)} disabled={!isHost} />
+              <RuleRow label="Rated" options={[true, false]} value={room.rules.rated}
+                format={(rated) => (rated ? 'Rated' : 'Unrated')}
+                onChange={(value) => setRule('rated', value)} disabled={!isHost} />
+              <RuleRow label="Hard mode" options={[false, true]} value={room.rules.hardMode}
+                format={(hard) => (hard ? 'On' : 'Off')}
+                onChange={(value) => setRule('hardMode', value)} disabled={!isHost} />
+              <RuleRow label="Bot fill" options={[false, true]} value={room.botFill}
+                format={(fill) => (fill ? 'On' : 'Off')}
+                onChange={setBotFill} disabled={!isHost} />
+            </div>
+
+            {roomError && <p className="text-sm text-arena-error mb-4">{roomError}</p>}
+
+            <div className="flex gap-4">
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={() => setRoomReady(!me?.ready)}
+                className={clsx(
+                  'flex-1 py-3 rounded-xl font-bold transition-colors',
+                  me?.ready
+                    ? 'bg-arena-card hover:bg-arena-border border border-arena-border'
+                    : 'bg-arena-accent hover:bg-arena-accent/90'
+                )}
+              >
+                {me?.ready ? 'Not ready' : 'Ready'}
+              </motion.button>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={handleLeave}
+                className="flex-1 py-3 bg-arena-card hover:bg-arena-border border border-arena-border rounded-xl font-bold transition-colors"
+              >
+                Leave
+              </motion.button>
+            </div>
+          </div>
+        )}
+      </motion.div>
+    </main>
+  )
+}
+
+function RuleRow({ label, options, value, onChange, format = String, disabled }) {
+  return (
+    <div className="flex items-center justify-between gap-4 py-1.5">
+      <span className="text-gray-400">{label}</span>
+      <div className="inline-flex gap-1">
+        {options.map((option) => (
+          <button
+            key={String(option)}
+            onClick={() => onChange(option)}
+            disabled={disabled}
+            className={clsx(
+              'px-2.5 h-8 rounded-lg font-bold font-mono border transition-colors',
+              value === option
+                ? 'bg-arena-accent border-arena-accent'
+                : 'bg-arena-bg border-arena-border',
+              disabled ? 'cursor-default' : value !== option && 'hover:bg-arena-border'
+            )}
+          >
+            {format(option)}
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
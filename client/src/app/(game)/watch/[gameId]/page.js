@@ -0,0 +1,182 @@
+'use client'
+
+import { useEffect } from 'react'
+import { useParams, useRouter } from 'next/navigation'
+import clsx from 'clsx'
+import { connectSocket } from '@/lib/socket'
+import { useUserStore } from '@/stores/userStore'
+import { GAME_MODES, MODE_LABELS } from '@/stores/gameStore'
+import { useSpectateStore } from '@/stores/spectateStore'
+import { MiniBoard } from '@/components/game/OpponentBoard'
+import { GameClock } from '@/components/game/GameClock'
+
+const MAX_GUESSES = 6
+
+export default function WatchPage() {
+  const router = useRouter()
+  const { gameId } = useParams()
+  const { user, token } = useUserStore()
+  const {
+    game,
+    matchDeadline,
+    result,
+    notFound,
+    error,
+    setGame,
+    addGuess,
+    revealGuess,
+    markForfeited,
+    endGame,
+    setNotFound,
+    setError,
+    reset
+  } = useSpectateStore()
+
+  // Join the game's spectator room (anonymous sockets are welcome)
+  useEffect(() => {
+    const socket = connectSocket(token, user)
+    const forThisGame = (handler) => (data) => {
+      if (data.gameId === gameId || data.id === gameId) handler(data)
+    }
+    const handlers = {
+      'spectate:state': forThisGame(setGame),
+      'spectate:guess': forThisGame(addGuess),
+      'spectate:reveal': forThisGame(revealGuess),
+      'spectate:forfeit': forThisGame((data) => markForfeited(data.playerId)),
+      'spectate:end': forThisGame(endGame),
+      'spectate:notfound': forThisGame(setNotFound),
+      'spectate:error': (data) => setError(data.error)
+    }
+    const join = () => socket.emit('spectate:join', { gameId })
+
+    Object.entries(handlers).forEach(([event, handler]) => socket.on(event, handler))
+    socket.on('connect', join)
+    if (socket.connected) join()
+
+    return () => {
+      socket.emit('spectate:leave', { gameId })
+      Object.entries(handlers).forEach(([event, handler]) => socket.off(event, handler))
+      socket.off('connect', join)
+      reset()
+    }
+  }, [gameId, token, user, setGame, addGuess, revealGuess, markForfeited, endGame, setNotFound, setError, reset])
+
+  const rules = game?.rules
+  const players = game?.players ?? []
+  const isGrid = players.length > 2
+  const winner = players.find((player) => player.id === result?.winner)
+
+  return (
+    <main className="min-h-screen flex flex-col p-4">
+      {/* Header */}
+      <header className="flex justify-between items-center mb-4">
+        <button
+          onClick={() => router.push('/watch')}
+          className="text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          ← Live games
+        </button>
+        <div className="flex flex-col items-center">
+          <h1 className="text-xl font-bold">Spectating</h1>
+          {rules && (
+            <span className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+              {MODE_LABELS[rules.mode] ?? rules.mode}
+              {rules.seriesLength > 1 && ` · Round ${game.round} of ${rules.seriesLength}`}
+              {rules.hardMode && ' · Hard mode'}
+            </span>
+          )}
+          {matchDeadline && <GameClock deadline={matchDeadline} warnBelowMs={30000} />}
+        </div>
+        <div className="text-sm text-gray-400 font-mono">{game && `avg ${game.averageElo}`}</div>
+      </header>
+
+      {error && <p className="text-arena-error text-center mb-4">{error}</p>}
+
+      {notFound && (
+        <div className="flex-1 flex flex-col items-center justify-center text-center">
+          <p className="text-gray-400 mb-4">This game has finished or doesn&apos;t exist.</p>
+          <button
+            onClick={() => router.push('/watch')}
+            className="px-6 py-3 bg-arena-accent hover:bg-arena-accent/90 rounded-xl font-bold transition-colors"
+          >
+            Find another game
+          </button>
+        </div>
+      )}
+
+      {!game && !notFound && !error && (
+        <div className="flex-1 flex items-center justify-center text-xl font-bold text-arena-accent animate-pulse">
+          Joining game...
+        </div>
+      )}
+
+      {game && (
+        <>
+          {!result && (
+            <p className="text-center text-xs text-gray-500 mb-6">
+              Colors are live; letters appear {Math.round(game.revealDelayMs / 1000)}s after each guess
+            </p>
+          )}
+
+          {/* Result */}
+          {result && (
+            <div className="text-center mb-6">
+              <div className="text-2xl font-bold mb-1">
+                {winner ? `${winner.username} wins` : 'Draw'}
+                {result.reason === 'forfeit' && <span className="text-gray-400 text-base"> · by forfeit</span>}
+                {result.reason === 'abandoned' && <span className="text-gray-400 text-base"> · opponent left</span>}
+                {result.reason === 'timeout' && <span className="text-gray-400 text-base"> · on time</span>}
+              </div>
+              <p className="text-gray-400">
+                {result.targetWords ? 'The words were ' : 'The word was '}
+                <span className="font-mono font-bold text-white">
+                  {result.targetWords ? result.targetWords.join(' · ') : result.targetWord}
+                </span>
+              </p>
+            </div>
+          )}
+
+          {/* Boards */}
+          <div
+            className={clsx(
+              'flex-1',
+              isGrid
+                ? 'grid grid-cols-2 sm:grid-cols-4 gap-6 content-start'
+                : 'flex flex-col md:flex-row items-center justify-center gap-8 md:gap-16'
+            )}
+          >
+            {players.map((player, i) => (
+              <div key={player.id} className="flex flex-col items-center">
+                {!isGrid && i > 0 && (
+                  <div className="hidden md:block text-2xl font-bold text-gray-600 mb-4">VS</div>
+                )}
+                <div className="text-xs text-gray-500 font-mono mb-1">
+                  {player.elo}
+                  {rules.seriesLength > 1 && ` · ${game.scores[player.id] ?? 0} won`}
+                  {result && (
+                    <span
+                      className={clsx(
+                        'ml-1 font-bold',
+                        result.eloChanges?.[player.id] >= 0 ? 'text-tile-green' : 'text-arena-error'
+                      )}
+                    >
+                      {result.eloChanges?.[player.id] >= 0 ? '+' : ''}
+                      {result.eloChanges?.[player.id] ?? 0}
+                    </span>
+                  )}
+                </div>
+                <MiniBoard
+                  opponent={player}
+                  wordLength={rules.wordLength}
+                  maxGuesses={rules.maxGuesses || MAX_GUESSES}
+                  small={isGrid}
+                  quordle={rules.mode === GAME_MODES.QUORDLE}
+                />
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </main>
+  )
+}
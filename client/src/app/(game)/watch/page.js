@@ -0,0 +1,91 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import { motion } from 'framer-motion'
+import { api } from '@/lib/api'
+import { MODE_LABELS } from '@/stores/gameStore'
+
+const REFRESH_MS = 10000
+
+export default function LiveGamesPage() {
+  const router = useRouter()
+  const [games, setGames] = useState(null)
+  const [error, setError] = useState(null)
+
+  // Poll the live list; matches start and finish all the time
+  useEffect(() => {
+    const load = () =>
+      api.getLiveGames()
+        .then((data) => {
+          setGames(data.games)
+          setError(null)
+        })
+        .catch((err) => setError(err.message))
+
+    load()
+    const timer = setInterval(load, REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [])
+
+  return (
+    <main className="min-h-screen flex flex-col p-4">
+      <header className="flex justify-between items-center mb-8">
+        <button
+          onClick={() => router.push('/lobby')}
+          className="text-sm text-gray-400 hover:text-white transition-colors"
+        >
+          ← Lobby
+        </button>
+        <h1 className="text-xl font-bold">Live Games</h1>
+        <div className="w-16" />
+      </header>
+
+      <div className="w-full max-w-2xl mx-auto">
+        {error && <p className="text-arena-error text-center mb-4">{error}</p>}
+
+        {games === null && !error && (
+          <div className="text-center text-gray-400 animate-pulse">Loading live games...</div>
+        )}
+
+        {games?.length === 0 && (
+          <p className="text-center text-gray-400">No games in progress right now. Check back soon!</p>
+        )}
+
+        <div className="flex flex-col gap-3">
+          {games?.map((game) => (
+            <motion.button
+              key={game.id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              onClick={() => router.push(`/watch/${game.id}`)}
+              className="flex items-center justify-between gap-4 bg-arena-card border border-arena-border hover:bg-arena-border rounded-xl px-4 py-3 text-left transition-colors"
+            >
+              <div className="min-w-0">
+                <div className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+                  {MODE_LABELS[game.mode] ?? game.mode}
+                  {game.rules.seriesLength > 1 && ` · Bo${game.rules.seriesLength}`}
+                  {game.rules.hardMode && ' · Hard'}
+                </div>
+                <div className="truncate">
+                  {game.players.map((player, i) => (
+                    <span key={i}>
+                      {i > 0 && <span className="text-gray-500"> vs </span>}
+                      <span className="font-bold">{player.username}</span>
+                      {player.isBot && ' 🤖'}
+                      <span className="ml-1 text-gray-400 font-mono text-sm">{player.elo}</span>
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <div className="text-right shrink-0">
+                <div className="font-mono font-bold text-arena-accent">{game.averageElo}</div>
+                <div className="text-xs text-gray-500">avg ELO</div>
+              </div>
+            </motion.button>
+          ))}
+        </div>
+      </div>
+    </main>
+  )
+}
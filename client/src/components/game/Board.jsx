@@ -1,13 +1,33 @@
 'use client'
 
+import clsx from 'clsx'
 import { Tile } from './Tile'
-import { useGameStore } from '@/stores/gameStore'
+import { useGameStore, GAME_MODES, QUORDLE_BOARDS } from '@/stores/gameStore'
 
 const MAX_GUESSES = 6
-const WORD_LENGTH = 5
 
-export function Board() {
-  const { guesses, currentGuess } = useGameStore()
+// useStore lets other single-board games (the daily challenge) reuse the board
+// showCurrentRow is off while waiting for the other player's turn
+export function Board({ useStore = useGameStore, showCurrentRow = true }) {
+  const { guesses, currentGuess, rules } = useStore()
+  const { wordLength, maxGuesses = MAX_GUESSES } = rules
+
+  if (rules.mode === GAME_MODES.QUORDLE) {
+    return (
+      <div className="board-container grid grid-cols-2 gap-4">
+        {Array.from({ length: QUORDLE_BOARDS }, (_, board) => (
+          <QuordleBoard
+            key={board}
+            board={board}
+            guesses={guesses}
+            currentGuess={currentGuess}
+            wordLength={wordLength}
+            maxGuesses={maxGuesses}
+          />
+        ))}
+      </div>
+    )
+  }
 
   // Build rows: completed guesses + current guess + empty rows
   const rows = []
@@ -15,16 +35,17 @@ export function Board() {
   // Add completed guesses
   guesses.forEach((guess, rowIndex) => {
     rows.push({
-      letters: guess.word.split(''),
+      // Guesses burned by the shot clock have no letters
+      letters: guess.word ? guess.word.split('') : Array(wordLength).fill(''),
       colors: guess.colors,
       isComplete: true
     })
   })
 
   // Add current guess row (if still playing)
-  if (guesses.length < MAX_GUESSES) {
+  if (showCurrentRow && guesses.length < maxGuesses) {
     const currentLetters = currentGuess.split('')
-    while (currentLetters.length < WORD_LENGTH) {
+    while (currentLetters.length < wordLength) {
       currentLetters.push('')
     }
     rows.push({
@@ -36,9 +57,9 @@ export function Board() {
   }
 
   // Add empty rows
-  while (rows.length < MAX_GUESSES) {
+  while (rows.length < maxGuesses) {
     rows.push({
-      letters: Array(WORD_LENGTH).fill(''),
+      letters: Array(wordLength).fill(''),
       colors: null,
       isComplete: false
     })
@@ -55,6 +76,7 @@ export function Board() {
               color={row.colors?.[colIndex]}
               delay={row.isComplete ? colIndex * 0.1 : 0}
               isCurrentRow={row.isCurrent}
+              compact={wordLength > 5}
             />
           ))}
         </div>
@@ -64,3 +86,61 @@ export function Board() {
 }
 
 
+
+// One of the four quordle boards: every guess lands on it until it's solved,
+// after which it stops taking rows
+function QuordleBoard({ board, guesses, currentGuess, wordLength, maxGuesses }) {
+  const rows = []
+  let solved = false
+
+  guesses.forEach((guess) => {
+    if (solved) return
+    const colors = guess.boards?.[board]
+    rows.push({
+      letters: guess.word ? guess.word.split('') : Array(wordLength).fill(''),
+      colors,
+      isComplete: true
+    })
+    solved = Boolean(guess.word) && colors?.every((color) => color === 'green')
+  })
+
+  if (!solved && guesses.length < maxGuesses) {
+    const currentLetters = currentGuess.split('')
+    while (currentLetters.length < wordLength) {
+      currentLetters.push('')
+    }
+    rows.push({
+      letters: currentLetters,
+      colors: null,
+      isComplete: false,
+      isCurrent: true
+    })
+  }
+
+  while (rows.length < maxGuesses) {
+    rows.push({
+      letters: Array(wordLength).fill(''),
+      colors: null,
+      isComplete: false
+    })
+  }
+
+  return (
+    <div className={clsx('flex flex-col gap-1', solved && 'opacity-60')}>
+      {rows.map((row, rowIndex) => (
+        <div key={rowIndex} className="flex gap-1">
+          {row.letters.map((letter, colIndex) => (
+            <Tile
+              key={`${rowIndex}-${colIndex}`}
+              letter={letter}
+              color={row.colors?.[colIndex]}
+              delay={row.isComplete ? colIndex * 0.1 : 0}
+              isCurrentRow={row.isCurrent}
+              compact
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  )
+}
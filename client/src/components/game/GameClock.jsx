@@ -0,0 +1,45 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import clsx from 'clsx'
+
+function formatRemaining(ms) {
+  const totalSeconds = Math.ceil(ms / 1000)
+  const minutes = Math.floor(totalSeconds / 60)
+  const seconds = totalSeconds % 60
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+/**
+ * Countdown to a server-synced deadline
+ * Ticks locally between the server's once-per-second clock updates
+ */
+export function GameClock({ deadline, label, warnBelowMs = 10000, size = 'md' }) {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    if (!deadline) return
+    const timer = setInterval(() => setNow(Date.now()), 250)
+    return () => clearInterval(timer)
+  }, [deadline])
+
+  if (!deadline) return null
+
+  const remaining = Math.max(0, deadline - now)
+  const isLow = remaining <= warnBelowMs
+
+  return (
+    <div className="flex items-center gap-1.5">
+      {label && <span className="text-xs text-gray-500">{label}</span>}
+      <span
+        className={clsx(
+          'font-mono font-bold tabular-nums',
+          size === 'sm' ? 'text-sm' : 'text-lg',
+          isLow ? 'text-arena-error animate-pulse' : 'text-white'
+        )}
+      >
+        {formatRemaining(remaining)}
+      </span>
+    </div>
+  )
+}
@@ -5,22 +5,37 @@ import { motion } from 'framer-motion'
 import clsx from 'clsx'
 import { useGameStore, GAME_STATUS } from '@/stores/gameStore'
 
-const ROWS = [
-  ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
-  ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
-  ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'BACK']
-]
+// Key rows per match locale
+const LAYOUTS = {
+  en: [
+    ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+    ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'BACK']
+  ],
+  es: [
+    ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ñ'],
+    ['ENTER', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'BACK']
+  ],
+  de: [
+    ['Q', 'W', 'E', 'R', 'T', 'Z', 'U', 'I', 'O', 'P', 'Ü'],
+    ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ö', 'Ä'],
+    ['ENTER', 'Y', 'X', 'C', 'V', 'B', 'N', 'M', 'BACK']
+  ]
+}
 
-export function Keyboard({ onSubmit }) {
-  const { letterStates, addLetter, removeLetter, currentGuess, status } = useGameStore()
+// useStore lets other single-board games (the daily challenge) reuse the keyboard
+export function Keyboard({ onSubmit, useStore = useGameStore }) {
+  const { letterStates, status, rules } = useStore()
+  const rows = LAYOUTS[rules?.locale] || LAYOUTS.en
   const submittingRef = useRef(false)
 
   const handleKeyPress = useCallback((key) => {
-    const { status: currentStatus, currentGuess: guess } = useGameStore.getState()
+    const { status: currentStatus, currentGuess: guess, rules } = useStore.getState()
     if (currentStatus !== GAME_STATUS.PLAYING) return
 
     if (key === 'ENTER') {
-      if (guess.length === 5 && !submittingRef.current) {
+      if (guess.length === rules.wordLength && !submittingRef.current) {
         submittingRef.current = true
         onSubmit(guess)
         // Reset after a short delay to allow for server response
@@ -29,14 +44,16 @@ export function Keyboard({ onSubmit }) {
         }, 500)
       }
     } else if (key === 'BACK') {
-      useGameStore.getState().removeLetter()
+      useStore.getState().removeLetter()
     } else {
-      useGameStore.getState().addLetter(key)
+      useStore.getState().addLetter(key)
     }
-  }, [onSubmit])
+  }, [onSubmit, useStore])
 
   // Physical keyboard support - single listener
   useEffect(() => {
+    const letters = new Set(rows.flat().filter((key) => key.length === 1))
+
     const handleKeyDown = (e) => {
       if (e.metaKey || e.ctrlKey || e.repeat) return
       
@@ -48,18 +65,18 @@ export function Keyboard({ onSubmit }) {
       } else if (key === 'BACKSPACE') {
         e.preventDefault()
         handleKeyPress('BACK')
-      } else if (/^[A-Z]$/.test(key)) {
+      } else if (letters.has(key)) {
         handleKeyPress(key)
       }
     }
 
     window.addEventListener('keydown', handleKeyDown)
     return () => window.removeEventListener('keydown', handleKeyDown)
-  }, [handleKeyPress])
+  }, [handleKeyPress, rows])
 
   return (
     <div className="flex flex-col gap-2 w-full max-w-lg mx-auto">
-      {ROWS.map((row, rowIndex) => (
+      {rows.map((row, rowIndex) => (
         <div key={rowIndex} className="flex justify-center gap-1.5">
           {row.map((key) => (
             <Key
@@ -68,6 +85,7 @@ export function Keyboard({ onSubmit }) {
               state={letterStates[key]}
               onClick={() => handleKeyPress(key)}
               disabled={status !== GAME_STATUS.PLAYING}
+              compact={row.length > 10}
             />
           ))}
         </div>
@@ -76,7 +94,7 @@ export function Keyboard({ onSubmit }) {
   )
 }
 
-function Key({ letter, state, onClick, disabled }) {
+function Key({ letter, state, onClick, disabled, compact }) {
   const isWide = letter === 'ENTER' || letter === 'BACK'
   
   return (
@@ -87,7 +105,7 @@ function Key({ letter, state, onClick, disabled }) {
       className={clsx(
         'flex items-center justify-center rounded-md font-bold text-sm',
         'transition-colors duration-150',
-        isWide ? 'px-3 py-4 text-xs' : 'w-9 h-14 md:w-11 md:h-14',
+        isWide ? 'px-3 py-4 text-xs' : compact ? 'w-8 h-14 md:w-10 md:h-14' : 'w-9 h-14 md:w-11 md:h-14',
         state === 'green' && 'bg-tile-green',
         state === 'yellow' && 'bg-tile-yellow',
         state === 'grey' && 'bg-tile-grey',
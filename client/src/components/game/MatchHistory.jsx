@@ -0,0 +1,77 @@
+'use client'
+
+import { useEffect, useState } from 'react'
+import { useRouter } from 'next/navigation'
+import clsx from 'clsx'
+import { api } from '@/lib/api'
+import { MODE_LABELS } from '@/stores/gameStore'
+
+const RESULT_LABELS = { win: 'W', loss: 'L', draw: 'D' }
+
+// Only the unusual endings get called out
+const REASON_LABELS = { forfeit: 'forfeit', abandoned: 'abandoned', timeout: 'on time' }
+
+// Recent matches for a player, each row opening its replay
+export function MatchHistory({ userId, limit = 5 }) {
+  const router = useRouter()
+  const [matches, setMatches] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!userId) return
+    api.getMatchHistory(userId, limit)
+      .then((data) => setMatches(data.matches))
+      .catch((err) => setError(err.message))
+  }, [userId, limit])
+
+  if (error) return <p className="text-sm text-arena-error text-center">{error}</p>
+  if (!matches) return <div className="text-sm text-gray-500 text-center animate-pulse">Loading matches...</div>
+  if (matches.length === 0) return <p className="text-sm text-gray-500 text-center">No matches yet</p>
+
+  return (
+    <div className="flex flex-col gap-2">
+      {matches.map((match) => (
+        <button
+          key={match.id}
+          onClick={() => router.push(`/replay/${match.id}`)}
+          className="flex items-center justify-between gap-3 bg-arena-card/50 border border-arena-border hover:bg-arena-border rounded-xl px-4 py-2 transition-colors"
+        >
+          <span
+            className={clsx(
+              'w-5 font-bold',
+              match.result === 'win' && 'text-tile-green',
+              match.result === 'loss' && 'text-arena-error',
+              match.result === 'draw' && 'text-tile-yellow'
+            )}
+          >
+            {RESULT_LABELS[match.result]}
+          </span>
+          <div className="flex-1 min-w-0 text-left">
+            <div className="text-xs font-bold uppercase tracking-wide text-arena-accent">
+              {MODE_LABELS[match.mode] ?? match.mode}
+            </div>
+            <div className="text-sm truncate">
+              {match.placement
+                ? `#${match.placement} of ${match.playerCount}`
+                : match.isBotMatch
+                  ? `vs ${match.botDifficulty} bot`
+                  : `vs ${match.opponent ?? 'Unknown'}`}
+              {REASON_LABELS[match.reason] && (
+                <span className="text-gray-500"> · {REASON_LABELS[match.reason]}</span>
+              )}
+            </div>
+          </div>
+          <div className="text-right shrink-0">
+            <div
+              className={clsx('font-mono text-sm font-bold', match.eloChange >= 0 ? 'text-tile-green' : 'text-arena-error')}
+            >
+              {match.eloChange >= 0 ? '+' : ''}
+              {match.eloChange}
+            </div>
+            <div className="text-xs text-gray-500">{new Date(match.playedAt).toLocaleDateString()}</div>
+          </div>
+        </button>
+      ))}
+    </div>
+  )
+}
@@ -1,53 +1,122 @@
 'use client'
 
+import clsx from 'clsx'
 import { MiniTile } from './Tile'
-import { useGameStore } from '@/stores/gameStore'
+import { useGameStore, GAME_MODES, QUORDLE_BOARDS } from '@/stores/gameStore'
 
 const MAX_GUESSES = 6
-const WORD_LENGTH = 5
 
+// One masked board per opponent (a grid of them in battle royale,
+// teammate first and unmasked in 2v2)
 export function OpponentBoard() {
-  const { opponentProgress, opponent } = useGameStore()
+  const { opponents, rules } = useGameStore()
+  const isGrid = opponents.length > 1
+  const boards = [...opponents].sort((a, b) => Number(Boolean(b.isTeammate)) - Number(Boolean(a.isTeammate)))
+
+  return (
+    <div
+      className={clsx(
+        isGrid ? 'grid grid-cols-2 sm:grid-cols-4 gap-4' : 'flex justify-center'
+      )}
+    >
+      {boards.map((opponent) => (
+        <MiniBoard
+          key={opponent.id}
+          opponent={opponent}
+          wordLength={rules.wordLength}
+          maxGuesses={rules.maxGuesses || MAX_GUESSES}
+          small={isGrid}
+          quordle={rules.mode === GAME_MODES.QUORDLE}
+        />
+      ))}
+    </div>
+  )
+}
+
+// Also used by the spectator view (players there have the same shape)
+export function MiniBoard({ opponent, wordLength, maxGuesses, small, quordle }) {
+  const { progress } = opponent
+
+  // Quordle opponents only reveal how many boards they've cleared
+  if (quordle) {
+    const boardsCleared = opponent.boardsCleared ?? progress[progress.length - 1]?.boardsCleared ?? 0
+    return (
+      <div className={clsx('flex flex-col items-center', opponent.forfeited && 'opacity-40')}>
+        <div className="text-sm text-gray-400 mb-2 font-medium truncate max-w-[10rem]">
+          {opponent.username || 'Opponent'}
+          {opponent.isBot && <span className="ml-1 text-arena-accent">🤖</span>}
+          {opponent.solved && <span className="ml-1 text-tile-green">✓</span>}
+        </div>
+
+        <div className="grid grid-cols-2 gap-1">
+          {Array.from({ length: QUORDLE_BOARDS }, (_, board) => (
+            <div
+              key={board}
+              className={clsx(
+                'w-8 h-8 md:w-10 md:h-10 rounded',
+                board < boardsCleared ? 'bg-tile-green' : 'bg-tile-empty border-2 border-tile-border'
+              )}
+            />
+          ))}
+        </div>
+
+        <div className="text-xs text-gray-500 mt-2 text-center">
+          {opponent.forfeited
+            ? 'Forfeited'
+            : `${boardsCleared} / ${QUORDLE_BOARDS} boards · ${progress.length} / ${maxGuesses} guesses`}
+        </div>
+      </div>
+    )
+  }
 
   // Build rows from opponent progress
   const rows = []
-  
-  // Add opponent's guesses (colors only)
-  opponentProgress.forEach((guess) => {
-    rows.push({ colors: guess.colors })
+
+  // Add opponent's guesses (colors only, plus the word for a teammate)
+  progress.forEach((guess) => {
+    rows.push({ colors: guess.colors, word: guess.word })
   })
 
   // Add empty rows
-  while (rows.length < MAX_GUESSES) {
+  while (rows.length < maxGuesses) {
     rows.push({ colors: null })
   }
 
   return (
-    <div className="flex flex-col items-center">
-      <div className="text-sm text-gray-400 mb-2 font-medium">
-        {opponent?.username || 'Opponent'}
-        {opponent?.isBot && <span className="ml-1 text-arena-accent">🤖</span>}
+    <div className={clsx('flex flex-col items-center', opponent.forfeited && 'opacity-40')}>
+      {opponent.isTeammate && (
+        <div className="text-xs font-bold uppercase tracking-wide text-tile-green mb-1">Teammate</div>
+      )}
+      <div className="text-sm text-gray-400 mb-2 font-medium truncate max-w-[10rem]">
+        {opponent.username || 'Opponent'}
+        {opponent.isBot && <span className="ml-1 text-arena-accent">🤖</span>}
+        {opponent.solved && <span className="ml-1 text-tile-green">✓</span>}
       </div>
-      
+
       <div className="flex flex-col gap-1">
         {rows.map((row, rowIndex) => (
           <div key={rowIndex} className="flex gap-1">
-            {Array(WORD_LENGTH).fill(null).map((_, colIndex) => (
+            {Array(wordLength).fill(null).map((_, colIndex) => (
               <MiniTile
                 key={`${rowIndex}-${colIndex}`}
                 color={row.colors?.[colIndex]}
+                letter={row.word?.[colIndex]}
                 delay={row.colors ? colIndex * 0.05 : 0}
+                small={small}
               />
             ))}
           </div>
         ))}
       </div>
-      
+
       <div className="text-xs text-gray-500 mt-2">
-        {opponentProgress.length} / 6 guesses
+        {opponent.forfeited ? 'Forfeited' : `${progress.length} / ${maxGuesses} guesses`}
       </div>
+      {opponent.remaining != null && !opponent.forfeited && (
+        <div className="text-xs text-gray-500">
+          {opponent.remaining === 1 ? '1 word left' : `${opponent.remaining} words left`}
+        </div>
+      )}
     </div>
   )
 }
-
-
@@ -10,7 +10,7 @@ const colorClasses = {
   empty: 'bg-tile-empty border-tile-border'
 }
 
-export function Tile({ letter, color, delay = 0, isCurrentRow = false }) {
+export function Tile({ letter, color, delay = 0, isCurrentRow = false, compact = false }) {
   const hasLetter = letter && letter.trim() !== ''
   const hasColor = color && color !== 'empty'
 
@@ -24,8 +24,10 @@ export function Tile({ letter, color, delay = 0, isCurrentRow = false }) {
         times: [0, 0.5, 1]
       }}
       className={clsx(
-        'w-14 h-14 md:w-16 md:h-16 flex items-center justify-center',
-        'text-2xl md:text-3xl font-bold rounded-lg border-2',
+        'flex items-center justify-center font-bold rounded-lg border-2',
+        compact
+          ? 'w-11 h-11 md:w-14 md:h-14 text-xl md:text-2xl'
+          : 'w-14 h-14 md:w-16 md:h-16 text-2xl md:text-3xl',
         'transition-all duration-150',
         hasColor ? colorClasses[color] : colorClasses.empty,
         hasLetter && !hasColor && 'border-gray-500',
@@ -45,17 +47,21 @@ export function Tile({ letter, color, delay = 0, isCurrentRow = false }) {
 }
 
 // Mini tile for opponent view (smaller, no letters)
-export function MiniTile({ color, delay = 0 }) {
+// Letters are only passed for teammates' boards
+export function MiniTile({ color, letter, delay = 0, small = false }) {
   return (
     <motion.div
       initial={{ scale: 0, opacity: 0 }}
       animate={{ scale: 1, opacity: 1 }}
       transition={{ delay, type: 'spring', stiffness: 500 }}
       className={clsx(
-        'w-6 h-6 md:w-8 md:h-8 rounded',
+        'flex items-center justify-center font-bold uppercase',
+        small ? 'w-3 h-3 md:w-4 md:h-4 rounded-sm text-[0.5rem]' : 'w-6 h-6 md:w-8 md:h-8 rounded text-xs md:text-sm',
         color ? colorClasses[color] : colorClasses.empty
       )}
-    />
+    >
+      {letter}
+    </motion.div>
   )
 }
 
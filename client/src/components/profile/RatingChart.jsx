@@ -0,0 +1,54 @@
+'use client'
+
+const WIDTH = 600
+const HEIGHT = 200
+const PADDING = 24
+
+// Rating over time as a line, evenly spaced per point, with the peak marked
+export function RatingChart({ points }) {
+  if (!points?.length) {
+    return <p className="text-sm text-gray-500 text-center py-12">No rated games in this range</p>
+  }
+
+  const ratings = points.map((point) => point.elo)
+  const max = Math.max(...ratings)
+  const min = Math.min(...ratings)
+  const span = Math.max(max - min, 1)
+
+  const x = (i) => PADDING + (points.length > 1 ? (i / (points.length - 1)) * (WIDTH - 2 * PADDING) : (WIDTH - 2 * PADDING) / 2)
+  const y = (elo) => HEIGHT - PADDING - ((elo - min) / span) * (HEIGHT - 2 * PADDING)
+  const peakIndex = ratings.indexOf(max)
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto">
+        <text x={4} y={y(max) + 4} className="fill-gray-500 text-[10px] font-mono">{max}</text>
+        {max !== min && <text x={4} y={y(min) + 4} className="fill-gray-500 text-[10px] font-mono">{min}</text>}
+        <polyline
+          points={points.map((point, i) => `${x(i)},${y(point.elo)}`).join(' ')}
+          fill="none"
+          strokeWidth={2}
+          strokeLinejoin="round"
+          className="stroke-arena-accent"
+        />
+        {points.map((point, i) => (
+          <circle
+            key={i}
+            cx={x(i)}
+            cy={y(point.elo)}
+            r={i === peakIndex ? 5 : 2.5}
+            className={i === peakIndex ? 'fill-tile-yellow' : 'fill-arena-accent'}
+          >
+            <title>
+              {`${new Date(point.at).toLocaleDateString()}: ${point.elo} (${point.delta >= 0 ? '+' : ''}${point.delta})`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>{new Date(points[0].at).toLocaleDateString()}</span>
+        <span>{new Date(points[points.length - 1].at).toLocaleDateString()}</span>
+      </div>
+    </div>
+  )
+}
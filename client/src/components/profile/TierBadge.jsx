@@ -0,0 +1,32 @@
+'use client'
+
+import clsx from 'clsx'
+
+const TIER_STYLES = {
+  Bronze: 'text-amber-600 border-amber-600/50',
+  Silver: 'text-gray-300 border-gray-300/50',
+  Gold: 'text-yellow-400 border-yellow-400/50',
+  Platinum: 'text-teal-300 border-teal-300/50',
+  Diamond: 'text-sky-400 border-sky-400/50',
+  Master: 'text-purple-400 border-purple-400/50',
+  Grandmaster: 'text-red-400 border-red-400/50'
+}
+
+const PROVISIONAL_STYLE = 'text-gray-400 border-gray-500/50'
+
+// Rank tier pill, e.g. "Gold II" ("Provisional" during placement games)
+export function TierBadge({ tier, provisional = false, className }) {
+  if (!tier && !provisional) return null
+
+  return (
+    <span
+      className={clsx(
+        'inline-block px-2 py-0.5 rounded-full border text-xs font-bold uppercase tracking-wide',
+        provisional ? PROVISIONAL_STYLE : TIER_STYLES[tier.tier],
+        className
+      )}
+    >
+      {provisional ? 'Provisional' : tier.name}
+    </span>
+  )
+}
@@ -3,7 +3,7 @@
 import { useEffect, useCallback, useRef } from 'react'
 import { getSocket, connectSocket } from '@/lib/socket'
 import { useUserStore } from '@/stores/userStore'
-import { useGameStore, GAME_STATUS } from '@/stores/gameStore'
+import { useGameStore, GAME_STATUS, DEFAULT_RULES, normalizeOpponent, mergeLetterStates } from '@/stores/gameStore'
 
 // Module-level flag to ensure listeners are only set up once globally
 let globalListenersSetup = false
@@ -33,7 +33,8 @@ export function useSocket() {
       // Game events
       socket.on('game:start', (data) => {
         console.log('game:start received:', data)
-        useGameStore.getState().startGame(data.gameId, data.opponent)
+        useGameStore.getState().setRoom(null)
+        useGameStore.getState().startGame(data.gameId, data.opponents, data.rules, data.round, data.clock)
       })
 
       socket.on('game:guess:result', (data) => {
@@ -48,9 +49,64 @@ export function useSocket() {
         useGameStore.getState().addOpponentGuess(data)
       })
 
+      socket.on('game:teammate:guess', (data) => {
+        useGameStore.getState().addOpponentGuess(data)
+      })
+
+      // 2v2 party events
+      socket.on('party:update', (data) => {
+        useGameStore.getState().setParty(data)
+      })
+
+      socket.on('party:left', () => {
+        useGameStore.getState().setParty(null)
+      })
+
+      socket.on('party:error', (data) => {
+        useGameStore.getState().setPartyError(data.error)
+      })
+
+      // Private room events
+      socket.on('room:update', (data) => {
+        useGameStore.getState().setRoom(data)
+      })
+
+      socket.on('room:left', () => {
+        useGameStore.getState().setRoom(null)
+      })
+
+      socket.on('room:error', (data) => {
+        useGameStore.getState().setRoomError(data.error)
+      })
+
+      // Best-of-N series events
+      socket.on('series:round:end', (data) => {
+        useGameStore.getState().endRound(data)
+      })
+
+      socket.on('series:round:start', (data) => {
+        useGameStore.getState().startRound(data)
+      })
+
+      socket.on('game:clock', (data) => {
+        const { gameId, syncClock } = useGameStore.getState()
+        if (data.gameId === gameId) syncClock(data)
+      })
+
+      socket.on('game:opponent:forfeit', (data) => {
+        useGameStore.getState().markOpponentForfeited(data.playerId)
+      })
+
       socket.on('game:end', (data) => {
         const { endGame } = useGameStore.getState()
-        endGame(data.result, data.targetWord, data.eloChange, data.newElo)
+        endGame(data.result, data.targetWord, data.eloChange, data.newElo, data.series, {
+          placement: data.placement,
+          standings: data.standings,
+          solvedBy: data.solvedBy,
+          targetWords: data.targetWords,
+          tier: data.tier,
+          margin: data.margin
+        })
       })
 
       socket.on('error', (data) => {
@@ -71,34 +127,21 @@ export function useSocket() {
         console.log('Game rejoined:', data)
         
         // Rebuild letter states from guesses
-        const letterStates = {}
-        if (data.guesses) {
-          data.guesses.forEach(guess => {
-            guess.word.split('').forEach((letter, i) => {
-              const color = guess.colors[i]
-              const currentState = letterStates[letter]
-              
-              if (color === 'green') {
-                letterStates[letter] = 'green'
-              } else if (color === 'yellow' && currentState !== 'green') {
-                letterStates[letter] = 'yellow'
-              } else if (!currentState) {
-                letterStates[letter] = 'grey'
-              }
-            })
-          })
-        }
+        const letterStates = (data.guesses || []).reduce(mergeLetterStates, {})
         
         // Sync full game state from server
         useGameStore.setState({
           status: GAME_STATUS.PLAYING,
           gameId: data.gameId,
-          opponent: data.opponent,
+          opponents: (data.opponents || []).map(normalizeOpponent),
+          rules: { ...DEFAULT_RULES, ...data.rules },
+          round: data.round || 1,
+          seriesScore: { me: data.myScore || 0, opponent: data.opponentScore || 0 },
           guesses: data.guesses || [],
-          opponentProgress: data.opponentProgress || [],
           letterStates,
           currentGuess: ''
         })
+        if (data.clock) useGameStore.getState().syncClock(data.clock)
       })
 
       // Handle case where game no longer exists
@@ -112,10 +155,10 @@ export function useSocket() {
   }, [user?.id, token]) // Only re-run if user ID or token changes
 
   // Start matchmaking
-  const startMatchmaking = useCallback(() => {
+  const startMatchmaking = useCallback((rules = DEFAULT_RULES) => {
     const socket = getSocket()
     if (socket.connected) {
-      socket.emit('matchmaking:start', user)
+      socket.emit('matchmaking:start', { ...user, rules })
     }
   }, [user])
 
@@ -127,13 +170,71 @@ export function useSocket() {
     }
   }, [])
 
+  // Party management (2v2 teams)
+  const createParty = useCallback(() => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('party:create')
+    }
+  }, [])
+
+  const joinParty = useCallback((partyId) => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('party:join', { partyId })
+    }
+  }, [])
+
+  const leaveParty = useCallback(() => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('party:leave')
+    }
+  }, [])
+
+  // Private rooms
+  const createRoom = useCallback((settings) => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('room:create', settings)
+    }
+  }, [])
+
+  const joinRoom = useCallback((code) => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('room:join', { code })
+    }
+  }, [])
+
+  const updateRoomRules = useCallback((settings) => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('room:rules', settings)
+    }
+  }, [])
+
+  const setRoomReady = useCallback((ready) => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('room:ready', { ready })
+    }
+  }, [])
+
+  const leaveRoom = useCallback(() => {
+    const socket = getSocket()
+    if (socket.connected) {
+      socket.emit('room:leave')
+    }
+  }, [])
+
   // Submit guess
   const submitGuess = useCallback((guess) => {
     const socket = getSocket()
-    const { gameId } = useGameStore.getState()
+    const { gameId, round } = useGameStore.getState()
     
     if (socket.connected && gameId) {
-      socket.emit('game:guess', { gameId, guess })
+      socket.emit('game:guess', { gameId, guess, round })
     }
   }, [])
 
@@ -150,6 +251,14 @@ export function useSocket() {
   return {
     startMatchmaking,
     cancelMatchmaking,
+    createParty,
+    joinParty,
+    leaveParty,
+    createRoom,
+    joinRoom,
+    updateRoomRules,
+    setRoomReady,
+    leaveRoom,
     submitGuess,
     forfeitGame
   }
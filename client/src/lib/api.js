@@ -50,21 +50,52 @@ export const api = {
   getMe: () => fetchWithAuth('/api/auth/me'),
 
   // Users
-  getLeaderboard: (limit = 50, offset = 0) => 
-    fetchWithAuth(`/api/users/leaderboard?limit=${limit}&offset=${offset}`),
+  getLeaderboard: (limit = 50, offset = 0, mode = 'duel', season = '') => 
+    fetchWithAuth(`/api/users/leaderboard?limit=${limit}&offset=${offset}&mode=${mode}${season ? `&season=${season}` : ''}`),
 
-  getProfile: (userId) => 
-    fetchWithAuth(`/api/users/${userId}/profile`),
+  getSeasons: () => 
+    fetchWithAuth('/api/users/seasons'),
+
+  getProfile: (userId, season = '') => 
+    fetchWithAuth(`/api/users/${userId}/profile${season ? `?season=${season}` : ''}`),
 
   getMatchHistory: (userId, limit = 20, offset = 0) => 
     fetchWithAuth(`/api/users/${userId}/matches?limit=${limit}&offset=${offset}`),
 
+  getRatingHistory: (userId, mode = 'duel', range = '90d', granularity = 'match') => 
+    fetchWithAuth(`/api/users/${userId}/rating-history?mode=${mode}&range=${range}&granularity=${granularity}`),
+
   // Game
   getGameStats: () => 
     fetchWithAuth('/api/game/stats'),
 
   getReplay: (matchId) => 
     fetchWithAuth(`/api/game/${matchId}/replay`),
+
+  getPacks: () => 
+    fetchWithAuth('/api/game/packs'),
+
+  getLiveGames: () => 
+    fetchWithAuth('/api/game/live'),
+
+  // Daily challenge
+  getDaily: () => 
+    fetchWithAuth('/api/daily'),
+
+  startDaily: () => 
+    fetchWithAuth('/api/daily/start', { method: 'POST' }),
+
+  submitDailyGuess: (guess) => 
+    fetchWithAuth('/api/daily/guess', { 
+      method: 'POST', 
+      body: JSON.stringify({ guess }) 
+    }),
+
+  getDailyLeaderboard: (day = '', limit = 50) => 
+    fetchWithAuth(`/api/daily/leaderboard?limit=${limit}${day ? `&day=${day}` : ''}`),
+
+  getDailyHistory: (userId, limit = 30) => 
+    fetchWithAuth(`/api/users/${userId}/daily?limit=${limit}`),
 }
 
 
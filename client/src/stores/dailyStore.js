@@ -0,0 +1,78 @@
+import { create } from 'zustand'
+import { api } from '@/lib/api'
+import { GAME_STATUS, mergeLetterStates } from '@/stores/gameStore'
+
+// Rebuild the board from a server attempt view
+const fromAttempt = (attempt) => ({
+  status: attempt.completed ? GAME_STATUS.FINISHED : GAME_STATUS.PLAYING,
+  guesses: attempt.guesses,
+  letterStates: attempt.guesses.reduce(mergeLetterStates, {}),
+  attempt
+})
+
+// Single-player daily challenge; shaped like the game store so the
+// Board and Keyboard components can drive it
+export const useDailyStore = create((set, get) => ({
+  status: GAME_STATUS.IDLE,
+  day: null,
+  rules: { wordLength: 5, maxGuesses: 6 },
+  attempt: null, // { day, guesses, guessCount, solved, completed, solveTimeMs, targetWord }
+  guesses: [],
+  currentGuess: '',
+  letterStates: {},
+  isLoading: false,
+  error: null,
+
+  loadDaily: async () => {
+    set({ isLoading: true, error: null })
+    try {
+      const data = await api.getDaily()
+      set({
+        day: data.day,
+        rules: { wordLength: data.wordLength, maxGuesses: data.maxGuesses },
+        currentGuess: '',
+        isLoading: false,
+        ...(data.attempt
+          ? fromAttempt(data.attempt)
+          : { status: GAME_STATUS.IDLE, attempt: null, guesses: [], letterStates: {} })
+      })
+    } catch (error) {
+      set({ error: error.message, isLoading: false })
+    }
+  },
+
+  startDaily: async () => {
+    set({ error: null })
+    try {
+      const data = await api.startDaily()
+      set(fromAttempt(data.attempt))
+    } catch (error) {
+      set({ error: error.message })
+    }
+  },
+
+  submitGuess: async (guess) => {
+    try {
+      const data = await api.submitDailyGuess(guess)
+      set({ ...fromAttempt(data.attempt), currentGuess: '', error: null })
+    } catch (error) {
+      set({ error: error.message })
+    }
+  },
+
+  // Input handling
+  addLetter: (letter) => {
+    const { currentGuess, status, rules } = get()
+    if (status !== GAME_STATUS.PLAYING) return
+    if (currentGuess.length >= rules.wordLength) return
+    set({ currentGuess: currentGuess + letter.toUpperCase() })
+  },
+
+  removeLetter: () => {
+    const { currentGuess, status } = get()
+    if (status !== GAME_STATUS.PLAYING) return
+    set({ currentGuess: currentGuess.slice(0, -1) })
+  },
+
+  clearError: () => set({ error: null })
+}))
@@ -8,24 +8,151 @@ export const GAME_STATUS = {
   FINISHED: 'finished'
 }
 
+export const GAME_MODES = {
+  DUEL: 'duel',
+  ROYALE: 'royale',
+  TEAMS: 'teams',
+  QUORDLE: 'quordle',
+  ABSURDLE: 'absurdle',
+  TURNS: 'turns'
+}
+
+export const MODE_LABELS = {
+  [GAME_MODES.DUEL]: '1v1 Duel',
+  [GAME_MODES.ROYALE]: 'Battle Royale',
+  [GAME_MODES.TEAMS]: '2v2 Teams',
+  [GAME_MODES.QUORDLE]: 'Quordle',
+  [GAME_MODES.ABSURDLE]: 'Absurdle',
+  [GAME_MODES.TURNS]: 'Turn-based'
+}
+
+// Quordle: four boards share one set of nine guesses
+export const QUORDLE_BOARDS = 4
+
+export const WORD_LENGTHS = [4, 5, 6, 7]
+
+// Dictionary languages and the word lengths each one has
+export const LOCALES = [
+  { id: 'en', name: 'English', wordLengths: [4, 5, 6, 7] },
+  { id: 'es', name: 'Español', wordLengths: [5] },
+  { id: 'de', name: 'Deutsch', wordLengths: [5] }
+]
+
+export const SERIES_LENGTHS = [1, 3, 5]
+
+// Match time limits and shot clocks in seconds (0 = no shot clock)
+export const TIME_LIMITS = [180, 300, 600, 900]
+export const SHOT_CLOCKS = [0, 15, 30, 60]
+
+// Turn-based games always run a turn clock (the shot clock can't be off)
+export const DEFAULT_TURN_CLOCK = 30
+
+// Guess limits a private room host can pick
+export const GUESS_LIMITS = [4, 5, 6, 7, 8]
+
+export const DEFAULT_RULES = {
+  mode: GAME_MODES.DUEL,
+  wordLength: 5,
+  hardMode: false,
+  seriesLength: 1,
+  timeLimit: 600,
+  shotClock: 0,
+  maxGuesses: 6,
+  rated: true,
+  pack: 'standard',
+  locale: 'en'
+}
+
+const EMPTY_CLOCK = { matchDeadline: null, shotDeadline: null, opponentShotDeadline: null }
+
+// Convert server remaining times into local deadlines so countdowns
+// don't drift with the client's clock
+const toDeadlines = ({ matchRemainingMs, shotRemainingMs, opponentShotRemainingMs }) => {
+  const now = Date.now()
+  const deadline = (ms) => (ms === null || ms === undefined ? null : now + ms)
+  return {
+    matchDeadline: deadline(matchRemainingMs),
+    shotDeadline: deadline(shotRemainingMs),
+    opponentShotDeadline: deadline(opponentShotRemainingMs)
+  }
+}
+
+// Fold a guess's colors into the keyboard's letter states
+// Green overrides all, yellow overrides grey
+// Quordle guesses fold in the colors from every unsolved board
+export const mergeLetterStates = (letterStates, { word, colors, boards }) => {
+  if (boards) {
+    return boards
+      .filter(Boolean)
+      .reduce((merged, boardColors) => mergeLetterStates(merged, { word, colors: boardColors }), letterStates)
+  }
+  if (!word) return letterStates
+
+  const merged = { ...letterStates }
+  word.split('').forEach((letter, i) => {
+    const color = colors[i]
+    const currentState = merged[letter]
+
+    if (color === 'green') {
+      merged[letter] = 'green'
+    } else if (color === 'yellow' && currentState !== 'green') {
+      merged[letter] = 'yellow'
+    } else if (!currentState) {
+      merged[letter] = 'grey'
+    }
+  })
+  return merged
+}
+
+// Server opponent views may omit progress flags (fresh game)
+export const normalizeOpponent = (opponent) => ({
+  progress: [],
+  solved: false,
+  forfeited: false,
+  ...opponent
+})
+
 export const useGameStore = create(
   persist(
     (set, get) => ({
   // Game state
   status: GAME_STATUS.IDLE,
   gameId: null,
-  opponent: null,
+  opponents: [], // [{ id, username, elo, isBot, team, isTeammate, progress, solved, forfeited, boardsCleared, remaining }]
+  rules: DEFAULT_RULES,
+
+  // 2v2 party (not persisted; the server drops parties on disconnect)
+  party: null, // { partyId, leaderId, members: [{ id, username, elo }] }
+  partyError: null,
+
+  // Private room (not persisted either)
+  room: null, // { code, hostId, rules, botFill, players: [{ id, username, elo, ready }] }
+  roomError: null,
+
+  // Series state (best-of-N)
+  round: 1,
+  seriesScore: { me: 0, opponent: 0 },
+  lastRound: null, // { round, result, targetWord }
+
+  // Clocks (local timestamps derived from the server's remaining time)
+  clock: EMPTY_CLOCK,
+  turnPlayerId: null, // turn-based games: whose turn it is
   
   // Board state
   guesses: [],
   currentGuess: '',
-  opponentProgress: [],
   
   // Result
   result: null, // 'win', 'loss', 'draw'
+  placement: null, // royale finishing place
+  standings: null, // royale final standings
+  solvedBy: null, // teams: username of the player who found the word
   targetWord: null,
+  targetWords: null, // quordle: one word per board
   eloChange: 0,
   newElo: null,
+  tier: null, // rated games: { before, after, change } (change: 'promoted', 'demoted' or null)
+  margin: null, // margin of victory: { guesses, timeGapMs, multiplier, bonus }
   
   // Keyboard tracking
   letterStates: {}, // { A: 'green', B: 'yellow', C: 'grey' }
@@ -40,31 +167,43 @@ export const useGameStore = create(
     status: GAME_STATUS.SEARCHING,
     guesses: [],
     currentGuess: '',
-    opponentProgress: [],
+    opponents: [],
     result: null,
+    placement: null,
+    standings: null,
+    solvedBy: null,
     targetWord: null,
+    targetWords: null,
     error: null,
     letterStates: {}
   }),
 
   cancelSearch: () => set({ status: GAME_STATUS.IDLE }),
 
-  startGame: (gameId, opponent) => set({
+  startGame: (gameId, opponents, rules, round = 1, clock = null) => set({
     status: GAME_STATUS.PLAYING,
     gameId,
-    opponent,
+    opponents: opponents.map(normalizeOpponent),
+    rules: { ...DEFAULT_RULES, ...rules },
+    round,
+    seriesScore: { me: 0, opponent: 0 },
+    lastRound: null,
+    clock: clock ? toDeadlines(clock) : EMPTY_CLOCK,
+    turnPlayerId: clock?.turnPlayerId ?? null,
     guesses: [],
     currentGuess: '',
-    opponentProgress: [],
     result: null,
+    placement: null,
+    standings: null,
+    solvedBy: null,
     letterStates: {}
   }),
 
   // Input handling
   addLetter: (letter) => {
-    const { currentGuess, status } = get()
+    const { currentGuess, status, rules } = get()
     if (status !== GAME_STATUS.PLAYING) return
-    if (currentGuess.length >= 5) return
+    if (currentGuess.length >= rules.wordLength) return
     set({ currentGuess: currentGuess + letter.toUpperCase() })
   },
 
@@ -79,44 +218,97 @@ export const useGameStore = create(
   // Process guess result from server
   addGuessResult: (guessResult) => {
     const { guesses, letterStates } = get()
-    
-    // Update letter states for keyboard
-    const newLetterStates = { ...letterStates }
-    guessResult.word.split('').forEach((letter, i) => {
-      const color = guessResult.colors[i]
-      const currentState = newLetterStates[letter]
-      
-      // Green overrides all, yellow overrides grey
-      if (color === 'green') {
-        newLetterStates[letter] = 'green'
-      } else if (color === 'yellow' && currentState !== 'green') {
-        newLetterStates[letter] = 'yellow'
-      } else if (!currentState) {
-        newLetterStates[letter] = 'grey'
-      }
-    })
 
     set({
       guesses: [...guesses, guessResult],
       currentGuess: '',
-      letterStates: newLetterStates
+      // Update letter states for keyboard
+      letterStates: mergeLetterStates(letterStates, guessResult)
     })
   },
 
-  // Process opponent's guess (masked)
+  // Process opponent's guess (masked; teammates' guesses include the word)
+  // On a shared board the opponent's guess also lands on our board
   addOpponentGuess: (opponentGuess) => {
-    const { opponentProgress } = get()
-    set({ opponentProgress: [...opponentProgress, opponentGuess] })
+    const { opponents, round, rules, guesses, letterStates } = get()
+    // Ignore late guesses from a round that already ended
+    if (opponentGuess.round && opponentGuess.round !== round) return
+    if (rules.mode === GAME_MODES.TURNS && opponentGuess.word) {
+      set({
+        guesses: [...guesses, opponentGuess],
+        letterStates: mergeLetterStates(letterStates, opponentGuess)
+      })
+    }
+    set({
+      opponents: opponents.map((opponent) =>
+        opponent.id === opponentGuess.playerId
+          ? {
+              ...opponent,
+              progress: [...opponent.progress, opponentGuess],
+              solved: opponent.solved || Boolean(opponentGuess.solved),
+              boardsCleared: opponentGuess.boardsCleared ?? opponent.boardsCleared,
+              remaining: opponentGuess.remaining ?? opponent.remaining
+            }
+          : opponent
+      )
+    })
   },
 
-  // Game end
-  endGame: (result, targetWord, eloChange, newElo) => set({
+  // Royale opponent dropped out
+  markOpponentForfeited: (playerId) => set((state) => ({
+    opponents: state.opponents.map((opponent) =>
+      opponent.id === playerId ? { ...opponent, forfeited: true } : opponent
+    )
+  })),
+
+  // Series round finished (server has already scored it)
+  endRound: ({ round, result, targetWord, myScore, opponentScore }) => set({
+    lastRound: { round, result, targetWord },
+    seriesScore: { me: myScore, opponent: opponentScore }
+  }),
+
+  // Next series round: fresh boards, same opponent
+  startRound: ({ round, myScore, opponentScore }) => set((state) => ({
+    round,
+    seriesScore: { me: myScore, opponent: opponentScore },
+    guesses: [],
+    currentGuess: '',
+    opponents: state.opponents.map((opponent) => ({ ...opponent, progress: [], solved: false })),
+    letterStates: {}
+  })),
+
+  clearLastRound: () => set({ lastRound: null }),
+
+  // Server clock tick
+  syncClock: (clock) => set({ clock: toDeadlines(clock), turnPlayerId: clock.turnPlayerId ?? null }),
+
+  // Party state from the server
+  setParty: (party) => set({ party, partyError: null }),
+  setPartyError: (partyError) => set({ partyError }),
+
+  // Private room state from the server
+  setRoom: (room) => set({ room, roomError: null }),
+  setRoomError: (roomError) => set({ roomError }),
+
+  // Game end (details: royale placement/standings, teams solvedBy, quordle targetWords,
+  // rated games' tier and margin)
+  endGame: (result, targetWord, eloChange, newElo, series = null, details = null) => set((state) => ({
     status: GAME_STATUS.FINISHED,
+    clock: EMPTY_CLOCK,
     result,
+    placement: details?.placement ?? null,
+    standings: details?.standings ?? null,
+    solvedBy: details?.solvedBy ?? null,
     targetWord,
+    targetWords: details?.targetWords ?? null,
     eloChange,
-    newElo
-  }),
+    newElo,
+    tier: details?.tier ?? null,
+    margin: details?.margin ?? null,
+    seriesScore: series
+      ? { me: series.myScore, opponent: series.opponentScore }
+      : state.seriesScore
+  })),
 
   // Set error
   setError: (error) => set({ error }),
@@ -126,14 +318,25 @@ export const useGameStore = create(
   resetGame: () => set({
     status: GAME_STATUS.IDLE,
     gameId: null,
-    opponent: null,
+    opponents: [],
+    rules: DEFAULT_RULES,
+    round: 1,
+    seriesScore: { me: 0, opponent: 0 },
+    lastRound: null,
+    clock: EMPTY_CLOCK,
+    turnPlayerId: null,
     guesses: [],
     currentGuess: '',
-    opponentProgress: [],
     result: null,
+    placement: null,
+    standings: null,
+    solvedBy: null,
     targetWord: null,
+    targetWords: null,
     eloChange: 0,
     newElo: null,
+    tier: null,
+    margin: null,
     letterStates: {},
     error: null
   })
@@ -144,14 +347,22 @@ export const useGameStore = create(
       partialize: (state) => ({
         status: state.status,
         gameId: state.gameId,
-        opponent: state.opponent,
+        opponents: state.opponents,
+        rules: state.rules,
+        round: state.round,
+        seriesScore: state.seriesScore,
         guesses: state.guesses,
-        opponentProgress: state.opponentProgress,
         letterStates: state.letterStates,
         result: state.result,
+        placement: state.placement,
+        standings: state.standings,
+        solvedBy: state.solvedBy,
         targetWord: state.targetWord,
+        targetWords: state.targetWords,
         eloChange: state.eloChange,
-        newElo: state.newElo
+        newElo: state.newElo,
+        tier: state.tier,
+        margin: state.margin
       })
     }
   )
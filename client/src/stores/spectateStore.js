@@ -0,0 +1,72 @@
+import { create } from 'zustand'
+
+// Update one player of the watched game
+const updatePlayer = (game, playerId, update) => ({
+  ...game,
+  players: game.players.map((player) => (player.id === playerId ? update(player) : player))
+})
+
+// Live game a spectator is watching (the server's spectator view)
+// Guesses arrive with colors only; their words fill in after the reveal delay
+export const useSpectateStore = create((set) => ({
+  game: null, // { id, status, rules, round, scores, revealDelayMs, players: [{ id, username, elo, isBot, progress, solved, ... }] }
+  matchDeadline: null,
+  result: null, // { winner, reason, targetWord, targetWords, eloChanges }
+  notFound: false,
+  error: null,
+
+  setGame: (game) => set({
+    game,
+    matchDeadline: Date.now() + game.matchRemainingMs,
+    notFound: false,
+    error: null
+  }),
+
+  addGuess: (guess) => set((state) => {
+    // Late guesses from a finished round belong to boards already cleared
+    if (!state.game || (guess.round && guess.round !== state.game.round)) return {}
+    return {
+      game: updatePlayer(state.game, guess.playerId, (player) => ({
+        ...player,
+        progress: [...player.progress, guess],
+        solved: player.solved || Boolean(guess.solved),
+        boardsCleared: guess.boardsCleared ?? player.boardsCleared,
+        remaining: guess.remaining ?? player.remaining
+      }))
+    }
+  }),
+
+  revealGuess: ({ playerId, round, guessNumber, word }) => set((state) => {
+    if (!state.game || (round && round !== state.game.round)) return {}
+    return {
+      game: updatePlayer(state.game, playerId, (player) => ({
+        ...player,
+        progress: player.progress.map((guess) =>
+          guess.guessNumber === guessNumber ? { ...guess, word } : guess
+        )
+      }))
+    }
+  }),
+
+  markForfeited: (playerId) => set((state) => (
+    state.game ? { game: updatePlayer(state.game, playerId, (player) => ({ ...player, forfeited: true })) } : {}
+  )),
+
+  // Final view: every word is revealed
+  endGame: ({ reason, eloChanges, ...game }) => set({
+    game,
+    matchDeadline: null,
+    result: {
+      winner: game.winner,
+      reason,
+      targetWord: game.targetWord,
+      targetWords: game.targetWords,
+      eloChanges
+    }
+  }),
+
+  setNotFound: () => set({ notFound: true }),
+  setError: (error) => set({ error }),
+
+  reset: () => set({ game: null, matchDeadline: null, result: null, notFound: false, error: null })
+}))
@@ -8,11 +8,14 @@ import { initializePrisma } from "./config/prisma.js";
 import { initializeRedis } from "./config/redis.js";
 import { setupSocketHandlers } from "./handlers/socketHandlers.js";
 import WordService from "./services/WordService.js";
+import EloService from "./services/EloService.js";
+import SeasonService from "./services/SeasonService.js";
 
 // Routes
 import authRoutes from "./routes/auth.js";
 import userRoutes from "./routes/user.js";
 import gameRoutes from "./routes/game.js";
+import dailyRoutes from "./routes/daily.js";
 
 const app = express();
 const server = http.createServer(app);
@@ -44,6 +47,7 @@ app.get("/health", (req, res) => {
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/game", gameRoutes);
+app.use("/api/daily", dailyRoutes);
 
 // Initialize services and start server
 async function startServer() {
@@ -59,6 +63,18 @@ async function startServer() {
       `✓ Loaded ${WordService.getAnswerCount()} answers and ${WordService.getValidGuessCount()} valid guesses`
     );
 
+    const season = await SeasonService.getCurrentSeason();
+    console.log(
+      `✓ ${season.name} running until ${season.endsAt.toISOString().slice(0, 10)}`
+    );
+
+    const botRatings = await EloService.loadBotRatings();
+    console.log(
+      `✓ Bot ratings: ${Object.entries(botRatings)
+        .map(([difficulty, elo]) => `${difficulty} ${elo}`)
+        .join(", ")}`
+    );
+
     setupSocketHandlers(io);
     console.log("✓ Socket handlers initialized");
 
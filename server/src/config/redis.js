@@ -55,12 +55,12 @@ export async function deleteGameState(gameId) {
 // ============================================
 
 /**
- * Attempt to acquire win lock for a game
+ * Attempt to acquire win lock for a game round
  * Returns true if lock acquired, false if someone else won
  */
-export async function acquireWinLock(gameId, playerId) {
+export async function acquireWinLock(gameId, playerId, round = 1) {
   const redis = getRedis();
-  const lockKey = `game:${gameId}:winner`;
+  const lockKey = `game:${gameId}:winner:${round}`;
   const result = await redis.set(
     lockKey,
     JSON.stringify({
@@ -75,11 +75,11 @@ export async function acquireWinLock(gameId, playerId) {
 }
 
 /**
- * Get winner info if exists
+ * Get round winner info if exists
  */
-export async function getWinner(gameId) {
+export async function getWinner(gameId, round = 1) {
   const redis = getRedis();
-  const data = await redis.get(`game:${gameId}:winner`);
+  const data = await redis.get(`game:${gameId}:winner:${round}`);
   return data ? JSON.parse(data) : null;
 }
 
@@ -89,16 +89,18 @@ export async function getWinner(gameId) {
 
 /**
  * Add player to matchmaking queue
+ * Queues are partitioned by queueKey so only compatible players meet
  */
-export async function addToMatchmakingQueue(playerId, elo, socketId) {
+export async function addToMatchmakingQueue(playerId, elo, socketId, queueKey = "default") {
   const redis = getRedis();
   const queueData = JSON.stringify({
     playerId,
     elo,
     socketId,
+    queueKey,
     timestamp: Date.now(),
   });
-  await redis.zadd("matchmaking:queue", elo, queueData);
+  await redis.zadd(`matchmaking:queue:${queueKey}`, elo, queueData);
   await redis.setex(`matchmaking:player:${playerId}`, 30, queueData);
 }
 
@@ -109,7 +111,8 @@ export async function removeFromMatchmakingQueue(playerId) {
   const redis = getRedis();
   const playerData = await redis.get(`matchmaking:player:${playerId}`);
   if (playerData) {
-    await redis.zrem("matchmaking:queue", playerData);
+    const { queueKey = "default" } = JSON.parse(playerData);
+    await redis.zrem(`matchmaking:queue:${queueKey}`, playerData);
     await redis.del(`matchmaking:player:${playerId}`);
   }
 }
@@ -117,10 +120,10 @@ export async function removeFromMatchmakingQueue(playerId) {
 /**
  * Find match within ELO range
  */
-export async function findMatch(playerId, elo, range = 100) {
+export async function findMatch(playerId, elo, range = 100, queueKey = "default") {
   const redis = getRedis();
   const candidates = await redis.zrangebyscore(
-    "matchmaking:queue",
+    `matchmaking:queue:${queueKey}`,
     elo - range,
     elo + range
   );
@@ -134,3 +137,50 @@ export async function findMatch(playerId, elo, range = 100) {
 
   return null;
 }
+
+/**
+ * Find up to `limit` queued players within ELO range (battle royale lobbies)
+ * Closest ratings come first
+ */
+export async function findMatches(playerId, elo, range = 100, queueKey = "default", limit = 1) {
+  const redis = getRedis();
+  const candidates = await redis.zrangebyscore(
+    `matchmaking:queue:${queueKey}`,
+    elo - range,
+    elo + range
+  );
+
+  return candidates
+    .map((candidate) => JSON.parse(candidate))
+    .filter((data) => data.playerId !== playerId)
+    .sort((a, b) => Math.abs(a.elo - elo) - Math.abs(b.elo - elo))
+    .slice(0, limit);
+}
+
+// ============================================
+// Live Game Listing (spectators)
+// ============================================
+
+/**
+ * List a game for spectators, scored by its players' average ELO
+ */
+export async function addLiveGame(gameId, averageElo) {
+  const redis = getRedis();
+  await redis.zadd("live:games", averageElo, gameId);
+}
+
+/**
+ * Remove a game from the spectator listing
+ */
+export async function removeLiveGame(gameId) {
+  const redis = getRedis();
+  await redis.zrem("live:games", gameId);
+}
+
+/**
+ * Get listed game IDs, highest average ELO first
+ */
+export async function getLiveGameIds(limit = 50) {
+  const redis = getRedis();
+  return redis.zrevrange("live:games", 0, limit - 1);
+}
@@ -1,6 +1,7 @@
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import { prisma } from "../config/prisma.js";
+import User from "../models/User.js";
 import EloService from "../services/EloService.js";
 
 export async function register(req, res) {
@@ -45,6 +46,7 @@ export async function register(req, res) {
         username: true,
         email: true,
         elo: true,
+        glickoDeviation: true,
       },
     });
 
@@ -56,7 +58,11 @@ export async function register(req, res) {
 
     res.status(201).json({
       message: "Registration successful",
-      user,
+      user: {
+        ...user,
+        tier: await User.getTier(user.id),
+        provisional: EloService.isProvisional(0),
+      },
       token,
     });
   } catch (error) {
@@ -82,7 +88,9 @@ export async function login(req, res) {
         elo: true,
         wins: true,
         losses: true,
+        draws: true,
         gamesPlayed: true,
+        glickoDeviation: true,
       },
     });
     if (!user) {
@@ -108,7 +116,11 @@ export async function login(req, res) {
         elo: user.elo,
         wins: user.wins,
         losses: user.losses,
+        draws: user.draws,
         gamesPlayed: user.gamesPlayed,
+        glickoDeviation: user.glickoDeviation,
+        tier: await User.getTier(user.id),
+        provisional: EloService.isProvisional(user.gamesPlayed),
       },
       token,
     });
@@ -135,7 +147,9 @@ export async function me(req, res) {
         elo: true,
         wins: true,
         losses: true,
+        draws: true,
         gamesPlayed: true,
+        glickoDeviation: true,
         createdAt: true,
       },
     });
@@ -144,7 +158,11 @@ export async function me(req, res) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    res.json(user);
+    res.json({
+      ...user,
+      tier: await User.getTier(user.id),
+      provisional: EloService.isProvisional(user.gamesPlayed),
+    });
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
       return res.status(401).json({ error: "Invalid token" });
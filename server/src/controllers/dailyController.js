@@ -0,0 +1,87 @@
+import DailyService from "../services/DailyService.js";
+
+export async function getToday(req, res) {
+  try {
+    const day = DailyService.getDayKey();
+    const attempt = req.user
+      ? await DailyService.getAttempt(req.user.id, day)
+      : null;
+
+    res.json({
+      day,
+      wordLength: DailyService.WORD_LENGTH,
+      maxGuesses: DailyService.MAX_GUESSES,
+      pack: DailyService.getPack(),
+      attempt: attempt ? DailyService.getAttemptView(attempt) : null,
+    });
+  } catch (error) {
+    console.error("Daily challenge error:", error);
+    res.status(500).json({ error: "Failed to fetch daily challenge" });
+  }
+}
+
+export async function startDaily(req, res) {
+  try {
+    const result = await DailyService.startAttempt(req.user.id);
+
+    if (!result.success) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.json({ attempt: DailyService.getAttemptView(result.attempt) });
+  } catch (error) {
+    console.error("Daily start error:", error);
+    res.status(500).json({ error: "Failed to start daily challenge" });
+  }
+}
+
+export async function submitDailyGuess(req, res) {
+  try {
+    const result = await DailyService.submitGuess(req.user.id, req.body.guess);
+
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    res.json({
+      word: result.guess.word,
+      colors: result.guess.colors,
+      guessNumber: result.guess.guessNumber,
+      isCorrect: result.isCorrect,
+      remainingGuesses: result.remainingGuesses,
+      attempt: result.attempt,
+    });
+  } catch (error) {
+    console.error("Daily guess error:", error);
+    res.status(500).json({ error: "Failed to submit guess" });
+  }
+}
+
+export async function getDailyLeaderboard(req, res) {
+  try {
+    const day = req.query.day || DailyService.getDayKey();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (!DailyService.isValidDayKey(day)) {
+      return res.status(400).json({ error: "Day must be YYYY-MM-DD" });
+    }
+
+    res.json(await DailyService.getLeaderboard(day, limit, offset));
+  } catch (error) {
+    console.error("Daily leaderboard error:", error);
+    res.status(500).json({ error: "Failed to fetch daily leaderboard" });
+  }
+}
+
+export async function getDailyHistory(req, res) {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 30, 1), 365);
+
+    res.json(await DailyService.getStreakHistory(id, limit));
+  } catch (error) {
+    console.error("Daily history error:", error);
+    res.status(500).json({ error: "Failed to fetch daily history" });
+  }
+}
@@ -1,5 +1,7 @@
 import { prisma } from "../config/prisma.js";
 import Match from "../models/Match.js";
+import WordService from "../services/WordService.js";
+import GameService from "../services/GameService.js";
 
 export async function getStats(req, res) {
   try {
@@ -43,6 +45,13 @@ export async function getStats(req, res) {
       take: 10,
     });
 
+    const packs = await prisma.match.groupBy({
+      by: ["pack"],
+      where: { playedAt: { gte: last7d } },
+      _count: { pack: true },
+      orderBy: { _count: { pack: "desc" } },
+    });
+
     res.json({
       last24Hours: {
         totalGames,
@@ -55,6 +64,10 @@ export async function getStats(req, res) {
         word: w.targetWord,
         count: w._count.targetWord,
       })),
+      popularPacks: packs.map((p) => ({
+        pack: p.pack,
+        count: p._count.pack,
+      })),
     });
   } catch (error) {
     console.error("Stats error:", error);
@@ -71,22 +84,46 @@ export async function getReplay(req, res) {
       return res.status(404).json({ error: "Match not found" });
     }
 
+    const replayLog = match.replay_log ?? match.replayLog;
+
     res.json({
       id: match.id,
+      mode: match.mode,
+      pack: match.pack,
+      locale: match.locale,
       playedAt: match.played_at || match.playedAt,
       targetWord: match.target_word || match.targetWord,
       durationMs: match.duration_ms ?? match.durationMs,
       winner: {
         id: match.winner_id ?? match.winnerId,
         username: match.winner_username,
+        eloBefore: match.winner_elo_before ?? match.winnerEloBefore,
+        eloAfter: match.winner_elo_after ?? match.winnerEloAfter,
       },
       loser: {
         id: match.loser_id ?? match.loserId,
         username: match.loser_username,
+        eloBefore: match.loser_elo_before ?? match.loserEloBefore,
+        eloAfter: match.loser_elo_after ?? match.loserEloAfter,
       },
       isBotMatch: match.is_bot_match ?? match.isBotMatch,
       botDifficulty: match.bot_difficulty ?? match.botDifficulty,
-      replayLog: match.replay_log ?? match.replayLog,
+      participants: match.participants.map((p) => ({
+        userId: p.userId,
+        username: p.username,
+        team: p.team,
+        placement: p.placement,
+        eloBefore: p.eloBefore,
+        eloAfter: p.eloAfter,
+        guesses: p.guesses,
+        solved: p.solved,
+        isBot: p.isBot,
+        botDifficulty: p.botDifficulty,
+      })),
+      rules: replayLog.find((entry) => entry.rules)?.rules ?? null,
+      players: getReplayPlayers(match, replayLog),
+      replayLog,
+      rounds: groupReplayByRound(replayLog),
     });
   } catch (error) {
     console.error("Replay error:", error);
@@ -94,3 +131,72 @@ export async function getReplay(req, res) {
   }
 }
 
+export async function getLiveGames(req, res) {
+  try {
+    res.json({ games: await GameService.getLiveGames() });
+  } catch (error) {
+    console.error("Live games error:", error);
+    res.status(500).json({ error: "Failed to fetch live games" });
+  }
+}
+
+export async function getPacks(req, res) {
+  try {
+    res.json({ packs: WordService.getPacks() });
+  } catch (error) {
+    console.error("Packs error:", error);
+    res.status(500).json({ error: "Failed to fetch packs" });
+  }
+}
+
+/**
+ * Everyone whose board the replay shows
+ * Newer logs name the players up front; older ones are pieced together
+ * from the guesses and the match's winner and loser
+ */
+function getReplayPlayers(match, replayLog = []) {
+  const named = replayLog.find((entry) => entry.players)?.players;
+  if (named) return named;
+
+  const known = new Map([
+    [match.winner_id ?? match.winnerId, match.winner_username],
+    [match.loser_id ?? match.loserId, match.loser_username],
+  ]);
+  const ids = [...new Set(replayLog.filter((entry) => entry.playerId).map((entry) => entry.playerId))];
+
+  return ids.map((id) => ({
+    id,
+    username: known.get(id) || "Bot",
+    isBot: !known.has(id),
+    botDifficulty: known.has(id) ? null : match.bot_difficulty ?? match.botDifficulty,
+  }));
+}
+
+/**
+ * Split a replay log into rounds (older single-game logs have no round tags)
+ */
+function groupReplayByRound(replayLog = []) {
+  const rounds = new Map();
+
+  for (const entry of replayLog) {
+    const number = entry.round ?? 1;
+    if (!rounds.has(number)) {
+      rounds.set(number, {
+        round: number,
+        targetWord: null,
+        winnerId: null,
+        events: [],
+      });
+    }
+
+    const round = rounds.get(number);
+    if (entry.type === "round_end") {
+      round.targetWord = entry.targetWord;
+      round.winnerId = entry.winner;
+    } else if (entry.type !== "round_start") {
+      round.events.push(entry);
+    }
+  }
+
+  return [...rounds.values()];
+}
@@ -1,42 +1,82 @@
 import { prisma } from "../config/prisma.js";
 import User from "../models/User.js";
 import Match from "../models/Match.js";
+import EloService from "../services/EloService.js";
+import SeasonService from "../services/SeasonService.js";
+import TierService from "../services/TierService.js";
+
+/**
+ * Rating history ranges (days back; null for everything) and how points
+ * can be grouped: one per rating change, or the last rating of each day/week
+ */
+const HISTORY_RANGES = { "7d": 7, "30d": 30, "90d": 90, "1y": 365, all: null };
+const HISTORY_GRANULARITIES = ["match", "day", "week"];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 export async function getLeaderboard(req, res) {
   try {
     const limit = Math.min(parseInt(req.query.limit) || 50, 100);
     const offset = parseInt(req.query.offset) || 0;
+    const mode = req.query.mode || EloService.DEFAULT_RATING_MODE;
+
+    if (!EloService.RATING_MODES.includes(mode)) {
+      return res.status(400).json({ error: "Unknown mode" });
+    }
+
+    const { season, isLive } = await getRequestedSeason(req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: "Season not found" });
+    }
+
+    // The running season is live; past ones come from their final standings
+    // Provisional players only join the live board once their placement is done
+    const where = isLive
+      ? {
+          mode,
+          gamesPlayed: { gt: 0 },
+          user: { gamesPlayed: { gte: EloService.PROVISIONAL_GAMES } },
+        }
+      : { seasonId: season.id, mode };
+    const table = isLive ? prisma.rating : prisma.seasonStanding;
 
-    const users = await prisma.user.findMany({
-      where: { gamesPlayed: { gt: 0 } },
-      orderBy: { elo: "desc" },
+    const rows = await table.findMany({
+      where,
+      orderBy: isLive ? { elo: "desc" } : { rank: "asc" },
       skip: offset,
       take: limit,
-      select: {
-        id: true,
-        username: true,
-        elo: true,
-        wins: true,
-        losses: true,
-        gamesPlayed: true,
-      },
+      include: { user: { select: { username: true } } },
     });
 
-    const total = await prisma.user.count({
-      where: { gamesPlayed: { gt: 0 } },
-    });
+    const total = await table.count({ where });
+
+    // Players still in placement are listed apart, unranked, on the live board
+    const provisional = isLive
+      ? await prisma.rating.findMany({
+          where: {
+            mode,
+            gamesPlayed: { gt: 0 },
+            user: { gamesPlayed: { lt: EloService.PROVISIONAL_GAMES } },
+          },
+          orderBy: { elo: "desc" },
+          take: limit,
+          include: { user: { select: { username: true } } },
+        })
+      : [];
 
     res.json({
-      players: users.map((u, idx) => ({
-        rank: offset + idx + 1,
-        id: u.id,
-        username: u.username,
-        elo: u.elo,
-        wins: u.wins,
-        losses: u.losses,
-        gamesPlayed: u.gamesPlayed,
-        winRate:
-          u.gamesPlayed > 0 ? Math.round((u.wins / u.gamesPlayed) * 100) : 0,
+      mode,
+      season: SeasonService.formatSeason(season),
+      players: rows.map((r, idx) => ({
+        rank: r.rank ?? offset + idx + 1,
+        id: r.userId,
+        username: r.user.username,
+        ...formatRecord(r),
+      })),
+      provisional: provisional.map((r) => ({
+        id: r.userId,
+        username: r.user.username,
+        provisional: true,
+        ...formatRecord(r),
       })),
       total,
     });
@@ -46,6 +86,21 @@ export async function getLeaderboard(req, res) {
   }
 }
 
+export async function getSeasons(req, res) {
+  try {
+    const current = await SeasonService.getCurrentSeason();
+    const seasons = await SeasonService.getSeasons();
+
+    res.json({
+      current: current.id,
+      seasons: seasons.map((season) => SeasonService.formatSeason(season)),
+    });
+  } catch (error) {
+    console.error("Seasons error:", error);
+    res.status(500).json({ error: "Failed to fetch seasons" });
+  }
+}
+
 export async function getProfile(req, res) {
   try {
     const { id } = req.params;
@@ -56,8 +111,6 @@ export async function getProfile(req, res) {
         id: true,
         username: true,
         elo: true,
-        wins: true,
-        losses: true,
         gamesPlayed: true,
         createdAt: true,
       },
@@ -67,41 +120,50 @@ export async function getProfile(req, res) {
       return res.status(404).json({ error: "User not found" });
     }
 
+    const { season, isLive } = await getRequestedSeason(req.query.season);
+    if (!season) {
+      return res.status(404).json({ error: "Season not found" });
+    }
+
     const rank = await User.getRank(id);
     const matchesResult = await Match.findByUserId(id, 10, 0);
+    const locales = await Match.countByLocale(id);
+    const ratings = isLive
+      ? await Promise.all(
+          (await User.getRatings(id)).map(async (r) => ({
+            mode: r.mode,
+            rank: await User.getRank(id, r.mode),
+            glickoDeviation: r.glickoDeviation,
+            ...formatRecord(r),
+          }))
+        )
+      : (await User.getSeasonStandings(id, season.id)).map((s) => ({
+          mode: s.mode,
+          rank: s.rank,
+          ...formatRecord(s),
+        }));
+    const pastSeasons = await User.getSeasonStandings(id);
 
     res.json({
       id: user.id,
       username: user.username,
       elo: user.elo,
-      rank: parseInt(rank),
-      wins: user.wins,
-      losses: user.losses,
-      gamesPlayed: user.gamesPlayed,
-      winRate:
-        user.gamesPlayed > 0
-          ? Math.round((user.wins / user.gamesPlayed) * 100)
-          : 0,
+      tier: await User.getTier(id),
+      provisional: EloService.isProvisional(user.gamesPlayed),
+      rank: rank ? parseInt(rank) : null,
+      // The overall record is the requested season's, across every mode
+      ...totalRecord(ratings),
       createdAt: user.createdAt,
-      recentMatches: matchesResult.map((m) => ({
-        id: m.id,
-        playedAt: m.played_at || m.playedAt,
-        targetWord: m.target_word || m.targetWord,
-        durationMs: m.duration_ms ?? m.durationMs,
-        won: (m.winner_id ?? m.winnerId) === id,
-        opponent:
-          (m.winner_id ?? m.winnerId) === id
-            ? m.loser_username
-            : m.winner_username,
-        eloChange:
-          (m.winner_id ?? m.winnerId) === id
-            ? (m.winner_elo_after ?? m.winnerEloAfter) -
-              (m.winner_elo_before ?? m.winnerEloBefore)
-            : (m.loser_elo_after ?? m.loserEloAfter) -
-              (m.loser_elo_before ?? m.loserEloBefore),
-        isBotMatch: m.is_bot_match ?? m.isBotMatch,
-        botDifficulty: m.bot_difficulty ?? m.botDifficulty,
+      locales,
+      season: SeasonService.formatSeason(season),
+      ratings,
+      pastSeasons: pastSeasons.map((s) => ({
+        season: SeasonService.formatSeason(s.season),
+        mode: s.mode,
+        rank: s.rank,
+        ...formatRecord(s),
       })),
+      recentMatches: matchesResult.map((m) => formatMatch(m, id)),
     });
   } catch (error) {
     console.error("Profile error:", error);
@@ -119,25 +181,7 @@ export async function getMatches(req, res) {
     const total = await Match.countByUserId(id);
 
     res.json({
-      matches: matches.map((m) => ({
-        id: m.id,
-        playedAt: m.played_at || m.playedAt,
-        targetWord: m.target_word || m.targetWord,
-        durationMs: m.duration_ms ?? m.durationMs,
-        won: (m.winner_id ?? m.winnerId) === id,
-        opponent:
-          (m.winner_id ?? m.winnerId) === id
-            ? m.loser_username
-            : m.winner_username,
-        eloChange:
-          (m.winner_id ?? m.winnerId) === id
-            ? (m.winner_elo_after ?? m.winnerEloAfter) -
-              (m.winner_elo_before ?? m.winnerEloBefore)
-            : (m.loser_elo_after ?? m.loserEloAfter) -
-              (m.loser_elo_before ?? m.loserEloBefore),
-        isBotMatch: m.is_bot_match ?? m.isBotMatch,
-        botDifficulty: m.bot_difficulty ?? m.botDifficulty,
-      })),
+      matches: matches.map((m) => formatMatch(m, id)),
       total,
       limit,
       offset,
@@ -148,3 +192,202 @@ export async function getMatches(req, res) {
   }
 }
 
+export async function getRatingHistory(req, res) {
+  try {
+    const { id } = req.params;
+    const mode = req.query.mode || EloService.DEFAULT_RATING_MODE;
+    const range = req.query.range || "90d";
+    const granularity = req.query.granularity || "match";
+
+    if (!EloService.RATING_MODES.includes(mode)) {
+      return res.status(400).json({ error: "Unknown mode" });
+    }
+    if (!Object.hasOwn(HISTORY_RANGES, range)) {
+      return res.status(400).json({ error: "Unknown range" });
+    }
+    if (!HISTORY_GRANULARITIES.includes(granularity)) {
+      return res.status(400).json({ error: "Unknown granularity" });
+    }
+
+    const days = HISTORY_RANGES[range];
+    const since = days ? new Date(Date.now() - days * DAY_MS) : null;
+    const entries = await User.getRatingHistory(id, mode, since);
+
+    // Gains and losses only count what happened in a match
+    const matchChanges = entries
+      .filter((e) => e.reason === EloService.HISTORY_REASONS.MATCH)
+      .map(formatHistoryEntry);
+    const peak = entries.reduce(
+      (best, e) => (!best || e.eloAfter > best.eloAfter ? e : best),
+      null
+    );
+    const biggestGain = matchChanges.reduce(
+      (best, e) => (e.delta > (best?.delta ?? 0) ? e : best),
+      null
+    );
+    const biggestLoss = matchChanges.reduce(
+      (worst, e) => (e.delta < (worst?.delta ?? 0) ? e : worst),
+      null
+    );
+
+    res.json({
+      mode,
+      range,
+      granularity,
+      points:
+        granularity === "match"
+          ? entries.map(formatHistoryEntry)
+          : groupHistory(entries, granularity),
+      peak: peak && { elo: peak.eloAfter, at: peak.createdAt },
+      biggestGain,
+      biggestLoss,
+    });
+  } catch (error) {
+    console.error("Rating history error:", error);
+    res.status(500).json({ error: "Failed to fetch rating history" });
+  }
+}
+
+/**
+ * One rating change as a chart point
+ */
+function formatHistoryEntry(e) {
+  return {
+    at: e.createdAt,
+    elo: e.eloAfter,
+    delta: e.eloAfter - e.eloBefore,
+    reason: e.reason,
+    matchId: e.matchId,
+  };
+}
+
+/**
+ * Group rating changes by UTC day or week (weeks start on Monday)
+ * Each point holds the rating at the end of the period, its net change,
+ * its high and low, and how many matches were played
+ */
+function groupHistory(entries, granularity) {
+  const groups = new Map();
+
+  for (const e of entries) {
+    const start = new Date(e.createdAt);
+    start.setUTCHours(0, 0, 0, 0);
+    if (granularity === "week") {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    }
+
+    const key = start.getTime();
+    const group = groups.get(key) ?? {
+      at: start,
+      elo: e.eloBefore,
+      delta: 0,
+      high: e.eloBefore,
+      low: e.eloBefore,
+      matches: 0,
+    };
+    group.elo = e.eloAfter;
+    group.delta += e.eloAfter - e.eloBefore;
+    group.high = Math.max(group.high, e.eloAfter);
+    group.low = Math.min(group.low, e.eloAfter);
+    if (e.reason === EloService.HISTORY_REASONS.MATCH) group.matches++;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Resolve the season a request asks for (?season=<id>, default: the
+ * running one). Only the running season is live; any other is read from
+ * its archived standings (empty if it hasn't ended yet).
+ */
+async function getRequestedSeason(seasonId) {
+  const current = await SeasonService.getCurrentSeason();
+  if (seasonId === undefined || Number(seasonId) === current.id) {
+    return { season: current, isLive: true };
+  }
+
+  return { season: await SeasonService.getSeason(Number(seasonId)), isLive: false };
+}
+
+/**
+ * Rating, tier and win/loss record of a ratings or season_standings row
+ * (archived standings get the tier of their final rating)
+ */
+function formatRecord(r) {
+  return {
+    elo: r.elo,
+    tier: TierService.fromRow(r),
+    wins: r.wins,
+    losses: r.losses,
+    draws: r.draws,
+    gamesPlayed: r.gamesPlayed,
+    winRate:
+      r.gamesPlayed > 0 ? Math.round((r.wins / r.gamesPlayed) * 100) : 0,
+  };
+}
+
+/**
+ * Add up per-mode records into one win/loss record
+ */
+function totalRecord(records) {
+  const sum = (key) => records.reduce((total, r) => total + r[key], 0);
+  const gamesPlayed = sum("gamesPlayed");
+
+  return {
+    wins: sum("wins"),
+    losses: sum("losses"),
+    draws: sum("draws"),
+    gamesPlayed,
+    winRate:
+      gamesPlayed > 0 ? Math.round((sum("wins") / gamesPlayed) * 100) : 0,
+  };
+}
+
+/**
+ * Shape a match row from the user's point of view
+ * Multi-player matches report placement instead of a single opponent
+ */
+function formatMatch(m, id) {
+  const winnerId = m.winner_id ?? m.winnerId;
+  const isDraw = m.is_draw ?? m.isDraw;
+  const participant = m.participants?.[0];
+  // Teammates of the solver share the win
+  const won = isDraw
+    ? false
+    : participant
+      ? Boolean(winnerId) && participant.placement === 1
+      : winnerId === id;
+  // In a draw the user may sit in either the winner or the loser slot
+  const inWinnerSlot = isDraw ? winnerId === id : won;
+
+  return {
+    id: m.id,
+    mode: m.mode,
+    pack: m.pack,
+    locale: m.locale,
+    playedAt: m.played_at || m.playedAt,
+    targetWord: m.target_word || m.targetWord,
+    durationMs: m.duration_ms ?? m.durationMs,
+    won,
+    result: isDraw ? "draw" : won ? "win" : "loss",
+    reason: m.reason,
+    opponent: participant
+      ? null
+      : inWinnerSlot
+        ? m.loser_username
+        : m.winner_username,
+    placement: participant?.placement ?? null,
+    team: participant?.team ?? null,
+    playerCount: m._count?.participants || 2,
+    eloChange: participant
+      ? participant.eloAfter - participant.eloBefore
+      : inWinnerSlot
+        ? (m.winner_elo_after ?? m.winnerEloAfter) -
+          (m.winner_elo_before ?? m.winnerEloBefore)
+        : (m.loser_elo_after ?? m.loserEloAfter) -
+          (m.loser_elo_before ?? m.loserEloBefore),
+    isBotMatch: m.is_bot_match ?? m.isBotMatch,
+    botDifficulty: m.bot_difficulty ?? m.botDifficulty,
+  };
+}
@@ -0,0 +1,5 @@
+-- Word lengths
+-- Widens matches.target_word for 4-7 letter words.
+-- Safe to run more than once.
+
+ALTER TABLE matches ALTER COLUMN target_word TYPE VARCHAR(7);
@@ -0,0 +1,23 @@
+-- Battle royale
+-- Adds matches.mode and the match_participants table for multi-player
+-- matches. Matches from before this migration are all duels.
+-- Safe to run more than once.
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS mode VARCHAR(20) DEFAULT 'duel' NOT NULL;
+
+CREATE TABLE IF NOT EXISTS match_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(30) NOT NULL,
+    placement INTEGER NOT NULL,
+    elo_before INTEGER NOT NULL,
+    elo_after INTEGER NOT NULL,
+    guesses INTEGER DEFAULT 0 NOT NULL,
+    solved BOOLEAN DEFAULT false NOT NULL,
+    is_bot BOOLEAN DEFAULT false NOT NULL,
+    bot_difficulty VARCHAR(20)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_participants_match ON match_participants(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_participants_user ON match_participants(user_id);
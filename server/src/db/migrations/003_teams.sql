@@ -0,0 +1,5 @@
+-- 2v2 teams
+-- Adds the team column to match_participants.
+-- Safe to run more than once.
+
+ALTER TABLE match_participants ADD COLUMN IF NOT EXISTS team VARCHAR(1);
@@ -0,0 +1,20 @@
+-- Daily challenge
+-- Creates the daily_attempts table.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS daily_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    target_word VARCHAR(7) NOT NULL,
+    guesses JSONB DEFAULT '[]'::jsonb,
+    guess_count INTEGER DEFAULT 0 NOT NULL,
+    solved BOOLEAN DEFAULT false NOT NULL,
+    completed BOOLEAN DEFAULT false NOT NULL,
+    solve_time_ms INTEGER,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT uq_daily_attempts_user_day UNIQUE (user_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_attempts_board ON daily_attempts(day, solved, guess_count, solve_time_ms);
@@ -0,0 +1,6 @@
+-- Dictionary packs
+-- Adds matches.pack. Matches from before this migration used the
+-- standard pack.
+-- Safe to run more than once.
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS pack VARCHAR(30) DEFAULT 'standard' NOT NULL;
@@ -0,0 +1,5 @@
+-- Dictionary languages
+-- Adds matches.locale. Matches from before this migration were English.
+-- Safe to run more than once.
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS locale VARCHAR(5) DEFAULT 'en' NOT NULL;
@@ -0,0 +1,8 @@
+-- Draws
+-- Adds users.draws and matches.is_draw. Draws weren't recorded before
+-- this migration, so every player starts at 0 and past matches stay
+-- decisive.
+-- Safe to run more than once.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS draws INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS is_draw BOOLEAN DEFAULT false NOT NULL;
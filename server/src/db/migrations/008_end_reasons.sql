@@ -0,0 +1,8 @@
+-- End reasons and abandonment tracking
+-- Adds matches.reason (past matches count as solved) and the abandonment
+-- streak columns on users.
+-- Safe to run more than once.
+
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS reason VARCHAR(20) DEFAULT 'solved' NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS recent_abandons INTEGER DEFAULT 0 NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_abandoned_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,22 @@
+-- Glicko-2 ratings
+-- Adds the Glicko-2 columns to users and seeds them from the current ELO.
+-- Safe to run more than once: players who already have Glicko values keep them.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS glicko_rating DOUBLE PRECISION;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS glicko_deviation DOUBLE PRECISION;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS glicko_volatility DOUBLE PRECISION;
+
+-- Rating carries over as is; the more games a player has, the more
+-- certain we already are of it (RD 350 for a newcomer down to 60)
+UPDATE users
+SET glicko_rating = elo,
+    glicko_deviation = GREATEST(60, 350 - 10 * games_played),
+    glicko_volatility = 0.06
+WHERE glicko_rating IS NULL;
+
+ALTER TABLE users ALTER COLUMN glicko_rating SET DEFAULT 1200;
+ALTER TABLE users ALTER COLUMN glicko_rating SET NOT NULL;
+ALTER TABLE users ALTER COLUMN glicko_deviation SET DEFAULT 350;
+ALTER TABLE users ALTER COLUMN glicko_deviation SET NOT NULL;
+ALTER TABLE users ALTER COLUMN glicko_volatility SET DEFAULT 0.06;
+ALTER TABLE users ALTER COLUMN glicko_volatility SET NOT NULL;
@@ -0,0 +1,28 @@
+-- Per-mode ratings
+-- Creates the ratings table and seeds every player's duel rating from the
+-- single rating they had so far (users.elo keeps mirroring the duel rating).
+-- Other modes start fresh at 1200 the first time a player plays them.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS ratings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL,
+    elo INTEGER DEFAULT 1200 NOT NULL,
+    glicko_rating DOUBLE PRECISION DEFAULT 1200 NOT NULL,
+    glicko_deviation DOUBLE PRECISION DEFAULT 350 NOT NULL,
+    glicko_volatility DOUBLE PRECISION DEFAULT 0.06 NOT NULL,
+    wins INTEGER DEFAULT 0 NOT NULL,
+    losses INTEGER DEFAULT 0 NOT NULL,
+    draws INTEGER DEFAULT 0 NOT NULL,
+    games_played INTEGER DEFAULT 0 NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT uq_ratings_user_mode UNIQUE (user_id, mode)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ratings_mode_elo ON ratings(mode, elo DESC);
+
+INSERT INTO ratings (user_id, mode, elo, glicko_rating, glicko_deviation, glicko_volatility, wins, losses, draws, games_played)
+SELECT id, 'duel', elo, glicko_rating, glicko_deviation, glicko_volatility, wins, losses, draws, games_played
+FROM users
+ON CONFLICT (user_id, mode) DO NOTHING;
@@ -0,0 +1,32 @@
+-- Competitive seasons
+-- Creates the seasons and season_standings tables. The first season is
+-- opened by the server on startup (SEASON_LENGTH_DAYS long); seasons with
+-- other dates can be scheduled ahead by inserting rows into seasons.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    archived_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasons_dates ON seasons(starts_at, ends_at);
+
+CREATE TABLE IF NOT EXISTS season_standings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL,
+    rank INTEGER NOT NULL,
+    elo INTEGER NOT NULL,
+    wins INTEGER DEFAULT 0 NOT NULL,
+    losses INTEGER DEFAULT 0 NOT NULL,
+    draws INTEGER DEFAULT 0 NOT NULL,
+    games_played INTEGER DEFAULT 0 NOT NULL,
+    CONSTRAINT uq_season_standings_season_mode_user UNIQUE (season_id, mode, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_board ON season_standings(season_id, mode, rank);
+CREATE INDEX IF NOT EXISTS idx_season_standings_user ON season_standings(user_id);
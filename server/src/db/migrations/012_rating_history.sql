@@ -0,0 +1,50 @@
+-- Rating history
+-- Creates the rating_history table and backfills it from the before/after
+-- ratings already stored on past matches. Abandonment penalties and season
+-- resets from before this migration aren't recorded anywhere, so the
+-- backfilled history can jump between matches.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS rating_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL,
+    match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+    reason VARCHAR(20) DEFAULT 'match' NOT NULL,
+    elo_before INTEGER NOT NULL,
+    elo_after INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_user_mode ON rating_history(user_id, mode, created_at);
+
+-- Multi-player and team matches: one row per human participant
+INSERT INTO rating_history (user_id, mode, match_id, reason, elo_before, elo_after, created_at)
+SELECT p.user_id, m.mode, m.id, 'match', p.elo_before, p.elo_after, m.played_at
+FROM match_participants p
+JOIN matches m ON m.id = p.match_id
+WHERE p.user_id IS NOT NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM rating_history h WHERE h.match_id = m.id AND h.user_id = p.user_id
+  );
+
+-- 1v1 matches: the winner and loser columns (1v1 bot matches count toward the bot rating)
+INSERT INTO rating_history (user_id, mode, match_id, reason, elo_before, elo_after, created_at)
+SELECT m.winner_id, CASE WHEN m.is_bot_match THEN 'bot' ELSE m.mode END, m.id, 'match',
+       m.winner_elo_before, m.winner_elo_after, m.played_at
+FROM matches m
+WHERE m.winner_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM match_participants p WHERE p.match_id = m.id)
+  AND NOT EXISTS (
+    SELECT 1 FROM rating_history h WHERE h.match_id = m.id AND h.user_id = m.winner_id
+  );
+
+INSERT INTO rating_history (user_id, mode, match_id, reason, elo_before, elo_after, created_at)
+SELECT m.loser_id, CASE WHEN m.is_bot_match THEN 'bot' ELSE m.mode END, m.id, 'match',
+       m.loser_elo_before, m.loser_elo_after, m.played_at
+FROM matches m
+WHERE m.loser_id IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM match_participants p WHERE p.match_id = m.id)
+  AND NOT EXISTS (
+    SELECT 1 FROM rating_history h WHERE h.match_id = m.id AND h.user_id = m.loser_id
+  );
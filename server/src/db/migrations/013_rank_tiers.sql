@@ -0,0 +1,7 @@
+-- Rank tiers
+-- Adds the tier and division columns to ratings. They start out empty;
+-- until a player's next rated game the tier is derived from their rating.
+-- Safe to run more than once.
+
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS tier VARCHAR(20);
+ALTER TABLE ratings ADD COLUMN IF NOT EXISTS division INTEGER;
@@ -0,0 +1,22 @@
+-- Bot ratings
+-- Creates the bot_ratings table and seeds each difficulty with the rating
+-- it used to have fixed. From then on every 1v1 bot match moves the bot's
+-- rating as well as the player's.
+-- Safe to run more than once.
+
+CREATE TABLE IF NOT EXISTS bot_ratings (
+    difficulty VARCHAR(20) PRIMARY KEY,
+    elo INTEGER NOT NULL,
+    wins INTEGER DEFAULT 0 NOT NULL,
+    losses INTEGER DEFAULT 0 NOT NULL,
+    draws INTEGER DEFAULT 0 NOT NULL,
+    games_played INTEGER DEFAULT 0 NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO bot_ratings (difficulty, elo) VALUES
+    ('easy', 800),
+    ('medium', 1100),
+    ('hard', 1400),
+    ('impossible', 1800)
+ON CONFLICT (difficulty) DO NOTHING;
@@ -0,0 +1,15 @@
+-- Optional winner ratings
+-- A multi-player match won by a bot (or drawn) has no human winner, so the
+-- winner rating columns may be empty. Clears the bot or placeholder ratings
+-- older multi-player matches stored there.
+-- Safe to run more than once.
+
+ALTER TABLE matches ALTER COLUMN winner_elo_before DROP NOT NULL;
+ALTER TABLE matches ALTER COLUMN winner_elo_after DROP NOT NULL;
+
+UPDATE matches m
+SET winner_elo_before = NULL,
+    winner_elo_after = NULL
+WHERE m.winner_id IS NULL
+  AND m.winner_elo_before IS NOT NULL
+  AND EXISTS (SELECT 1 FROM match_participants p WHERE p.match_id = m.id);
@@ -13,7 +13,13 @@ CREATE TABLE IF NOT EXISTS users (
     elo INTEGER DEFAULT 1200 NOT NULL,
     wins INTEGER DEFAULT 0 NOT NULL,
     losses INTEGER DEFAULT 0 NOT NULL,
+    draws INTEGER DEFAULT 0 NOT NULL,
     games_played INTEGER DEFAULT 0 NOT NULL,
+    glicko_rating DOUBLE PRECISION DEFAULT 1200 NOT NULL,
+    glicko_deviation DOUBLE PRECISION DEFAULT 350 NOT NULL,
+    glicko_volatility DOUBLE PRECISION DEFAULT 0.06 NOT NULL,
+    recent_abandons INTEGER DEFAULT 0 NOT NULL,
+    last_abandoned_at TIMESTAMP WITH TIME ZONE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -26,13 +32,18 @@ CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 -- Matches table with JSONB replay_log
 CREATE TABLE IF NOT EXISTS matches (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    mode VARCHAR(20) DEFAULT 'duel' NOT NULL,
+    pack VARCHAR(30) DEFAULT 'standard' NOT NULL,
+    locale VARCHAR(5) DEFAULT 'en' NOT NULL,
     winner_id UUID REFERENCES users(id) ON DELETE SET NULL,
     loser_id UUID REFERENCES users(id) ON DELETE SET NULL,
-    winner_elo_before INTEGER NOT NULL,
-    winner_elo_after INTEGER NOT NULL,
+    winner_elo_before INTEGER,
+    winner_elo_after INTEGER,
     loser_elo_before INTEGER NOT NULL,
     loser_elo_after INTEGER NOT NULL,
-    target_word VARCHAR(5) NOT NULL,
+    is_draw BOOLEAN DEFAULT false NOT NULL,
+    reason VARCHAR(20) DEFAULT 'solved' NOT NULL,
+    target_word VARCHAR(7) NOT NULL,
     replay_log JSONB DEFAULT '[]'::jsonb,
     duration_ms INTEGER,
     is_bot_match BOOLEAN DEFAULT false,
@@ -46,6 +57,125 @@ CREATE INDEX IF NOT EXISTS idx_matches_loser ON matches(loser_id);
 CREATE INDEX IF NOT EXISTS idx_matches_played_at ON matches(played_at DESC);
 CREATE INDEX IF NOT EXISTS idx_matches_is_bot ON matches(is_bot_match);
 
+-- Per-player results for multi-player matches (battle royale, 2v2 teams)
+CREATE TABLE IF NOT EXISTS match_participants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    match_id UUID NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    username VARCHAR(30) NOT NULL,
+    team VARCHAR(1),
+    placement INTEGER NOT NULL,
+    elo_before INTEGER NOT NULL,
+    elo_after INTEGER NOT NULL,
+    guesses INTEGER DEFAULT 0 NOT NULL,
+    solved BOOLEAN DEFAULT false NOT NULL,
+    is_bot BOOLEAN DEFAULT false NOT NULL,
+    bot_difficulty VARCHAR(20)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_participants_match ON match_participants(match_id);
+CREATE INDEX IF NOT EXISTS idx_match_participants_user ON match_participants(user_id);
+
+-- One rating per player per queue: each game mode, plus 1v1 bot matches ('bot')
+CREATE TABLE IF NOT EXISTS ratings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL,
+    elo INTEGER DEFAULT 1200 NOT NULL,
+    glicko_rating DOUBLE PRECISION DEFAULT 1200 NOT NULL,
+    glicko_deviation DOUBLE PRECISION DEFAULT 350 NOT NULL,
+    glicko_volatility DOUBLE PRECISION DEFAULT 0.06 NOT NULL,
+    wins INTEGER DEFAULT 0 NOT NULL,
+    losses INTEGER DEFAULT 0 NOT NULL,
+    draws INTEGER DEFAULT 0 NOT NULL,
+    games_played INTEGER DEFAULT 0 NOT NULL,
+    tier VARCHAR(20),
+    division INTEGER,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT uq_ratings_user_mode UNIQUE (user_id, mode)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ratings_mode_elo ON ratings(mode, elo DESC);
+
+-- Every change to a player's rating in a mode, oldest first
+CREATE TABLE IF NOT EXISTS rating_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL,
+    match_id UUID REFERENCES matches(id) ON DELETE SET NULL,
+    reason VARCHAR(20) DEFAULT 'match' NOT NULL,
+    elo_before INTEGER NOT NULL,
+    elo_after INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_user_mode ON rating_history(user_id, mode, created_at);
+
+-- Competitive seasons; an ended season is archived into season_standings
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    archived_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasons_dates ON seasons(starts_at, ends_at);
+
+-- Final leaderboard of every archived season, per rating mode
+CREATE TABLE IF NOT EXISTS season_standings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mode VARCHAR(20) NOT NULL,
+    rank INTEGER NOT NULL,
+    elo INTEGER NOT NULL,
+    wins INTEGER DEFAULT 0 NOT NULL,
+    losses INTEGER DEFAULT 0 NOT NULL,
+    draws INTEGER DEFAULT 0 NOT NULL,
+    games_played INTEGER DEFAULT 0 NOT NULL,
+    CONSTRAINT uq_season_standings_season_mode_user UNIQUE (season_id, mode, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_board ON season_standings(season_id, mode, rank);
+CREATE INDEX IF NOT EXISTS idx_season_standings_user ON season_standings(user_id);
+
+-- Calibrated rating of every bot difficulty, updated after each 1v1 bot match
+CREATE TABLE IF NOT EXISTS bot_ratings (
+    difficulty VARCHAR(20) PRIMARY KEY,
+    elo INTEGER NOT NULL,
+    wins INTEGER DEFAULT 0 NOT NULL,
+    losses INTEGER DEFAULT 0 NOT NULL,
+    draws INTEGER DEFAULT 0 NOT NULL,
+    games_played INTEGER DEFAULT 0 NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO bot_ratings (difficulty, elo) VALUES
+    ('easy', 800),
+    ('medium', 1100),
+    ('hard', 1400),
+    ('impossible', 1800)
+ON CONFLICT (difficulty) DO NOTHING;
+
+-- One daily challenge attempt per player per day
+CREATE TABLE IF NOT EXISTS daily_attempts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    target_word VARCHAR(7) NOT NULL,
+    guesses JSONB DEFAULT '[]'::jsonb,
+    guess_count INTEGER DEFAULT 0 NOT NULL,
+    solved BOOLEAN DEFAULT false NOT NULL,
+    completed BOOLEAN DEFAULT false NOT NULL,
+    solve_time_ms INTEGER,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT uq_daily_attempts_user_day UNIQUE (user_id, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_attempts_board ON daily_attempts(day, solved, guess_count, solve_time_ms);
+
 -- Function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -77,7 +207,31 @@ WHERE winner_id IS NOT NULL OR loser_id IS NOT NULL;
 COMMENT ON TABLE users IS 'Player accounts with ELO ratings and statistics';
 COMMENT ON TABLE matches IS 'Match history with full replay data stored as JSONB';
 COMMENT ON COLUMN matches.replay_log IS 'JSONB array containing all guesses and events from the match';
+COMMENT ON COLUMN matches.is_draw IS 'True if nobody won; winner_id and loser_id then just hold the two sides';
+COMMENT ON COLUMN matches.reason IS 'How the match ended: solved, exhausted, forfeit, abandoned or timeout';
+COMMENT ON COLUMN users.glicko_rating IS 'Glicko-2 rating, kept up to date whichever rating system is active';
+COMMENT ON COLUMN users.glicko_deviation IS 'Glicko-2 rating deviation (RD): how uncertain the rating is';
+COMMENT ON COLUMN users.glicko_volatility IS 'Glicko-2 volatility: how erratic the player''s results are';
+COMMENT ON COLUMN users.recent_abandons IS 'Abandoned matches in the current streak (resets a week after the last one)';
 COMMENT ON COLUMN matches.is_bot_match IS 'True if opponent was an AI bot';
 COMMENT ON COLUMN matches.bot_difficulty IS 'Bot difficulty level: easy, medium, hard, impossible';
+COMMENT ON COLUMN matches.mode IS 'Game mode: duel, royale, teams, quordle, absurdle or turns';
+COMMENT ON COLUMN matches.pack IS 'Dictionary pack the target word was drawn from';
+COMMENT ON COLUMN matches.locale IS 'Dictionary language of the match: en, es or de';
+COMMENT ON COLUMN match_participants.team IS 'Team (A or B) in team matches, null otherwise';
+COMMENT ON TABLE match_participants IS 'Placement and rating change of every player in a multi-player match';
+COMMENT ON TABLE ratings IS 'Per-mode ratings and records; users.elo mirrors the duel rating';
+COMMENT ON COLUMN ratings.mode IS 'Game mode the rating is for, or bot for 1v1 matches against a bot';
+COMMENT ON COLUMN ratings.tier IS 'Rank tier (Bronze to Grandmaster) with division 3 to 1; NULL until the next rated game, then derived from elo with hysteresis';
+COMMENT ON COLUMN ratings.wins IS 'Wins this season (win/loss counters reset when a season ends; users keeps lifetime totals)';
+COMMENT ON COLUMN seasons.archived_at IS 'When the season''s standings were snapshotted and ratings soft-reset; NULL while running';
+COMMENT ON TABLE season_standings IS 'Final leaderboard of an archived season, per rating mode';
+COMMENT ON TABLE bot_ratings IS 'Rating and record of each bot difficulty, moved by the bots'' own 1v1 results';
+COMMENT ON COLUMN bot_ratings.elo IS 'Calibrated rating; starts at 800/1100/1400/1800 for easy/medium/hard/impossible';
+COMMENT ON TABLE rating_history IS 'Every rating change per player and mode, for the profile rating chart';
+COMMENT ON COLUMN rating_history.reason IS 'What changed the rating: match, abandon_penalty or season_reset';
+COMMENT ON TABLE daily_attempts IS 'Daily challenge attempts, ranked by fewest guesses then fastest solve';
+COMMENT ON COLUMN daily_attempts.guesses IS 'JSONB array of the attempt''s guesses with their colors';
+COMMENT ON COLUMN daily_attempts.solve_time_ms IS 'Time from starting the attempt to solving it, null if unsolved';
 
 
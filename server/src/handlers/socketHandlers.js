@@ -4,15 +4,20 @@
  * Manages real-time communication for:
  * - Matchmaking
  * - Game state updates
+ * - Parties (2v2 teams)
+ * - Private rooms with invite codes
  * - Guess processing
- * - Opponent notifications (masked)
+ * - Opponent notifications (masked; teammates see words)
+ * - Spectators (one Socket.io room per game, letters revealed after a delay)
  */
 
 import { socketAuthMiddleware } from '../config/socket.js';
 import GameService from '../services/GameService.js';
 import MatchmakingService from '../services/MatchmakingService.js';
+import RoomService from '../services/RoomService.js';
 import BotService from '../services/BotService.js';
 import EloService from '../services/EloService.js';
+import SeasonService from '../services/SeasonService.js';
 import WordService from '../services/WordService.js';
 
 /**
@@ -46,6 +51,172 @@ function getPlayerSocketIds(playerId) {
   return ids;
 }
 
+/**
+ * Emit an event to every human player in a game except one
+ */
+function emitToOthers(io, game, playerId, event, payload) {
+  for (const player of Object.values(game.players)) {
+    if (player.isBot || player.id === playerId) continue;
+    getPlayerSocketIds(player.id).forEach(socketId => {
+      io.to(socketId).emit(event, payload);
+    });
+  }
+}
+
+/**
+ * Share a guess with the other players in a game
+ * Teammates see the word, everyone else only the colors
+ */
+function broadcastGuess(io, game, playerId, guessRecord, fields) {
+  const masked = {
+    playerId,
+    ...GameService.getMaskedGuessForOpponent(guessRecord),
+    ...fields
+  };
+
+  for (const player of Object.values(game.players)) {
+    if (player.isBot || player.id === playerId) continue;
+
+    const isTeammate = GameService.isTeammate(game, player.id, playerId);
+    const unmasked = { ...masked, word: guessRecord.word };
+    getPlayerSocketIds(player.id).forEach(socketId => {
+      if (isTeammate) {
+        io.to(socketId).emit('game:teammate:guess', unmasked);
+      } else {
+        // A shared board is visible to both players
+        io.to(socketId).emit('game:opponent:guess', game.turn ? unmasked : masked);
+      }
+    });
+  }
+
+  broadcastToSpectators(io, game, playerId, guessRecord, fields);
+}
+
+/**
+ * Socket.io room that a game's spectators join
+ */
+function getSpectatorRoom(gameId) {
+  return `spectate:${gameId}`;
+}
+
+/**
+ * Send a guess to a game's spectators: colors now, the word once the
+ * spectator delay has passed
+ */
+function broadcastToSpectators(io, game, playerId, guessRecord, fields) {
+  const room = getSpectatorRoom(game.id);
+  io.to(room).emit('spectate:guess', {
+    gameId: game.id,
+    playerId,
+    ...GameService.getMaskedGuessForOpponent(guessRecord),
+    ...fields
+  });
+
+  if (guessRecord.word) {
+    setTimeout(() => {
+      io.to(room).emit('spectate:reveal', {
+        gameId: game.id,
+        playerId,
+        round: fields.round,
+        guessNumber: guessRecord.guessNumber,
+        word: guessRecord.word
+      });
+    }, GameService.SPECTATOR_DELAY * 1000);
+  }
+}
+
+/**
+ * Send the current party state to all of its members
+ */
+function emitPartyUpdate(io, party) {
+  for (const member of party.members) {
+    getPlayerSocketIds(member.id).forEach(socketId => {
+      io.to(socketId).emit('party:update', {
+        partyId: party.id,
+        leaderId: party.leaderId,
+        members: party.members.map(m => ({ id: m.id, username: m.username, elo: m.elo }))
+      });
+    });
+  }
+}
+
+/**
+ * Remove a player from their party and tell everyone left behind
+ */
+function leaveParty(io, playerId) {
+  const party = MatchmakingService.getParty(playerId);
+  if (!party) return;
+
+  const wasSearching = MatchmakingService.isSearching(party.leaderId);
+  const remaining = MatchmakingService.leaveParty(playerId);
+  if (!remaining) return;
+
+  emitPartyUpdate(io, remaining);
+  if (wasSearching) {
+    emitToParty(io, remaining, 'matchmaking:cancelled');
+  }
+}
+
+/**
+ * Emit an event to every member of a party
+ */
+function emitToParty(io, party, event, payload) {
+  for (const member of party.members) {
+    getPlayerSocketIds(member.id).forEach(socketId => {
+      io.to(socketId).emit(event, payload);
+    });
+  }
+}
+
+/**
+ * Send the current room state to its players
+ */
+function emitRoomUpdate(io, room) {
+  const view = RoomService.getRoomView(room);
+  for (const player of room.players) {
+    getPlayerSocketIds(player.id).forEach(socketId => {
+      io.to(socketId).emit('room:update', view);
+    });
+  }
+}
+
+/**
+ * Remove a player from their room and tell whoever is left
+ */
+function leaveRoom(io, playerId) {
+  const remaining = RoomService.leaveRoom(playerId);
+  if (remaining) {
+    emitRoomUpdate(io, remaining);
+  }
+}
+
+/**
+ * Launch a private room's game once everyone is ready
+ * A host alone in a bot-fill room plays a bot matched to their bot rating
+ */
+async function launchRoom(io, room) {
+  const [host, guest] = room.players;
+  const hostSocket = io.sockets.sockets.get(playerSockets.get(host.id));
+  if (!hostSocket) return;
+
+  RoomService.closeRoom(room.code);
+
+  const opponent = guest
+    ? { id: guest.id, username: guest.username, elo: guest.elo }
+    : MatchmakingService.createBotOpponent(await MatchmakingService.getBotRating(host));
+
+  console.log(`Room ${room.code} starting: ${host.username} vs ${opponent.username}`);
+  // Private games can still be watched by link, but aren't listed
+  await startGame(
+    io,
+    hostSocket,
+    { id: host.id, username: host.username, elo: host.elo },
+    [opponent],
+    room.rules,
+    { listed: false }
+  );
+}
+
 /**
  * Setup all socket event handlers
  * 
@@ -82,6 +253,8 @@ function setupSocketHandlers(io) {
       if (playerId) {
         // Cancel any active matchmaking
         await MatchmakingService.cancelMatchmaking(playerId);
+        leaveParty(io, playerId);
+        leaveRoom(io, playerId);
         
         // Handle game forfeit if in active game - but with grace period for reconnects
         const gameId = socket.gameId;
@@ -102,19 +275,8 @@ function setupSocketHandlers(io) {
             // Player didn't reconnect to this game, check if game is still active
             const game = await GameService.getGame(gameId);
             if (game && game.status === 'active') {
-              // Only forfeit PvP games, not bot games
-              const players = Object.values(game.players);
-              const isBotGame = players.some(p => p.isBot);
-              
-              if (!isBotGame) {
-                console.log(`[Socket] Forfeiting game ${gameId} due to disconnect`);
-                const forfeitedGame = await GameService.forfeitGame(gameId, playerId);
-                if (forfeitedGame) {
-                  notifyGameEnd(io, forfeitedGame, 'forfeit');
-                }
-              } else {
-                console.log(`[Socket] Bot game ${gameId} - not forfeiting on disconnect`);
-              }
+              console.log(`[Socket] Forfeiting game ${gameId} due to disconnect`);
+              await handleForfeit(io, gameId, playerId, 'abandoned');
             }
           }, 10000); // 10 second grace period
         }
@@ -136,30 +298,192 @@ function setupSocketHandlers(io) {
         return;
       }
 
-      console.log(`Matchmaking started for: ${player.username}`);
-      socket.emit('matchmaking:searching');
+      const rules = GameService.normalizeQueueRules(data?.rules);
+
+      // A party queues as one; only its leader can start the search
+      const party = MatchmakingService.getParty(player.id);
+      if (rules.mode === GameService.MODES.TEAMS && party && party.leaderId !== player.id) {
+        socket.emit('error', { message: 'Only the party leader can start matchmaking' });
+        return;
+      }
+
+      console.log(`Matchmaking started for: ${player.username} (${rules.mode}, ${rules.wordLength} letters${rules.hardMode ? ', hard mode' : ''})`);
+      if (rules.mode === GameService.MODES.TEAMS && party) {
+        emitToParty(io, party, 'matchmaking:searching', { rules });
+      } else {
+        socket.emit('matchmaking:searching', { rules });
+      }
+
+      // Queue at the player's rating for this mode (and in team games the
+      // whole party at theirs, so the average comes from one rating pool)
+      const members = await withModeRatings(
+        rules.mode === GameService.MODES.TEAMS ? MatchmakingService.getPartyMembers(player) : [player],
+        rules
+      );
+      const queued = { ...members[0], socketId: socket.id, rules };
 
       await MatchmakingService.startMatchmaking(
-        { ...player, socketId: socket.id },
+        queued,
         // On match found
-        async (opponent) => {
-          console.log(`Match found: ${player.username} vs ${opponent.username}`);
-          await startGame(io, socket, player, opponent);
+        async (opponents, hostTeam = null) => {
+          console.log(`Match found: ${player.username} vs ${opponents.map(o => o.username).join(', ')}`);
+          await startGame(io, socket, { ...player, team: hostTeam }, opponents, rules);
         },
         // On bot spawn
         async (bot) => {
           console.log(`Bot spawned for ${player.username}: ${bot.username}`);
-          await startGame(io, socket, player, bot);
-        }
+          await startGame(io, socket, player, [bot], rules);
+        },
+        [queued, ...members.slice(1)]
       );
     });
 
     socket.on('matchmaking:cancel', async () => {
       const playerId = socket.userData?.id;
-      if (playerId) {
-        await MatchmakingService.cancelMatchmaking(playerId);
-        socket.emit('matchmaking:cancelled');
+      if (!playerId) return;
+
+      // Any member can call off their party's search
+      const party = MatchmakingService.getParty(playerId);
+      if (party && MatchmakingService.isSearching(party.leaderId)) {
+        await MatchmakingService.cancelMatchmaking(party.leaderId);
+        emitToParty(io, party, 'matchmaking:cancelled');
+        return;
+      }
+
+      await MatchmakingService.cancelMatchmaking(playerId);
+      socket.emit('matchmaking:cancelled');
+    });
+
+    // ============================================
+    // Party Events (2v2 teams)
+    // ============================================
+
+    socket.on('party:create', () => {
+      const player = socket.userData;
+      if (!player?.id) {
+        socket.emit('error', { message: 'Not authenticated' });
+        return;
+      }
+
+      leaveParty(io, player.id);
+      const party = MatchmakingService.createParty({
+        id: player.id,
+        username: player.username,
+        elo: player.elo
+      });
+      emitPartyUpdate(io, party);
+    });
+
+    socket.on('party:join', (data) => {
+      const player = socket.userData;
+      if (!player?.id) {
+        socket.emit('error', { message: 'Not authenticated' });
+        return;
+      }
+
+      const previous = MatchmakingService.getParty(player.id);
+      if (previous && previous.id !== String(data?.partyId || '').toUpperCase()) {
+        leaveParty(io, player.id);
+      }
+
+      const result = MatchmakingService.joinParty(data?.partyId, {
+        id: player.id,
+        username: player.username,
+        elo: player.elo
+      });
+      if (!result.success) {
+        socket.emit('party:error', { error: result.error });
+        return;
+      }
+      emitPartyUpdate(io, result.party);
+    });
+
+    socket.on('party:leave', () => {
+      const playerId = socket.userData?.id;
+      if (!playerId) return;
+
+      leaveParty(io, playerId);
+      socket.emit('party:left');
+    });
+
+    // ============================================
+    // Private Room Events
+    // ============================================
+
+    socket.on('room:create', (data) => {
+      const player = socket.userData;
+      if (!player?.id) {
+        socket.emit('error', { message: 'Not authenticated' });
+        return;
       }
+
+      leaveRoom(io, player.id);
+      const room = RoomService.createRoom(
+        { id: player.id, username: player.username, elo: player.elo },
+        data
+      );
+      console.log(`Room ${room.code} created by ${player.username}`);
+      emitRoomUpdate(io, room);
+    });
+
+    socket.on('room:join', (data) => {
+      const player = socket.userData;
+      if (!player?.id) {
+        socket.emit('error', { message: 'Not authenticated' });
+        return;
+      }
+
+      const current = RoomService.getRoom(player.id);
+      if (current && current.code !== String(data?.code || '').toUpperCase()) {
+        leaveRoom(io, player.id);
+      }
+
+      const result = RoomService.joinRoom(data?.code, {
+        id: player.id,
+        username: player.username,
+        elo: player.elo
+      });
+      if (!result.success) {
+        socket.emit('room:error', { error: result.error });
+        return;
+      }
+      emitRoomUpdate(io, result.room);
+    });
+
+    socket.on('room:rules', (data) => {
+      const playerId = socket.userData?.id;
+      if (!playerId) return;
+
+      const result = RoomService.updateSettings(playerId, data);
+      if (!result.success) {
+        socket.emit('room:error', { error: result.error });
+        return;
+      }
+      emitRoomUpdate(io, result.room);
+    });
+
+    socket.on('room:ready', async (data) => {
+      const playerId = socket.userData?.id;
+      if (!playerId) return;
+
+      const room = RoomService.setReady(playerId, data?.ready !== false);
+      if (!room) {
+        socket.emit('room:error', { error: 'You are not in a room' });
+        return;
+      }
+
+      emitRoomUpdate(io, room);
+      if (RoomService.canStart(room)) {
+        await launchRoom(io, room);
+      }
+    });
+
+    socket.on('room:leave', () => {
+      const playerId = socket.userData?.id;
+      if (!playerId) return;
+
+      leaveRoom(io, playerId);
+      socket.emit('room:left');
     });
 
     // ============================================
@@ -167,7 +491,7 @@ function setupSocketHandlers(io) {
     // ============================================
 
     socket.on('game:guess', async (data) => {
-      const { gameId, guess } = data;
+      const { gameId, guess, round } = data;
       const playerId = socket.userData?.id;
 
       console.log(`[Socket] game:guess received - gameId: ${gameId}, guess: ${guess}, playerId: ${playerId}`);
@@ -180,7 +504,7 @@ function setupSocketHandlers(io) {
       }
 
       try {
-        const result = await GameService.processGuess(gameId, playerId, guess);
+        const result = await GameService.processGuess(gameId, playerId, guess, round);
 
         if (!result.success) {
           socket.emit('game:guess:invalid', { error: result.error });
@@ -189,23 +513,22 @@ function setupSocketHandlers(io) {
 
         // Send full result to guesser (includes word)
         socket.emit('game:guess:result', {
-          word: result.guess.word,
-          colors: result.guess.evaluation.map(e => e.color),
-          guessNumber: result.guess.guessNumber,
+          ...GameService.getOwnGuessView(result.guess),
+          round: result.round,
           isCorrect: result.isCorrect,
           remainingGuesses: result.remainingGuesses
         });
 
-        // Send masked result to opponent (colors only)
+        // Send masked result to opponents (colors only), full result to teammates
         const game = await GameService.getGame(gameId);
-        const opponentId = Object.keys(game.players).find(id => id !== playerId);
-        const opponentSocketId = playerSockets.get(opponentId);
-
-        if (opponentSocketId) {
-          io.to(opponentSocketId).emit('game:opponent:guess', {
-            colors: result.guess.evaluation.map(e => e.color),
-            guessNumber: result.guess.guessNumber
-          });
+        broadcastGuess(io, game, playerId, result.guess, {
+          round: result.round,
+          solved: result.isCorrect
+        });
+
+        // Handle series round transitions
+        if (result.roundEnded) {
+          handleRoundEnd(io, game, result.roundResult);
         }
 
         // Handle game end
@@ -213,10 +536,15 @@ function setupSocketHandlers(io) {
           await handleGameEnd(io, game, result.winner);
         }
 
-        // If playing against bot, trigger bot response
-        const gameMeta = activeGames.get(gameId);
-        if (gameMeta?.botInstance && !result.gameEnded) {
-          triggerBotGuess(io, gameId, gameMeta.botInstance, game);
+        // If playing against a bot, trigger bot response
+        // (royale and team bots play on their own from the start;
+        // a turn-based bot learns from the guess and answers on its turn)
+        if (!result.gameEnded && game.turn) {
+          shareGuessWithBots(gameId, playerId, result.guess);
+          emitClock(io, game);
+          triggerTurnBot(io, gameId, game);
+        } else if (!result.gameEnded && game.rules.mode === GameService.MODES.DUEL) {
+          triggerBotGuesses(io, gameId, game);
         }
 
       } catch (error) {
@@ -230,10 +558,37 @@ function setupSocketHandlers(io) {
       const playerId = socket.userData?.id;
 
       if (playerId && gameId) {
-        const game = await GameService.forfeitGame(gameId, playerId);
-        if (game) {
-          notifyGameEnd(io, game, 'forfeit');
-        }
+        await handleForfeit(io, gameId, playerId);
+      }
+    });
+
+    // ============================================
+    // Spectators (anonymous sockets welcome)
+    // ============================================
+
+    socket.on('spectate:join', async (data) => {
+      const gameId = data?.gameId;
+      const game = gameId && await GameService.getGame(gameId);
+
+      if (!game || game.status !== GameService.GAME_STATES.ACTIVE) {
+        socket.emit('spectate:notfound', { gameId });
+        return;
+      }
+
+      // Players can't watch their own game from a second tab
+      const viewerId = socket.user?.id || socket.userData?.id;
+      if (viewerId && game.players[viewerId]) {
+        socket.emit('spectate:error', { error: 'You are playing in this game' });
+        return;
+      }
+
+      socket.join(getSpectatorRoom(gameId));
+      socket.emit('spectate:state', GameService.getSpectatorView(game));
+    });
+
+    socket.on('spectate:leave', (data) => {
+      if (data?.gameId) {
+        socket.leave(getSpectatorRoom(data.gameId));
       }
     });
 
@@ -275,39 +630,28 @@ function setupSocketHandlers(io) {
 
         console.log(`[Socket] Player ${playerId} rejoined game ${gameId}`);
 
-        // Get player's guesses and opponent progress
         const playerData = game.players[playerId];
-        const opponentId = Object.keys(game.players).find(id => id !== playerId);
-        const opponentData = game.players[opponentId];
 
         // Send current game state back to player
         socket.emit('game:rejoined', {
           gameId: game.id,
-          guesses: playerData.guesses.map(g => ({
-            word: g.word,
-            colors: g.evaluation.map(e => e.color),
-            guessNumber: g.guessNumber
-          })),
-          opponentProgress: opponentData.guesses.map(g => ({
-            colors: g.evaluation.map(e => e.color),
-            guessNumber: g.guessNumber
-          })),
-          opponent: {
-            username: opponentData.username,
-            elo: opponentData.elo,
-            isBot: opponentData.isBot
-          }
+          rules: game.rules,
+          round: game.round,
+          ...GameService.getSeriesScore(game, playerId),
+          clock: GameService.getClockView(game, playerId),
+          guesses: GameService.getBoardGuesses(game, playerData).map(g => GameService.getOwnGuessView(g)),
+          opponents: GameService.getOpponentsView(game, playerId)
         });
 
-        // If it's a bot game, make sure the bot keeps playing
-        const gameMeta = activeGames.get(gameId);
-        if (gameMeta?.botInstance && opponentData.isBot) {
-          // Check if bot needs to continue guessing
-          if (opponentData.guesses.length < 6) {
-            setTimeout(() => {
-              triggerBotGuess(io, gameId, gameMeta.botInstance, game);
-            }, 1000);
-          }
+        // If it's a duel against a bot, make sure the bot keeps playing
+        if (game.turn) {
+          setTimeout(() => {
+            triggerTurnBot(io, gameId, game);
+          }, 1000);
+        } else if (game.rules.mode === GameService.MODES.DUEL) {
+          setTimeout(() => {
+            triggerBotGuesses(io, gameId, game);
+          }, 1000);
         }
 
       } catch (error) {
@@ -319,51 +663,247 @@ function setupSocketHandlers(io) {
 }
 
 /**
- * Start a new game between two players
+ * Start a new game between the host and their opponents
  */
-async function startGame(io, socket, player1, player2) {
-  console.log(`[Socket] Starting game for ${player1.username} vs ${player2.username}`);
+async function startGame(io, socket, host, opponents, rules, options = {}) {
+  console.log(`[Socket] Starting game for ${host.username} vs ${opponents.map(o => o.username).join(', ')}`);
   
-  const game = await GameService.createGame(
-    { ...player1, socketId: socket.id },
-    player2
-  );
+  const players = await withModeRatings([{ ...host, socketId: socket.id }, ...opponents], rules);
+  const game = await GameService.createGame(players, rules, options);
 
   console.log(`[Socket] Game created with id: ${game.id}, status: ${game.status}`);
 
-  socket.gameId = game.id;
   activeGames.set(game.id, { 
     game,
-    botInstance: player2.isBot ? BotService.createBotInstance(player2.botDifficulty, game.targetWord) : null
+    botInstances: createBotInstances(game)
   });
+  startGameClock(io, game.id);
 
-  // Notify player 1
-  console.log(`[Socket] Emitting game:start to player1 with gameId: ${game.id}`);
-  socket.emit('game:start', {
-    gameId: game.id,
-    opponent: {
-      username: player2.username,
-      elo: player2.elo,
-      isBot: player2.isBot
+  // Notify every human player
+  for (const player of Object.values(game.players)) {
+    if (player.isBot) continue;
+
+    const playerSocketId = player.id === host.id ? socket.id : playerSockets.get(player.id);
+    const playerSocket = playerSocketId && io.sockets.sockets.get(playerSocketId);
+    if (!playerSocket) continue;
+
+    console.log(`[Socket] Emitting game:start to ${player.username} with gameId: ${game.id}`);
+    playerSocket.gameId = game.id;
+    io.to(playerSocketId).emit('game:start', {
+      gameId: game.id,
+      rules: game.rules,
+      round: game.round,
+      clock: GameService.getClockView(game, player.id),
+      opponents: GameService.getOpponentsView(game, player.id)
+    });
+  }
+
+  // Royale and team bots race on their own from the start;
+  // a turn-based bot only plays when it wins the opening turn
+  if (game.turn) {
+    triggerTurnBot(io, game.id, game);
+  } else if (game.rules.mode !== GameService.MODES.DUEL) {
+    triggerBotGuesses(io, game.id, game);
+  }
+}
+
+/**
+ * Create a solver instance for every bot in the game (botId -> instance)
+ */
+function createBotInstances(game) {
+  const instances = {};
+  for (const player of Object.values(game.players)) {
+    if (player.isBot) {
+      instances[player.id] = game.targetWords
+        ? BotService.createMultiBoardBotInstance(player.botDifficulty, game.targetWords, game.rules)
+        : BotService.createBotInstance(player.botDifficulty, game.targetWord, game.rules);
     }
+  }
+  return instances;
+}
+
+/**
+ * Give each human their rating (and rating deviation) for the mode being
+ * played; bots keep theirs. Falls back to the ratings the players came with
+ * if the database can't be reached.
+ */
+async function withModeRatings(players, rules) {
+  const humans = players.filter(p => !p.isBot);
+
+  try {
+    const ratings = await EloService.getRatings(
+      humans.map(p => p.id),
+      EloService.getRatingMode(rules.mode, players)
+    );
+    return players.map(p => p.isBot ? p : {
+      ...p,
+      elo: ratings[p.id].elo,
+      glickoDeviation: ratings[p.id].glickoDeviation
+    });
+  } catch (error) {
+    console.error('[Socket] Failed to load mode ratings:', error);
+    return players;
+  }
+}
+
+/**
+ * Forfeit a player out of a game ('forfeit' when they give up,
+ * 'abandoned' when they disconnect and don't come back)
+ * A duel ends immediately and is rated; a royale, or a team game where
+ * the player still has a teammate, carries on without them
+ */
+async function handleForfeit(io, gameId, playerId, reason = 'forfeit') {
+  const game = await GameService.forfeitGame(gameId, playerId, reason);
+  if (!game) return;
+
+  const player = game.players[playerId];
+  if (!player.forfeited) {
+    await handleGameEnd(io, game, null, reason);
+    return;
+  }
+
+  // The forfeiting player is out, everyone else plays on
+  const isRoyale = game.rules.mode === GameService.MODES.ROYALE;
+  const standings = isRoyale ? GameService.getStandings(game) : null;
+  getPlayerSocketIds(playerId).forEach(socketId => {
+    io.to(socketId).emit('game:end', {
+      gameId: game.id,
+      result: 'loss',
+      reason,
+      targetWord: game.targetWord,
+      series: null,
+      team: player.team,
+      placement: isRoyale ? standings.find(s => s.playerId === playerId).placement : null,
+      standings,
+      myGuesses: player.guesses.length,
+      eloChange: 0,
+      newElo: player.elo
+    });
   });
+  emitToOthers(io, game, playerId, 'game:opponent:forfeit', { playerId });
+  io.to(getSpectatorRoom(gameId)).emit('spectate:forfeit', { gameId, playerId });
 
-  // Notify player 2 if human
-  if (!player2.isBot) {
-    const player2SocketId = playerSockets.get(player2.id);
-    if (player2SocketId) {
-      const player2Socket = io.sockets.sockets.get(player2SocketId);
-      if (player2Socket) {
-        player2Socket.gameId = game.id;
-        io.to(player2SocketId).emit('game:start', {
-          gameId: game.id,
-          opponent: {
-            username: player1.username,
-            elo: player1.elo,
-            isBot: false
-          }
-        });
-      }
+  if (game.status === GameService.GAME_STATES.FINISHED) {
+    await handleGameEnd(io, game, null);
+  }
+}
+
+/**
+ * Start the once-per-second clock tick for a game
+ */
+function startGameClock(io, gameId) {
+  const gameMeta = activeGames.get(gameId);
+  if (!gameMeta) return;
+
+  gameMeta.clockInterval = setInterval(() => {
+    tickGameClock(io, gameId).catch(error => {
+      console.error(`[Socket] Clock tick failed for game ${gameId}:`, error);
+    });
+  }, 1000);
+}
+
+/**
+ * Stop a game's clock tick
+ */
+function stopGameClock(gameId) {
+  const gameMeta = activeGames.get(gameId);
+  if (gameMeta?.clockInterval) {
+    clearInterval(gameMeta.clockInterval);
+    gameMeta.clockInterval = null;
+  }
+}
+
+/**
+ * Enforce clocks and broadcast the server's remaining time
+ */
+async function tickGameClock(io, gameId) {
+  const events = await GameService.enforceClocks(gameId);
+  if (!events) {
+    stopGameClock(gameId);
+    return;
+  }
+
+  const { game } = events;
+
+  // Burned guesses: full (empty) row to the player, masked row to opponents
+  for (const burned of events.burned) {
+    getPlayerSocketIds(burned.playerId).forEach(sid => {
+      io.to(sid).emit('game:guess:result', {
+        ...GameService.getOwnGuessView(burned.guess),
+        round: burned.round,
+        isCorrect: false,
+        remainingGuesses: burned.remainingGuesses,
+        timedOut: true
+      });
+    });
+
+    broadcastGuess(io, game, burned.playerId, burned.guess, {
+      round: burned.round,
+      timedOut: true
+    });
+  }
+
+  if (events.roundEnded) {
+    handleRoundEnd(io, game, events.roundResult);
+  }
+
+  if (events.gameEnded) {
+    await handleGameEnd(io, game, null, events.matchExpired ? 'timeout' : 'complete');
+    return;
+  }
+
+  emitClock(io, game);
+
+  // A turn that ran out may have handed the board to a bot
+  if (events.passed.length > 0) {
+    triggerTurnBot(io, gameId, game);
+  }
+}
+
+/**
+ * Send every human player the server's remaining time (and whose turn it is)
+ */
+function emitClock(io, game) {
+  for (const player of Object.values(game.players)) {
+    if (player.isBot) continue;
+    getPlayerSocketIds(player.id).forEach(sid => {
+      io.to(sid).emit('game:clock', {
+        gameId: game.id,
+        ...GameService.getClockView(game, player.id)
+      });
+    });
+  }
+}
+
+/**
+ * Let the bot on turn (if any) make its shared-board guess
+ */
+function triggerTurnBot(io, gameId, game) {
+  const player = game.players[game.turn.playerId];
+  if (player.isBot) {
+    triggerBotGuess(io, gameId, player.id, game);
+  }
+}
+
+/**
+ * Feed a shared-board guess to the bots that didn't make it
+ */
+function shareGuessWithBots(gameId, playerId, guessRecord) {
+  const botInstances = activeGames.get(gameId)?.botInstances || {};
+  for (const [botId, botInstance] of Object.entries(botInstances)) {
+    if (botId !== playerId) {
+      BotService.updateBotState(botInstance, guessRecord.word, toPattern(guessRecord.evaluation));
+    }
+  }
+}
+
+/**
+ * Trigger every bot still in the race to make a guess
+ */
+function triggerBotGuesses(io, gameId, game) {
+  for (const player of Object.values(game.players)) {
+    if (player.isBot && !GameService.isPlayerDone(game, player)) {
+      triggerBotGuess(io, gameId, player.id, game);
     }
   }
 }
@@ -371,61 +911,126 @@ async function startGame(io, socket, player1, player2) {
 /**
  * Trigger bot to make a guess
  */
-async function triggerBotGuess(io, gameId, botInstance, game) {
+async function triggerBotGuess(io, gameId, botId, game) {
+  const botInstance = activeGames.get(gameId)?.botInstances[botId];
+  if (!botInstance) return;
+
   // Get bot's next guess with delay
+  // (a turn-based bot answers within half its turn clock)
   const { guess, delayMs } = await BotService.getNextGuess(botInstance);
+  const delay = game.turn ? Math.min(delayMs, game.rules.shotClock * 500) : delayMs;
 
   setTimeout(async () => {
     const currentGame = await GameService.getGame(gameId);
     if (!currentGame || currentGame.status !== 'active') return;
 
-    const botId = Object.keys(currentGame.players).find(
-      id => currentGame.players[id].isBot
-    );
-
-    if (!botId) return;
+    // This bot instance belongs to a round that has already finished
+    if (currentGame.round !== game.round) return;
 
-    const result = await GameService.processGuess(gameId, botId, guess);
+    const result = await GameService.processGuess(gameId, botId, guess, game.round);
     
     if (result.success) {
       // Update bot state
-      const pattern = result.guess.evaluation.map(e => {
-        if (e.color === 'green') return 'G';
-        if (e.color === 'yellow') return 'Y';
-        return 'X';
-      }).join('');
-      
-      BotService.updateBotState(botInstance, guess, pattern);
-
-      // Notify human player of bot's progress (masked)
-      const humanId = Object.keys(currentGame.players).find(id => !currentGame.players[id].isBot);
-      const humanSocketIds = getPlayerSocketIds(humanId);
-      humanSocketIds.forEach(sid => {
-        io.to(sid).emit('game:opponent:guess', {
-          colors: result.guess.evaluation.map(e => e.color),
-          guessNumber: result.guess.guessNumber
-        });
+      if (result.guess.evaluations) {
+        BotService.updateMultiBoardBotState(
+          botInstance,
+          guess,
+          result.guess.evaluations.map(evaluation => evaluation && toPattern(evaluation))
+        );
+      } else {
+        BotService.updateBotState(botInstance, guess, toPattern(result.guess.evaluation));
+      }
+
+      // Notify human players of bot's progress (masked for opponents)
+      broadcastGuess(io, currentGame, botId, result.guess, {
+        round: result.round,
+        solved: result.isCorrect
       });
 
-      // Handle game end
-      if (result.gameEnded) {
+      if (result.roundEnded) {
         const updatedGame = await GameService.getGame(gameId);
-        await handleGameEnd(io, updatedGame, result.winner);
-      } else {
+        handleRoundEnd(io, updatedGame, result.roundResult);
+
+        // Handle game end
+        if (result.gameEnded) {
+          await handleGameEnd(io, updatedGame, result.winner);
+        }
+        // Otherwise the fresh bot instance starts on the player's next guess
+      } else if (currentGame.turn) {
+        // The turn has passed back to the human
+        emitClock(io, await GameService.getGame(gameId));
+      } else if (!result.isCorrect && result.remainingGuesses > 0) {
         // Continue bot guessing if game still active
-        triggerBotGuess(io, gameId, botInstance, currentGame);
+        triggerBotGuess(io, gameId, botId, currentGame);
       }
     }
-  }, delayMs);
+  }, delay);
+}
+
+/**
+ * Turn an evaluation into the bot's pattern string (GXYYX)
+ */
+function toPattern(evaluation) {
+  return evaluation.map(e => {
+    if (e.color === 'green') return 'G';
+    if (e.color === 'yellow') return 'Y';
+    return 'X';
+  }).join('');
+}
+
+/**
+ * Notify players of a finished series round and, unless the series is over,
+ * of the next round. Bots get a fresh instance for the new target word.
+ */
+function handleRoundEnd(io, game, roundResult) {
+  if (game.series.length <= 1) return;
+
+  for (const player of Object.values(game.players)) {
+    if (player.isBot) continue;
+
+    const score = GameService.getSeriesScore(game, player.id);
+    getPlayerSocketIds(player.id).forEach(socketId => {
+      io.to(socketId).emit('series:round:end', {
+        gameId: game.id,
+        round: roundResult.round,
+        result: roundResult.winner === null ? 'draw' : (roundResult.winner === player.id ? 'win' : 'loss'),
+        targetWord: roundResult.targetWord,
+        seriesOver: roundResult.seriesOver,
+        ...score
+      });
+
+      if (!roundResult.seriesOver) {
+        io.to(socketId).emit('series:round:start', {
+          gameId: game.id,
+          round: game.round,
+          ...score
+        });
+      }
+    });
+  }
+
+  const gameMeta = activeGames.get(game.id);
+  if (gameMeta && !roundResult.seriesOver) {
+    gameMeta.botInstances = createBotInstances(game);
+  }
+
+  // Spectators start the next round on fresh boards
+  if (!roundResult.seriesOver) {
+    io.to(getSpectatorRoom(game.id)).emit('spectate:state', GameService.getSpectatorView(game));
+  }
 }
 
 /**
  * Handle game end and ELO updates
  */
-async function handleGameEnd(io, game, winnerInfo) {
+async function handleGameEnd(io, game, winnerInfo, reason = 'complete') {
+  stopGameClock(game.id);
+
   const players = Object.values(game.players);
   const winner = players.find(p => p.id === game.winner);
   const loser = players.find(p => p.id !== game.winner);
+  const isDraw = game.winner === null;
+  const endReason = GameService.getEndReason(game, reason);
 
   const isBotGame = players.some(p => p.isBot);
   const duration = GameService.getGameDuration(game);
@@ -433,7 +1038,59 @@ async function handleGameEnd(io, game, winnerInfo) {
   try {
     let eloResult;
 
-    if (isBotGame) {
+    // A season that ran out mid-game is archived first; the match then
+    // counts toward the new season, from the players' reset ratings
+    if (game.rules.rated && await SeasonService.rollover()) {
+      const refreshed = await withModeRatings(players, game.rules);
+      refreshed.forEach(p => {
+        game.players[p.id].elo = p.elo;
+      });
+    }
+
+    // Repeat abandoners pay extra, in the same transaction as the match
+    const abandonedIds = players.filter(p => p.abandoned).map(p => p.id);
+
+    if (!game.rules.rated) {
+      // Unrated private room: nothing to record
+      eloResult = null;
+    } else if (game.rules.mode === GameService.MODES.ROYALE) {
+      eloResult = await EloService.updateRatingsAfterMultiplayerMatch({
+        participants: GameService.getStandings(game).map(standing => ({
+          ...standing,
+          rating: standing.isBot ? EloService.getBotRating(standing.botDifficulty) : standing.elo
+        })),
+        winnerId: game.winner,
+        mode: game.rules.mode,
+        targetWord: game.targetWord,
+        replayLog: game.replayLog,
+        durationMs: duration,
+        pack: game.rules.pack,
+        locale: game.rules.locale,
+        reason: endReason,
+        abandonedIds
+      });
+    } else if (game.rules.mode === GameService.MODES.TEAMS) {
+      eloResult = await EloService.updateRatingsAfterTeamMatch({
+        participants: players.map(p => ({
+          playerId: p.id,
+          username: p.username,
+          rating: p.isBot ? EloService.getBotRating(p.botDifficulty) : p.elo,
+          team: p.team,
+          guesses: p.guesses.length,
+          solved: p.guesses.some(g => g.word === game.targetWord),
+          isBot: p.isBot,
+          botDifficulty: p.botDifficulty
+        })),
+        winnerId: game.winner,
+        targetWord: game.targetWord,
+        replayLog: game.replayLog,
+        durationMs: duration,
+        pack: game.rules.pack,
+        locale: game.rules.locale,
+        reason: endReason,
+        abandonedIds
+      });
+    } else if (isBotGame) {
       const humanPlayer = players.find(p => !p.isBot);
       const bot = players.find(p => p.isBot);
       
@@ -441,27 +1098,41 @@ async function handleGameEnd(io, game, winnerInfo) {
         playerId: humanPlayer.id,
         playerRating: humanPlayer.elo,
         playerWon: game.winner === humanPlayer.id,
+        isDraw,
         botDifficulty: bot.botDifficulty,
+        mode: game.rules.mode,
         targetWord: game.targetWord,
         replayLog: game.replayLog,
-        durationMs: duration
+        durationMs: duration,
+        pack: game.rules.pack,
+        locale: game.rules.locale,
+        reason: endReason,
+        abandonedIds
       });
-    } else if (winner && loser) {
+    } else if (players.length === 2) {
+      // A draw still goes on record, with the two players in the winner/loser slots
+      const [sideA, sideB] = isDraw ? players : [winner, loser];
       eloResult = await EloService.updateRatingsAfterMatch({
-        winnerId: winner.id,
-        loserId: loser.id,
-        winnerRating: winner.elo,
-        loserRating: loser.elo,
+        winnerId: sideA.id,
+        loserId: sideB.id,
+        winnerRating: sideA.elo,
+        loserRating: sideB.elo,
+        isDraw,
+        mode: game.rules.mode,
         targetWord: game.targetWord,
         replayLog: game.replayLog,
-        durationMs: duration
+        durationMs: duration,
+        pack: game.rules.pack,
+        locale: game.rules.locale,
+        reason: endReason,
+        abandonedIds
       });
     }
 
-    notifyGameEnd(io, game, 'complete', eloResult);
+    notifyGameEnd(io, game, reason, eloResult);
   } catch (error) {
     console.error('Error updating ELO:', error);
-    notifyGameEnd(io, game, 'complete');
+    notifyGameEnd(io, game, reason);
   }
 
   // Cleanup
@@ -470,18 +1141,29 @@ async function handleGameEnd(io, game, winnerInfo) {
 
 /**
  * Notify players of game end
+ * Rated games include each player's tier before and after; tier.change
+ * is 'promoted' or 'demoted' when it moved. With margin of victory on, a
+ * 1v1 race won by solving includes the margin breakdown
+ * ({ guesses, timeGapMs, multiplier, bonus }, bonus negative for the loser)
  */
 function notifyGameEnd(io, game, reason, eloResult = null) {
   const players = Object.values(game.players);
+  const isRoyale = game.rules.mode === GameService.MODES.ROYALE;
+  const isTeams = game.rules.mode === GameService.MODES.TEAMS;
+  const standings = isRoyale ? GameService.getStandings(game) : null;
+  const winner = players.find(p => p.id === game.winner);
+  const solver = players.find(p => p.guesses.some(g => g.word === game.targetWord));
 
   for (const player of players) {
-    if (player.isBot) continue;
+    // Players who dropped out were already told when they left
+    if (player.isBot || player.forfeited) continue;
 
     const socketIds = getPlayerSocketIds(player.id);
     if (socketIds.length === 0) continue;
 
-    const isWinner = game.winner === player.id;
+    const isWinner = GameService.isWinner(game, player.id);
     const opponent = players.find(p => p.id !== player.id);
+    const rating = getRatingChange(eloResult, player.id);
 
     socketIds.forEach(socketId => {
       io.to(socketId).emit('game:end', {
@@ -489,22 +1171,56 @@ function notifyGameEnd(io, game, reason, eloResult = null) {
         result: game.winner === null ? 'draw' : (isWinner ? 'win' : 'loss'),
         reason,
         targetWord: game.targetWord,
-        opponent: {
+        targetWords: game.targetWords ?? null,
+        series: game.series.length > 1 ? {
+          length: game.series.length,
+          ...GameService.getSeriesScore(game, player.id)
+        } : null,
+        opponent: isRoyale || isTeams ? null : {
           username: opponent.username,
-          guesses: opponent.guesses.length
+          guesses: opponent.guesses.length,
+          boardsCleared: opponent.solvedBoards?.filter(Boolean).length ?? null,
+          remaining: opponent.candidates?.length ?? null
         },
+        team: isTeams ? player.team : null,
+        winningTeam: isTeams ? winner?.team ?? null : null,
+        solvedBy: isTeams ? solver?.username ?? null : null,
+        placement: isRoyale ? standings.find(s => s.playerId === player.id).placement : null,
+        standings: standings?.map(standing => ({
+          ...standing,
+          eloChange: getRatingChange(eloResult, standing.playerId)?.delta ?? 0
+        })) ?? null,
         myGuesses: player.guesses.length,
-        eloChange: eloResult ? (
-          isWinner ? eloResult.ratings?.winner?.delta || eloResult.player?.delta :
-          eloResult.ratings?.loser?.delta || eloResult.player?.delta
-        ) : 0,
-        newElo: eloResult ? (
-          isWinner ? eloResult.ratings?.winner?.newRating || eloResult.player?.newRating :
-          eloResult.ratings?.loser?.newRating || eloResult.player?.newRating
-        ) : player.elo
+        myBoardsCleared: player.solvedBoards?.filter(Boolean).length ?? null,
+        myRemaining: player.candidates?.length ?? null,
+        eloChange: rating ? rating.delta : 0,
+        newElo: rating ? rating.newRating : player.elo,
+        tier: rating?.tier ?? null,
+        margin: rating?.margin ?? null
       });
     });
   }
+
+  // Spectators see every word once the game is over
+  io.to(getSpectatorRoom(game.id)).emit('spectate:end', {
+    ...GameService.getSpectatorView(game),
+    reason,
+    eloChanges: Object.fromEntries(players.map(p => [
+      p.id,
+      getRatingChange(eloResult, p.id)?.delta ?? 0
+    ]))
+  });
+}
+
+/**
+ * Pick a player's rating change out of an ELO service result
+ * (multi-player, head-to-head or bot match)
+ */
+function getRatingChange(eloResult, playerId) {
+  if (!eloResult) return null;
+  if (eloResult.participants) return eloResult.participants[playerId] || null;
+  if (eloResult.player) return eloResult.player;
+  return playerId === eloResult.winnerId ? eloResult.ratings?.winner : eloResult.ratings?.loser;
 }
 
 export { setupSocketHandlers };
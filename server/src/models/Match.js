@@ -17,6 +17,7 @@ class Match {
       include: {
         winner: { select: { username: true } },
         loser: { select: { username: true } },
+        participants: { orderBy: { placement: "asc" } },
       },
     });
 
@@ -40,6 +41,7 @@ class Match {
       winnerEloAfter,
       loserEloBefore,
       loserEloAfter,
+      isDraw = false,
       targetWord,
       replayLog,
       durationMs,
@@ -55,6 +57,7 @@ class Match {
         winnerEloAfter,
         loserEloBefore,
         loserEloAfter,
+        isDraw,
         targetWord,
         replayLog,
         durationMs,
@@ -72,15 +75,22 @@ class Match {
 
   /**
    * Get matches for a user
+   * Multi-player matches include the user's own participant row
    */
   static async findByUserId(userId, limit = 20, offset = 0) {
     const matches = await prisma.match.findMany({
       where: {
-        OR: [{ winnerId: userId }, { loserId: userId }],
+        OR: [
+          { winnerId: userId },
+          { loserId: userId },
+          { participants: { some: { userId } } },
+        ],
       },
       include: {
         winner: { select: { username: true } },
         loser: { select: { username: true } },
+        participants: { where: { userId } },
+        _count: { select: { participants: true } },
       },
       orderBy: { playedAt: "desc" },
       take: limit,
@@ -100,11 +110,35 @@ class Match {
   static async countByUserId(userId) {
     return prisma.match.count({
       where: {
-        OR: [{ winnerId: userId }, { loserId: userId }],
+        OR: [
+          { winnerId: userId },
+          { loserId: userId },
+          { participants: { some: { userId } } },
+        ],
       },
     });
   }
 
+  /**
+   * Get a user's match count per dictionary language, most played first
+   */
+  static async countByLocale(userId) {
+    const groups = await prisma.match.groupBy({
+      by: ["locale"],
+      where: {
+        OR: [
+          { winnerId: userId },
+          { loserId: userId },
+          { participants: { some: { userId } } },
+        ],
+      },
+      _count: { locale: true },
+      orderBy: { _count: { locale: "desc" } },
+    });
+
+    return groups.map((g) => ({ locale: g.locale, games: g._count.locale }));
+  }
+
   /**
    * Get recent matches
    */
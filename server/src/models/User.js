@@ -6,6 +6,8 @@
 
 import { prisma } from "../config/prisma.js";
 import { Prisma } from "@prisma/client";
+import EloService from "../services/EloService.js";
+import TierService from "../services/TierService.js";
 
 class User {
   /**
@@ -21,6 +23,7 @@ class User {
         elo: true,
         wins: true,
         losses: true,
+        draws: true,
         gamesPlayed: true,
         createdAt: true,
         updatedAt: true,
@@ -42,6 +45,7 @@ class User {
         elo: true,
         wins: true,
         losses: true,
+        draws: true,
         gamesPlayed: true,
       },
     });
@@ -60,6 +64,7 @@ class User {
         elo: true,
         wins: true,
         losses: true,
+        draws: true,
         gamesPlayed: true,
       },
     });
@@ -132,7 +137,7 @@ class User {
    */
   static async getLeaderboard(limit = 50, offset = 0) {
     const users = await prisma.user.findMany({
-      where: { gamesPlayed: { gt: 0 } },
+      where: { gamesPlayed: { gte: EloService.PROVISIONAL_GAMES } },
       orderBy: { elo: "desc" },
       skip: offset,
       take: limit,
@@ -142,6 +147,7 @@ class User {
         elo: true,
         wins: true,
         losses: true,
+        draws: true,
         gamesPlayed: true,
       },
     });
@@ -154,24 +160,93 @@ class User {
   }
 
   /**
-   * Get user's rank
+   * Get user's rank in one mode's ratings (duel by default)
    */
-  static async getRank(userId) {
-    // rank = 1 + number of users with higher elo (gamesPlayed > 0)
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { elo: true },
+  static async getRank(userId, mode = "duel") {
+    // rank = 1 + number of players with a higher rating in the mode
+    const rating = await prisma.rating.findUnique({
+      where: { userId_mode: { userId, mode } },
+      select: { elo: true, gamesPlayed: true, user: { select: { gamesPlayed: true } } },
     });
-    if (!user) return null;
+    // Not on the board until they've played this season and finished placement
+    if (!rating || rating.gamesPlayed === 0) return null;
+    if (EloService.isProvisional(rating.user.gamesPlayed)) return null;
 
-    const higher = await prisma.user.count({
+    const higher = await prisma.rating.count({
       where: {
+        mode,
         gamesPlayed: { gt: 0 },
-        elo: { gt: user.elo },
+        elo: { gt: rating.elo },
+        user: { gamesPlayed: { gte: EloService.PROVISIONAL_GAMES } },
       },
     });
     return higher + 1;
   }
+
+  /**
+   * Get all of a user's per-mode ratings, most played this season first
+   */
+  static async getRatings(userId) {
+    return prisma.rating.findMany({
+      where: { userId },
+      orderBy: { gamesPlayed: "desc" },
+      select: {
+        mode: true,
+        elo: true,
+        glickoDeviation: true,
+        wins: true,
+        losses: true,
+        draws: true,
+        gamesPlayed: true,
+        tier: true,
+        division: true,
+      },
+    });
+  }
+
+  /**
+   * Get a user's rank tier in one mode (duel by default)
+   * A mode they haven't played yet gets the starting rating's tier
+   */
+  static async getTier(userId, mode = "duel") {
+    const rating = await prisma.rating.findUnique({
+      where: { userId_mode: { userId, mode } },
+      select: { elo: true, tier: true, division: true },
+    });
+    return TierService.fromRow(rating ?? { elo: 1200 });
+  }
+
+  /**
+   * Get a user's final standings in archived seasons, newest season first
+   * (one per mode played), or just those of one season
+   */
+  static async getSeasonStandings(userId, seasonId = null) {
+    return prisma.seasonStanding.findMany({
+      where: seasonId ? { userId, seasonId } : { userId },
+      orderBy: [{ season: { endsAt: "desc" } }, { gamesPlayed: "desc" }],
+      include: { season: true },
+    });
+  }
+
+  /**
+   * Get a user's rating changes in one mode, oldest first
+   * (optionally only those since a date)
+   */
+  static async getRatingHistory(userId, mode, since = null) {
+    return prisma.ratingHistory.findMany({
+      where: since
+        ? { userId, mode, createdAt: { gte: since } }
+        : { userId, mode },
+      orderBy: { createdAt: "asc" },
+      select: {
+        matchId: true,
+        reason: true,
+        eloBefore: true,
+        eloAfter: true,
+        createdAt: true,
+      },
+    });
+  }
 }
 
 export default User;
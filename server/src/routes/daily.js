@@ -0,0 +1,24 @@
+/**
+ * Daily Challenge Routes
+ */
+
+import express from "express";
+import {
+  getDailyLeaderboard,
+  getToday,
+  startDaily,
+  submitDailyGuess,
+} from "../controllers/dailyController.js";
+import {
+  authMiddleware,
+  optionalAuthMiddleware,
+} from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.get("/", optionalAuthMiddleware, getToday);
+router.get("/leaderboard", getDailyLeaderboard);
+router.post("/start", authMiddleware, startDaily);
+router.post("/guess", authMiddleware, submitDailyGuess);
+
+export default router;
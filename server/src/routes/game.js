@@ -3,11 +3,13 @@
  */
 
 import express from "express";
-import { getReplay, getStats } from "../controllers/gameController.js";
+import { getLiveGames, getPacks, getReplay, getStats } from "../controllers/gameController.js";
 
 const router = express.Router();
 
 router.get("/stats", getStats);
+router.get("/packs", getPacks);
+router.get("/live", getLiveGames);
 router.get("/:id/replay", getReplay);
 
 export default router;
@@ -7,12 +7,18 @@ import {
   getLeaderboard,
   getMatches,
   getProfile,
+  getRatingHistory,
+  getSeasons,
 } from "../controllers/userController.js";
+import { getDailyHistory } from "../controllers/dailyController.js";
 
 const router = express.Router();
 
 router.get("/leaderboard", getLeaderboard);
+router.get("/seasons", getSeasons);
 router.get("/:id/profile", getProfile);
 router.get("/:id/matches", getMatches);
+router.get("/:id/rating-history", getRatingHistory);
+router.get("/:id/daily", getDailyHistory);
 
 export default router;
@@ -17,10 +17,15 @@ import WordService from "./WordService.js";
 
 class BotService {
   /**
-   * Pre-computed optimal first guesses (saves CPU on game start)
+   * Pre-computed optimal first guesses per word length (saves CPU on game start)
    * These are calculated offline using full entropy analysis
    */
-  static OPTIMAL_FIRST_GUESSES = ["SALET", "CRANE", "SLATE", "TRACE", "CRATE"];
+  static OPTIMAL_FIRST_GUESSES = {
+    4: ["TALE", "TARE", "SALE", "TEAL", "LATE"],
+    5: ["SALET", "CRANE", "SLATE", "TRACE", "CRATE"],
+    6: ["SATIRE", "SORTIE", "RETAIN", "SALTER", "RECANT"],
+    7: ["REALIST", "CERTAIN", "SALTINE", "LATRINE", "CARTELS"],
+  };
 
   /**
    * Common words filter for Medium difficulty
@@ -735,13 +740,14 @@ class BotService {
    * @returns {string} Pattern string (G=green, Y=yellow, X=grey)
    */
   static getPattern(guess, target) {
-    const result = new Array(5).fill("X");
+    const length = target.length;
+    const result = new Array(length).fill("X");
     const targetChars = target.split("");
     const guessChars = guess.split("");
-    const matched = new Array(5).fill(false);
+    const matched = new Array(length).fill(false);
 
     // First pass: greens
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < length; i++) {
       if (guessChars[i] === targetChars[i]) {
         result[i] = "G";
         matched[i] = true;
@@ -749,9 +755,9 @@ class BotService {
     }
 
     // Second pass: yellows
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < length; i++) {
       if (result[i] === "G") continue;
-      for (let j = 0; j < 5; j++) {
+      for (let j = 0; j < length; j++) {
         if (!matched[j] && guessChars[i] === targetChars[j]) {
           result[i] = "Y";
           matched[j] = true;
@@ -779,6 +785,22 @@ class BotService {
     return true;
   }
 
+  /**
+   * Check if a word is a legal hard mode guess given previous constraints
+   * (revealed greens stay in place, revealed yellows are reused)
+   *
+   * @param {string} word - Word to check
+   * @param {Array} constraints - Array of {guess, pattern} objects
+   * @returns {boolean} True if the word may be guessed in hard mode
+   */
+  static isHardModeLegal(word, constraints) {
+    const colors = { G: "green", Y: "yellow", X: "grey" };
+    const revealed = constraints.map(({ guess, pattern }) =>
+      guess.split("").map((letter, i) => ({ letter, color: colors[pattern[i]] }))
+    );
+    return WordService.getHardModeViolation(word, revealed) === null;
+  }
+
   /**
    * Filter remaining possible answers based on constraints
    *
@@ -792,6 +814,39 @@ class BotService {
     );
   }
 
+  /**
+   * Pick the feedback an adversary (absurdle) gives for a guess
+   * Candidates are partitioned by the pattern the guess would get and the
+   * largest bucket survives. Ties go to the bucket that isn't a solve, then
+   * to the pattern revealing the fewest greens, then the fewest yellows.
+   *
+   * @param {string} guess - The guessed word
+   * @param {Array<string>} candidates - Words still consistent with earlier feedback
+   * @returns {{pattern: string, remaining: Array<string>}} Chosen pattern and surviving candidates
+   */
+  static getAdversarialPattern(guess, candidates) {
+    const bucketSizes = new Map();
+    for (const candidate of candidates) {
+      const pattern = this.getPattern(guess, candidate);
+      bucketSizes.set(pattern, (bucketSizes.get(pattern) || 0) + 1);
+    }
+
+    const solved = "G".repeat(guess.length);
+    const count = (pattern, mark) => pattern.split(mark).length - 1;
+    const [pattern] = [...bucketSizes.entries()]
+      .sort(([a, sizeA], [b, sizeB]) =>
+        sizeB - sizeA ||
+        (a === solved) - (b === solved) ||
+        count(a, "G") - count(b, "G") ||
+        count(a, "Y") - count(b, "Y")
+      )[0];
+
+    return {
+      pattern,
+      remaining: this.filterPossibleAnswers(candidates, [{ guess, pattern }]),
+    };
+  }
+
   /**
    * Calculate Shannon Entropy (Expected Information) for a guess
    *
@@ -864,11 +919,31 @@ class BotService {
    * @param {Array<string>} possibleAnswers - Remaining possible answers
    * @param {Array} constraints - Previous guess constraints
    * @param {number} guessNumber - Current guess number (1-6)
+   * @param {number} wordLength - Word length of the match
+   * @param {boolean} hardMode - Only pick guesses that honor revealed hints
+   * @param {string} locale - Match locale (starters and common words are English)
    * @returns {string} Selected guess word
    */
-  static selectGuess(difficulty, possibleAnswers, constraints, guessNumber) {
+  static selectGuess(
+    difficulty,
+    possibleAnswers,
+    constraints,
+    guessNumber,
+    wordLength = WordService.DEFAULT_WORD_LENGTH,
+    hardMode = false,
+    locale = WordService.DEFAULT_LOCALE
+  ) {
     const config = this.DIFFICULTIES[difficulty] || this.DIFFICULTIES.medium;
-    const allValidGuesses = WordService.getAllValidGuesses();
+    const isEnglish = locale === WordService.DEFAULT_LOCALE;
+    let allValidGuesses = WordService.getAllValidGuesses(wordLength, locale);
+
+    // Hard mode: every candidate (including waste words) must be legal.
+    // Possible answers always are, so the pool can never end up empty.
+    if (hardMode) {
+      allValidGuesses = allValidGuesses.filter((w) =>
+        this.isHardModeLegal(w, constraints)
+      );
+    }
 
     // Filter to common words for easy/medium when requested
     let filteredAnswers = possibleAnswers;
@@ -883,14 +958,17 @@ class BotService {
     // First guess optimization: use pre-computed optimal starter
     if (guessNumber === 1 && constraints.length === 0) {
       if (difficulty === "easy") {
-        // Easy bot picks random common word
-        const commonArray = Array.from(this.COMMON_WORDS);
-        return commonArray[Math.floor(Math.random() * commonArray.length)];
+        // Easy bot picks random common word (any answer for non-5 lengths)
+        const commonArray = isEnglish
+          ? Array.from(this.COMMON_WORDS).filter((w) => w.length === wordLength)
+          : [];
+        const pool = commonArray.length ? commonArray : possibleAnswers;
+        return pool[Math.floor(Math.random() * pool.length)];
       }
       // Other difficulties use optimal first guess
-      return this.OPTIMAL_FIRST_GUESSES[
-        Math.floor(Math.random() * this.OPTIMAL_FIRST_GUESSES.length)
-      ];
+      const starters =
+        (isEnglish && this.OPTIMAL_FIRST_GUESSES[wordLength]) || possibleAnswers;
+      return starters[Math.floor(Math.random() * starters.length)];
     }
 
     // If only one answer remains, guess it
@@ -1025,28 +1103,71 @@ class BotService {
    * Create a bot player instance for a game
    *
    * @param {string} difficulty - Bot difficulty level
-   * @param {string} targetWord - The target word (bot doesn't know this directly)
+   * @param {string|null} targetWord - The target word (bot doesn't know this directly;
+   *   null in absurdle, where the server never commits to one)
+   * @param {Object} [rules] - Match rules (wordLength, hardMode, pack and locale are honored)
    * @returns {Object} Bot instance
    */
-  static createBotInstance(difficulty, targetWord) {
+  static createBotInstance(difficulty, targetWord, rules = {}) {
+    const wordLength = targetWord ? targetWord.length : rules.wordLength;
     return {
       difficulty,
       targetWord,
-      possibleAnswers: WordService.getAllAnswers(),
+      wordLength,
+      hardMode: Boolean(rules.hardMode),
+      locale: rules.locale || WordService.DEFAULT_LOCALE,
+      possibleAnswers: WordService.getAllAnswers(wordLength, rules.pack, rules.locale),
       constraints: [],
       guessCount: 0,
     };
   }
 
+  /**
+   * Create a bot instance for a multi-board (quordle) game
+   * Each board keeps its own solver; guesses are shared across them
+   *
+   * @param {string} difficulty - Bot difficulty level
+   * @param {string[]} targetWords - One target per board
+   * @param {Object} [rules] - Match rules (pack and locale are honored)
+   * @returns {Object} Multi-board bot instance
+   */
+  static createMultiBoardBotInstance(difficulty, targetWords, rules = {}) {
+    return {
+      difficulty,
+      boards: targetWords.map((word) =>
+        this.createBotInstance(difficulty, word, { ...rules, hardMode: false })
+      ),
+      solved: targetWords.map(() => false),
+      guessCount: 0,
+    };
+  }
+
   /**
    * Get bot's next guess
+   * A multi-board bot works on the unsolved board it is closest to solving
    *
    * @param {Object} botInstance - Bot instance from createBotInstance
+   *   or createMultiBoardBotInstance
    * @returns {Promise<{guess: string, delayMs: number}>} Guess with artificial delay
    */
   static async getNextGuess(botInstance) {
-    const { difficulty, possibleAnswers, constraints, guessCount } =
-      botInstance;
+    if (botInstance.boards) {
+      const [focus] = botInstance.boards
+        .filter((_, i) => !botInstance.solved[i])
+        .sort((a, b) => a.possibleAnswers.length - b.possibleAnswers.length);
+      focus.guessCount = botInstance.guessCount;
+      return this.getNextGuess(focus);
+    }
+
+    const {
+      difficulty,
+      possibleAnswers,
+      constraints,
+      guessCount,
+      wordLength,
+      hardMode,
+      locale,
+    } = botInstance;
     const config = this.DIFFICULTIES[difficulty] || this.DIFFICULTIES.medium;
 
     // Select the guess
@@ -1054,7 +1175,10 @@ class BotService {
       difficulty,
       possibleAnswers,
       constraints,
-      guessCount + 1
+      guessCount + 1,
+      wordLength,
+      hardMode,
+      locale
     );
 
     // Calculate artificial delay to seem human (per difficulty)
@@ -1081,15 +1205,35 @@ class BotService {
     );
   }
 
+  /**
+   * Update a multi-board bot after a guess result
+   *
+   * @param {Object} botInstance - Multi-board bot instance
+   * @param {string} guess - The guess made
+   * @param {Array<string|null>} patterns - Pattern per board (null for boards already solved)
+   */
+  static updateMultiBoardBotState(botInstance, guess, patterns) {
+    botInstance.guessCount++;
+    patterns.forEach((pattern, i) => {
+      if (!pattern) return;
+      if (pattern === "G".repeat(pattern.length)) {
+        botInstance.solved[i] = true;
+      } else {
+        this.updateBotState(botInstance.boards[i], guess, pattern);
+      }
+    });
+  }
+
   /**
    * Simulate a full bot game (for testing)
    *
    * @param {string} targetWord - The word to guess
    * @param {string} difficulty - Bot difficulty
+   * @param {Object} [rules] - Match rules
    * @returns {Array<{guess: string, pattern: string}>} Guess history
    */
-  static simulateGame(targetWord, difficulty = "hard") {
-    const botInstance = this.createBotInstance(difficulty, targetWord);
+  static simulateGame(targetWord, difficulty = "hard", rules = {}) {
+    const botInstance = this.createBotInstance(difficulty, targetWord, rules);
     const history = [];
 
     for (let i = 0; i < 6; i++) {
@@ -1097,13 +1241,16 @@ class BotService {
         difficulty,
         botInstance.possibleAnswers,
         botInstance.constraints,
-        i + 1
+        i + 1,
+        botInstance.wordLength,
+        botInstance.hardMode,
+        botInstance.locale
       );
 
       const pattern = this.getPattern(guess, targetWord);
       history.push({ guess, pattern });
 
-      if (pattern === "GGGGG") break;
+      if (pattern === "G".repeat(targetWord.length)) break;
 
       this.updateBotState(botInstance, guess, pattern);
     }
@@ -0,0 +1,279 @@
+/**
+ * DailyService - Daily Challenge
+ * 
+ * One shared word for everyone per (UTC) day:
+ * - The word is picked deterministically by WordService.getDailyAnswer
+ *   from the configured dictionary pack (DAILY_PACK, standard by default)
+ * - Every player gets a single attempt, timed from when they start it
+ * - The daily board ranks solvers by fewest guesses, then fastest time
+ * - Streaks count consecutive days solved
+ */
+
+import { prisma } from '../config/prisma.js';
+import WordService from './WordService.js';
+import GameService from './GameService.js';
+
+class DailyService {
+  /**
+   * Daily challenge word length and guess limit
+   */
+  static WORD_LENGTH = 5;
+  static MAX_GUESSES = GameService.MAX_GUESSES;
+
+  /**
+   * Get the dictionary pack the daily word is drawn from
+   * An unknown pack falls back to the full answer list
+   * 
+   * @returns {string} Pack ID
+   */
+  static getPack() {
+    const pack = process.env.DAILY_PACK;
+    return WordService.hasPack(pack, this.WORD_LENGTH) ? pack : WordService.DEFAULT_PACK;
+  }
+
+  /**
+   * Get the day key for a date (YYYY-MM-DD, UTC)
+   * 
+   * @param {Date} [date] - Date (defaults to now)
+   * @returns {string} Day key
+   */
+  static getDayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Check that a day key is well formed
+   * 
+   * @param {string} day - Day key
+   * @returns {boolean} True if it is a YYYY-MM-DD date
+   */
+  static isValidDayKey(day) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(day) && !isNaN(this.toDate(day));
+  }
+
+  /**
+   * Convert a day key to the Date stored in the day column
+   * 
+   * @param {string} day - Day key
+   * @returns {Date} Midnight UTC of that day
+   */
+  static toDate(day) {
+    return new Date(`${day}T00:00:00.000Z`);
+  }
+
+  /**
+   * Get a player's attempt for a day
+   * 
+   * @param {string} userId - Player ID
+   * @param {string} [day] - Day key (defaults to today)
+   * @returns {Object|null} Attempt row or null
+   */
+  static async getAttempt(userId, day = this.getDayKey()) {
+    return prisma.dailyAttempt.findUnique({
+      where: { userId_day: { userId, day: this.toDate(day) } }
+    });
+  }
+
+  /**
+   * Start (or resume) today's attempt
+   * The clock starts on the first call; resuming never resets it
+   * 
+   * @param {string} userId - Player ID
+   * @returns {Object} { success, attempt } or { success: false, error }
+   */
+  static async startAttempt(userId) {
+    const day = this.getDayKey();
+    const existing = await this.getAttempt(userId, day);
+
+    if (existing?.completed) {
+      return { success: false, error: "You already played today's challenge" };
+    }
+    if (existing) {
+      return { success: true, attempt: existing };
+    }
+
+    try {
+      const attempt = await prisma.dailyAttempt.create({
+        data: {
+          userId,
+          day: this.toDate(day),
+          targetWord: WordService.getDailyAnswer(day, this.WORD_LENGTH, this.getPack())
+        }
+      });
+      return { success: true, attempt };
+    } catch (error) {
+      // Started twice at once: the unique (user, day) constraint keeps one row
+      if (error.code === 'P2002') {
+        return { success: true, attempt: await this.getAttempt(userId, day) };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Submit a guess on today's attempt
+   * 
+   * @param {string} userId - Player ID
+   * @param {string} guess - The guessed word
+   * @returns {Object} Guess result or { success: false, error }
+   */
+  static async submitGuess(userId, guess) {
+    guess = String(guess || '').toUpperCase();
+
+    const attempt = await this.getAttempt(userId);
+    if (!attempt) {
+      return { success: false, error: "Start today's challenge first" };
+    }
+    if (attempt.completed) {
+      return { success: false, error: "You already played today's challenge" };
+    }
+    if (guess.length !== attempt.targetWord.length) {
+      return { success: false, error: `Guess must be ${attempt.targetWord.length} letters` };
+    }
+    if (!WordService.isValidGuess(guess)) {
+      return { success: false, error: 'Not a valid word' };
+    }
+
+    const now = Date.now();
+    const colors = WordService.evaluateGuess(guess, attempt.targetWord).map(e => e.color);
+    const guesses = [...attempt.guesses, { word: guess, colors, timestamp: now }];
+    const isCorrect = guess === attempt.targetWord;
+    const completed = isCorrect || guesses.length >= this.MAX_GUESSES;
+
+    const data = {
+      guesses,
+      guessCount: guesses.length,
+      solved: isCorrect,
+      completed,
+      solveTimeMs: isCorrect ? now - attempt.startedAt.getTime() : null,
+      completedAt: completed ? new Date(now) : null
+    };
+
+    // Only write over the attempt we scored against: a guess sent alongside
+    // another one loses, so the colors of an unsaved guess are never revealed
+    const { count } = await prisma.dailyAttempt.updateMany({
+      where: { id: attempt.id, guessCount: attempt.guessCount, completed: false },
+      data
+    });
+    if (count === 0) {
+      return { success: false, error: 'Another guess was submitted at the same time' };
+    }
+    const updated = { ...attempt, ...data };
+
+    return {
+      success: true,
+      guess: { word: guess, colors, guessNumber: guesses.length },
+      isCorrect,
+      remainingGuesses: this.MAX_GUESSES - guesses.length,
+      attempt: this.getAttemptView(updated)
+    };
+  }
+
+  /**
+   * Shape an attempt for its player (the word stays hidden until it is over)
+   * 
+   * @param {Object} attempt - Attempt row
+   * @returns {Object} Attempt view
+   */
+  static getAttemptView(attempt) {
+    return {
+      day: this.getDayKey(attempt.day),
+      guesses: attempt.guesses.map(({ word, colors }, i) => ({ word, colors, guessNumber: i + 1 })),
+      guessCount: attempt.guessCount,
+      solved: attempt.solved,
+      completed: attempt.completed,
+      solveTimeMs: attempt.solveTimeMs,
+      startedAt: attempt.startedAt,
+      targetWord: attempt.completed ? attempt.targetWord : null
+    };
+  }
+
+  /**
+   * Get a day's leaderboard
+   * Solvers only, by fewest guesses then fastest solve
+   * 
+   * @param {string} [day] - Day key (defaults to today)
+   * @param {number} [limit] - Page size
+   * @param {number} [offset] - Page offset
+   * @returns {Object} { day, players, total, played }
+   */
+  static async getLeaderboard(day = this.getDayKey(), limit = 50, offset = 0) {
+    const where = { day: this.toDate(day), solved: true };
+
+    const [attempts, total, played] = await Promise.all([
+      prisma.dailyAttempt.findMany({
+        where,
+        orderBy: [{ guessCount: 'asc' }, { solveTimeMs: 'asc' }],
+        skip: offset,
+        take: limit,
+        include: { user: { select: { username: true } } }
+      }),
+      prisma.dailyAttempt.count({ where }),
+      prisma.dailyAttempt.count({ where: { day: this.toDate(day), completed: true } })
+    ]);
+
+    return {
+      day,
+      players: attempts.map((a, idx) => ({
+        rank: offset + idx + 1,
+        id: a.userId,
+        username: a.user.username,
+        guesses: a.guessCount,
+        solveTimeMs: a.solveTimeMs
+      })),
+      total,
+      played
+    };
+  }
+
+  /**
+   * Get a player's daily history and streaks
+   * A streak is a run of consecutive days solved; a missed or failed day ends it
+   * 
+   * @param {string} userId - Player ID
+   * @param {number} [limit] - Number of recent days to list
+   * @returns {Object} { currentStreak, maxStreak, played, solved, history }
+   */
+  static async getStreakHistory(userId, limit = 30) {
+    const attempts = await prisma.dailyAttempt.findMany({
+      where: { userId, completed: true },
+      orderBy: { day: 'asc' },
+      select: { day: true, solved: true, guessCount: true, solveTimeMs: true }
+    });
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let streak = 0;
+    let maxStreak = 0;
+    let lastSolvedDay = null;
+
+    for (const attempt of attempts) {
+      const day = attempt.day.getTime();
+      if (!attempt.solved) {
+        streak = 0;
+      } else {
+        streak = lastSolvedDay === day - DAY_MS ? streak + 1 : 1;
+        lastSolvedDay = day;
+      }
+      maxStreak = Math.max(maxStreak, streak);
+    }
+
+    // The current streak survives until today's challenge is missed
+    const today = this.toDate(this.getDayKey()).getTime();
+    const isCurrent = lastSolvedDay !== null && today - lastSolvedDay <= DAY_MS;
+
+    return {
+      currentStreak: isCurrent ? streak : 0,
+      maxStreak,
+      played: attempts.length,
+      solved: attempts.filter(a => a.solved).length,
+      history: attempts.slice(-limit).reverse().map(a => ({
+        day: this.getDayKey(a.day),
+        solved: a.solved,
+        guesses: a.guessCount,
+        solveTimeMs: a.solveTimeMs
+      }))
+    };
+  }
+}
+
+export default DailyService;
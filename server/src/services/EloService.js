@@ -11,20 +11,81 @@
  * - R_A, R_B = Current ratings of players A and B
  * - E_A = Expected score (probability of winning) for player A
  * - S_A = Actual score (1 for win, 0 for loss, 0.5 for draw)
- * - K = K-factor determining rating volatility
+ * - K = K-factor determining rating volatility (per player; higher for
+ *   players still in their PROVISIONAL_GAMES placement matches)
+ *
+ * Multi-player matches (battle royale) are scored as a round robin of
+ * head-to-head results between every pair of players, with the K-factor
+ * divided by (N - 1) so a full lobby moves a rating about as much as a duel.
+ *
+ * Team matches (2v2) rate each team by its average rating and apply the
+ * team's rating change to every member.
+ *
+ * Glicko-2 values (see GlickoService) are updated in the same transaction
+ * for every rated match. RATING_SYSTEM picks which of the two drives the
+ * shown rating: "elo" (default) or "glicko".
+ *
+ * Every game mode keeps its own rating (the ratings table), and 1v1 bot
+ * matches count toward a separate "bot" rating. users.elo mirrors the
+ * duel rating.
+ *
+ * With MARGIN_OF_VICTORY on (ELO only), 1v1 races also scale the result
+ * by how decisively they were won (guesses and solve time), zero-sum
+ * between the two players.
+ *
+ * Every rating change is logged to rating_history in the same transaction
+ * that makes it, and each rating row keeps the player's rank tier for the
+ * mode (see TierService).
+ *
+ * Each bot difficulty has its own persisted rating (the bot_ratings table),
+ * updated from the other side of every 1v1 bot match, so bots settle at the
+ * strength they actually play at. Royale and team matches use the bots'
+ * current ratings but don't change them.
  */
 
 import { prisma } from "../config/prisma.js";
+import GameService from "./GameService.js";
+import GlickoService from "./GlickoService.js";
+import TierService from "./TierService.js";
 
 class EloService {
+  /**
+   * Rating system behind the shown rating: "elo" or "glicko"
+   */
+  static RATING_SYSTEM = process.env.RATING_SYSTEM === "glicko" ? "glicko" : "elo";
+
+  /**
+   * Ratings kept per player: one per game mode, plus 1v1 bot matches
+   * The duel rating is the default (and is mirrored on users.elo)
+   */
+  static DEFAULT_RATING_MODE = GameService.MODES.DUEL;
+  static BOT_RATING_MODE = "bot";
+  static RATING_MODES = [...Object.values(GameService.MODES), this.BOT_RATING_MODE];
+
+  /**
+   * Why a rating_history entry was written
+   */
+  static HISTORY_REASONS = {
+    MATCH: "match",
+    ABANDON_PENALTY: "abandon_penalty",
+    SEASON_RESET: "season_reset",
+  };
+
   /**
    * K-Factor: Controls rating volatility
    * - Higher K = Larger rating changes per game
    * - 32 is standard for active competition
-   * - Could be dynamic based on games played (e.g., K=40 for new players)
+   * - Rated matches use getDynamicKFactor per player; K_FACTOR is the
+   *   default when no experience is given (and what bots are rated with)
    */
   static K_FACTOR = 32;
 
+  /**
+   * Rated games a new account plays before it's ranked: until then it is
+   * shown as provisional, kept off the leaderboard and rated with a higher K
+   */
+  static PROVISIONAL_GAMES = 10;
+
   /**
    * Minimum rating floor to prevent negative ratings
    */
@@ -41,6 +102,50 @@ class EloService {
    */
   static SCALE_FACTOR = 400;
 
+  /**
+   * Starting bot ratings by difficulty; from there every 1v1 bot match
+   * rates the bot too, so each difficulty settles at what it really plays
+   * like (stored in bot_ratings)
+   */
+  static BOT_STARTING_RATINGS = {
+    easy: 800,
+    medium: 1100,
+    hard: 1400,
+    impossible: 1800,
+  };
+
+  /**
+   * Current bot ratings, loaded by loadBotRatings and kept up to date
+   * after every bot match
+   */
+  static botRatings = { ...this.BOT_STARTING_RATINGS };
+
+  /**
+   * Weight of a result against a bot (bot matches give reduced ELO)
+   */
+  static BOT_MATCH_WEIGHT = 0.5;
+
+  /**
+   * Abandonment penalty: on top of the rated loss, every abandonment after
+   * the first within the window costs ABANDON_PENALTY more points (capped)
+   */
+  static ABANDON_PENALTY = 15;
+  static MAX_ABANDON_PENALTY = 60;
+  static ABANDON_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+  /**
+   * Margin of victory (off unless MARGIN_OF_VICTORY=true, ELO only): a 1v1
+   * race won by a wide margin moves ratings further than a photo finish
+   * - The guess margin adds up to MARGIN_GUESS_WEIGHT (a full board's lead)
+   * - The solve-time gap adds up to MARGIN_TIME_WEIGHT (MARGIN_TIME_SCALE_MS or more)
+   * - The winner's delta is scaled by at most MAX_MARGIN_MULTIPLIER
+   */
+  static MARGIN_OF_VICTORY = process.env.MARGIN_OF_VICTORY === "true";
+  static MARGIN_GUESS_WEIGHT = 0.3;
+  static MARGIN_TIME_WEIGHT = 0.2;
+  static MARGIN_TIME_SCALE_MS = 60 * 1000;
+  static MAX_MARGIN_MULTIPLIER = 1.4;
+
   /**
    * Calculate the expected score (win probability) for a player
    *
@@ -98,8 +203,15 @@ class EloService {
   /**
    * Calculate rating changes for both players after a match
    *
+   * In a draw both players score 0.5; "winner" and "loser" then just
+   * name the two sides.
+   *
    * @param {number} winnerRating - Current rating of the winner
    * @param {number} loserRating - Current rating of the loser
+   * @param {boolean} [isDraw] - Whether the match was drawn
+   * @param {Object} [kFactors] - K-factor of each side (K_FACTOR if not given)
+   * @param {number} [kFactors.winner] - Winner's K-factor
+   * @param {number} [kFactors.loser] - Loser's K-factor
    * @returns {Object} Rating changes for both players
    *
    * @example
@@ -109,7 +221,12 @@ class EloService {
    * //   loser:  { oldRating: 1300, newRating: 1282, delta: -18 }
    * // }
    */
-  static calculateMatchResult(winnerRating, loserRating) {
+  static calculateMatchResult(
+    winnerRating,
+    loserRating,
+    isDraw = false,
+    { winner: winnerK = this.K_FACTOR, loser: loserK = this.K_FACTOR } = {}
+  ) {
     // Calculate expected scores
     const winnerExpected = this.calculateExpectedScore(
       winnerRating,
@@ -120,16 +237,18 @@ class EloService {
       winnerRating
     );
 
-    // Calculate new ratings (winner gets 1, loser gets 0)
+    // Calculate new ratings (winner gets 1, loser gets 0, 0.5 each in a draw)
     const winnerNewRating = this.calculateNewRating(
       winnerRating,
       winnerExpected,
-      1
+      isDraw ? 0.5 : 1,
+      winnerK
     );
     const loserNewRating = this.calculateNewRating(
       loserRating,
       loserExpected,
-      0
+      isDraw ? 0.5 : 0,
+      loserK
     );
 
     return {
@@ -146,6 +265,116 @@ class EloService {
     };
   }
 
+  /**
+   * Whether a 1v1 result gets a margin of victory: only with the model on,
+   * under ELO (Glicko-2 drives its own rating) and for a match won by solving
+   *
+   * @param {boolean} isDraw - Whether the match was drawn
+   * @param {string} [reason] - How the match ended
+   * @returns {boolean} True if calculateMargin applies
+   */
+  static usesMargin(isDraw, reason) {
+    return (
+      this.MARGIN_OF_VICTORY &&
+      this.RATING_SYSTEM === "elo" &&
+      !isDraw &&
+      reason === GameService.END_REASONS.SOLVED
+    );
+  }
+
+  /**
+   * Measure how decisively a 1v1 race was won, from its replay log
+   *
+   * Only the deciding round counts, and only when the match winner won it
+   * by solving. The loser needs at least one more guess than they've made
+   * (and can't solve at all once out of guesses); the guess margin is how
+   * many guesses sooner the winner got there. The solve-time gap is how
+   * much longer the loser would have taken at their own pace so far.
+   * Turn-based games share one board, so they have no margin.
+   *
+   * @param {Object[]} replayLog - Replay log of the match
+   * @param {string} winnerId - Player who won the match
+   * @returns {Object|null} { guesses, timeGapMs, multiplier }, or null if
+   *   the match wasn't won by solving
+   *
+   * @example
+   * // Solved in 2 while the opponent is stuck on guess 6 of 6 (5 made),
+   * // and 40s before they'd have got there at their pace
+   * // guesses = 6 - 2 = 4, multiplier = 1 + 0.3 * 4/6 + 0.2 * 40/60 = 1.33
+   */
+  static calculateMargin(replayLog, winnerId) {
+    const start = replayLog?.[0];
+    const lastRound = replayLog?.findLast((entry) => entry.type === "round_end");
+    if (!start?.players || lastRound?.winner !== winnerId) return null;
+    if (start.rules?.mode === GameService.MODES.TURNS) return null;
+
+    const loser = start.players.find((p) => p.id !== winnerId);
+    const roundStart = replayLog.find(
+      (entry) => entry.type === "round_start" && entry.round === lastRound.round
+    );
+    if (!loser || !roundStart) return null;
+
+    // Guesses (and burned shot clocks) made in the deciding round
+    const guessesOf = (playerId) =>
+      replayLog.filter(
+        (entry) =>
+          entry.playerId === playerId && entry.round === lastRound.round && entry.data
+      );
+    const winnerGuesses = guessesOf(winnerId).length;
+    const loserGuesses = guessesOf(loser.id);
+
+    const maxGuesses = start.rules?.maxGuesses || GameService.MAX_GUESSES;
+    const outOfGuesses = loserGuesses.length >= maxGuesses;
+    const loserBest = outOfGuesses ? maxGuesses + 1 : loserGuesses.length + 1;
+    const guesses = Math.max(loserBest - winnerGuesses, 0);
+
+    let timeGapMs = 0;
+    if (!outOfGuesses && loserGuesses.length > 0) {
+      const pace =
+        (loserGuesses.at(-1).data.timestamp - roundStart.timestamp) / loserGuesses.length;
+      const winnerSolveMs = lastRound.endTime - roundStart.timestamp;
+      timeGapMs = Math.max(Math.round(pace * loserBest - winnerSolveMs), 0);
+    }
+
+    const multiplier = Math.min(
+      1 +
+        this.MARGIN_GUESS_WEIGHT * Math.min(guesses / maxGuesses, 1) +
+        this.MARGIN_TIME_WEIGHT * Math.min(timeGapMs / this.MARGIN_TIME_SCALE_MS, 1),
+      this.MAX_MARGIN_MULTIPLIER
+    );
+
+    return { guesses, timeGapMs, multiplier: Math.round(multiplier * 100) / 100 };
+  }
+
+  /**
+   * Apply a margin of victory to a 1v1 result
+   * The winner gains their delta times (multiplier - 1) on top, and the
+   * loser gives up exactly the same points (never going below MIN_RATING),
+   * so the bonus is zero-sum
+   *
+   * @param {Object} winner - Winner's { oldRating, newRating, delta }, updated in place
+   * @param {Object} loser - Loser's { oldRating, newRating, delta }, updated in place
+   * @param {Object|null} margin - See calculateMargin
+   */
+  static applyMargin(winner, loser, margin) {
+    if (!margin) return;
+
+    const bonus = Math.max(
+      Math.min(
+        Math.round(winner.delta * (margin.multiplier - 1)),
+        loser.newRating - this.MIN_RATING
+      ),
+      0
+    );
+
+    winner.newRating += bonus;
+    winner.delta += bonus;
+    winner.margin = { ...margin, bonus };
+    loser.newRating -= bonus;
+    loser.delta -= bonus;
+    loser.margin = { ...margin, bonus: -bonus };
+  }
+
   /**
    * Update ratings and create match record in a single transaction
    *
@@ -157,9 +386,15 @@ class EloService {
    * @param {string} matchData.loserId - UUID of the losing player
    * @param {number} matchData.winnerRating - Current rating of winner
    * @param {number} matchData.loserRating - Current rating of loser
+   * @param {boolean} [matchData.isDraw] - Nobody won (winner/loser are just the two sides)
+   * @param {string} [matchData.mode] - Game mode (duel or quordle)
    * @param {string} matchData.targetWord - The word that was being guessed
    * @param {Object} matchData.replayLog - JSONB replay data
    * @param {number} matchData.durationMs - Match duration in milliseconds
+   * @param {string} [matchData.pack] - Dictionary pack the word came from
+   * @param {string} [matchData.locale] - Dictionary language of the match
+   * @param {string} [matchData.reason] - How it ended: solved, exhausted, forfeit, abandoned or timeout
+   * @param {string[]} [matchData.abandonedIds] - Players who abandoned (see applyAbandonPenalty)
    * @returns {Object} Match result with new ratings
    */
   static async updateRatingsAfterMatch(matchData) {
@@ -168,52 +403,92 @@ class EloService {
       loserId,
       winnerRating,
       loserRating,
+      isDraw = false,
+      mode,
       targetWord,
       replayLog,
       durationMs,
+      pack,
+      locale,
+      reason,
+      abandonedIds = [],
     } = matchData;
 
-    // Calculate rating changes
-    const ratingResult = this.calculateMatchResult(winnerRating, loserRating);
+    // Calculate rating changes, each player with their own K-factor
+    const gamesPlayed = await this.getGamesPlayed([winnerId, loserId]);
+    const ratingResult = this.calculateMatchResult(winnerRating, loserRating, isDraw, {
+      winner: this.getDynamicKFactor(gamesPlayed[winnerId]),
+      loser: this.getDynamicKFactor(gamesPlayed[loserId]),
+    });
+    if (this.usesMargin(isDraw, reason)) {
+      this.applyMargin(
+        ratingResult.winner,
+        ratingResult.loser,
+        this.calculateMargin(replayLog, winnerId)
+      );
+    }
+    const ratingMode = mode || this.DEFAULT_RATING_MODE;
 
     // Execute all updates in a transaction
     const result = await prisma.$transaction(async (tx) => {
-      await tx.user.update({
-        where: { id: winnerId },
-        data: {
-          elo: ratingResult.winner.newRating,
-          wins: { increment: 1 },
-          gamesPlayed: { increment: 1 },
+      const glicko = await this.rateGlicko(
+        tx,
+        ratingMode,
+        [{ id: winnerId }, { id: loserId }],
+        {
+          [winnerId]: [{ opponentId: loserId, score: isDraw ? 0.5 : 1 }],
+          [loserId]: [{ opponentId: winnerId, score: isDraw ? 0.5 : 0 }],
         },
-      });
+        { [winnerId]: ratingResult.winner, [loserId]: ratingResult.loser }
+      );
 
-      await tx.user.update({
-        where: { id: loserId },
-        data: {
-          elo: ratingResult.loser.newRating,
-          losses: { increment: 1 },
-          gamesPlayed: { increment: 1 },
-        },
+      ratingResult.winner.tier = await this.saveRating(tx, winnerId, ratingMode, {
+        elo: ratingResult.winner.newRating,
+        glicko: glicko[winnerId],
+        outcome: isDraw ? "draw" : "win",
+      });
+      ratingResult.loser.tier = await this.saveRating(tx, loserId, ratingMode, {
+        elo: ratingResult.loser.newRating,
+        glicko: glicko[loserId],
+        outcome: isDraw ? "draw" : "loss",
       });
 
       const matchResult = await tx.match.create({
         data: {
+          mode,
           winnerId,
           loserId,
           winnerEloBefore: winnerRating,
           winnerEloAfter: ratingResult.winner.newRating,
           loserEloBefore: loserRating,
           loserEloAfter: ratingResult.loser.newRating,
+          isDraw,
+          reason,
           targetWord,
+          pack,
+          locale,
           replayLog,
           durationMs,
         },
         select: { id: true, playedAt: true },
       });
 
+      await this.recordRatingHistory(
+        tx,
+        ratingMode,
+        { [winnerId]: ratingResult.winner, [loserId]: ratingResult.loser },
+        { matchId: matchResult.id }
+      );
+      await this.applyAbandonPenalties(tx, ratingMode, abandonedIds, {
+        [winnerId]: ratingResult.winner,
+        [loserId]: ratingResult.loser,
+      });
+
       return {
         matchId: matchResult.id,
         playedAt: matchResult.playedAt,
+        winnerId,
+        loserId,
         ratings: ratingResult,
       };
     });
@@ -222,75 +497,125 @@ class EloService {
   }
 
   /**
-   * Update rating after a bot match (only human player's rating changes)
-   * Bot matches give reduced ELO to prevent farming
+   * Update ratings after a 1v1 bot match
+   * Bot matches give reduced ELO to prevent farming; the bot's difficulty
+   * is rated from the other side of the same result
    *
    * @param {Object} matchData - Match information
    * @param {string} matchData.playerId - UUID of the human player
    * @param {number} matchData.playerRating - Current rating of player
    * @param {boolean} matchData.playerWon - Whether the player won
+   * @param {boolean} [matchData.isDraw] - Whether neither side won
    * @param {string} matchData.botDifficulty - Bot difficulty level
+   * @param {string} [matchData.mode] - Game mode (duel or quordle)
    * @param {string} matchData.targetWord - The word that was being guessed
    * @param {Object} matchData.replayLog - JSONB replay data
+   * @param {string} [matchData.pack] - Dictionary pack the word came from
+   * @param {string} [matchData.locale] - Dictionary language of the match
+   * @param {string} [matchData.reason] - How it ended: solved, exhausted, forfeit, abandoned or timeout
+   * @param {string[]} [matchData.abandonedIds] - Players who abandoned (see applyAbandonPenalty)
    */
   static async updateRatingAfterBotMatch(matchData) {
     const {
       playerId,
       playerRating,
       playerWon,
+      isDraw = false,
       botDifficulty,
+      mode,
       targetWord,
       replayLog,
       durationMs,
+      pack,
+      locale,
+      reason,
+      abandonedIds = [],
     } = matchData;
 
-    // Bot ELO based on difficulty (for calculation purposes)
-    const BOT_RATINGS = {
-      easy: 800,
-      medium: 1100,
-      hard: 1400,
-      impossible: 1800,
-    };
-
-    const botRating = BOT_RATINGS[botDifficulty] || BOT_RATINGS.medium;
+    const botRating = this.getBotRating(botDifficulty);
 
-    // Reduced K-factor for bot matches (50% of normal)
-    const botMatchKFactor = this.K_FACTOR * 0.5;
+    // Reduced K-factor for bot matches (50% of the player's usual one)
+    const gamesPlayed = await this.getGamesPlayed([playerId]);
+    const playerKFactor =
+      this.getDynamicKFactor(gamesPlayed[playerId]) * this.BOT_MATCH_WEIGHT;
+    const botKFactor = this.K_FACTOR * this.BOT_MATCH_WEIGHT;
 
     // Calculate expected score
     const expectedScore = this.calculateExpectedScore(playerRating, botRating);
-    const actualScore = playerWon ? 1 : 0;
+    const actualScore = isDraw ? 0.5 : playerWon ? 1 : 0;
 
     // Calculate new rating with reduced K-factor
     const newRating = this.calculateNewRating(
       playerRating,
       expectedScore,
       actualScore,
-      botMatchKFactor
+      playerKFactor
+    );
+    const player = {
+      oldRating: playerRating,
+      newRating,
+      delta: newRating - playerRating,
+    };
+    const botNewRating = this.calculateNewRating(
+      botRating,
+      1 - expectedScore,
+      1 - actualScore,
+      botKFactor
     );
-    const ratingDelta = newRating - playerRating;
+    const bot = {
+      oldRating: botRating,
+      newRating: botNewRating,
+      delta: botNewRating - botRating,
+    };
+    if (this.usesMargin(isDraw, reason)) {
+      const botId = replayLog?.[0]?.players?.find((p) => p.isBot)?.id;
+      if (playerWon) {
+        this.applyMargin(player, bot, this.calculateMargin(replayLog, playerId));
+      } else {
+        this.applyMargin(bot, player, this.calculateMargin(replayLog, botId));
+      }
+    }
 
     // Update in transaction
     const result = await prisma.$transaction(async (tx) => {
-      await tx.user.update({
-        where: { id: playerId },
-        data: {
-          elo: newRating,
-          wins: playerWon ? { increment: 1 } : undefined,
-          losses: playerWon ? undefined : { increment: 1 },
-          gamesPlayed: { increment: 1 },
+      const glicko = await this.rateGlicko(
+        tx,
+        this.BOT_RATING_MODE,
+        [{ id: playerId }, { id: "bot", isBot: true, botDifficulty }],
+        {
+          [playerId]: [
+            { opponentId: "bot", score: actualScore, weight: this.BOT_MATCH_WEIGHT },
+          ],
         },
+        { [playerId]: player }
+      );
+
+      player.tier = await this.saveRating(tx, playerId, this.BOT_RATING_MODE, {
+        elo: player.newRating,
+        glicko: glicko[playerId],
+        outcome: isDraw ? "draw" : playerWon ? "win" : "loss",
+      });
+      bot.newRating = await this.saveBotRating(tx, botDifficulty, {
+        delta: bot.delta,
+        outcome: isDraw ? "draw" : playerWon ? "loss" : "win",
       });
 
+      // A drawn player takes the winner slot opposite the bot
+      const playerSide = playerWon || isDraw;
       const matchResult = await tx.match.create({
         data: {
-          winnerId: playerWon ? playerId : null,
-          loserId: playerWon ? null : playerId,
-          winnerEloBefore: playerWon ? playerRating : botRating,
-          winnerEloAfter: playerWon ? newRating : botRating,
-          loserEloBefore: playerWon ? botRating : playerRating,
-          loserEloAfter: playerWon ? botRating : newRating,
+          mode,
+          winnerId: playerSide ? playerId : null,
+          loserId: playerSide ? null : playerId,
+          winnerEloBefore: playerSide ? playerRating : botRating,
+          winnerEloAfter: playerSide ? player.newRating : bot.newRating,
+          loserEloBefore: playerSide ? botRating : playerRating,
+          loserEloAfter: playerSide ? bot.newRating : player.newRating,
+          isDraw,
+          reason,
           targetWord,
+          pack,
+          locale,
           replayLog,
           durationMs,
           isBotMatch: true,
@@ -299,20 +624,840 @@ class EloService {
         select: { id: true, playedAt: true },
       });
 
+      await this.recordRatingHistory(
+        tx,
+        this.BOT_RATING_MODE,
+        { [playerId]: player },
+        { matchId: matchResult.id }
+      );
+      await this.applyAbandonPenalties(tx, this.BOT_RATING_MODE, abandonedIds, {
+        [playerId]: player,
+      });
+
       return {
         matchId: matchResult.id,
         playedAt: matchResult.playedAt,
-        player: {
-          oldRating: playerRating,
-          newRating: newRating,
-          delta: ratingDelta,
+        player,
+        bot,
+      };
+    });
+
+    this.botRatings[botDifficulty] = bot.newRating;
+
+    return result;
+  }
+
+  /**
+   * Calculate rating changes for a multi-player match
+   *
+   * Every pair of players counts as one head-to-head result:
+   * finishing ahead = 1, same placement = 0.5, behind = 0.
+   * For each player: R' = R + K / (N - 1) * Σ w * (S - E)
+   * where K is the player's own K-factor and w is 1 against humans and
+   * BOT_MATCH_WEIGHT against bots.
+   * Bots are not rated here; they keep their current rating.
+   *
+   * @param {Object[]} participants - Players in the match
+   * @param {string} participants[].id - Player ID
+   * @param {number} participants[].rating - Current rating
+   * @param {number} participants[].placement - Final placement (1 = first)
+   * @param {boolean} [participants[].isBot] - Whether the player is a bot
+   * @param {number} [participants[].kFactor] - Player's K-factor (K_FACTOR if not given)
+   * @returns {Object} Rating change per player ID
+   *
+   * @example
+   * calculateMultiplayerResult([
+   *   { id: "a", rating: 1200, placement: 1 },
+   *   { id: "b", rating: 1200, placement: 2 },
+   *   { id: "c", rating: 1200, placement: 3 },
+   * ]);
+   * // a: +16, b: 0, c: -16
+   */
+  static calculateMultiplayerResult(participants) {
+    const opponents = Math.max(participants.length - 1, 1);
+    const result = {};
+
+    for (const player of participants) {
+      const kFactor = (player.kFactor ?? this.K_FACTOR) / opponents;
+      let expected = 0;
+      let actual = 0;
+
+      for (const opponent of participants) {
+        if (opponent.id === player.id) continue;
+
+        const weight = opponent.isBot ? this.BOT_MATCH_WEIGHT : 1;
+        expected +=
+          weight * this.calculateExpectedScore(player.rating, opponent.rating);
+        if (player.placement < opponent.placement) actual += weight;
+        else if (player.placement === opponent.placement) actual += weight * 0.5;
+      }
+
+      const newRating = player.isBot
+        ? player.rating
+        : this.calculateNewRating(player.rating, expected, actual, kFactor);
+
+      result[player.id] = {
+        oldRating: player.rating,
+        newRating,
+        delta: newRating - player.rating,
+        placement: player.placement,
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Update ratings and create the match record for a multi-player match
+   *
+   * The legacy winner/loser columns hold the winner and the last-placed
+   * human; every player gets a match_participants row with their placement.
+   *
+   * @param {Object} matchData - Match information
+   * @param {Object[]} matchData.participants - Standings (see GameService.getStandings) with `rating`
+   * @param {string|null} matchData.winnerId - First finisher (null if nobody solved)
+   * @param {string} matchData.mode - Game mode
+   * @param {string} matchData.targetWord - The word that was being guessed
+   * @param {Object} matchData.replayLog - JSONB replay data
+   * @param {number} matchData.durationMs - Match duration in milliseconds
+   * @param {string} [matchData.pack] - Dictionary pack the word came from
+   * @param {string} [matchData.locale] - Dictionary language of the match
+   * @param {string} [matchData.reason] - How it ended: solved, exhausted, forfeit, abandoned or timeout
+   * @param {string[]} [matchData.abandonedIds] - Players who abandoned (see applyAbandonPenalty)
+   * @returns {Object} Match result with new ratings per player
+   */
+  static async updateRatingsAfterMultiplayerMatch(matchData) {
+    const {
+      participants,
+      winnerId,
+      mode,
+      targetWord,
+      replayLog,
+      durationMs,
+      pack,
+      locale,
+      reason,
+      abandonedIds = [],
+    } = matchData;
+
+    const gamesPlayed = await this.getGamesPlayed(
+      participants.filter((p) => !p.isBot).map((p) => p.playerId)
+    );
+    const ratings = this.calculateMultiplayerResult(
+      participants.map((p) => ({
+        id: p.playerId,
+        rating: p.rating,
+        placement: p.placement,
+        isBot: p.isBot,
+        kFactor: p.isBot ? undefined : this.getDynamicKFactor(gamesPlayed[p.playerId]),
+      }))
+    );
+
+    const humans = participants.filter((p) => !p.isBot);
+    const winner = participants.find((p) => p.playerId === winnerId);
+    // The winner slot of the match row is left empty unless a human won
+    const humanWinner = winner && !winner.isBot ? winner : null;
+    const lastHuman = [...humans].sort((a, b) => b.placement - a.placement)[0];
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Every other player is one result, scored and weighted as above
+      const weight = (opponent) =>
+        (opponent.isBot ? this.BOT_MATCH_WEIGHT : 1) / Math.max(participants.length - 1, 1);
+      const glicko = await this.rateGlicko(
+        tx,
+        mode,
+        participants.map((p) => ({ id: p.playerId, isBot: p.isBot, botDifficulty: p.botDifficulty })),
+        Object.fromEntries(
+          humans.map((player) => [
+            player.playerId,
+            participants
+              .filter((opponent) => opponent !== player)
+              .map((opponent) => ({
+                opponentId: opponent.playerId,
+                score:
+                  player.placement < opponent.placement
+                    ? 1
+                    : player.placement === opponent.placement
+                      ? 0.5
+                      : 0,
+                weight: weight(opponent),
+              })),
+          ])
+        ),
+        ratings
+      );
+
+      for (const player of humans) {
+        const isWinner = player.playerId === winnerId;
+        ratings[player.playerId].tier = await this.saveRating(tx, player.playerId, mode, {
+          elo: ratings[player.playerId].newRating,
+          glicko: glicko[player.playerId],
+          outcome: !winnerId ? "draw" : isWinner ? "win" : "loss",
+        });
+      }
+
+      const matchResult = await tx.match.create({
+        data: {
+          mode,
+          winnerId: humanWinner?.playerId ?? null,
+          loserId: lastHuman && lastHuman !== winner ? lastHuman.playerId : null,
+          winnerEloBefore: humanWinner?.rating ?? null,
+          winnerEloAfter: humanWinner ? ratings[humanWinner.playerId].newRating : null,
+          loserEloBefore: lastHuman.rating,
+          loserEloAfter: ratings[lastHuman.playerId].newRating,
+          isDraw: !winnerId,
+          reason,
+          targetWord,
+          pack,
+          locale,
+          replayLog,
+          durationMs,
+          isBotMatch: participants.some((p) => p.isBot),
+          participants: {
+            create: participants.map((p) => ({
+              userId: p.isBot ? null : p.playerId,
+              username: p.username,
+              placement: p.placement,
+              eloBefore: p.rating,
+              eloAfter: ratings[p.playerId].newRating,
+              guesses: p.guesses,
+              solved: p.solved,
+              isBot: p.isBot,
+              botDifficulty: p.botDifficulty,
+            })),
+          },
+        },
+        select: { id: true, playedAt: true },
+      });
+
+      await this.recordRatingHistory(
+        tx,
+        mode,
+        Object.fromEntries(humans.map((p) => [p.playerId, ratings[p.playerId]])),
+        { matchId: matchResult.id }
+      );
+      await this.applyAbandonPenalties(tx, mode, abandonedIds, ratings);
+
+      return {
+        matchId: matchResult.id,
+        playedAt: matchResult.playedAt,
+        participants: ratings,
+      };
+    });
+
+    return result;
+  }
+
+  /**
+   * Calculate rating changes for a team match
+   *
+   * Each team is rated as its average; every member's rating moves by
+   * the team's result, scaled by their own K-factor. Bots keep their
+   * current rating. A match with bots in it moves ratings by
+   * BOT_MATCH_WEIGHT, as in 1v1 bot matches.
+   *
+   * @param {Object[]} participants - Players in the match
+   * @param {string} participants[].id - Player ID
+   * @param {number} participants[].rating - Current rating
+   * @param {string} participants[].team - Team identifier
+   * @param {boolean} [participants[].isBot] - Whether the player is a bot
+   * @param {number} [participants[].kFactor] - Player's K-factor (K_FACTOR if not given)
+   * @param {string|null} winningTeam - Winning team (null for a draw)
+   * @returns {Object} Rating change per player ID
+   */
+  static calculateTeamMatchResult(participants, winningTeam) {
+    const teams = [...new Set(participants.map((p) => p.team))];
+    const averageRating = (team) => {
+      const members = participants.filter((p) => p.team === team);
+      return members.reduce((sum, p) => sum + p.rating, 0) / members.length;
+    };
+
+    const botWeight = participants.some((p) => p.isBot) ? this.BOT_MATCH_WEIGHT : 1;
+    const result = {};
+
+    for (const player of participants) {
+      const enemyTeam = teams.find((team) => team !== player.team);
+      const expectedScore = this.calculateExpectedScore(
+        averageRating(player.team),
+        averageRating(enemyTeam)
+      );
+      const actualScore =
+        winningTeam === null ? 0.5 : winningTeam === player.team ? 1 : 0;
+
+      // Shift the member's own rating by the team's result
+      const kFactor = (player.kFactor ?? this.K_FACTOR) * botWeight;
+      const teamDelta = kFactor * (actualScore - expectedScore);
+      const newRating = player.isBot
+        ? player.rating
+        : Math.max(Math.round(player.rating + teamDelta), this.MIN_RATING);
+
+      result[player.id] = {
+        oldRating: player.rating,
+        newRating,
+        delta: newRating - player.rating,
+        placement: winningTeam === null || winningTeam === player.team ? 1 : 2,
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Update ratings and create one match record for a team match
+   *
+   * The legacy winner/loser columns hold the solver and a human from the
+   * losing team; all four players get a match_participants row.
+   *
+   * @param {Object} matchData - Match information
+   * @param {Object[]} matchData.participants - Players with `playerId`, `username`,
+   *   `rating`, `team`, `guesses`, `solved`, `isBot`, `botDifficulty`
+   * @param {string|null} matchData.winnerId - Player who solved the word (null for a draw)
+   * @param {string} matchData.targetWord - The word that was being guessed
+   * @param {Object} matchData.replayLog - JSONB replay data
+   * @param {number} matchData.durationMs - Match duration in milliseconds
+   * @param {string} [matchData.pack] - Dictionary pack the word came from
+   * @param {string} [matchData.locale] - Dictionary language of the match
+   * @param {string} [matchData.reason] - How it ended: solved, exhausted, forfeit, abandoned or timeout
+   * @param {string[]} [matchData.abandonedIds] - Players who abandoned (see applyAbandonPenalty)
+   * @returns {Object} Match result with new ratings per player
+   */
+  static async updateRatingsAfterTeamMatch(matchData) {
+    const {
+      participants,
+      winnerId,
+      targetWord,
+      replayLog,
+      durationMs,
+      pack,
+      locale,
+      reason,
+      abandonedIds = [],
+    } = matchData;
+
+    const winner = participants.find((p) => p.playerId === winnerId);
+    const winningTeam = winner ? winner.team : null;
+    const gamesPlayed = await this.getGamesPlayed(
+      participants.filter((p) => !p.isBot).map((p) => p.playerId)
+    );
+    const ratings = this.calculateTeamMatchResult(
+      participants.map((p) => ({
+        id: p.playerId,
+        rating: p.rating,
+        team: p.team,
+        isBot: p.isBot,
+        kFactor: p.isBot ? undefined : this.getDynamicKFactor(gamesPlayed[p.playerId]),
+      })),
+      winningTeam
+    );
+
+    const humans = participants.filter((p) => !p.isBot);
+    // The winner slot of the match row holds a human from the winning
+    // team, and is left empty after a draw or a win by an all-bot team
+    const winnerRow = winningTeam
+      ? (winner && !winner.isBot && winner) ||
+        humans.find((p) => p.team === winningTeam) ||
+        null
+      : null;
+    const loserRow =
+      humans.find((p) => winningTeam && p.team !== winningTeam) ||
+      humans.find((p) => p !== winnerRow) ||
+      winnerRow;
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Each enemy is a share of one result; bots in the match halve it as in Elo
+      const botWeight = participants.some((p) => p.isBot) ? this.BOT_MATCH_WEIGHT : 1;
+      const glicko = await this.rateGlicko(
+        tx,
+        GameService.MODES.TEAMS,
+        participants.map((p) => ({ id: p.playerId, isBot: p.isBot, botDifficulty: p.botDifficulty })),
+        Object.fromEntries(
+          humans.map((player) => {
+            const enemies = participants.filter((p) => p.team !== player.team);
+            return [
+              player.playerId,
+              enemies.map((enemy) => ({
+                opponentId: enemy.playerId,
+                score: winningTeam === null ? 0.5 : winningTeam === player.team ? 1 : 0,
+                weight: botWeight / enemies.length,
+              })),
+            ];
+          })
+        ),
+        ratings
+      );
+
+      for (const player of humans) {
+        const won = winningTeam !== null && player.team === winningTeam;
+        ratings[player.playerId].tier = await this.saveRating(
+          tx,
+          player.playerId,
+          GameService.MODES.TEAMS,
+          {
+            elo: ratings[player.playerId].newRating,
+            glicko: glicko[player.playerId],
+            outcome: winningTeam === null ? "draw" : won ? "win" : "loss",
+          }
+        );
+      }
+
+      const matchResult = await tx.match.create({
+        data: {
+          mode: GameService.MODES.TEAMS,
+          winnerId: winnerRow?.playerId ?? null,
+          loserId: winningTeam && loserRow.team !== winningTeam ? loserRow.playerId : null,
+          winnerEloBefore: winnerRow?.rating ?? null,
+          winnerEloAfter: winnerRow ? ratings[winnerRow.playerId].newRating : null,
+          loserEloBefore: loserRow.rating,
+          loserEloAfter: ratings[loserRow.playerId].newRating,
+          isDraw: winningTeam === null,
+          reason,
+          targetWord,
+          pack,
+          locale,
+          replayLog,
+          durationMs,
+          isBotMatch: participants.some((p) => p.isBot),
+          participants: {
+            create: participants.map((p) => ({
+              userId: p.isBot ? null : p.playerId,
+              username: p.username,
+              team: p.team,
+              placement: ratings[p.playerId].placement,
+              eloBefore: p.rating,
+              eloAfter: ratings[p.playerId].newRating,
+              guesses: p.guesses,
+              solved: p.solved,
+              isBot: p.isBot,
+              botDifficulty: p.botDifficulty,
+            })),
+          },
         },
+        select: { id: true, playedAt: true },
+      });
+
+      await this.recordRatingHistory(
+        tx,
+        GameService.MODES.TEAMS,
+        Object.fromEntries(humans.map((p) => [p.playerId, ratings[p.playerId]])),
+        { matchId: matchResult.id }
+      );
+      await this.applyAbandonPenalties(tx, GameService.MODES.TEAMS, abandonedIds, ratings);
+
+      return {
+        matchId: matchResult.id,
+        playedAt: matchResult.playedAt,
+        participants: ratings,
       };
     });
 
     return result;
   }
 
+  /**
+   * Rating a match counts toward: its mode, or the bot rating for a 1v1
+   * against a bot
+   *
+   * @param {string} mode - Game mode
+   * @param {Object[]} [players] - Players in the match (with `isBot`)
+   * @returns {string} One of RATING_MODES
+   */
+  static getRatingMode(mode, players = []) {
+    const isBotDuel = players.length === 2 && players.some((p) => p.isBot);
+    return isBotDuel ? this.BOT_RATING_MODE : mode || this.DEFAULT_RATING_MODE;
+  }
+
+  /**
+   * Current ratings of several players in one mode
+   * Players who haven't played the mode yet get the starting values
+   *
+   * @param {string[]} userIds - Player UUIDs
+   * @param {string} ratingMode - One of RATING_MODES
+   * @returns {Object} { elo, glickoDeviation, gamesPlayed } per user ID
+   */
+  static async getRatings(userIds, ratingMode) {
+    const rows = await prisma.rating.findMany({
+      where: { userId: { in: userIds }, mode: ratingMode },
+      select: { userId: true, elo: true, glickoDeviation: true, gamesPlayed: true },
+    });
+
+    return Object.fromEntries(
+      userIds.map((id) => {
+        const row = rows.find((r) => r.userId === id);
+        return [
+          id,
+          {
+            elo: row?.elo ?? this.DEFAULT_RATING,
+            glickoDeviation: row?.glickoDeviation ?? GlickoService.DEFAULT_DEVIATION,
+            gamesPlayed: row?.gamesPlayed ?? 0,
+          },
+        ];
+      })
+    );
+  }
+
+  /**
+   * Rated games each player has played in total, across every mode and
+   * season (per-mode counts start over each season)
+   *
+   * @param {string[]} userIds - Player UUIDs
+   * @returns {Object} Games played per user ID
+   */
+  static async getGamesPlayed(userIds) {
+    const rows = await prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, gamesPlayed: true },
+    });
+
+    return Object.fromEntries(
+      userIds.map((id) => [id, rows.find((r) => r.id === id)?.gamesPlayed ?? 0])
+    );
+  }
+
+  /**
+   * Store one player's result: their rating and tier for the mode, their
+   * overall record on users, and the users.elo mirror for duel matches
+   *
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} userId - Player UUID
+   * @param {string} ratingMode - Rating the match counts toward
+   * @param {Object} result - Result of the match
+   * @param {number} result.elo - New rating
+   * @param {Object} result.glicko - New Glicko columns (see rateGlicko)
+   * @param {string} result.outcome - "win", "loss" or "draw"
+   * @returns {Object} Tier before and after (see TierService.compareTiers)
+   */
+  static async saveRating(tx, userId, ratingMode, { elo, glicko, outcome }) {
+    const previous = await tx.rating.findUnique({
+      where: { userId_mode: { userId, mode: ratingMode } },
+      select: { elo: true, tier: true, division: true },
+    });
+    const tierBefore = TierService.fromRow(previous ?? { elo: this.DEFAULT_RATING });
+    const tierAfter = TierService.getTier(elo, tierBefore);
+    const tier = { tier: tierAfter.tier, division: tierAfter.division };
+
+    const count = (value) => (outcome === value ? 1 : 0);
+    const record = {
+      wins: { increment: count("win") },
+      losses: { increment: count("loss") },
+      draws: { increment: count("draw") },
+      gamesPlayed: { increment: 1 },
+    };
+
+    await tx.rating.upsert({
+      where: { userId_mode: { userId, mode: ratingMode } },
+      update: { elo, ...glicko, ...tier, ...record },
+      create: {
+        userId,
+        mode: ratingMode,
+        elo,
+        ...glicko,
+        ...tier,
+        wins: count("win"),
+        losses: count("loss"),
+        draws: count("draw"),
+        gamesPlayed: 1,
+      },
+    });
+
+    await tx.user.update({
+      where: { id: userId },
+      data:
+        ratingMode === this.DEFAULT_RATING_MODE
+          ? { elo, ...glicko, ...record }
+          : record,
+    });
+
+    return TierService.compareTiers(tierBefore, tierAfter);
+  }
+
+  /**
+   * Log rating changes to rating_history, inside the transaction that
+   * made them
+   *
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} ratingMode - Rating that changed
+   * @param {Object} changes - { oldRating, newRating } per human player ID
+   * @param {Object} [entry] - What caused the changes
+   * @param {string} [entry.matchId] - Match that was rated
+   * @param {string} [entry.reason] - One of HISTORY_REASONS (default: match)
+   */
+  static async recordRatingHistory(
+    tx,
+    ratingMode,
+    changes,
+    { matchId = null, reason = this.HISTORY_REASONS.MATCH } = {}
+  ) {
+    await tx.ratingHistory.createMany({
+      data: Object.entries(changes).map(([userId, change]) => ({
+        userId,
+        mode: ratingMode,
+        matchId,
+        reason,
+        eloBefore: change.oldRating,
+        eloAfter: change.newRating,
+      })),
+    });
+  }
+
+  /**
+   * Glicko-2 update for the humans in a match, run inside its transaction
+   *
+   * Reads everyone's current Glicko values for the mode (bots get their
+   * current rating and GlickoService.BOT_DEVIATION) and rates each human
+   * against the opponents they faced. When Glicko drives the shown
+   * rating, the Elo result in `ratings` is replaced with the Glicko one.
+   *
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} ratingMode - Rating the match counts toward
+   * @param {Object[]} players - Everyone in the match: { id, isBot, botDifficulty }
+   * @param {Object} results - Per human ID: [{ opponentId, score, weight }]
+   * @param {Object} ratings - Rating change per human ID (updated in place)
+   * @returns {Object} Glicko columns per human ID, ready for saveRating
+   */
+  static async rateGlicko(tx, ratingMode, players, results, ratings) {
+    const humanIds = players.filter((p) => !p.isBot).map((p) => p.id);
+    const rows = await tx.rating.findMany({
+      where: { userId: { in: humanIds }, mode: ratingMode },
+      select: {
+        userId: true,
+        glickoRating: true,
+        glickoDeviation: true,
+        glickoVolatility: true,
+      },
+    });
+
+    // A player's first game in a mode starts from the defaults
+    const states = Object.fromEntries(
+      humanIds.map((id) => {
+        const row = rows.find((r) => r.userId === id);
+        return [
+          id,
+          {
+            rating: row?.glickoRating ?? this.DEFAULT_RATING,
+            deviation: row?.glickoDeviation ?? GlickoService.DEFAULT_DEVIATION,
+            volatility: row?.glickoVolatility ?? GlickoService.DEFAULT_VOLATILITY,
+          },
+        ];
+      })
+    );
+    for (const bot of players.filter((p) => p.isBot)) {
+      states[bot.id] = {
+        rating: this.getBotRating(bot.botDifficulty),
+        deviation: GlickoService.BOT_DEVIATION,
+        volatility: GlickoService.DEFAULT_VOLATILITY,
+      };
+    }
+
+    const updates = {};
+    for (const id of humanIds) {
+      const next = GlickoService.calculateNewRating(
+        states[id],
+        results[id].map((result) => ({ ...states[result.opponentId], ...result }))
+      );
+      updates[id] = {
+        glickoRating: next.rating,
+        glickoDeviation: next.deviation,
+        glickoVolatility: next.volatility,
+      };
+
+      if (this.RATING_SYSTEM === "glicko") {
+        const rating = ratings[id];
+        rating.newRating = Math.max(Math.round(next.rating), this.MIN_RATING);
+        rating.delta = rating.newRating - rating.oldRating;
+      }
+    }
+
+    return updates;
+  }
+
+  /**
+   * Penalty for a player's latest abandonment
+   *
+   * @param {number} recentAbandons - Abandonments within the window, this one included
+   * @returns {number} Points to take off on top of the rated result
+   *
+   * @example
+   * calculateAbandonPenalty(1) // 0 (first one is free)
+   * calculateAbandonPenalty(3) // 30
+   */
+  static calculateAbandonPenalty(recentAbandons) {
+    return Math.min(
+      Math.max(recentAbandons - 1, 0) * this.ABANDON_PENALTY,
+      this.MAX_ABANDON_PENALTY
+    );
+  }
+
+  /**
+   * Apply the repeat-abandoner penalty to every abandoner in a match, in
+   * the match's transaction once its result has been saved and logged,
+   * and fold it into their rating change (so game:end reports it)
+   *
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} ratingMode - Rating the match counted toward
+   * @param {string[]} abandonedIds - Players who abandoned
+   * @param {Object} changes - { oldRating, newRating, delta, tier } per
+   *   player ID, updated in place
+   */
+  static async applyAbandonPenalties(tx, ratingMode, abandonedIds, changes) {
+    for (const playerId of abandonedIds) {
+      const result = await this.applyAbandonPenalty(tx, playerId, ratingMode);
+      const change = changes[playerId];
+      if (!result || !change) continue;
+
+      change.penalty = result.penalty;
+      change.newRating = result.newRating;
+      change.delta = result.newRating - change.oldRating;
+      change.tier = TierService.compareTiers(change.tier?.before ?? result.tier, result.tier);
+    }
+  }
+
+  /**
+   * Record an abandonment and apply the repeat-abandoner penalty
+   * Runs inside the match's transaction after the match itself has been
+   * rated, so the penalty isn't overwritten by the match result
+   *
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} playerId - UUID of the player who abandoned
+   * @param {string} ratingMode - Rating the abandoned match counted toward
+   * @returns {Object} Penalty applied and the player's new rating and tier
+   */
+  static async applyAbandonPenalty(tx, playerId, ratingMode = this.DEFAULT_RATING_MODE) {
+    const now = new Date();
+
+    const user = await tx.user.findUnique({
+      where: { id: playerId },
+      select: { recentAbandons: true, lastAbandonedAt: true },
+    });
+    const rating = await tx.rating.findUnique({
+      where: { userId_mode: { userId: playerId, mode: ratingMode } },
+      select: { elo: true, tier: true, division: true },
+    });
+    if (!user || !rating) return null;
+
+    // The streak resets once the last abandonment falls out of the window
+    const withinWindow =
+      user.lastAbandonedAt &&
+      now - user.lastAbandonedAt < this.ABANDON_WINDOW_MS;
+    const recentAbandons = withinWindow ? user.recentAbandons + 1 : 1;
+    const penalty = this.calculateAbandonPenalty(recentAbandons);
+    const newRating = Math.max(rating.elo - penalty, this.MIN_RATING);
+    const ratingUpdate = {
+      elo: newRating,
+      glickoRating: { decrement: rating.elo - newRating },
+    };
+    const tier = TierService.getTier(newRating, TierService.fromRow(rating));
+
+    await tx.rating.update({
+      where: { userId_mode: { userId: playerId, mode: ratingMode } },
+      data: { ...ratingUpdate, tier: tier.tier, division: tier.division },
+    });
+    await tx.user.update({
+      where: { id: playerId },
+      data: {
+        ...(ratingMode === this.DEFAULT_RATING_MODE ? ratingUpdate : {}),
+        recentAbandons,
+        lastAbandonedAt: now,
+      },
+    });
+    if (newRating !== rating.elo) {
+      await this.recordRatingHistory(
+        tx,
+        ratingMode,
+        { [playerId]: { oldRating: rating.elo, newRating } },
+        { reason: this.HISTORY_REASONS.ABANDON_PENALTY }
+      );
+    }
+
+    return {
+      penalty: rating.elo - newRating,
+      newRating,
+      recentAbandons,
+      tier,
+    };
+  }
+
+  /**
+   * Load the bot ratings, creating any difficulty that has none yet
+   * with its starting rating
+   *
+   * @returns {Object} Rating per difficulty
+   */
+  static async loadBotRatings() {
+    for (const [difficulty, elo] of Object.entries(this.BOT_STARTING_RATINGS)) {
+      const row = await prisma.botRating.upsert({
+        where: { difficulty },
+        update: {},
+        create: { difficulty, elo },
+        select: { elo: true },
+      });
+      this.botRatings[difficulty] = row.elo;
+    }
+
+    return this.botRatings;
+  }
+
+  /**
+   * Store a bot's result, inside the match's transaction
+   * The rating moves by the change rather than being overwritten, so
+   * concurrent matches against the same difficulty all count
+   *
+   * @param {Object} tx - Prisma transaction client
+   * @param {string} botDifficulty - Bot difficulty level
+   * @param {Object} result - Result of the match
+   * @param {number} result.delta - Rating change
+   * @param {string} result.outcome - "win", "loss" or "draw" (from the bot's side)
+   * @returns {number} The bot's new rating
+   */
+  static async saveBotRating(tx, botDifficulty, { delta, outcome }) {
+    const count = (value) => (outcome === value ? 1 : 0);
+    const row = await tx.botRating.upsert({
+      where: { difficulty: botDifficulty },
+      update: {
+        elo: { increment: delta },
+        wins: { increment: count("win") },
+        losses: { increment: count("loss") },
+        draws: { increment: count("draw") },
+        gamesPlayed: { increment: 1 },
+      },
+      create: {
+        difficulty: botDifficulty,
+        elo: this.getBotRating(botDifficulty) + delta,
+        wins: count("win"),
+        losses: count("loss"),
+        draws: count("draw"),
+        gamesPlayed: 1,
+      },
+      select: { elo: true },
+    });
+
+    return row.elo;
+  }
+
+  /**
+   * Get the current rating of a bot difficulty
+   *
+   * @param {string} botDifficulty - Bot difficulty level
+   * @returns {number} Bot rating
+   */
+  static getBotRating(botDifficulty) {
+    return this.botRatings[botDifficulty] ?? this.botRatings.medium;
+  }
+
+  /**
+   * Bot difficulty whose current rating is closest to a rating
+   *
+   * @param {number} rating - Rating to match
+   * @returns {string} Bot difficulty level
+   */
+  static getClosestBotDifficulty(rating) {
+    return Object.keys(this.botRatings).reduce((closest, difficulty) =>
+      Math.abs(this.botRatings[difficulty] - rating) <
+      Math.abs(this.botRatings[closest] - rating)
+        ? difficulty
+        : closest
+    );
+  }
+
   /**
    * Get dynamic K-factor based on player's experience
    * New players have higher K to quickly find their true rating
@@ -321,10 +1466,20 @@ class EloService {
    * @returns {number} Adjusted K-factor
    */
   static getDynamicKFactor(gamesPlayed) {
-    if (gamesPlayed < 10) return 40; // Provisional period
+    if (this.isProvisional(gamesPlayed)) return 40; // Provisional period
     if (gamesPlayed < 30) return 32; // Standard active
     return 24; // Established player
   }
+
+  /**
+   * Whether a player is still in their placement games
+   *
+   * @param {number} gamesPlayed - Rated games the player has played in total
+   * @returns {boolean} True until PROVISIONAL_GAMES have been played
+   */
+  static isProvisional(gamesPlayed) {
+    return gamesPlayed < this.PROVISIONAL_GAMES;
+  }
 }
 
 export default EloService;
@@ -5,17 +5,29 @@
  * - Game creation and initialization
  * - Guess processing and validation
  * - Win condition checking
+ * - Best-of-N series (one target word per round)
+ * - Battle royale (3-8 players racing on one word, placed by finishing order)
+ * - 2v2 teams (the team wins as soon as either teammate solves)
+ * - Quordle (four target words at once, first to clear every board wins)
+ * - Absurdle (no committed target, the feedback dodges every guess)
+ * - Turn-based duels on one shared board
+ * - Match clock and per-guess shot clock
+ * - Spectator views (letters revealed after a delay) and the live game list
  * - State persistence in Redis
  */
 
 import { v4 as uuidv4 } from 'uuid';
 import WordService from './WordService.js';
+import BotService from './BotService.js';
 import { 
   setGameState, 
   getGameState, 
   deleteGameState,
   acquireWinLock,
-  getWinner 
+  getWinner,
+  addLiveGame,
+  removeLiveGame,
+  getLiveGameIds
 } from '../config/redis.js';
 
 class GameService {
@@ -24,6 +36,101 @@ class GameService {
    */
   static MAX_GUESSES = 6;
 
+  /**
+   * Guess limits a private room host can pick
+   */
+  static GUESS_LIMITS = [4, 5, 6, 7, 8];
+
+  /**
+   * Game modes
+   * - duel: two players, first to solve wins the round
+   * - royale: 3-8 players, solving finishes your race and placement
+   *   is decided by finishing order
+   * - teams: two teams of two, the first solve wins it for the whole team
+   * - quordle: two players each work on four words at once, every guess
+   *   counts on every unsolved board; first to clear all four wins
+   * - absurdle: two players, no target word; each player's feedback keeps
+   *   as many words alive as possible and the first to corner it wins
+   * - turns: two players share one board and take turns guessing; a turn
+   *   that runs out of time passes to the other player
+   */
+  static MODES = {
+    DUEL: 'duel',
+    ROYALE: 'royale',
+    TEAMS: 'teams',
+    QUORDLE: 'quordle',
+    ABSURDLE: 'absurdle',
+    TURNS: 'turns'
+  };
+
+  /**
+   * How a finished match ended, as stored with the match record
+   * - solved: the last round was won by solving the word
+   * - exhausted: everyone ran out of guesses
+   * - forfeit / abandoned: a player gave up, or left and never came back
+   * - timeout: the match clock ran out
+   */
+  static END_REASONS = {
+    SOLVED: 'solved',
+    EXHAUSTED: 'exhausted',
+    FORFEIT: 'forfeit',
+    ABANDONED: 'abandoned',
+    TIMEOUT: 'timeout'
+  };
+
+  /**
+   * Quordle boards per player and the guesses shared across them
+   */
+  static QUORDLE_BOARDS = 4;
+  static QUORDLE_GUESSES = 9;
+
+  /**
+   * Guesses allowed in absurdle (cornering the word takes longer)
+   */
+  static ABSURDLE_GUESSES = 8;
+
+  /**
+   * Allowed series lengths (1 = single race)
+   */
+  static SERIES_LENGTHS = [1, 3, 5];
+
+  /**
+   * Allowed overall match time limits in seconds
+   */
+  static TIME_LIMITS = [180, 300, 600, 900];
+
+  /**
+   * Default match time limit in seconds
+   */
+  static DEFAULT_TIME_LIMIT = parseInt(process.env.MATCH_TIME_LIMIT) || 600;
+
+  /**
+   * Allowed per-guess shot clocks in seconds (0 = no shot clock)
+   */
+  static SHOT_CLOCKS = [0, 15, 30, 60];
+
+  /**
+   * Default shot clock in seconds
+   */
+  static DEFAULT_SHOT_CLOCK = parseInt(process.env.SHOT_CLOCK) || 0;
+
+  /**
+   * Turn clock in seconds for turn-based games when none was picked
+   * (the shot clock doubles as the turn clock there and can't be off)
+   */
+  static DEFAULT_TURN_CLOCK = 30;
+
+  /**
+   * Seconds before spectators see the letters of a guess
+   * (colors show straight away; a delayed word can't be fed to a player)
+   */
+  static SPECTATOR_DELAY = parseInt(process.env.SPECTATOR_DELAY) || 30;
+
+  /**
+   * Pending state updates per game (see withGameLock)
+   */
+  static gameQueues = new Map();
+
   /**
    * Game state constants
    */
@@ -33,49 +140,244 @@ class GameService {
     FINISHED: 'finished'
   };
 
+  /**
+   * Normalize the per-match rules requested at queue time
+   * Unknown or unsupported values fall back to the defaults
+   * 
+   * @param {Object} [rules] - Requested rules
+   * @param {string} [rules.mode] - Game mode (duel, royale, teams or quordle)
+   * @param {number} [rules.wordLength] - Target word length
+   * @param {boolean} [rules.hardMode] - Revealed hints must be used in every guess
+   * @param {number} [rules.seriesLength] - Best-of-N rounds (1, 3 or 5, duel only)
+   * @param {number} [rules.timeLimit] - Overall match clock in seconds
+   * @param {number} [rules.shotClock] - Seconds allowed per guess (0 = off)
+   * @param {number} [rules.maxGuesses] - Guesses per round (private rooms)
+   * @param {boolean} [rules.rated] - Whether the result changes ratings (private rooms)
+   * @param {string} [rules.pack] - Dictionary pack the target is drawn from
+   * @param {string} [rules.locale] - Dictionary language (en, es or de)
+   * @returns {Object} Rules stored on the game state
+   */
+  static normalizeRules(rules = {}) {
+    const wordLength = parseInt(rules?.wordLength);
+    const seriesLength = parseInt(rules?.seriesLength);
+    const timeLimit = parseInt(rules?.timeLimit);
+    const shotClock = parseInt(rules?.shotClock);
+    const maxGuesses = parseInt(rules?.maxGuesses);
+    const mode = Object.values(this.MODES).includes(rules?.mode)
+      ? rules.mode
+      : this.MODES.DUEL;
+    const locale = WordService.isSupportedLocale(rules?.locale)
+      ? rules.locale
+      : WordService.DEFAULT_LOCALE;
+    const length = WordService.isSupportedLength(wordLength, locale)
+      ? wordLength
+      : WordService.DEFAULT_WORD_LENGTH;
+    const shot = this.SHOT_CLOCKS.includes(shotClock) ? shotClock : this.DEFAULT_SHOT_CLOCK;
+
+    return {
+      mode,
+      wordLength: length,
+      // Hard mode hints can't be honored across four boards at once
+      hardMode: rules?.hardMode === true && mode !== this.MODES.QUORDLE,
+      seriesLength: mode === this.MODES.DUEL && this.SERIES_LENGTHS.includes(seriesLength)
+        ? seriesLength
+        : 1,
+      timeLimit: this.TIME_LIMITS.includes(timeLimit) ? timeLimit : this.DEFAULT_TIME_LIMIT,
+      shotClock: mode === this.MODES.TURNS ? shot || this.DEFAULT_TURN_CLOCK : shot,
+      maxGuesses: this.getModeGuessLimit(mode)
+        ?? (this.GUESS_LIMITS.includes(maxGuesses) ? maxGuesses : this.MAX_GUESSES),
+      rated: rules?.rated !== false,
+      pack: WordService.hasPack(rules?.pack, length, locale) ? rules.pack : WordService.DEFAULT_PACK,
+      locale
+    };
+  }
+
+  /**
+   * Normalize rules for the public matchmaking queues
+   * Only private rooms may change the guess limit or play unrated
+   * 
+   * @param {Object} [rules] - Requested rules
+   * @returns {Object} Rules stored on the game state
+   */
+  static normalizeQueueRules(rules = {}) {
+    return this.normalizeRules({
+      ...rules,
+      maxGuesses: this.MAX_GUESSES,
+      rated: true
+    });
+  }
+
+  /**
+   * Get the fixed guess limit of a mode
+   * 
+   * @param {string} mode - Game mode
+   * @returns {number|null} Guess limit, or null if the rules decide
+   */
+  static getModeGuessLimit(mode) {
+    if (mode === this.MODES.QUORDLE) return this.QUORDLE_GUESSES;
+    if (mode === this.MODES.ABSURDLE) return this.ABSURDLE_GUESSES;
+    return null;
+  }
+
+  /**
+   * Get the guess limit for a game
+   * 
+   * @param {Object} game - Game state object
+   * @returns {number} Guesses allowed per round
+   */
+  static getMaxGuesses(game) {
+    return game.rules.maxGuesses || this.MAX_GUESSES;
+  }
+
+  /**
+   * Get the guesses on a player's board
+   * In turn-based games both players play on the shared board
+   * 
+   * @param {Object} game - Game state object
+   * @param {Object} player - Player state
+   * @returns {Object[]} Guess records in order
+   */
+  static getBoardGuesses(game, player) {
+    return game.board || player.guesses;
+  }
+
+  /**
+   * Check whether a game is played on several boards at once (quordle)
+   * 
+   * @param {Object} game - Game state object
+   * @returns {boolean} True if the game has a list of target words
+   */
+  static isMultiBoard(game) {
+    return game.rules.mode === this.MODES.QUORDLE;
+  }
+
+  /**
+   * Check whether a game has no committed target (absurdle)
+   * 
+   * @param {Object} game - Game state object
+   * @returns {boolean} True if every player's feedback is adversarial
+   */
+  static isAdversarial(game) {
+    return game.rules.mode === this.MODES.ABSURDLE;
+  }
+
+  /**
+   * Settle the word an absurdle game is recorded with once it finishes:
+   * the word the winner cornered, else a candidate of whoever narrowed
+   * their pool the most
+   * Mutates the game state; the caller persists it
+   * 
+   * @param {Object} game - Game state object
+   */
+  static settleAdversarialTarget(game) {
+    if (!this.isAdversarial(game) || game.targetWord) return;
+    const [closest] = Object.values(game.players)
+      .sort((a, b) => a.candidates.length - b.candidates.length);
+    game.targetWord = closest.candidates[0];
+  }
+
+  /**
+   * Draw distinct target words for a multi-board game
+   * 
+   * @param {Object} rules - Normalized match rules
+   * @param {number} count - Number of boards
+   * @returns {string[]} Target words
+   */
+  static drawTargetWords(rules, count) {
+    const words = new Set();
+    while (words.size < count) {
+      words.add(WordService.getRandomAnswer(rules.wordLength, rules.pack, rules.locale));
+    }
+    return [...words];
+  }
+
   /**
    * Create a new game instance
    * 
-   * @param {Object} player1 - First player info
-   * @param {Object} player2 - Second player info (or bot)
+   * @param {Object[]} players - Player infos (humans or bots), host first;
+   *   in team games each carries its `team` ('A' or 'B')
+   * @param {Object} [rules] - Match rules (see normalizeRules)
+   * @param {Object} [options]
+   * @param {boolean} [options.listed] - Show the game in the live list (private rooms aren't)
    * @returns {Object} New game state
    */
-  static async createGame(player1, player2) {
+  static async createGame(players, rules = {}, { listed = true } = {}) {
     const gameId = uuidv4();
-    const targetWord = WordService.getRandomAnswer();
+    const gameRules = this.normalizeRules(rules);
+    const targetWords = gameRules.mode === this.MODES.QUORDLE
+      ? this.drawTargetWords(gameRules, this.QUORDLE_BOARDS)
+      : null;
+    const isAbsurdle = gameRules.mode === this.MODES.ABSURDLE;
+    // Quordle keeps its first board in targetWord for the match record;
+    // absurdle only settles on a word when the game ends
+    let targetWord = null;
+    if (targetWords) {
+      targetWord = targetWords[0];
+    } else if (!isAbsurdle) {
+      targetWord = WordService.getRandomAnswer(gameRules.wordLength, gameRules.pack, gameRules.locale);
+    }
     const startTime = Date.now();
+    const isTurnBased = gameRules.mode === this.MODES.TURNS;
 
     const gameState = {
       id: gameId,
       targetWord,
+      targetWords,
+      rules: gameRules,
       status: this.GAME_STATES.ACTIVE,
       startTime,
-      players: {
-        [player1.id]: {
-          id: player1.id,
-          username: player1.username,
-          elo: player1.elo,
-          socketId: player1.socketId,
-          guesses: [],
-          isBot: false
-        },
-        [player2.id]: {
-          id: player2.id,
-          username: player2.username,
-          elo: player2.elo,
-          socketId: player2.socketId,
-          guesses: [],
-          isBot: player2.isBot || false,
-          botDifficulty: player2.botDifficulty || null
-        }
+      round: 1,
+      series: {
+        length: gameRules.seriesLength,
+        scores: Object.fromEntries(players.map(p => [p.id, 0])),
+        rounds: []
+      },
+      clock: {
+        matchDeadline: startTime + gameRules.timeLimit * 1000,
+        shotDeadlines: {}
       },
-      replayLog: [],
+      // Turn-based games: the shared board and whose turn it is (coin flip to start)
+      board: isTurnBased ? [] : null,
+      turn: isTurnBased
+        ? { playerId: players[Math.floor(Math.random() * players.length)].id, number: 1 }
+        : null,
+      players: Object.fromEntries(players.map(p => [p.id, {
+        id: p.id,
+        username: p.username,
+        elo: p.elo,
+        socketId: p.socketId,
+        guesses: [],
+        isBot: p.isBot || false,
+        botDifficulty: p.botDifficulty || null,
+        team: p.team || null,
+        solvedBoards: targetWords ? targetWords.map(() => false) : null,
+        candidates: isAbsurdle
+          ? WordService.getAllAnswers(gameRules.wordLength, gameRules.pack, gameRules.locale)
+          : null
+      }])),
+      // The opening entry carries the rules and players so replays can rebuild the boards
+      replayLog: [{
+        type: 'round_start',
+        round: 1,
+        timestamp: startTime,
+        rules: gameRules,
+        players: players.map(p => ({
+          id: p.id,
+          username: p.username,
+          elo: p.elo,
+          isBot: p.isBot || false,
+          botDifficulty: p.botDifficulty || null,
+          team: p.team || null
+        }))
+      }],
       winner: null,
       endTime: null
     };
 
+    this.resetShotClocks(gameState, startTime);
+
     console.log(`[GameService] Creating game ${gameId} with status: ${gameState.status}`);
-    console.log(`[GameService] Player1: ${player1.id}, Player2: ${player2.id}`);
+    console.log(`[GameService] Players (${gameRules.mode}): ${players.map(p => p.id).join(', ')}`);
 
     // Persist to Redis with 1 hour TTL
     await setGameState(gameId, gameState, 3600);
@@ -84,6 +386,10 @@ class GameService {
     const savedGame = await getGameState(gameId);
     console.log(`[GameService] Verified saved game status: ${savedGame?.status}`);
 
+    if (listed) {
+      await addLiveGame(gameId, this.getAverageElo(gameState));
+    }
+
     return gameState;
   }
 
@@ -97,150 +403,791 @@ class GameService {
     return await getGameState(gameId);
   }
 
+  /**
+   * Run a read-modify-write of a game's state after every one already
+   * queued for the same game, so a guess, a clock tick and a forfeit
+   * landing together can't overwrite each other's changes in Redis
+   * (games live on a single server, so an in-process queue is enough)
+   * 
+   * @param {string} gameId - Game identifier
+   * @param {Function} task - Async function doing the update
+   * @returns {Promise} Whatever the task returns
+   */
+  static withGameLock(gameId, task) {
+    const previous = this.gameQueues.get(gameId) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    this.gameQueues.set(gameId, tail);
+    tail.then(() => {
+      if (this.gameQueues.get(gameId) === tail) this.gameQueues.delete(gameId);
+    });
+    return run;
+  }
+
   /**
    * Process a player's guess
    * 
    * @param {string} gameId - Game identifier
    * @param {string} playerId - Player making the guess
    * @param {string} guess - The guessed word
+   * @param {number} [round] - Round the guess was made for (stale rounds are rejected)
    * @returns {Object} Result of the guess
    */
-  static async processGuess(gameId, playerId, guess) {
-    console.log(`[GameService] processGuess called - gameId: ${gameId}, playerId: ${playerId}, guess: ${guess}`);
+  static async processGuess(gameId, playerId, guess, round) {
+    return this.withGameLock(gameId, async () => {
+      console.log(`[GameService] processGuess called - gameId: ${gameId}, playerId: ${playerId}, guess: ${guess}`);
     
-    const game = await this.getGame(gameId);
+      const game = await this.getGame(gameId);
     
-    console.log(`[GameService] Retrieved game:`, game ? `status=${game.status}, players=${Object.keys(game.players || {}).join(',')}` : 'null');
+      console.log(`[GameService] Retrieved game:`, game ? `status=${game.status}, players=${Object.keys(game.players || {}).join(',')}` : 'null');
     
-    if (!game) {
-      console.log(`[GameService] Game not found!`);
-      return { success: false, error: 'Game not found' };
-    }
+      if (!game) {
+        console.log(`[GameService] Game not found!`);
+        return { success: false, error: 'Game not found' };
+      }
+
+      if (game.status !== this.GAME_STATES.ACTIVE) {
+        console.log(`[GameService] Game not active! Status: ${game.status}, Expected: ${this.GAME_STATES.ACTIVE}`);
+        return { success: false, error: 'Game is not active' };
+      }
+
+      const player = game.players[playerId];
+      if (!player) {
+        console.log(`[GameService] Player ${playerId} not in game. Players: ${Object.keys(game.players).join(',')}`);
+        return { success: false, error: 'Player not in game' };
+      }
+
+      // Players who forfeited or abandoned are out for good
+      if (player.forfeited) {
+        return { success: false, error: 'You left this game' };
+      }
+
+      // A guess typed during the previous round must not leak into the next one
+      if (round && round !== game.round) {
+        return { success: false, error: 'Round already finished' };
+      }
+
+      if (game.turn && game.turn.playerId !== playerId) {
+        return { success: false, error: 'Not your turn' };
+      }
+
+      // Normalize guess
+      guess = guess.toUpperCase().trim();
+
+      // Validate guess length
+      const { wordLength } = game.rules;
+      if (guess.length !== wordLength) {
+        return { success: false, error: `Guess must be ${wordLength} letters` };
+      }
+
+      // Validate guess is a real word
+      if (!WordService.isValidGuess(guess, game.rules.locale)) {
+        return { success: false, error: 'Not a valid word' };
+      }
+
+      // Hard mode: previously revealed hints must be honored
+      const boardGuesses = this.getBoardGuesses(game, player);
+      if (game.rules.hardMode) {
+        const violation = WordService.getHardModeViolation(
+          guess,
+          boardGuesses.map(g => g.evaluation)
+        );
+        if (violation) {
+          return { success: false, error: violation };
+        }
+      }
+
+      // Check if player has remaining guesses
+      if (boardGuesses.length >= this.getMaxGuesses(game)) {
+        return { success: false, error: 'No guesses remaining' };
+      }
+
+      if (player.solvedAt) {
+        return { success: false, error: 'You already solved the word' };
+      }
+
+      // Evaluate the guess (against every unsolved board in quordle)
+      const timestamp = Date.now();
+      let guessRecord;
+      let isCorrect;
+
+      if (this.isMultiBoard(game)) {
+        const evaluations = game.targetWords.map((target, i) =>
+          player.solvedBoards[i] ? null : WordService.evaluateGuess(guess, target)
+        );
+        game.targetWords.forEach((target, i) => {
+          if (WordService.isCorrectGuess(guess, target)) player.solvedBoards[i] = true;
+        });
+        isCorrect = player.solvedBoards.every(Boolean);
+
+        guessRecord = {
+          word: guess,
+          evaluations,
+          boardsCleared: player.solvedBoards.filter(Boolean).length,
+          timestamp,
+          guessNumber: player.guesses.length + 1
+        };
+      } else if (this.isAdversarial(game)) {
+        // Keep the biggest group of words alive; its pattern is the feedback.
+        // Forcing the pool down to one word wins, even before it's guessed
+        const { pattern, remaining } = BotService.getAdversarialPattern(guess, player.candidates);
+        player.candidates = remaining;
+        isCorrect = pattern === 'G'.repeat(wordLength) || remaining.length === 1;
+        if (isCorrect) game.targetWord = remaining[0];
+
+        guessRecord = {
+          word: guess,
+          evaluation: WordService.evaluateGuess(guess, remaining[0]),
+          remaining: remaining.length,
+          timestamp,
+          guessNumber: player.guesses.length + 1
+        };
+      } else {
+        isCorrect = WordService.isCorrectGuess(guess, game.targetWord);
+        guessRecord = {
+          word: guess,
+          evaluation: WordService.evaluateGuess(guess, game.targetWord),
+          timestamp,
+          guessNumber: boardGuesses.length + 1
+        };
+      }
+
+      // Add to player's guesses (and the shared board, where the turn moves on)
+      player.guesses.push(guessRecord);
+      if (game.turn) {
+        guessRecord.playerId = playerId;
+        game.board.push(guessRecord);
+        this.passTurn(game, timestamp);
+      } else {
+        this.resetShotClock(game, player, timestamp);
+      }
 
-    if (game.status !== this.GAME_STATES.ACTIVE) {
-      console.log(`[GameService] Game not active! Status: ${game.status}, Expected: ${this.GAME_STATES.ACTIVE}`);
-      return { success: false, error: 'Game is not active' };
+      // Add to replay log
+      game.replayLog.push({
+        playerId,
+        type: 'guess',
+        round: game.round,
+        data: guessRecord
+      });
+
+      let roundEnded = false;
+      let roundWinnerId = null;
+      let roundEndTime = timestamp;
+      let winnerInfo = null;
+
+      if (isCorrect && game.rules.mode === this.MODES.ROYALE) {
+        // Royale: solving only ends this player's race, the rest play on
+        player.solvedAt = timestamp;
+        delete game.clock.shotDeadlines[playerId];
+      } else if (isCorrect) {
+        // Check for round win
+        // Try to acquire win lock (handles race conditions)
+        const wonLock = await acquireWinLock(gameId, playerId, game.round);
+      
+        if (wonLock) {
+          roundEnded = true;
+          roundWinnerId = playerId;
+          winnerInfo = {
+            playerId,
+            guessCount: player.guesses.length,
+            timeMs: timestamp - game.startTime
+          };
+        } else {
+          // Someone else won first
+          const existingWinner = await getWinner(gameId, game.round);
+          if (existingWinner) {
+            roundEnded = true;
+            roundWinnerId = existingWinner.playerId;
+            roundEndTime = existingWinner.timestamp;
+          }
+        }
+      }
+
+      // Check for round end (every player solved or out of guesses)
+      if (!roundEnded && this.allPlayersDone(game)) {
+        roundEnded = true;
+        roundWinnerId = this.getUnsolvedRoundWinner(game); // null is a drawn round
+        if (roundWinnerId) {
+          const roundWinner = game.players[roundWinnerId];
+          winnerInfo = {
+            playerId: roundWinnerId,
+            guessCount: roundWinner.guesses.length,
+            timeMs: (roundWinner.solvedAt || timestamp) - game.startTime
+          };
+        }
+      }
+
+      const guessRound = game.round;
+      const roundResult = roundEnded
+        ? this.endRound(game, roundWinnerId, roundEndTime)
+        : null;
+      const gameEnded = game.status === this.GAME_STATES.FINISHED;
+
+      // Update game state in Redis
+      await setGameState(gameId, game, 3600);
+
+      return {
+        success: true,
+        guess: guessRecord,
+        isCorrect,
+        round: guessRound,
+        roundEnded,
+        roundResult,
+        gameEnded,
+        winner: gameEnded ? winnerInfo : null,
+        remainingGuesses: this.getMaxGuesses(game) - this.getBoardGuesses(game, player).length
+      };
+    });
+  }
+
+  /**
+   * Hand the turn to the other player and start their turn clock
+   * Mutates the game state; the caller persists it
+   * 
+   * @param {Object} game - Game state object
+   * @param {number} timestamp - Turn start time
+   */
+  static passTurn(game, timestamp) {
+    const nextPlayerId = Object.keys(game.players).find(id => id !== game.turn.playerId);
+    game.turn = { playerId: nextPlayerId, number: game.turn.number + 1 };
+    game.clock.shotDeadlines = {};
+    this.resetShotClock(game, game.players[nextPlayerId], timestamp);
+  }
+
+  /**
+   * Close the current round: score it, then either decide the series
+   * or draw a fresh target word for the next round
+   * Mutates the game state; the caller persists it
+   * 
+   * @param {Object} game - Game state object
+   * @param {string|null} winnerId - Round winner (null for a drawn round)
+   * @param {number} timestamp - Round end time
+   * @returns {Object} Round summary
+   */
+  static endRound(game, winnerId, timestamp) {
+    const { series } = game;
+    this.settleAdversarialTarget(game);
+
+    if (winnerId) {
+      series.scores[winnerId] += 1;
     }
 
-    const player = game.players[playerId];
-    if (!player) {
-      console.log(`[GameService] Player ${playerId} not in game. Players: ${Object.keys(game.players).join(',')}`);
-      return { success: false, error: 'Player not in game' };
+    const roundSummary = {
+      round: game.round,
+      targetWord: game.targetWord,
+      ...(game.targetWords && { targetWords: game.targetWords }),
+      winner: winnerId,
+      endTime: timestamp
+    };
+    series.rounds.push(roundSummary);
+    game.replayLog.push({ type: 'round_end', timestamp, ...roundSummary });
+
+    const winsNeeded = Math.ceil(series.length / 2);
+    const decided = Object.values(series.scores).some(score => score >= winsNeeded);
+
+    if (decided || game.round >= series.length) {
+      game.status = this.GAME_STATES.FINISHED;
+      game.winner = this.getSeriesLeader(game); // Tied series is a draw
+      game.endTime = timestamp;
+
+      return { ...roundSummary, scores: { ...series.scores }, seriesOver: true };
     }
 
-    // Normalize guess
-    guess = guess.toUpperCase().trim();
+    this.startNextRound(game, timestamp);
+    return { ...roundSummary, scores: { ...series.scores }, seriesOver: false };
+  }
 
-    // Validate guess length
-    if (guess.length !== 5) {
-      return { success: false, error: 'Guess must be 5 letters' };
+  /**
+   * Advance to the next round with a new target word and empty boards
+   * 
+   * @param {Object} game - Game state object
+   * @param {number} timestamp - Round start time
+   */
+  static startNextRound(game, timestamp) {
+    const usedWords = new Set(game.series.rounds.map(r => r.targetWord));
+    let targetWord = WordService.getRandomAnswer(game.rules.wordLength, game.rules.pack, game.rules.locale);
+    for (let i = 0; i < 10 && usedWords.has(targetWord); i++) {
+      targetWord = WordService.getRandomAnswer(game.rules.wordLength, game.rules.pack, game.rules.locale);
     }
 
-    // Validate guess is a real word
-    if (!WordService.isValidGuess(guess)) {
-      return { success: false, error: 'Not a valid word' };
+    game.round += 1;
+    game.targetWord = targetWord;
+    for (const player of Object.values(game.players)) {
+      player.guesses = [];
+      delete player.solvedAt;
     }
 
-    // Check if player has remaining guesses
-    if (player.guesses.length >= this.MAX_GUESSES) {
-      return { success: false, error: 'No guesses remaining' };
+    game.replayLog.push({ type: 'round_start', round: game.round, timestamp });
+    this.resetShotClocks(game, timestamp);
+  }
+
+  /**
+   * Restart a player's shot clock (bots play at their own pace)
+   * 
+   * @param {Object} game - Game state object
+   * @param {Object} player - Player state
+   * @param {number} timestamp - Clock start time
+   */
+  static resetShotClock(game, player, timestamp) {
+    if (!game.rules.shotClock || player.isBot || player.forfeited) return;
+    game.clock.shotDeadlines[player.id] = timestamp + game.rules.shotClock * 1000;
+  }
+
+  /**
+   * Restart every player's shot clock (game or round start)
+   * In turn-based games only the player on turn is on the clock
+   * 
+   * @param {Object} game - Game state object
+   * @param {number} timestamp - Clock start time
+   */
+  static resetShotClocks(game, timestamp) {
+    if (game.turn) {
+      game.clock.shotDeadlines = {};
+      this.resetShotClock(game, game.players[game.turn.playerId], timestamp);
+      return;
+    }
+    for (const player of Object.values(game.players)) {
+      this.resetShotClock(game, player, timestamp);
     }
+  }
 
-    // Evaluate the guess
-    const evaluation = WordService.evaluateGuess(guess, game.targetWord);
-    const isCorrect = WordService.isCorrectGuess(guess, game.targetWord);
-    const timestamp = Date.now();
+  /**
+   * Get remaining clock time for a player
+   * 
+   * @param {Object} game - Game state object
+   * @param {string} playerId - Player ID
+   * @param {number} now - Server time
+   * @returns {Object} Server time, match time left, shot clocks (null when not running)
+   *   and whose turn it is (turn-based games)
+   */
+  static getClockView(game, playerId, now = Date.now()) {
+    const remaining = (deadline) => deadline ? Math.max(0, deadline - now) : null;
+    const opponentIds = Object.keys(game.players).filter(id => id !== playerId);
+
+    return {
+      serverTime: now,
+      matchRemainingMs: remaining(game.clock.matchDeadline),
+      shotRemainingMs: remaining(game.clock.shotDeadlines[playerId]),
+      // Only a duel has a single opponent clock worth showing
+      opponentShotRemainingMs: opponentIds.length === 1
+        ? remaining(game.clock.shotDeadlines[opponentIds[0]])
+        : null,
+      turnPlayerId: game.turn ? game.turn.playerId : null
+    };
+  }
+
+  /**
+   * Enforce the match clock and shot clocks
+   * Burns the guess of any player whose shot clock ran out (or passes
+   * their turn, in turn-based games) and ends the game once the match
+   * clock expires. Called on every clock tick.
+   * 
+   * @param {string} gameId - Game identifier
+   * @param {number} now - Server time
+   * @returns {Object|null} Clock events, or null if the game is not active
+   */
+  static async enforceClocks(gameId, now = Date.now()) {
+    return this.withGameLock(gameId, async () => {
+      const game = await this.getGame(gameId);
+      if (!game || game.status !== this.GAME_STATES.ACTIVE) return null;
 
-    // Create guess record
+      const events = {
+        game,
+        burned: [],
+        passed: [],
+        matchExpired: false,
+        roundEnded: false,
+        roundResult: null,
+        gameEnded: false
+      };
+
+      if (now >= game.clock.matchDeadline) {
+        this.expireMatch(game, now);
+        events.matchExpired = true;
+      } else {
+        for (const player of Object.values(game.players)) {
+          const deadline = game.clock.shotDeadlines[player.id];
+          if (!deadline || now < deadline || this.isPlayerDone(game, player)) {
+            continue;
+          }
+          if (game.turn) {
+            game.replayLog.push({
+              playerId: player.id,
+              type: 'timeout',
+              clock: 'turn',
+              round: game.round,
+              timestamp: now
+            });
+            this.passTurn(game, now);
+            events.passed.push({ playerId: player.id, nextPlayerId: game.turn.playerId });
+            continue;
+          }
+          events.burned.push({
+            playerId: player.id,
+            round: game.round,
+            guess: this.burnGuess(game, player, now),
+            remainingGuesses: this.getMaxGuesses(game) - player.guesses.length
+          });
+        }
+
+        if (events.burned.length > 0 && this.allPlayersDone(game)) {
+          events.roundEnded = true;
+          events.roundResult = this.endRound(game, this.getUnsolvedRoundWinner(game), now);
+        }
+      }
+
+      events.gameEnded = game.status === this.GAME_STATES.FINISHED;
+
+      if (events.matchExpired || events.burned.length > 0 || events.passed.length > 0) {
+        await setGameState(gameId, game, 3600);
+      }
+
+      return events;
+    });
+  }
+
+  /**
+   * Burn a player's guess after their shot clock ran out
+   * The burned row is recorded as an all-grey guess with no letters
+   * 
+   * @param {Object} game - Game state object
+   * @param {Object} player - Player state
+   * @param {number} timestamp - Expiry time
+   * @returns {Object} Burned guess record
+   */
+  static burnGuess(game, player, timestamp) {
+    const greyRow = () => Array.from({ length: game.rules.wordLength }, () => ({ letter: '', color: 'grey' }));
     const guessRecord = {
-      word: guess,
-      evaluation,
+      word: '',
+      ...(this.isMultiBoard(game)
+        ? {
+            evaluations: player.solvedBoards.map(solved => solved ? null : greyRow()),
+            boardsCleared: player.solvedBoards.filter(Boolean).length
+          }
+        : { evaluation: greyRow() }),
+      ...(player.candidates && { remaining: player.candidates.length }),
       timestamp,
-      guessNumber: player.guesses.length + 1
+      guessNumber: player.guesses.length + 1,
+      timedOut: true
     };
 
-    // Add to player's guesses
     player.guesses.push(guessRecord);
+    this.resetShotClock(game, player, timestamp);
 
-    // Add to replay log
     game.replayLog.push({
-      playerId,
-      type: 'guess',
+      playerId: player.id,
+      type: 'timeout',
+      clock: 'shot',
+      round: game.round,
+      timestamp,
       data: guessRecord
     });
 
-    let gameEnded = false;
-    let winnerInfo = null;
+    return guessRecord;
+  }
 
-    // Check for win
-    if (isCorrect) {
-      // Try to acquire win lock (handles race conditions)
-      const wonLock = await acquireWinLock(gameId, playerId);
-      
-      if (wonLock) {
-        game.status = this.GAME_STATES.FINISHED;
-        game.winner = playerId;
-        game.endTime = timestamp;
-        gameEnded = true;
-        winnerInfo = {
-          playerId,
-          guessCount: player.guesses.length,
-          timeMs: timestamp - game.startTime
-        };
-      } else {
-        // Someone else won first
-        const existingWinner = await getWinner(gameId);
-        if (existingWinner) {
-          game.status = this.GAME_STATES.FINISHED;
-          game.winner = existingWinner.playerId;
-          game.endTime = existingWinner.timestamp;
-          gameEnded = true;
-        }
-      }
+  /**
+   * End the game because the match clock ran out
+   * The series leader wins (in quordle whoever cleared more boards, in
+   * absurdle whoever has fewer words left); an undecided race is a draw
+   * 
+   * @param {Object} game - Game state object
+   * @param {number} timestamp - Expiry time
+   */
+  static expireMatch(game, timestamp) {
+    game.status = this.GAME_STATES.FINISHED;
+    if (game.rules.mode === this.MODES.ROYALE) {
+      game.winner = this.getFirstFinisher(game);
+    } else if (this.isMultiBoard(game)) {
+      game.winner = this.getBoardsLeader(game);
+    } else if (this.isAdversarial(game)) {
+      game.winner = this.getCandidatesLeader(game);
+    } else {
+      game.winner = this.getSeriesLeader(game);
     }
+    game.endTime = timestamp;
+    this.settleAdversarialTarget(game);
+    game.replayLog.push({
+      type: 'timeout',
+      clock: 'match',
+      round: game.round,
+      timestamp
+    });
+  }
 
-    // Check for loss (both players out of guesses)
-    if (!gameEnded) {
-      const allPlayersExhausted = Object.values(game.players).every(
-        p => p.guesses.length >= this.MAX_GUESSES
-      );
-      
-      if (allPlayersExhausted) {
-        game.status = this.GAME_STATES.FINISHED;
-        game.winner = null; // Draw
-        game.endTime = timestamp;
-        gameEnded = true;
-      }
+  /**
+   * Get the player ahead in the series
+   * 
+   * @param {Object} game - Game state object
+   * @returns {string|null} Leading player ID, or null when level
+   */
+  static getSeriesLeader(game) {
+    const [first, second] = Object.entries(game.series.scores)
+      .sort(([, a], [, b]) => b - a);
+    return first[1] > second[1] ? first[0] : null;
+  }
+
+  /**
+   * Get the player who cleared the most quordle boards
+   * 
+   * @param {Object} game - Game state object
+   * @returns {string|null} Player ID, or null when level
+   */
+  static getBoardsLeader(game) {
+    const [first, second] = Object.values(game.players)
+      .map(p => ({ id: p.id, cleared: p.solvedBoards.filter(Boolean).length }))
+      .sort((a, b) => b.cleared - a.cleared);
+    return first.cleared > second.cleared ? first.id : null;
+  }
+
+  /**
+   * Get the absurdle player who narrowed their words down the most
+   * 
+   * @param {Object} game - Game state object
+   * @returns {string|null} Player ID, or null when level
+   */
+  static getCandidatesLeader(game) {
+    const [first, second] = Object.values(game.players)
+      .sort((a, b) => a.candidates.length - b.candidates.length);
+    return first.candidates.length < second.candidates.length ? first.id : null;
+  }
+
+  /**
+   * Get the round winner once every player is done without a winning solve
+   * Royale goes by the first finisher, quordle by boards cleared and
+   * absurdle by words left
+   * 
+   * @param {Object} game - Game state object
+   * @returns {string|null} Player ID, or null for a drawn round
+   */
+  static getUnsolvedRoundWinner(game) {
+    if (this.isMultiBoard(game)) return this.getBoardsLeader(game);
+    if (this.isAdversarial(game)) return this.getCandidatesLeader(game);
+    return this.getFirstFinisher(game);
+  }
+
+  /**
+   * Get a player's series score against their opponent
+   * 
+   * @param {Object} game - Game state object
+   * @param {string} playerId - Player ID
+   * @returns {{myScore: number, opponentScore: number}} Series score
+   */
+  static getSeriesScore(game, playerId) {
+    const opponentId = Object.keys(game.players).find(id => id !== playerId);
+    return {
+      myScore: game.series.scores[playerId] || 0,
+      opponentScore: game.series.scores[opponentId] || 0
+    };
+  }
+
+  /**
+   * Check whether two players are on the same side
+   * Outside team games every player is on their own
+   * 
+   * @param {Object} game - Game state object
+   * @param {string} playerId - First player ID
+   * @param {string} otherId - Second player ID
+   * @returns {boolean} True for the same player or teammates
+   */
+  static isTeammate(game, playerId, otherId) {
+    if (playerId === otherId) return true;
+    const team = game.players[playerId]?.team;
+    return Boolean(team) && team === game.players[otherId]?.team;
+  }
+
+  /**
+   * Storage reason for a finished game
+   * 
+   * @param {Object} game - Game state object
+   * @param {string} endReason - Why the game ended ('complete', 'timeout', 'forfeit' or 'abandoned')
+   * @returns {string} One of END_REASONS
+   */
+  static getEndReason(game, endReason) {
+    if (Object.values(this.END_REASONS).includes(endReason)) {
+      return endReason;
     }
 
-    // Update game state in Redis
-    await setGameState(gameId, game, 3600);
+    const lastRound = game.replayLog.findLast(entry => entry.type === 'round_end');
+    return lastRound?.winner ? this.END_REASONS.SOLVED : this.END_REASONS.EXHAUSTED;
+  }
 
+  /**
+   * Check whether a player won the game (their team won, in team games)
+   * 
+   * @param {Object} game - Game state object
+   * @param {string} playerId - Player ID
+   * @returns {boolean} True if the player is on the winning side
+   */
+  static isWinner(game, playerId) {
+    return game.winner !== null && this.isTeammate(game, playerId, game.winner);
+  }
+
+  /**
+   * Check whether a player has nothing left to play this round
+   * 
+   * @param {Object} game - Game state object
+   * @param {Object} player - Player state
+   * @returns {boolean} True if solved, forfeited or out of guesses
+   */
+  static isPlayerDone(game, player) {
+    return Boolean(player.solvedAt) ||
+      Boolean(player.forfeited) ||
+      this.getBoardGuesses(game, player).length >= this.getMaxGuesses(game);
+  }
+
+  /**
+   * Check whether every player is done with the current round
+   * 
+   * @param {Object} game - Game state object
+   * @returns {boolean} True if the round can end
+   */
+  static allPlayersDone(game) {
+    return Object.values(game.players).every(p => this.isPlayerDone(game, p));
+  }
+
+  /**
+   * Get the first player to solve the current word (royale)
+   * 
+   * @param {Object} game - Game state object
+   * @returns {string|null} Player ID, or null if nobody solved it
+   */
+  static getFirstFinisher(game) {
+    const [first] = Object.values(game.players)
+      .filter(p => p.solvedAt)
+      .sort((a, b) => a.solvedAt - b.solvedAt);
+    return first ? first.id : null;
+  }
+
+  /**
+   * Rank every player by finishing order
+   * Solvers are placed in the order they finished; everyone who did not
+   * solve shares the next place, and players who forfeited share last.
+   * 
+   * @param {Object} game - Game state object
+   * @returns {Object[]} Standings sorted by placement
+   */
+  static getStandings(game) {
+    const players = Object.values(game.players);
+    const solvers = players
+      .filter(p => p.solvedAt)
+      .sort((a, b) => a.solvedAt - b.solvedAt || a.guesses.length - b.guesses.length);
+    const unsolved = players.filter(p => !p.solvedAt && !p.forfeited);
+    const forfeited = players.filter(p => !p.solvedAt && p.forfeited);
+
+    const standing = (player, placement) => ({
+      playerId: player.id,
+      username: player.username,
+      elo: player.elo,
+      isBot: player.isBot,
+      botDifficulty: player.botDifficulty,
+      placement,
+      guesses: player.guesses.length,
+      solved: Boolean(player.solvedAt),
+      forfeited: Boolean(player.forfeited)
+    });
+
+    return [
+      ...solvers.map((p, i) => standing(p, i + 1)),
+      ...unsolved.map(p => standing(p, solvers.length + 1)),
+      ...forfeited.map(p => standing(p, solvers.length + (unsolved.length > 0 ? 2 : 1)))
+    ];
+  }
+
+  /**
+   * Get every opponent of a player with their masked progress
+   * 
+   * @param {Object} game - Game state object
+   * @param {string} playerId - Viewing player's ID
+   * @returns {Object[]} Opponents in join order
+   */
+  static getOpponentsView(game, playerId) {
+    return Object.values(game.players)
+      .filter(p => p.id !== playerId)
+      .map(p => {
+        const isTeammate = this.isTeammate(game, playerId, p.id);
+        return {
+          id: p.id,
+          username: p.username,
+          elo: p.elo,
+          isBot: p.isBot,
+          team: p.team,
+          isTeammate,
+          // Teammates (and players sharing a board) see each other's words;
+          // everyone else only colors
+          progress: p.guesses.map(g => isTeammate || game.turn
+            ? this.getTeammateGuessView(g)
+            : this.getMaskedGuessForOpponent(g)
+          ),
+          solved: Boolean(p.solvedAt),
+          boardsCleared: p.solvedBoards ? p.solvedBoards.filter(Boolean).length : null,
+          remaining: p.candidates ? p.candidates.length : null,
+          forfeited: Boolean(p.forfeited)
+        };
+      });
+  }
+
+  /**
+   * Get a teammate's view of a guess (word and colors)
+   * 
+   * @param {Object} guessRecord - The full guess record
+   * @returns {Object} Unmasked guess for a teammate
+   */
+  static getTeammateGuessView(guessRecord) {
     return {
-      success: true,
-      guess: guessRecord,
-      isCorrect,
-      gameEnded,
-      winner: winnerInfo,
-      remainingGuesses: this.MAX_GUESSES - player.guesses.length
+      ...this.getMaskedGuessForOpponent(guessRecord),
+      word: guessRecord.word
     };
   }
 
   /**
    * Get opponent's view of a guess (colors only, no word)
    * This is the "masking" requirement - opponents only see colors
+   * (quordle opponents only see how many boards are cleared; absurdle
+   * opponents also see how many words are left)
    * 
    * @param {Object} guessRecord - The full guess record
    * @returns {Object} Masked guess for opponent
    */
   static getMaskedGuessForOpponent(guessRecord) {
+    if (guessRecord.evaluations) {
+      return {
+        boardsCleared: guessRecord.boardsCleared,
+        timestamp: guessRecord.timestamp,
+        guessNumber: guessRecord.guessNumber
+      };
+    }
     return {
       colors: guessRecord.evaluation.map(e => e.color),
+      ...(guessRecord.remaining !== undefined && { remaining: guessRecord.remaining }),
       timestamp: guessRecord.timestamp,
       guessNumber: guessRecord.guessNumber
     };
   }
 
+  /**
+   * Get the guessing player's own view of a guess
+   * Quordle guesses carry colors per board (null once a board is solved)
+   * and shared-board guesses say who made them
+   * 
+   * @param {Object} guessRecord - The full guess record
+   * @returns {Object} Word, colors (or boards) and guess number
+   */
+  static getOwnGuessView(guessRecord) {
+    return {
+      word: guessRecord.word,
+      ...(guessRecord.evaluations
+        ? {
+            boards: guessRecord.evaluations.map(e => e && e.map(({ color }) => color)),
+            boardsCleared: guessRecord.boardsCleared
+          }
+        : { colors: guessRecord.evaluation.map(e => e.color) }),
+      ...(guessRecord.remaining !== undefined && { remaining: guessRecord.remaining }),
+      ...(guessRecord.playerId && { playerId: guessRecord.playerId }),
+      guessNumber: guessRecord.guessNumber
+    };
+  }
+
   /**
    * Get full game state for a specific player
    * Masks opponent's words but shows colors
@@ -253,49 +1200,167 @@ class GameService {
     const game = await this.getGame(gameId);
     if (!game) return null;
 
-    const playerIds = Object.keys(game.players);
-    const opponentId = playerIds.find(id => id !== playerId);
-
     return {
       id: game.id,
       status: game.status,
+      rules: game.rules,
+      round: game.round,
+      ...this.getSeriesScore(game, playerId),
+      clock: this.getClockView(game, playerId),
       startTime: game.startTime,
       myGuesses: game.players[playerId]?.guesses || [],
-      opponentProgress: game.players[opponentId]?.guesses.map(g => 
-        this.getMaskedGuessForOpponent(g)
-      ) || [],
+      opponents: this.getOpponentsView(game, playerId),
+      winner: game.winner,
+      targetWord: game.status === this.GAME_STATES.FINISHED ? game.targetWord : null,
+      targetWords: game.status === this.GAME_STATES.FINISHED ? game.targetWords : null
+    };
+  }
+
+  /**
+   * Get the average rating of a game's players
+   * 
+   * @param {Object} game - Game state object
+   * @returns {number} Rounded average ELO
+   */
+  static getAverageElo(game) {
+    const players = Object.values(game.players);
+    return Math.round(players.reduce((sum, p) => sum + p.elo, 0) / players.length);
+  }
+
+  /**
+   * Get a spectator's view of a game
+   * Every guess shows its colors; the word only once it is older than
+   * the spectator delay
+   * 
+   * @param {Object} game - Game state object
+   * @param {number} now - Server time
+   * @returns {Object} Spectator game view
+   */
+  static getSpectatorView(game, now = Date.now()) {
+    const revealBefore = now - this.SPECTATOR_DELAY * 1000;
+    const finished = game.status === this.GAME_STATES.FINISHED;
+
+    return {
+      id: game.id,
+      status: game.status,
+      rules: game.rules,
+      round: game.round,
+      scores: { ...game.series.scores },
+      startTime: game.startTime,
+      matchRemainingMs: Math.max(0, game.clock.matchDeadline - now),
+      turnPlayerId: game.turn ? game.turn.playerId : null,
+      revealDelayMs: this.SPECTATOR_DELAY * 1000,
+      averageElo: this.getAverageElo(game),
+      players: Object.values(game.players).map(p => ({
+        id: p.id,
+        username: p.username,
+        elo: p.elo,
+        isBot: p.isBot,
+        team: p.team,
+        progress: p.guesses.map(g => ({
+          ...this.getMaskedGuessForOpponent(g),
+          ...((finished || g.timestamp <= revealBefore) && { word: g.word })
+        })),
+        solved: Boolean(p.solvedAt),
+        boardsCleared: p.solvedBoards ? p.solvedBoards.filter(Boolean).length : null,
+        remaining: p.candidates ? p.candidates.length : null,
+        forfeited: Boolean(p.forfeited)
+      })),
       winner: game.winner,
-      targetWord: game.status === this.GAME_STATES.FINISHED ? game.targetWord : null
+      targetWord: finished ? game.targetWord : null,
+      targetWords: finished ? game.targetWords : null
     };
   }
 
+  /**
+   * List active games for spectators, highest average ELO first
+   * Games that have finished or expired are dropped from the list
+   * 
+   * @returns {Promise<Object[]>} Live game summaries
+   */
+  static async getLiveGames() {
+    const gameIds = await getLiveGameIds();
+    const games = await Promise.all(gameIds.map(id => this.getGame(id)));
+    const live = [];
+
+    for (const [i, game] of games.entries()) {
+      if (!game || game.status !== this.GAME_STATES.ACTIVE) {
+        await removeLiveGame(gameIds[i]);
+        continue;
+      }
+      live.push({
+        id: game.id,
+        mode: game.rules.mode,
+        rules: game.rules,
+        round: game.round,
+        startTime: game.startTime,
+        averageElo: this.getAverageElo(game),
+        players: Object.values(game.players).map(p => ({
+          username: p.username,
+          elo: p.elo,
+          isBot: p.isBot,
+          team: p.team
+        }))
+      });
+    }
+
+    return live.sort((a, b) => b.averageElo - a.averageElo);
+  }
+
   /**
    * End a game prematurely (player disconnect, forfeit)
+   * In a royale, and in a team game while the player's teammate is still
+   * in, only the forfeiting player drops out; the game ends once everyone
+   * left has finished
    * 
    * @param {string} gameId - Game identifier
    * @param {string} forfeitPlayerId - Player who forfeited
+   * @param {string} reason - 'forfeit' (gave up) or 'abandoned' (never came back)
    * @returns {Object} Updated game state
    */
-  static async forfeitGame(gameId, forfeitPlayerId) {
-    const game = await this.getGame(gameId);
-    if (!game || game.status !== this.GAME_STATES.ACTIVE) {
-      return null;
-    }
+  static async forfeitGame(gameId, forfeitPlayerId, reason = 'forfeit') {
+    return this.withGameLock(gameId, async () => {
+      const game = await this.getGame(gameId);
+      const forfeiter = game?.players[forfeitPlayerId];
+      if (!game || game.status !== this.GAME_STATES.ACTIVE || !forfeiter || forfeiter.forfeited) {
+        return null;
+      }
 
-    const playerIds = Object.keys(game.players);
-    const winnerId = playerIds.find(id => id !== forfeitPlayerId);
+      const timestamp = Date.now();
+      game.replayLog.push({
+        playerId: forfeitPlayerId,
+        type: 'forfeit',
+        reason,
+        round: game.round,
+        timestamp
+      });
+      // Abandoners get an extra rating penalty once the match is rated
+      forfeiter.abandoned = reason === 'abandoned';
 
-    game.status = this.GAME_STATES.FINISHED;
-    game.winner = winnerId;
-    game.endTime = Date.now();
-    game.replayLog.push({
-      playerId: forfeitPlayerId,
-      type: 'forfeit',
-      timestamp: game.endTime
-    });
+      const teammateLeft = Object.values(game.players).some(
+        p => p.id !== forfeitPlayerId && !p.forfeited && this.isTeammate(game, forfeitPlayerId, p.id)
+      );
+
+      if (game.rules.mode === this.MODES.ROYALE || teammateLeft) {
+        forfeiter.forfeited = true;
+        delete game.clock.shotDeadlines[forfeitPlayerId];
+
+        if (this.allPlayersDone(game)) {
+          this.endRound(game, this.getUnsolvedRoundWinner(game), timestamp);
+        }
+      } else {
+        // The other side wins (the other player, or the enemy team)
+        game.status = this.GAME_STATES.FINISHED;
+        game.winner = Object.keys(game.players).find(
+          id => !this.isTeammate(game, forfeitPlayerId, id) && !game.players[id].forfeited
+        );
+        game.endTime = timestamp;
+        this.settleAdversarialTarget(game);
+      }
 
-    await setGameState(gameId, game, 3600);
-    return game;
+      await setGameState(gameId, game, 3600);
+      return game;
+    });
   }
 
   /**
@@ -0,0 +1,193 @@
+/**
+ * GlickoService - Glicko-2 Rating System Implementation
+ *
+ * Every player carries a rating (r), a rating deviation (RD, how sure we
+ * are of r) and a volatility (σ, how erratic their results are).
+ * Glickman's algorithm works on an internal scale:
+ *
+ * 1. μ = (r - 1500) / 173.7178,  φ = RD / 173.7178
+ * 2. g(φ) = 1 / √(1 + 3φ² / π²)
+ * 3. E = 1 / (1 + exp(-g(φ_j)(μ - μ_j)))
+ * 4. v = 1 / Σ g(φ_j)² E (1 - E)
+ * 5. Δ = v Σ g(φ_j) (s_j - E)
+ * 6. σ' from Δ, φ, v and τ (Illinois root finding)
+ * 7. φ' = 1 / √(1 / (φ² + σ'²) + 1 / v),  μ' = μ + φ'² Σ g(φ_j) (s_j - E)
+ *
+ * Each match is its own rating period. Results carry a weight so that a
+ * multi-player match or a bot match moves a rating about as much as the
+ * Elo version does (see EloService).
+ */
+
+class GlickoService {
+  /**
+   * Conversion factor between the Glicko and Glicko-2 scales
+   */
+  static SCALE = 173.7178;
+
+  /**
+   * Rating that maps to μ = 0
+   */
+  static CENTER = 1500;
+
+  /**
+   * Starting values for a player we know nothing about
+   */
+  static DEFAULT_DEVIATION = 350;
+  static DEFAULT_VOLATILITY = 0.06;
+
+  /**
+   * Deviation never drops below this, so ratings keep moving
+   */
+  static MIN_DEVIATION = 30;
+
+  /**
+   * System constant: how much volatility may change per period
+   * (0.3 - 1.2; lower is more conservative)
+   */
+  static TAU = 0.5;
+
+  /**
+   * Convergence tolerance for the volatility iteration
+   */
+  static EPSILON = 0.000001;
+
+  /**
+   * Fixed deviation for bots (their strength is well known)
+   */
+  static BOT_DEVIATION = 50;
+
+  /**
+   * Weight of a result by the opponent's deviation
+   *
+   * @param {number} phi - Opponent's deviation on the Glicko-2 scale
+   * @returns {number} g(φ) between 0 and 1
+   */
+  static g(phi) {
+    return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+  }
+
+  /**
+   * Expected score against one opponent (Glicko-2 scale)
+   *
+   * @param {number} mu - Player's rating
+   * @param {number} opponentMu - Opponent's rating
+   * @param {number} opponentPhi - Opponent's deviation
+   * @returns {number} Expected score between 0 and 1
+   */
+  static expectedScore(mu, opponentMu, opponentPhi) {
+    return 1 / (1 + Math.exp(-this.g(opponentPhi) * (mu - opponentMu)));
+  }
+
+  /**
+   * Find the new volatility (step 5 of Glickman's paper)
+   *
+   * @param {number} sigma - Current volatility
+   * @param {number} phi - Current deviation (Glicko-2 scale)
+   * @param {number} v - Estimated variance from the results
+   * @param {number} delta - Estimated improvement from the results
+   * @returns {number} New volatility
+   */
+  static calculateVolatility(sigma, phi, v, delta) {
+    const a = Math.log(sigma * sigma);
+    const tau2 = this.TAU * this.TAU;
+    const f = (x) => {
+      const ex = Math.exp(x);
+      const denom = phi * phi + v + ex;
+      return (
+        (ex * (delta * delta - phi * phi - v - ex)) / (2 * denom * denom) -
+        (x - a) / tau2
+      );
+    };
+
+    let A = a;
+    let B;
+    if (delta * delta > phi * phi + v) {
+      B = Math.log(delta * delta - phi * phi - v);
+    } else {
+      let k = 1;
+      while (f(a - k * this.TAU) < 0) k++;
+      B = a - k * this.TAU;
+    }
+
+    let fA = f(A);
+    let fB = f(B);
+    while (Math.abs(B - A) > this.EPSILON) {
+      const C = A + ((A - B) * fA) / (fB - fA);
+      const fC = f(C);
+      if (fC * fB <= 0) {
+        A = B;
+        fA = fB;
+      } else {
+        fA = fA / 2;
+      }
+      B = C;
+      fB = fC;
+    }
+
+    return Math.exp(A / 2);
+  }
+
+  /**
+   * Rate one player after a match
+   *
+   * @param {Object} player - { rating, deviation, volatility }
+   * @param {Object[]} results - One entry per opponent faced
+   * @param {number} results[].rating - Opponent's rating
+   * @param {number} results[].deviation - Opponent's deviation
+   * @param {number} results[].score - 1 = win, 0.5 = draw, 0 = loss
+   * @param {number} [results[].weight] - How much the result counts (default 1)
+   * @returns {Object} New { rating, deviation, volatility }
+   *
+   * @example
+   * // Two fresh players: the winner gains a lot while RD is high
+   * calculateNewRating(
+   *   { rating: 1200, deviation: 350, volatility: 0.06 },
+   *   [{ rating: 1200, deviation: 350, score: 1 }]
+   * ) // { rating: ~1362, deviation: ~290, volatility: ~0.06 }
+   */
+  static calculateNewRating(player, results) {
+    const mu = (player.rating - this.CENTER) / this.SCALE;
+    const phi = player.deviation / this.SCALE;
+    const sigma = player.volatility;
+
+    // No games: only the deviation grows
+    if (results.length === 0) {
+      const grown = Math.sqrt(phi * phi + sigma * sigma) * this.SCALE;
+      return {
+        rating: player.rating,
+        deviation: Math.min(grown, this.DEFAULT_DEVIATION),
+        volatility: sigma,
+      };
+    }
+
+    let vInverse = 0;
+    let improvement = 0;
+    for (const result of results) {
+      const weight = result.weight ?? 1;
+      const opponentMu = (result.rating - this.CENTER) / this.SCALE;
+      const opponentPhi = result.deviation / this.SCALE;
+      const g = this.g(opponentPhi);
+      const expected = this.expectedScore(mu, opponentMu, opponentPhi);
+
+      vInverse += weight * g * g * expected * (1 - expected);
+      improvement += weight * g * (result.score - expected);
+    }
+
+    const v = 1 / vInverse;
+    const newSigma = this.calculateVolatility(sigma, phi, v, v * improvement);
+    const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+    const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+    const newMu = mu + newPhi * newPhi * improvement;
+
+    return {
+      rating: newMu * this.SCALE + this.CENTER,
+      deviation: Math.min(
+        Math.max(newPhi * this.SCALE, this.MIN_DEVIATION),
+        this.DEFAULT_DEVIATION
+      ),
+      volatility: newSigma,
+    };
+  }
+}
+
+export default GlickoService;
@@ -3,15 +3,22 @@
  * 
  * Handles the matchmaking queue and pairing logic:
  * - Adds players to queue with ELO score
+ * - Partitions the queue by match rules (mode, word length, hard mode, series, clocks)
  * - Finds matches within ELO range
+ * - Fills battle royale lobbies (3-8 players)
+ * - Manages parties and pairs 2v2 teams by average team ELO
  * - Spawns bots after timeout
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import GameService from './GameService.js';
+import EloService from './EloService.js';
+import WordService from './WordService.js';
 import {
   addToMatchmakingQueue,
   removeFromMatchmakingQueue,
-  findMatch
+  findMatch,
+  findMatches
 } from '../config/redis.js';
 
 class MatchmakingService {
@@ -31,11 +38,65 @@ class MatchmakingService {
    */
   static MAX_ELO_RANGE = 400;
 
+  /**
+   * Extra range per point of rating deviation (Glicko-2 RD)
+   * A brand new player (RD 350) starts 175 wider; a settled one (RD 60) 30
+   */
+  static DEVIATION_RANGE_WEIGHT = 0.5;
+
+  /**
+   * Battle royale lobby size
+   * A full lobby starts immediately; otherwise the lobby starts at timeout
+   * with whoever is queued, topped up with bots to the minimum
+   */
+  static ROYALE_MIN_PLAYERS = 3;
+  static ROYALE_MAX_PLAYERS = 8;
+
+  /**
+   * Players per side in team games
+   */
+  static TEAM_SIZE = 2;
+
+  /**
+   * Team labels; the player who launches the match is always on the first
+   */
+  static TEAMS = ['A', 'B'];
+
+  /**
+   * Parties (partyId -> { id, leaderId, members })
+   */
+  static parties = new Map();
+
+  /**
+   * Party membership (playerId -> partyId)
+   */
+  static playerParties = new Map();
+
   /**
    * Active matchmaking requests (playerId -> timeout handle)
    */
   static activeSearches = new Map();
 
+  /**
+   * Build the queue partition key for a set of match rules
+   * Players are only matched against others with the same key
+   * 
+   * @param {Object} rules - Normalized match rules
+   * @returns {string} Queue key (e.g. "len5:t600" or "royale:len5:hard:t300:s30:es")
+   */
+  static getQueueKey(rules) {
+    // Duels keep the unprefixed keys; other modes get their own queues
+    let key = rules.mode === GameService.MODES.DUEL ? '' : `${rules.mode}:`;
+    key += `len${rules.wordLength}`;
+    if (rules.hardMode) key += ':hard';
+    if (rules.seriesLength > 1) key += `:bo${rules.seriesLength}`;
+    key += `:t${rules.timeLimit}`;
+    if (rules.shotClock > 0) key += `:s${rules.shotClock}`;
+    if (rules.pack !== WordService.DEFAULT_PACK) key += `:p${rules.pack}`;
+    if (rules.locale !== WordService.DEFAULT_LOCALE) key += `:${rules.locale}`;
+    return key;
+  }
+
   /**
    * Start matchmaking for a player
    * 
@@ -44,29 +105,56 @@ class MatchmakingService {
    * @param {string} player.username - Player username
    * @param {number} player.elo - Player ELO rating
    * @param {string} player.socketId - Socket.io socket ID
-   * @param {Function} onMatchFound - Callback when match is found
+   * @param {Object} player.rules - Normalized match rules the player queued for
+   * @param {Function} onMatchFound - Callback with the matched opponents (array)
+   *   and, in team games, the host's team
    * @param {Function} onBotSpawn - Callback when bot should be spawned
+   * @param {Object[]} [members] - Party members with their ratings for the
+   *   mode being queued, leader first (team games; see getPartyMembers)
    */
-  static async startMatchmaking(player, onMatchFound, onBotSpawn) {
+  static async startMatchmaking(player, onMatchFound, onBotSpawn, members = null) {
     // Cancel any existing search
     this.cancelMatchmaking(player.id);
 
+    // Team games queue the whole party under its leader at the party's average ELO
+    const party = player.rules.mode === GameService.MODES.TEAMS
+      ? members ?? this.getPartyMembers(player)
+      : [player];
+    const queueElo = this.getAverageElo(party);
+
     // Add to queue
-    await addToMatchmakingQueue(player.id, player.elo, player.socketId);
+    await addToMatchmakingQueue(
+      player.id,
+      queueElo,
+      player.socketId,
+      this.getQueueKey(player.rules)
+    );
+
+    if (player.rules.mode === GameService.MODES.ROYALE) {
+      await this.startRoyaleMatchmaking(player, onMatchFound);
+      return;
+    }
+
+    if (player.rules.mode === GameService.MODES.TEAMS) {
+      await this.startTeamMatchmaking(player, party, queueElo, onMatchFound);
+      return;
+    }
 
     // Try to find immediate match
     const match = await this.tryFindMatch(player);
     if (match) {
+      const matchedPlayer = this.activeSearches.get(match.playerId)?.player || match;
       await removeFromMatchmakingQueue(player.id);
-      await removeFromMatchmakingQueue(match.playerId);
-      onMatchFound(match);
+      await this.cancelMatchmaking(match.playerId);
+      onMatchFound([matchedPlayer]);
       return;
     }
 
-    // Set up timeout for bot spawn
+    // Set up timeout for bot spawn; a bot duel counts toward the player's
+    // bot rating, so that's the rating the bot is picked by
     const timeoutHandle = setTimeout(async () => {
       await this.cancelMatchmaking(player.id);
-      onBotSpawn(this.createBotOpponent(player.elo));
+      onBotSpawn(this.createBotOpponent(await this.getBotRating(player)));
     }, this.MATCHMAKING_TIMEOUT);
 
     this.activeSearches.set(player.id, {
@@ -81,23 +169,342 @@ class MatchmakingService {
   }
 
   /**
-   * Try to find a match for a player
+   * Start searching for a battle royale lobby
+   * The lobby launches as soon as it is full, or at timeout with
+   * whoever is queued plus bots
+   * 
+   * @param {Object} player - Player info (see startMatchmaking)
+   * @param {Function} onMatchFound - Callback with the lobby's opponents
+   */
+  static async startRoyaleMatchmaking(player, onMatchFound) {
+    const timeoutHandle = setTimeout(() => {
+      this.tryStartRoyale(player.id, true);
+    }, this.MATCHMAKING_TIMEOUT);
+
+    this.activeSearches.set(player.id, {
+      timeoutHandle,
+      player,
+      onMatchFound,
+      startTime: Date.now()
+    });
+
+    const started = await this.tryStartRoyale(player.id);
+    if (!started) {
+      this.scheduleMatchAttempt(player.id);
+    }
+  }
+
+  /**
+   * Try to launch a battle royale lobby hosted by a searching player
+   * 
+   * @param {string} playerId - Host player ID
+   * @param {boolean} [force] - Start without a full lobby (timeout reached)
+   * @returns {boolean} True if the lobby was launched
+   */
+  static async tryStartRoyale(playerId, force = false) {
+    const search = this.activeSearches.get(playerId);
+    if (!search) return false;
+
+    const { player } = search;
+    const candidates = await findMatches(
+      player.id,
+      player.elo,
+      this.getCurrentRange(playerId),
+      this.getQueueKey(player.rules),
+      this.ROYALE_MAX_PLAYERS - 1
+    );
+
+    // Only players still searching on this server can be pulled in
+    const opponents = candidates
+      .map(c => this.activeSearches.get(c.playerId)?.player)
+      .filter(Boolean);
+
+    if (!force && opponents.length + 1 < this.ROYALE_MAX_PLAYERS) {
+      return false;
+    }
+
+    await this.cancelMatchmaking(player.id);
+    for (const opponent of opponents) {
+      await this.cancelMatchmaking(opponent.id);
+    }
+
+    // Top up with bots rated around the lobby's average royale rating
+    const lobby = [player, ...opponents];
+    const averageElo = this.getAverageElo(lobby);
+    while (lobby.length < this.ROYALE_MIN_PLAYERS) {
+      const bot = this.createBotOpponent(averageElo);
+      bot.username = `${bot.username} ${lobby.length}`;
+      lobby.push(bot);
+    }
+
+    search.onMatchFound(lobby.slice(1));
+    return true;
+  }
+
+  /**
+   * Start searching for a 2v2 match for a party (solo players are a party of one)
+   * 
+   * @param {Object} player - Party leader (see startMatchmaking)
+   * @param {Object[]} party - Party members, leader first
+   * @param {number} partyElo - Average ELO of the party
+   * @param {Function} onMatchFound - Callback with the opponents and the host's team
+   */
+  static async startTeamMatchmaking(player, party, partyElo, onMatchFound) {
+    const timeoutHandle = setTimeout(() => {
+      this.tryStartTeams(player.id, true);
+    }, this.MATCHMAKING_TIMEOUT);
+
+    this.activeSearches.set(player.id, {
+      timeoutHandle,
+      player,
+      party,
+      elo: partyElo,
+      onMatchFound,
+      startTime: Date.now()
+    });
+
+    const started = await this.tryStartTeams(player.id);
+    if (!started) {
+      this.scheduleMatchAttempt(player.id);
+    }
+  }
+
+  /**
+   * Try to assemble two teams around a searching party
+   * The host's team is completed with a solo player if needed, then the
+   * closest-rated duo (or two solos) forms the enemy team
+   * 
+   * @param {string} leaderId - Host party leader ID
+   * @param {boolean} [force] - Fill empty seats with bots (timeout reached)
+   * @returns {boolean} True if the match was launched
+   */
+  static async tryStartTeams(leaderId, force = false) {
+    const search = this.activeSearches.get(leaderId);
+    if (!search) return false;
+
+    const candidates = await findMatches(
+      leaderId,
+      search.elo,
+      this.getCurrentRange(leaderId),
+      this.getQueueKey(search.player.rules),
+      this.TEAM_SIZE * 2
+    );
+
+    // Queued parties still searching on this server, closest ELO first
+    const pool = candidates
+      .map(c => this.activeSearches.get(c.playerId))
+      .filter(Boolean);
+    const takeParty = (size) => {
+      const index = pool.findIndex(s => s.party.length === size);
+      return index === -1 ? null : pool.splice(index, 1)[0];
+    };
+
+    const joined = [];
+    const myTeam = [...search.party];
+    if (myTeam.length < this.TEAM_SIZE) {
+      const solo = takeParty(1);
+      if (solo) {
+        myTeam.push(...solo.party);
+        joined.push(solo);
+      }
+    }
+
+    const enemyTeam = [];
+    const duo = takeParty(this.TEAM_SIZE);
+    if (duo) {
+      enemyTeam.push(...duo.party);
+      joined.push(duo);
+    }
+    while (enemyTeam.length < this.TEAM_SIZE) {
+      const solo = takeParty(1);
+      if (!solo) break;
+      enemyTeam.push(...solo.party);
+      joined.push(solo);
+    }
+
+    const isFull = myTeam.length === this.TEAM_SIZE && enemyTeam.length === this.TEAM_SIZE;
+    if (!isFull && !force) {
+      return false;
+    }
+
+    await this.cancelMatchmaking(leaderId);
+    for (const joinedSearch of joined) {
+      await this.cancelMatchmaking(joinedSearch.player.id);
+    }
+
+    // Fill empty seats with bots rated around the match's average teams rating
+    const averageElo = this.getAverageElo([...myTeam, ...enemyTeam]);
+    for (const team of [myTeam, enemyTeam]) {
+      while (team.length < this.TEAM_SIZE) {
+        const bot = this.createBotOpponent(averageElo);
+        bot.username = `${bot.username} ${team === myTeam ? this.TEAMS[0] : this.TEAMS[1]}${team.length + 1}`;
+        team.push(bot);
+      }
+    }
+
+    const [hostTeam, enemyTeamName] = this.TEAMS;
+    const opponents = [
+      ...myTeam.slice(1).map(p => ({ ...p, team: hostTeam })),
+      ...enemyTeam.map(p => ({ ...p, team: enemyTeamName }))
+    ];
+    search.onMatchFound(opponents, hostTeam);
+    return true;
+  }
+
+  /**
+   * Create a party led by a player (leaves any current party)
+   * 
+   * @param {Object} player - Player info (id, username, elo)
+   * @returns {Object} The new party
+   */
+  static createParty(player) {
+    this.leaveParty(player.id);
+
+    const party = {
+      id: uuidv4().slice(0, 6).toUpperCase(),
+      leaderId: player.id,
+      members: [player]
+    };
+    this.parties.set(party.id, party);
+    this.playerParties.set(player.id, party.id);
+    return party;
+  }
+
+  /**
+   * Join an existing party
+   * 
+   * @param {string} partyId - Party code
+   * @param {Object} player - Player info (id, username, elo)
+   * @returns {Object} { success, party } or { success: false, error }
+   */
+  static joinParty(partyId, player) {
+    const party = this.parties.get(String(partyId || '').toUpperCase());
+    if (!party) {
+      return { success: false, error: 'Party not found' };
+    }
+    if (party.members.some(m => m.id === player.id)) {
+      return { success: true, party };
+    }
+    if (party.members.length >= this.TEAM_SIZE) {
+      return { success: false, error: 'Party is full' };
+    }
+    if (this.isSearching(party.leaderId)) {
+      return { success: false, error: 'Party is already searching' };
+    }
+
+    this.leaveParty(player.id);
+    party.members.push(player);
+    this.playerParties.set(player.id, party.id);
+    return { success: true, party };
+  }
+
+  /**
+   * Leave a party; the next member takes over as leader
+   * Cancels the party's search if it was queued
+   * 
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} The remaining party, or null if none is left
+   */
+  static leaveParty(playerId) {
+    const party = this.getParty(playerId);
+    if (!party) return null;
+
+    this.cancelMatchmaking(party.leaderId);
+    this.playerParties.delete(playerId);
+    party.members = party.members.filter(m => m.id !== playerId);
+
+    if (party.members.length === 0) {
+      this.parties.delete(party.id);
+      return null;
+    }
+
+    party.leaderId = party.members[0].id;
+    return party;
+  }
+
+  /**
+   * Get the party a player belongs to
+   * 
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} Party or null
+   */
+  static getParty(playerId) {
+    const partyId = this.playerParties.get(playerId);
+    return partyId ? this.parties.get(partyId) || null : null;
+  }
+
+  /**
+   * Get everyone queuing together with a player, leader first
    * 
    * @param {Object} player - Player info
-   * @returns {Object|null} Matched player or null
+   * @returns {Object[]} Party members (just the player when solo)
    */
-  static async tryFindMatch(player) {
-    const search = this.activeSearches.get(player.id);
+  static getPartyMembers(player) {
+    const party = this.getParty(player.id);
+    if (!party) return [player];
+    return [player, ...party.members.filter(m => m.id !== player.id)];
+  }
+
+  /**
+   * Average ELO of a group of players
+   * 
+   * @param {Object[]} players - Players
+   * @returns {number} Average rating
+   */
+  static getAverageElo(players) {
+    return players.reduce((sum, p) => sum + p.elo, 0) / players.length;
+  }
+
+  /**
+   * Get the current ELO search range for a player
+   * Expands over time (100 -> 400 over the matchmaking timeout), plus
+   * a margin for how uncertain the player's (or party's) rating is
+   * 
+   * @param {string} playerId - Player ID
+   * @param {Object} [player] - Player info, when they aren't searching yet
+   * @returns {number} ELO range
+   */
+  static getCurrentRange(playerId, player = null) {
+    const search = this.activeSearches.get(playerId);
     const elapsed = search ? Date.now() - search.startTime : 0;
     
-    // Expand range over time (100 -> 400 over 15 seconds)
     const rangeExpansion = Math.min(
       this.MAX_ELO_RANGE - this.INITIAL_ELO_RANGE,
       (elapsed / this.MATCHMAKING_TIMEOUT) * (this.MAX_ELO_RANGE - this.INITIAL_ELO_RANGE)
     );
-    const currentRange = this.INITIAL_ELO_RANGE + rangeExpansion;
+    const members = search?.party || [search?.player || player].filter(Boolean);
+    return this.INITIAL_ELO_RANGE + rangeExpansion + this.getDeviationMargin(members);
+  }
 
-    return await findMatch(player.id, player.elo, currentRange);
+  /**
+   * Range margin for rating uncertainty (average RD of the players)
+   * 
+   * @param {Object[]} players - Players with `glickoDeviation`
+   * @returns {number} Extra ELO range
+   */
+  static getDeviationMargin(players) {
+    const deviations = players
+      .map(p => p.glickoDeviation)
+      .filter(deviation => typeof deviation === 'number');
+    if (deviations.length === 0) return 0;
+
+    const average = deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+    return average * this.DEVIATION_RANGE_WEIGHT;
+  }
+
+  /**
+   * Try to find a match for a player
+   * 
+   * @param {Object} player - Player info
+   * @returns {Object|null} Matched player or null
+   */
+  static async tryFindMatch(player) {
+    return await findMatch(
+      player.id,
+      player.elo,
+      this.getCurrentRange(player.id, player),
+      this.getQueueKey(player.rules)
+    );
   }
 
   /**
@@ -114,6 +521,18 @@ class MatchmakingService {
       const currentSearch = this.activeSearches.get(playerId);
       if (!currentSearch) return;
 
+      if (currentSearch.player.rules.mode === GameService.MODES.ROYALE) {
+        const started = await this.tryStartRoyale(playerId);
+        if (!started) this.scheduleMatchAttempt(playerId);
+        return;
+      }
+
+      if (currentSearch.player.rules.mode === GameService.MODES.TEAMS) {
+        const started = await this.tryStartTeams(playerId);
+        if (!started) this.scheduleMatchAttempt(playerId);
+        return;
+      }
+
       const match = await this.tryFindMatch(currentSearch.player);
       if (match) {
         await this.cancelMatchmaking(playerId);
@@ -126,7 +545,7 @@ class MatchmakingService {
           this.activeSearches.delete(match.playerId);
         }
 
-        currentSearch.onMatchFound(match);
+        currentSearch.onMatchFound([matchedSearch?.player || match]);
       } else {
         // Continue searching
         this.scheduleMatchAttempt(playerId);
@@ -149,32 +568,35 @@ class MatchmakingService {
   }
 
   /**
-   * Create a bot opponent based on player's ELO
+   * A player's rating against bots (the rating a bot duel counts toward)
+   * Falls back to the rating they queued with if it can't be loaded
    * 
-   * @param {number} playerElo - Player's ELO rating
-   * @returns {Object} Bot player object
+   * @param {Object} player - Player info
+   * @returns {number} Bot rating
    */
-  static createBotOpponent(playerElo) {
-    // Select bot difficulty based on player ELO
-    let difficulty, botElo, botName;
-
-    if (playerElo < 900) {
-      difficulty = 'easy';
-      botElo = 800;
-      botName = 'WordBot Easy';
-    } else if (playerElo < 1200) {
-      difficulty = 'medium';
-      botElo = 1100;
-      botName = 'WordBot Medium';
-    } else if (playerElo < 1500) {
-      difficulty = 'hard';
-      botElo = 1400;
-      botName = 'WordBot Hard';
-    } else {
-      difficulty = 'impossible';
-      botElo = 1800;
-      botName = 'WordBot Impossible';
+  static async getBotRating(player) {
+    try {
+      const ratings = await EloService.getRatings([player.id], EloService.BOT_RATING_MODE);
+      return ratings[player.id].elo;
+    } catch (error) {
+      console.error('[Matchmaking] Failed to load bot rating:', error);
+      return player.elo;
     }
+  }
+
+  /**
+   * Create a bot opponent for a rating
+   * Picks the difficulty whose calibrated rating is closest to it
+   * 
+   * @param {number} rating - Rating to match: the player's bot rating for a
+   *   bot duel (see getBotRating), or a lobby's average rating for the mode
+   *   when filling royale and team seats
+   * @returns {Object} Bot player object
+   */
+  static createBotOpponent(rating) {
+    const difficulty = EloService.getClosestBotDifficulty(rating);
+    const botElo = EloService.getBotRating(difficulty);
+    const botName = `WordBot ${difficulty.charAt(0).toUpperCase()}${difficulty.slice(1)}`;
 
     return {
       id: `bot_${uuidv4()}`,
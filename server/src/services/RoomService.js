@@ -0,0 +1,236 @@
+/**
+ * RoomService - Private Rooms
+ * 
+ * Handles invite-only 1v1 rooms that skip the ELO queue:
+ * - Short invite codes
+ * - Host-chosen rules (guess limit, word length, clocks, rated/unrated)
+ * - Optional bot fill when nobody joins
+ * - Ready checks before the game launches
+ */
+
+import GameService from './GameService.js';
+
+class RoomService {
+  /**
+   * Invite code length and alphabet (no 0/O or 1/I lookalikes)
+   */
+  static CODE_LENGTH = 6;
+  static CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+  /**
+   * Players per room
+   */
+  static ROOM_SIZE = 2;
+
+  /**
+   * Open rooms (code -> { code, hostId, players, rules, botFill, createdAt })
+   */
+  static rooms = new Map();
+
+  /**
+   * Room membership (playerId -> code)
+   */
+  static playerRooms = new Map();
+
+  /**
+   * Normalize the host's room settings
+   * Rooms are always duels; everything else follows GameService.normalizeRules
+   * 
+   * @param {Object} [settings] - Requested settings
+   * @param {Object} [settings.rules] - Match rules (see GameService.normalizeRules)
+   * @param {boolean} [settings.botFill] - Start against a bot if nobody joins
+   * @returns {Object} { rules, botFill }
+   */
+  static normalizeSettings(settings = {}) {
+    return {
+      rules: GameService.normalizeRules({
+        ...settings?.rules,
+        mode: GameService.MODES.DUEL
+      }),
+      botFill: settings?.botFill === true
+    };
+  }
+
+  /**
+   * Create a room hosted by a player (leaves any current room)
+   * 
+   * @param {Object} host - Player info (id, username, elo)
+   * @param {Object} [settings] - Room settings (see normalizeSettings)
+   * @returns {Object} The new room
+   */
+  static createRoom(host, settings = {}) {
+    this.leaveRoom(host.id);
+
+    const room = {
+      code: this.generateCode(),
+      hostId: host.id,
+      players: [{ ...host, ready: false }],
+      ...this.normalizeSettings(settings),
+      createdAt: Date.now()
+    };
+    this.rooms.set(room.code, room);
+    this.playerRooms.set(host.id, room.code);
+    return room;
+  }
+
+  /**
+   * Join a room by invite code
+   * 
+   * @param {string} code - Invite code
+   * @param {Object} player - Player info (id, username, elo)
+   * @returns {Object} { success, room } or { success: false, error }
+   */
+  static joinRoom(code, player) {
+    const room = this.rooms.get(String(code || '').toUpperCase());
+    if (!room) {
+      return { success: false, error: 'Room not found' };
+    }
+    if (room.players.some(p => p.id === player.id)) {
+      return { success: true, room };
+    }
+    if (room.players.length >= this.ROOM_SIZE) {
+      return { success: false, error: 'Room is full' };
+    }
+
+    this.leaveRoom(player.id);
+    room.players.push({ ...player, ready: false });
+    this.playerRooms.set(player.id, room.code);
+    return { success: true, room };
+  }
+
+  /**
+   * Leave a room; the remaining player takes over as host
+   * 
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} The remaining room, or null if none is left
+   */
+  static leaveRoom(playerId) {
+    const room = this.getRoom(playerId);
+    if (!room) return null;
+
+    this.playerRooms.delete(playerId);
+    room.players = room.players.filter(p => p.id !== playerId);
+
+    if (room.players.length === 0) {
+      this.rooms.delete(room.code);
+      return null;
+    }
+
+    room.hostId = room.players[0].id;
+    room.players.forEach(p => { p.ready = false; });
+    return room;
+  }
+
+  /**
+   * Change a room's settings (host only)
+   * Everyone has to ready up again afterwards
+   * 
+   * @param {string} playerId - Player ID
+   * @param {Object} settings - Room settings (see normalizeSettings)
+   * @returns {Object} { success, room } or { success: false, error }
+   */
+  static updateSettings(playerId, settings) {
+    const room = this.getRoom(playerId);
+    if (!room) {
+      return { success: false, error: 'You are not in a room' };
+    }
+    if (room.hostId !== playerId) {
+      return { success: false, error: 'Only the host can change the rules' };
+    }
+
+    Object.assign(room, this.normalizeSettings(settings));
+    room.players.forEach(p => { p.ready = false; });
+    return { success: true, room };
+  }
+
+  /**
+   * Mark a player ready (or not)
+   * 
+   * @param {string} playerId - Player ID
+   * @param {boolean} ready - Ready flag
+   * @returns {Object|null} The room, or null if the player is not in one
+   */
+  static setReady(playerId, ready) {
+    const room = this.getRoom(playerId);
+    if (!room) return null;
+
+    const player = room.players.find(p => p.id === playerId);
+    player.ready = Boolean(ready);
+    return room;
+  }
+
+  /**
+   * Check whether a room can launch: both players ready, or a ready host
+   * alone with bot fill enabled
+   * 
+   * @param {Object} room - Room
+   * @returns {boolean} True if the game can start
+   */
+  static canStart(room) {
+    if (!room.players.every(p => p.ready)) return false;
+    return room.players.length === this.ROOM_SIZE ||
+      (room.botFill && room.players.length === 1);
+  }
+
+  /**
+   * Close a room (its game is starting)
+   * 
+   * @param {string} code - Invite code
+   */
+  static closeRoom(code) {
+    const room = this.rooms.get(code);
+    if (!room) return;
+
+    room.players.forEach(p => this.playerRooms.delete(p.id));
+    this.rooms.delete(code);
+  }
+
+  /**
+   * Get the room a player is in
+   * 
+   * @param {string} playerId - Player ID
+   * @returns {Object|null} Room or null
+   */
+  static getRoom(playerId) {
+    const code = this.playerRooms.get(playerId);
+    return code ? this.rooms.get(code) || null : null;
+  }
+
+  /**
+   * Get the public view of a room sent to its players
+   * 
+   * @param {Object} room - Room
+   * @returns {Object} Room view
+   */
+  static getRoomView(room) {
+    return {
+      code: room.code,
+      hostId: room.hostId,
+      rules: room.rules,
+      botFill: room.botFill,
+      players: room.players.map(p => ({
+        id: p.id,
+        username: p.username,
+        elo: p.elo,
+        ready: p.ready
+      }))
+    };
+  }
+
+  /**
+   * Generate an unused invite code
+   * 
+   * @returns {string} Invite code
+   */
+  static generateCode() {
+    let code;
+    do {
+      code = Array.from({ length: this.CODE_LENGTH }, () =>
+        this.CODE_ALPHABET[Math.floor(Math.random() * this.CODE_ALPHABET.length)]
+      ).join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+}
+
+export default RoomService;
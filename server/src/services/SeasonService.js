@@ -0,0 +1,252 @@
+/**
+ * SeasonService - Competitive Seasons
+ *
+ * Ratings run in seasons with a start and end date:
+ * - Seasons are rows in the seasons table, so they can be scheduled ahead
+ *   with any dates; when none is running a new one is opened that lasts
+ *   SEASON_LENGTH_DAYS (or until the next scheduled season starts)
+ * - When a season ends, every mode's leaderboard is snapshotted into
+ *   season_standings, ratings are soft-reset toward DEFAULT_RATING (logged
+ *   to rating_history) and the per-mode win/loss counters start over
+ *   (users keeps lifetime totals)
+ *
+ * Rollover is lazy: it happens the first time the current season is asked
+ * for after it ended (on startup, before rating a match, on the boards).
+ */
+
+import { prisma } from "../config/prisma.js";
+import EloService from "./EloService.js";
+import GlickoService from "./GlickoService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SeasonService {
+  /**
+   * Length of a season opened automatically
+   */
+  static SEASON_LENGTH_DAYS = parseInt(process.env.SEASON_LENGTH_DAYS) || 90;
+
+  /**
+   * Share of the distance from DEFAULT_RATING a rating keeps after a reset
+   * (0.5: 1600 -> 1400, 1000 -> 1100)
+   */
+  static SOFT_RESET_FACTOR = 0.5;
+
+  /**
+   * Glicko deviation is raised to at least this after a reset, so the
+   * new season's first games settle the rating again
+   */
+  static RESET_DEVIATION = 150;
+
+  /**
+   * Season running right now (cached until it ends)
+   */
+  static current = null;
+
+  /**
+   * Rollover in progress, shared by concurrent callers
+   */
+  static pending = null;
+
+  /**
+   * Get the running season, rolling over first if it has ended
+   *
+   * @returns {Object} Season row
+   */
+  static async getCurrentSeason() {
+    await this.rollover();
+    return this.current;
+  }
+
+  /**
+   * Archive every season that has ended and make sure one is running
+   *
+   * @returns {boolean} True if a season was archived (ratings were reset)
+   */
+  static async rollover() {
+    if (this.current && new Date() < this.current.endsAt) return false;
+
+    this.pending ??= this.runRollover().finally(() => {
+      this.pending = null;
+    });
+    return this.pending;
+  }
+
+  /**
+   * Rollover itself (see rollover)
+   *
+   * @returns {boolean} True if a season was archived
+   */
+  static async runRollover() {
+    const now = new Date();
+    const ended = await prisma.season.findMany({
+      where: { endsAt: { lte: now }, archivedAt: null },
+      orderBy: { endsAt: "asc" },
+    });
+
+    let archived = false;
+    for (const season of ended) {
+      archived = (await this.archiveSeason(season.id, now)) || archived;
+    }
+
+    this.current =
+      (await prisma.season.findFirst({
+        where: { startsAt: { lte: now }, endsAt: { gt: now } },
+        orderBy: { startsAt: "desc" },
+      })) ?? (await this.createSeason(now));
+
+    return archived;
+  }
+
+  /**
+   * Open a season starting now
+   * It ends after SEASON_LENGTH_DAYS, or earlier if a scheduled season
+   * starts before that
+   *
+   * @param {Date} startsAt - Start of the season
+   * @returns {Object} New season row
+   */
+  static async createSeason(startsAt) {
+    const next = await prisma.season.findFirst({
+      where: { startsAt: { gt: startsAt } },
+      orderBy: { startsAt: "asc" },
+    });
+    const fullLength = new Date(
+      startsAt.getTime() + this.SEASON_LENGTH_DAYS * DAY_MS
+    );
+    const count = await prisma.season.count();
+
+    return prisma.season.create({
+      data: {
+        name: `Season ${count + 1}`,
+        startsAt,
+        endsAt: next && next.startsAt < fullLength ? next.startsAt : fullLength,
+      },
+    });
+  }
+
+  /**
+   * Snapshot a season's final standings and soft-reset every rating
+   *
+   * Standings are ranked per mode like the leaderboard (players with at
+   * least one game, highest rating first). The reset pulls each rating
+   * SOFT_RESET_FACTOR of the way back toward DEFAULT_RATING, zeroes the
+   * season counters and clears tiers so they follow the reset rating.
+   * A season nobody played leaves ratings alone.
+   *
+   * @param {number} seasonId - Season to archive
+   * @param {Date} [now] - Archive time
+   * @returns {boolean} True if ratings were reset
+   */
+  static async archiveSeason(seasonId, now = new Date()) {
+    const rating = EloService.DEFAULT_RATING;
+    const factor = this.SOFT_RESET_FACTOR;
+
+    return prisma.$transaction(
+      async (tx) => {
+        // Only one caller gets to archive a season
+        const claimed = await tx.season.updateMany({
+          where: { id: seasonId, archivedAt: null },
+          data: { archivedAt: now },
+        });
+        if (claimed.count === 0) return false;
+
+        // Players still in their placement games aren't ranked
+        const finishers = await tx.$executeRaw`
+          INSERT INTO season_standings
+            (id, season_id, user_id, mode, rank, elo, wins, losses, draws, games_played)
+          SELECT uuid_generate_v4(), ${seasonId}::int, r.user_id, r.mode,
+                 ROW_NUMBER() OVER (PARTITION BY r.mode ORDER BY r.elo DESC),
+                 r.elo, r.wins, r.losses, r.draws, r.games_played
+          FROM ratings r
+          JOIN users u ON u.id = r.user_id
+          WHERE r.games_played > 0
+            AND u.games_played >= ${EloService.PROVISIONAL_GAMES}::int`;
+        if (finishers === 0) return false;
+
+        // Reset, logging every rating that moved to rating_history
+        await tx.$executeRaw`
+          WITH reset AS (
+            UPDATE ratings r
+            SET elo = GREATEST(
+                  ROUND(${rating}::float8 + (r.elo - ${rating}::float8) * ${factor}::float8)::int,
+                  ${EloService.MIN_RATING}::int
+                ),
+                glicko_rating = ${rating}::float8 + (r.glicko_rating - ${rating}::float8) * ${factor}::float8,
+                glicko_deviation = LEAST(
+                  GREATEST(r.glicko_deviation, ${this.RESET_DEVIATION}::float8),
+                  ${GlickoService.DEFAULT_DEVIATION}::float8
+                ),
+                wins = 0,
+                losses = 0,
+                draws = 0,
+                games_played = 0,
+                tier = NULL,
+                division = NULL,
+                updated_at = NOW()
+            FROM ratings old
+            WHERE old.id = r.id
+            RETURNING r.user_id, r.mode, old.elo AS elo_before, r.elo AS elo_after
+          )
+          INSERT INTO rating_history (id, user_id, mode, reason, elo_before, elo_after, created_at)
+          SELECT uuid_generate_v4(), user_id, mode, ${EloService.HISTORY_REASONS.SEASON_RESET},
+                 elo_before, elo_after, ${now}
+          FROM reset
+          WHERE elo_before <> elo_after`;
+
+        // users mirrors the duel rating
+        await tx.$executeRaw`
+          UPDATE users u
+          SET elo = r.elo,
+              glicko_rating = r.glicko_rating,
+              glicko_deviation = r.glicko_deviation
+          FROM ratings r
+          WHERE r.user_id = u.id AND r.mode = ${EloService.DEFAULT_RATING_MODE}`;
+
+        return true;
+      },
+      { timeout: 60000 }
+    );
+  }
+
+  /**
+   * Get a season by ID
+   *
+   * @param {number} seasonId - Season ID
+   * @returns {Object|null} Season row or null
+   */
+  static async getSeason(seasonId) {
+    if (!Number.isInteger(seasonId)) return null;
+    return prisma.season.findUnique({ where: { id: seasonId } });
+  }
+
+  /**
+   * Get every season that has started, newest first
+   *
+   * @returns {Object[]} Season rows
+   */
+  static async getSeasons() {
+    return prisma.season.findMany({
+      where: { startsAt: { lte: new Date() } },
+      orderBy: { startsAt: "desc" },
+    });
+  }
+
+  /**
+   * Shape a season for API responses
+   *
+   * @param {Object} season - Season row
+   * @returns {Object} Public season fields
+   */
+  static formatSeason(season) {
+    return {
+      id: season.id,
+      name: season.name,
+      startsAt: season.startsAt,
+      endsAt: season.endsAt,
+      archived: Boolean(season.archivedAt),
+    };
+  }
+}
+
+export default SeasonService;
@@ -0,0 +1,153 @@
+/**
+ * TierService - Rank Tiers and Divisions
+ *
+ * Ratings map onto a ladder of named tiers, Bronze through Grandmaster.
+ * Bronze to Diamond have three divisions each (III is the lowest), each
+ * DIVISION_WIDTH points wide; Master and Grandmaster are single divisions.
+ *
+ * Promotion happens as soon as a rating reaches the next division's floor.
+ * Demotion waits until the rating drops DEMOTION_BUFFER points below the
+ * current division's floor, so a player sitting on a threshold doesn't
+ * flicker between two divisions from one game to the next. Each rating
+ * row stores its current tier for that reason.
+ */
+
+const ROMAN = ["", "I", "II", "III"];
+
+class TierService {
+  /**
+   * Tiers from lowest to highest, with the rating their lowest division starts at
+   * (Bronze III covers everything below Bronze II)
+   */
+  static TIERS = [
+    { name: "Bronze", floor: 850, divisions: 3 },
+    { name: "Silver", floor: 1000, divisions: 3 },
+    { name: "Gold", floor: 1150, divisions: 3 },
+    { name: "Platinum", floor: 1300, divisions: 3 },
+    { name: "Diamond", floor: 1450, divisions: 3 },
+    { name: "Master", floor: 1600, divisions: 1 },
+    { name: "Grandmaster", floor: 1800, divisions: 1 },
+  ];
+
+  /**
+   * Points between two divisions of a tier
+   */
+  static DIVISION_WIDTH = 50;
+
+  /**
+   * How far below a division's floor a rating must fall to be demoted
+   */
+  static DEMOTION_BUFFER = 25;
+
+  /**
+   * Every division from lowest to highest: { tier, division, floor }
+   * (division is null for single-division tiers)
+   */
+  static LADDER = this.TIERS.flatMap((tier) =>
+    Array.from({ length: tier.divisions }, (_, i) => ({
+      tier: tier.name,
+      division: tier.divisions > 1 ? tier.divisions - i : null,
+      floor: tier.floor + i * this.DIVISION_WIDTH,
+    }))
+  );
+
+  /**
+   * Position on the ladder a rating falls into, ignoring hysteresis
+   *
+   * @param {number} rating - Rating
+   * @returns {number} Index into LADDER
+   */
+  static getLevel(rating) {
+    const above = this.LADDER.findIndex((step) => step.floor > rating);
+    return above === -1 ? this.LADDER.length - 1 : Math.max(above - 1, 0);
+  }
+
+  /**
+   * Ladder position of a stored tier
+   *
+   * @param {Object|null} current - { tier, division } or null
+   * @returns {number} Index into LADDER, -1 if unknown
+   */
+  static findLevel(current) {
+    if (!current?.tier) return -1;
+    return this.LADDER.findIndex(
+      (step) =>
+        step.tier === current.tier &&
+        step.division === (current.division ?? null)
+    );
+  }
+
+  /**
+   * Tier for a rating, given the player's current tier
+   *
+   * @param {number} rating - New rating
+   * @param {Object|null} [current] - Current { tier, division }, if any
+   * @returns {Object} { tier, division, name }
+   *
+   * @example
+   * getTier(1200)                                  // Gold II
+   * getTier(1140, { tier: "Gold", division: 3 })   // Gold III (within the buffer)
+   * getTier(1120, { tier: "Gold", division: 3 })   // Silver I
+   */
+  static getTier(rating, current = null) {
+    const level = this.getLevel(rating);
+    const currentLevel = this.findLevel(current);
+
+    // Falling: only as far as the rating is below a floor by the buffer
+    const next =
+      currentLevel === -1 || level >= currentLevel
+        ? level
+        : Math.min(currentLevel, this.getLevel(rating + this.DEMOTION_BUFFER));
+
+    return this.formatTier(this.LADDER[next]);
+  }
+
+  /**
+   * Compare a player's tier before and after a rating change
+   *
+   * @param {Object} before - { tier, division, name }
+   * @param {Object} after - { tier, division, name }
+   * @returns {Object} { before, after, change } where change is
+   *   "promoted", "demoted" or null
+   */
+  static compareTiers(before, after) {
+    const from = this.findLevel(before);
+    const to = this.findLevel(after);
+
+    return {
+      before,
+      after,
+      change: to > from ? "promoted" : to < from ? "demoted" : null,
+    };
+  }
+
+  /**
+   * Shape a tier for API responses
+   *
+   * @param {Object} step - { tier, division }
+   * @returns {Object} { tier, division, name } e.g. name "Gold II"
+   */
+  static formatTier(step) {
+    return {
+      tier: step.tier,
+      division: step.division ?? null,
+      name: step.division ? `${step.tier} ${ROMAN[step.division]}` : step.tier,
+    };
+  }
+
+  /**
+   * Tier of a stored rating row, falling back to its rating when no tier
+   * has been stored yet (new rows, or after a season reset)
+   *
+   * @param {Object} row - { elo, tier, division }
+   * @returns {Object} { tier, division, name }
+   */
+  static fromRow(row) {
+    const level = this.findLevel(row);
+    return level === -1
+      ? this.getTier(row.elo)
+      : this.formatTier(this.LADDER[level]);
+  }
+}
+
+export default TierService;
@@ -1,9 +1,17 @@
 /**
  * WordService - Dictionary Management
  * 
- * Handles loading and accessing the word dictionaries:
- * - answers.json: Target words that can be solutions (~2300 words)
- * - valid_guesses.json: All valid guesses including answers (~12000 words)
+ * Handles loading and accessing the word dictionaries, one pair per locale and word length:
+ * - answers*.json: Target words that can be solutions
+ * - valid_guesses*.json: Additional valid guesses (answers are always valid)
+ *
+ * English lives at the top of src/data, other locales in their own folder
+ * (es/, de/). Words keep their accented letters (Ñ, Ä, Ö, Ü) and are
+ * bucketed by their actual length, so a stray 4-letter word in the
+ * 5-letter file can never become the target of a 5-letter game.
+ *
+ * Dictionary packs (packs/*.json) are named answer subsets such as "animals";
+ * a match picks its target from its pack, guesses still use the full dictionary.
  */
 
 import fs from 'fs/promises';
@@ -14,8 +22,69 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 class WordService {
-  static answers = [];
-  static validGuesses = new Set();
+  /**
+   * Word lengths a match can be played with
+   */
+  static SUPPORTED_WORD_LENGTHS = [4, 5, 6, 7];
+
+  /**
+   * Word length used when a match doesn't ask for one
+   */
+  static DEFAULT_WORD_LENGTH = 5;
+
+  /**
+   * English dictionary files per word length (relative to src/data)
+   */
+  static DICTIONARY_FILES = {
+    4: { answers: 'answers_4.json', guesses: 'valid_guesses_4.json' },
+    5: { answers: 'answers.json', guesses: 'valid_guesses.json' },
+    6: { answers: 'answers_6.json', guesses: 'valid_guesses_6.json' },
+    7: { answers: 'answers_7.json', guesses: 'valid_guesses_7.json' }
+  };
+
+  /**
+   * Locale used when a match doesn't ask for one
+   */
+  static DEFAULT_LOCALE = 'en';
+
+  /**
+   * Playable locales: display name, alphabet and dictionary files per word length
+   */
+  static LOCALES = {
+    en: {
+      name: 'English',
+      alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+      dictionaries: this.DICTIONARY_FILES
+    },
+    es: {
+      name: 'Español',
+      alphabet: 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ',
+      dictionaries: {
+        5: { answers: 'es/answers.json', guesses: 'es/valid_guesses.json' }
+      }
+    },
+    de: {
+      name: 'Deutsch',
+      alphabet: 'ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÜ',
+      dictionaries: {
+        5: { answers: 'de/answers.json', guesses: 'de/valid_guesses.json' }
+      }
+    }
+  };
+
+  /**
+   * Pack used when a match doesn't ask for one (the full answer list)
+   */
+  static DEFAULT_PACK = 'standard';
+
+  /**
+   * A pack only offers a word length if it has at least this many answers
+   */
+  static MIN_PACK_ANSWERS = 10;
+
+  static answers = new Map();       // locale -> Map<wordLength, Array<string>>
+  static validGuesses = new Map();  // locale -> Map<wordLength, Set<string>>
+  static packs = new Map();         // packId -> { id, name, description, answers: Map<wordLength, Array<string>> }
   static initialized = false;
 
   /**
@@ -28,18 +97,13 @@ class WordService {
     const dataDir = path.join(__dirname, '../data');
 
     try {
-      // Load answer words
-      const answersPath = path.join(dataDir, 'answers.json');
-      const answersData = await fs.readFile(answersPath, 'utf-8');
-      this.answers = JSON.parse(answersData).map(w => w.toUpperCase());
+      this.answers = new Map();
+      this.validGuesses = new Map();
+      for (const [locale, config] of Object.entries(this.LOCALES)) {
+        await this.loadLocale(dataDir, locale, config);
+      }
 
-      // Load valid guesses
-      const guessesPath = path.join(dataDir, 'valid_guesses.json');
-      const guessesData = await fs.readFile(guessesPath, 'utf-8');
-      const guesses = JSON.parse(guessesData).map(w => w.toUpperCase());
-      
-      // Valid guesses includes all answers + additional valid words
-      this.validGuesses = new Set([...guesses, ...this.answers]);
+      await this.loadPacks(path.join(dataDir, 'packs'));
       
       this.initialized = true;
     } catch (error) {
@@ -49,39 +113,238 @@ class WordService {
   }
 
   /**
-   * Get a random target word for a game
-   * @returns {string} Random answer word (uppercase)
+   * Load one locale's dictionaries
+   * Words with letters outside the locale's alphabet are dropped
+   * 
+   * @param {string} dataDir - Dictionary root (src/data)
+   * @param {string} locale - Locale ID
+   * @param {Object} config - Locale entry from LOCALES
+   */
+  static async loadLocale(dataDir, locale, config) {
+    const answers = [];
+    const guesses = [];
+
+    for (const files of Object.values(config.dictionaries)) {
+      // Load answer words
+      const answersData = await fs.readFile(path.join(dataDir, files.answers), 'utf-8');
+      answers.push(...JSON.parse(answersData).map(w => w.toUpperCase()));
+
+      // Load valid guesses
+      const guessesData = await fs.readFile(path.join(dataDir, files.guesses), 'utf-8');
+      guesses.push(...JSON.parse(guessesData).map(w => w.toUpperCase()));
+    }
+
+    const answersByLength = new Map();
+    const guessesByLength = new Map();
+    for (const length of Object.keys(config.dictionaries).map(Number)) {
+      answersByLength.set(length, []);
+      guessesByLength.set(length, new Set());
+    }
+
+    const inAlphabet = word => [...word].every(letter => config.alphabet.includes(letter));
+
+    for (const word of new Set(answers)) {
+      if (inAlphabet(word)) answersByLength.get(word.length)?.push(word);
+    }
+
+    // Valid guesses includes all answers + additional valid words
+    for (const word of [...guesses, ...answers]) {
+      if (inAlphabet(word)) guessesByLength.get(word.length)?.add(word);
+    }
+
+    this.answers.set(locale, answersByLength);
+    this.validGuesses.set(locale, guessesByLength);
+  }
+
+  /**
+   * Load the dictionary packs (one JSON file per pack, named by pack id)
+   * Packs are English; words that aren't in the dictionary for their length are dropped
+   * 
+   * @param {string} packsDir - Directory holding the pack files
+   */
+  static async loadPacks(packsDir) {
+    this.packs = new Map();
+
+    const files = (await fs.readdir(packsDir)).filter(f => f.endsWith('.json')).sort();
+    const validGuesses = this.validGuesses.get(this.DEFAULT_LOCALE);
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      const data = JSON.parse(await fs.readFile(path.join(packsDir, file), 'utf-8'));
+
+      const answers = new Map();
+      for (const word of new Set(data.answers.map(w => w.toUpperCase()))) {
+        if (!validGuesses.get(word.length)?.has(word)) continue;
+        if (!answers.has(word.length)) answers.set(word.length, []);
+        answers.get(word.length).push(word);
+      }
+
+      this.packs.set(id, {
+        id,
+        name: data.name || id,
+        description: data.description || '',
+        answers
+      });
+    }
+  }
+
+  /**
+   * Check if a pack can be played at a word length
+   * @param {string} packId - Pack ID
+   * @param {number} wordLength - Target word length
+   * @param {string} [locale] - Match locale (themed packs are English only)
+   * @returns {boolean} True if the pack has enough answers of that length
+   */
+  static hasPack(packId, wordLength, locale = this.DEFAULT_LOCALE) {
+    if (packId === this.DEFAULT_PACK) return true;
+    if (locale !== this.DEFAULT_LOCALE) return false;
+    const answers = this.packs.get(packId)?.answers.get(wordLength);
+    return Boolean(answers) && answers.length >= this.MIN_PACK_ANSWERS;
+  }
+
+  /**
+   * List the packs players can pick from
+   * @returns {Array<{id: string, name: string, description: string, wordLengths: number[], locales: string[]}>} Packs, standard first
    */
-  static getRandomAnswer() {
+  static getPacks() {
+    return [
+      {
+        id: this.DEFAULT_PACK,
+        name: 'Standard',
+        description: 'The full answer list',
+        wordLengths: [...this.SUPPORTED_WORD_LENGTHS],
+        locales: Object.keys(this.LOCALES)
+      },
+      ...[...this.packs.values()].map(pack => ({
+        id: pack.id,
+        name: pack.name,
+        description: pack.description,
+        wordLengths: this.SUPPORTED_WORD_LENGTHS.filter(length => this.hasPack(pack.id, length)),
+        locales: [this.DEFAULT_LOCALE]
+      }))
+    ];
+  }
+
+  /**
+   * Check if a locale can be played
+   * @param {string} locale - Requested locale
+   * @returns {boolean} True if dictionaries exist for this locale
+   */
+  static isSupportedLocale(locale) {
+    return Object.hasOwn(this.LOCALES, locale);
+  }
+
+  /**
+   * List the locales players can pick from
+   * @returns {Array<{id: string, name: string, alphabet: string, wordLengths: number[]}>} Locales, English first
+   */
+  static getLocales() {
+    return Object.entries(this.LOCALES).map(([id, config]) => ({
+      id,
+      name: config.name,
+      alphabet: config.alphabet,
+      wordLengths: Object.keys(config.dictionaries).map(Number)
+    }));
+  }
+
+  /**
+   * Check if a word length can be played
+   * @param {number} wordLength - Requested word length
+   * @param {string} [locale] - Match locale
+   * @returns {boolean} True if dictionaries exist for this length
+   */
+  static isSupportedLength(wordLength, locale = this.DEFAULT_LOCALE) {
+    return this.SUPPORTED_WORD_LENGTHS.includes(wordLength) &&
+      Boolean(this.LOCALES[locale]?.dictionaries[wordLength]);
+  }
+
+  /**
+   * Get the answers a target word can be drawn from
+   * @param {number} wordLength - Length of the target word
+   * @param {string} packId - Pack ID
+   * @param {string} [locale] - Match locale
+   * @returns {Array<string>} Answer pool (not a copy)
+   */
+  static getAnswerPool(wordLength, packId = this.DEFAULT_PACK, locale = this.DEFAULT_LOCALE) {
     if (!this.initialized) {
       throw new Error('WordService not initialized');
     }
-    const index = Math.floor(Math.random() * this.answers.length);
-    return this.answers[index];
+    const answers = packId === this.DEFAULT_PACK
+      ? this.answers.get(locale)?.get(wordLength)
+      : this.packs.get(packId)?.answers.get(wordLength);
+    if (!answers || answers.length === 0) {
+      throw new Error(`No answers available for word length ${wordLength} in pack ${packId} (${locale})`);
+    }
+    return answers;
+  }
+
+  /**
+   * Get a random target word for a game
+   * @param {number} wordLength - Length of the target word
+   * @param {string} [packId] - Dictionary pack to draw from
+   * @param {string} [locale] - Match locale
+   * @returns {string} Random answer word (uppercase)
+   */
+  static getRandomAnswer(
+    wordLength = this.DEFAULT_WORD_LENGTH,
+    packId = this.DEFAULT_PACK,
+    locale = this.DEFAULT_LOCALE
+  ) {
+    const answers = this.getAnswerPool(wordLength, packId, locale);
+    const index = Math.floor(Math.random() * answers.length);
+    return answers[index];
+  }
+
+  /**
+   * Get the daily challenge answer for a day
+   * The same seed and day always give the same word (for a given dictionary)
+   * 
+   * @param {string} day - Day key (YYYY-MM-DD, UTC)
+   * @param {number} wordLength - Length of the target word
+   * @param {string} packId - Dictionary pack to draw from
+   * @param {string} seed - Secret seed mixed into the pick
+   * @returns {string} The day's answer word (uppercase)
+   */
+  static getDailyAnswer(
+    day,
+    wordLength = this.DEFAULT_WORD_LENGTH,
+    packId = this.DEFAULT_PACK,
+    seed = process.env.DAILY_SEED || 'wordarena'
+  ) {
+    const answers = this.getAnswerPool(wordLength, packId);
+
+    // FNV-1a hash of seed + day
+    let hash = 0x811c9dc5;
+    for (const char of `${seed}:${day}`) {
+      hash ^= char.charCodeAt(0);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return answers[hash % answers.length];
   }
 
   /**
    * Check if a guess is valid
    * @param {string} word - The word to validate
+   * @param {string} [locale] - Match locale
    * @returns {boolean} True if word is in valid guesses list
    */
-  static isValidGuess(word) {
+  static isValidGuess(word, locale = this.DEFAULT_LOCALE) {
     if (!this.initialized) {
       throw new Error('WordService not initialized');
     }
-    return this.validGuesses.has(word.toUpperCase());
+    return this.validGuesses.get(locale)?.get(word.length)?.has(word.toUpperCase()) || false;
   }
 
   /**
    * Check if a word is a valid answer
    * @param {string} word - The word to check
+   * @param {string} [locale] - Match locale
    * @returns {boolean} True if word can be a target answer
    */
-  static isValidAnswer(word) {
+  static isValidAnswer(word, locale = this.DEFAULT_LOCALE) {
     if (!this.initialized) {
       throw new Error('WordService not initialized');
     }
-    return this.answers.includes(word.toUpperCase());
+    return this.answers.get(locale)?.get(word.length)?.includes(word.toUpperCase()) || false;
   }
 
   /**
@@ -106,15 +369,16 @@ class WordService {
     guess = guess.toUpperCase();
     target = target.toUpperCase();
     
-    const result = new Array(5).fill(null);
+    const length = target.length;
+    const result = new Array(length).fill(null);
     const targetLetters = target.split('');
     const guessLetters = guess.split('');
     
     // Track which target letters have been matched
-    const matched = new Array(5).fill(false);
+    const matched = new Array(length).fill(false);
     
     // First pass: Mark greens (exact matches)
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < length; i++) {
       if (guessLetters[i] === targetLetters[i]) {
         result[i] = { letter: guessLetters[i], color: 'green' };
         matched[i] = true;
@@ -122,12 +386,12 @@ class WordService {
     }
     
     // Second pass: Mark yellows and greys
-    for (let i = 0; i < 5; i++) {
+    for (let i = 0; i < length; i++) {
       if (result[i]) continue; // Already marked green
       
       // Look for unmatched occurrence of this letter in target
       let found = false;
-      for (let j = 0; j < 5; j++) {
+      for (let j = 0; j < length; j++) {
         if (!matched[j] && guessLetters[i] === targetLetters[j]) {
           result[i] = { letter: guessLetters[i], color: 'yellow' };
           matched[j] = true;
@@ -144,6 +408,58 @@ class WordService {
     return result;
   }
 
+  /**
+   * Check a guess against the hard mode rules
+   * Revealed greens must stay in place and revealed yellows must be reused
+   *
+   * @param {string} guess - The guessed word
+   * @param {Array<Array<{letter: string, color: string}>>} revealed - Evaluations of previous guesses
+   * @returns {string|null} Reason the guess is illegal, or null if it is allowed
+   *
+   * @example
+   * getHardModeViolation('CLOUD', [evaluateGuess('CRANE', 'CREPT')])
+   * // Returns: '2nd letter must be R'
+   */
+  static getHardModeViolation(guess, revealed) {
+    guess = guess.toUpperCase();
+
+    for (const evaluation of revealed) {
+      // Greens must stay in place
+      for (let i = 0; i < evaluation.length; i++) {
+        const { letter, color } = evaluation[i];
+        if (color === 'green' && guess[i] !== letter) {
+          return `${this.toOrdinal(i + 1)} letter must be ${letter}`;
+        }
+      }
+
+      // Every revealed letter must be reused (as many times as it was revealed)
+      const required = {};
+      for (const { letter, color } of evaluation) {
+        if (color === 'green' || color === 'yellow') {
+          required[letter] = (required[letter] || 0) + 1;
+        }
+      }
+      for (const [letter, count] of Object.entries(required)) {
+        if (guess.split(letter).length - 1 < count) {
+          return `Guess must contain ${letter}`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Format a position as an ordinal (1st, 2nd, 3rd, 4th...)
+   * @param {number} n - Position (1-based)
+   * @returns {string} Ordinal string
+   */
+  static toOrdinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const teen = n % 100 >= 11 && n % 100 <= 13;
+    return `${n}${!teen && suffixes[n % 10] || 'th'}`;
+  }
+
   /**
    * Check if a guess is the correct answer
    * @param {string} guess - The guessed word
@@ -156,32 +472,54 @@ class WordService {
 
   /**
    * Get all possible answers (for bot calculations)
-   * @returns {Array<string>} All answer words
+   * @param {number} wordLength - Word length to list
+   * @param {string} [packId] - Dictionary pack (the full list by default)
+   * @param {string} [locale] - Match locale
+   * @returns {Array<string>} All answer words of that length
    */
-  static getAllAnswers() {
-    return [...this.answers];
+  static getAllAnswers(
+    wordLength = this.DEFAULT_WORD_LENGTH,
+    packId = this.DEFAULT_PACK,
+    locale = this.DEFAULT_LOCALE
+  ) {
+    if (packId !== this.DEFAULT_PACK && this.packs.has(packId)) {
+      return [...(this.packs.get(packId).answers.get(wordLength) || [])];
+    }
+    return [...(this.answers.get(locale)?.get(wordLength) || [])];
   }
 
   /**
    * Get all valid guesses (for bot calculations)
-   * @returns {Array<string>} All valid guess words
+   * @param {number} wordLength - Word length to list
+   * @param {string} [locale] - Match locale
+   * @returns {Array<string>} All valid guess words of that length
    */
-  static getAllValidGuesses() {
-    return [...this.validGuesses];
+  static getAllValidGuesses(wordLength = this.DEFAULT_WORD_LENGTH, locale = this.DEFAULT_LOCALE) {
+    return [...(this.validGuesses.get(locale)?.get(wordLength) || [])];
   }
 
   /**
    * Get count of answer words
+   * @param {number} [wordLength] - Word length to count (all lengths if omitted)
+   * @param {string} [locale] - Locale to count (all locales if omitted)
    */
-  static getAnswerCount() {
-    return this.answers.length;
+  static getAnswerCount(wordLength, locale) {
+    const locales = locale ? [this.answers.get(locale)] : [...this.answers.values()];
+    return locales.filter(Boolean).flatMap(byLength =>
+      wordLength ? [byLength.get(wordLength) || []] : [...byLength.values()]
+    ).reduce((sum, list) => sum + list.length, 0);
   }
 
   /**
    * Get count of valid guesses
+   * @param {number} [wordLength] - Word length to count (all lengths if omitted)
+   * @param {string} [locale] - Locale to count (all locales if omitted)
    */
-  static getValidGuessCount() {
-    return this.validGuesses.size;
+  static getValidGuessCount(wordLength, locale) {
+    const locales = locale ? [this.validGuesses.get(locale)] : [...this.validGuesses.values()];
+    return locales.filter(Boolean).flatMap(byLength =>
+      wordLength ? [byLength.get(wordLength) || new Set()] : [...byLength.values()]
+    ).reduce((sum, set) => sum + set.size, 0);
   }
 }
 
@@ -0,0 +1,50 @@
+import BotService from "../BotService.js";
+
+describe("getAdversarialPattern", () => {
+  it("keeps the largest bucket of candidates", () => {
+    // CRATE and CRAZE share GGGXG, GRATE is alone, the last three miss entirely
+    const result = BotService.getAdversarialPattern("CRANE", [
+      "CRATE",
+      "CRAZE",
+      "GRATE",
+      "SLOTH",
+      "MOIST",
+      "PLUMB",
+    ]);
+
+    expect(result).toEqual({ pattern: "XXXXX", remaining: ["SLOTH", "MOIST", "PLUMB"] });
+  });
+
+  it("breaks ties away from a solve, then toward fewer greens", () => {
+    expect(BotService.getAdversarialPattern("CRANE", ["CRANE", "CRATE"])).toEqual({
+      pattern: "GGGXG",
+      remaining: ["CRATE"],
+    });
+    expect(BotService.getAdversarialPattern("CRANE", ["CRATE", "SLOTH"]).pattern).toBe("XXXXX");
+  });
+
+  it("concedes the solve when it's the only word left", () => {
+    expect(BotService.getAdversarialPattern("CRANE", ["CRANE"])).toEqual({
+      pattern: "GGGGG",
+      remaining: ["CRANE"],
+    });
+  });
+});
+
+describe("isHardModeLegal", () => {
+  it("applies the hard mode rules to pattern constraints", () => {
+    const constraints = [{ guess: "CRANE", pattern: "GGXXX" }];
+
+    expect(BotService.isHardModeLegal("CRIMP", constraints)).toBe(true);
+    expect(BotService.isHardModeLegal("CLOUD", constraints)).toBe(false);
+  });
+
+  it("requires a repeated letter as many times as it was revealed", () => {
+    // EERIE against THEME
+    const constraints = [{ guess: "EERIE", pattern: BotService.getPattern("EERIE", "THEME") }];
+
+    expect(constraints[0].pattern).toBe("YXXXG");
+    expect(BotService.isHardModeLegal("THOSE", constraints)).toBe(false);
+    expect(BotService.isHardModeLegal("THEME", constraints)).toBe(true);
+  });
+});
@@ -0,0 +1,264 @@
+import EloService from "../EloService.js";
+
+describe("calculateMultiplayerResult", () => {
+  it("scores every pair of players as a head-to-head result", () => {
+    const result = EloService.calculateMultiplayerResult([
+      { id: "a", rating: 1200, placement: 1 },
+      { id: "b", rating: 1200, placement: 2 },
+      { id: "c", rating: 1200, placement: 3 },
+    ]);
+
+    expect(result.a).toEqual({ oldRating: 1200, newRating: 1216, delta: 16, placement: 1 });
+    expect(result.b).toEqual({ oldRating: 1200, newRating: 1200, delta: 0, placement: 2 });
+    expect(result.c).toEqual({ oldRating: 1200, newRating: 1184, delta: -16, placement: 3 });
+  });
+
+  it("moves a full lobby about as much as a duel", () => {
+    const players = Array.from({ length: 8 }, (_, i) => ({
+      id: `p${i}`,
+      rating: 1200,
+      placement: i + 1,
+    }));
+    const result = EloService.calculateMultiplayerResult(players);
+
+    expect(result.p0.delta).toBe(16);
+    expect(result.p7.delta).toBe(-16);
+  });
+
+  it("scores shared placements as half a win", () => {
+    const result = EloService.calculateMultiplayerResult([
+      { id: "a", rating: 1200, placement: 1 },
+      { id: "b", rating: 1200, placement: 1 },
+      { id: "c", rating: 1200, placement: 3 },
+    ]);
+
+    expect(result.a.delta).toBe(8);
+    expect(result.b.delta).toBe(8);
+    expect(result.c.delta).toBe(-16);
+  });
+
+  it("keeps bots' ratings and weighs results against them by BOT_MATCH_WEIGHT", () => {
+    const result = EloService.calculateMultiplayerResult([
+      { id: "a", rating: 1200, placement: 1 },
+      { id: "bot", rating: 1200, placement: 2, isBot: true },
+    ]);
+
+    expect(result.bot.newRating).toBe(1200);
+    expect(result.bot.delta).toBe(0);
+    expect(result.a.delta).toBe(EloService.K_FACTOR * EloService.BOT_MATCH_WEIGHT * 0.5);
+  });
+
+  it("never drops a rating below MIN_RATING", () => {
+    const result = EloService.calculateMultiplayerResult([
+      { id: "a", rating: 1200, placement: 1 },
+      { id: "b", rating: EloService.MIN_RATING, placement: 2 },
+    ]);
+
+    expect(result.b.newRating).toBe(EloService.MIN_RATING);
+  });
+});
+
+describe("calculateTeamMatchResult", () => {
+  it("gives every member the team's change", () => {
+    const result = EloService.calculateTeamMatchResult(
+      [
+        { id: "a1", rating: 1200, team: "A" },
+        { id: "a2", rating: 1200, team: "A" },
+        { id: "b1", rating: 1200, team: "B" },
+        { id: "b2", rating: 1200, team: "B" },
+      ],
+      "A"
+    );
+
+    expect(result.a1).toEqual({ oldRating: 1200, newRating: 1216, delta: 16, placement: 1 });
+    expect(result.a2.delta).toBe(16);
+    expect(result.b1).toEqual({ oldRating: 1200, newRating: 1184, delta: -16, placement: 2 });
+    expect(result.b2.delta).toBe(-16);
+  });
+
+  it("rates each team by its average rating", () => {
+    const result = EloService.calculateTeamMatchResult(
+      [
+        { id: "a1", rating: 1400, team: "A" },
+        { id: "a2", rating: 1000, team: "A" },
+        { id: "b1", rating: 1200, team: "B" },
+        { id: "b2", rating: 1200, team: "B" },
+      ],
+      "B"
+    );
+
+    // Both teams average 1200, so the members all move by 16
+    expect(result.a1.newRating).toBe(1384);
+    expect(result.a2.newRating).toBe(984);
+    expect(result.b1.newRating).toBe(1216);
+  });
+
+  it("scores a draw as 0.5 for both teams", () => {
+    const result = EloService.calculateTeamMatchResult(
+      [
+        { id: "a1", rating: 1200, team: "A" },
+        { id: "b1", rating: 1200, team: "B" },
+      ],
+      null
+    );
+
+    expect(result.a1.delta).toBe(0);
+    expect(result.a1.placement).toBe(1);
+    expect(result.b1.placement).toBe(1);
+  });
+
+  it("keeps bots' ratings and halves the change when bots play", () => {
+    const result = EloService.calculateTeamMatchResult(
+      [
+        { id: "a1", rating: 1200, team: "A" },
+        { id: "bot", rating: 1200, team: "A", isBot: true },
+        { id: "b1", rating: 1200, team: "B" },
+        { id: "b2", rating: 1200, team: "B" },
+      ],
+      "A"
+    );
+
+    expect(result.bot.delta).toBe(0);
+    expect(result.a1.delta).toBe(8);
+    expect(result.b1.delta).toBe(-8);
+  });
+});
+
+/**
+ * Replay log of a 1v1 round won by solving
+ * Guess times are milliseconds after the round started; the winner's last
+ * guess is the solve
+ */
+function raceLog({ winnerTimes, loserTimes, mode = "duel", winner = "w", bot = false }) {
+  const t0 = 1_000_000;
+  const guess = (playerId) => (at) => ({
+    playerId,
+    type: "guess",
+    round: 1,
+    data: { timestamp: t0 + at },
+  });
+
+  return [
+    {
+      type: "round_start",
+      round: 1,
+      timestamp: t0,
+      rules: { mode, maxGuesses: 6 },
+      players: [
+        { id: "w", isBot: bot },
+        { id: "l", isBot: false },
+      ],
+    },
+    ...loserTimes.map(guess("l")),
+    ...winnerTimes.map(guess("w")),
+    { type: "round_end", round: 1, winner, endTime: t0 + winnerTimes.at(-1) },
+  ];
+}
+
+describe("calculateMargin", () => {
+  it("measures the guess and solve-time gaps", () => {
+    // Solved in 2 while the opponent has made 5 guesses, 8s apart
+    const log = raceLog({
+      winnerTimes: [4000, 8000],
+      loserTimes: [8000, 16000, 24000, 32000, 40000],
+    });
+
+    expect(EloService.calculateMargin(log, "w")).toEqual({
+      guesses: 4,
+      timeGapMs: 40000,
+      multiplier: 1.33,
+    });
+  });
+
+  it("has no time gap once the loser is out of guesses", () => {
+    const log = raceLog({
+      winnerTimes: [10000, 20000, 90000],
+      loserTimes: [5000, 10000, 15000, 20000, 25000, 30000],
+    });
+
+    expect(EloService.calculateMargin(log, "w")).toEqual({
+      guesses: 4,
+      timeGapMs: 0,
+      multiplier: 1.2,
+    });
+  });
+
+  it("caps the multiplier at MAX_MARGIN_MULTIPLIER", () => {
+    // 0.3 * 5/6 + 0.2 * 1 would be 1.45
+    const log = raceLog({
+      winnerTimes: [5000],
+      loserTimes: [30000, 60000, 90000, 120000, 150000],
+    });
+
+    expect(EloService.calculateMargin(log, "w")).toEqual({
+      guesses: 5,
+      timeGapMs: 175000,
+      multiplier: EloService.MAX_MARGIN_MULTIPLIER,
+    });
+  });
+
+  it("measures a bot's win the same way", () => {
+    const log = raceLog({
+      winnerTimes: [4000, 8000],
+      loserTimes: [8000, 16000, 24000, 32000, 40000],
+      bot: true,
+    });
+
+    expect(EloService.calculateMargin(log, "w").multiplier).toBe(1.33);
+  });
+
+  it("has no margin unless the match winner solved the deciding round", () => {
+    const log = raceLog({ winnerTimes: [8000], loserTimes: [8000] });
+    const drawn = raceLog({ winnerTimes: [8000], loserTimes: [8000], winner: null });
+
+    expect(EloService.calculateMargin(log, "l")).toBeNull();
+    expect(EloService.calculateMargin(drawn, "w")).toBeNull();
+    expect(EloService.calculateMargin(null, "w")).toBeNull();
+  });
+
+  it("has no margin in turn-based games", () => {
+    const log = raceLog({ winnerTimes: [8000], loserTimes: [4000], mode: "turns" });
+
+    expect(EloService.calculateMargin(log, "w")).toBeNull();
+  });
+});
+
+describe("applyMargin", () => {
+  const result = (loserRating = 1184) => ({
+    winner: { oldRating: 1200, newRating: 1216, delta: 16 },
+    loser: { oldRating: loserRating + 16, newRating: loserRating, delta: -16 },
+  });
+
+  it("moves the same bonus from the loser to the winner", () => {
+    const { winner, loser } = result();
+    const margin = { guesses: 4, timeGapMs: 40000, multiplier: 1.33 };
+    EloService.applyMargin(winner, loser, margin);
+
+    // round(16 * 0.33) = 5
+    expect(winner).toMatchObject({ newRating: 1221, delta: 21, margin: { ...margin, bonus: 5 } });
+    expect(loser).toMatchObject({ newRating: 1179, delta: -21, margin: { ...margin, bonus: -5 } });
+    expect(winner.delta + loser.delta).toBe(0);
+  });
+
+  it("never takes the loser below MIN_RATING", () => {
+    const floored = result(EloService.MIN_RATING);
+    EloService.applyMargin(floored.winner, floored.loser, { multiplier: 1.4 });
+
+    expect(floored.winner.delta).toBe(16);
+    expect(floored.loser.newRating).toBe(EloService.MIN_RATING);
+
+    const nearFloor = result(EloService.MIN_RATING + 3);
+    EloService.applyMargin(nearFloor.winner, nearFloor.loser, { multiplier: 1.4 });
+
+    expect(nearFloor.winner.margin.bonus).toBe(3);
+    expect(nearFloor.loser.newRating).toBe(EloService.MIN_RATING);
+  });
+
+  it("leaves the result alone without a margin", () => {
+    const { winner, loser } = result();
+    EloService.applyMargin(winner, loser, null);
+
+    expect(winner).toEqual(result().winner);
+    expect(loser).toEqual(result().loser);
+  });
+});
@@ -0,0 +1,92 @@
+import { jest } from "@jest/globals";
+
+// Game state lives in Redis; keep it in memory instead
+const store = new Map();
+const winLocks = new Map();
+jest.unstable_mockModule("../../config/redis.js", () => ({
+  setGameState: async (gameId, state) => store.set(gameId, structuredClone(state)),
+  getGameState: async (gameId) => structuredClone(store.get(gameId) ?? null),
+  deleteGameState: async (gameId) => store.delete(gameId),
+  acquireWinLock: async (gameId, playerId, round) => {
+    const key = `${gameId}:${round}`;
+    if (winLocks.has(key)) return false;
+    winLocks.set(key, { playerId, timestamp: Date.now() });
+    return true;
+  },
+  getWinner: async (gameId, round) => winLocks.get(`${gameId}:${round}`) ?? null,
+  addLiveGame: async () => {},
+  removeLiveGame: async () => {},
+  getLiveGameIds: async () => [],
+}));
+
+const { default: GameService } = await import("../GameService.js");
+const { default: WordService } = await import("../WordService.js");
+
+const PLAYERS = [
+  { id: "a", username: "alice", elo: 1200 },
+  { id: "b", username: "bob", elo: 1200 },
+];
+
+beforeAll(async () => {
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  await WordService.initialize();
+});
+
+afterAll(() => {
+  console.log.mockRestore();
+});
+
+/**
+ * Start an absurdle game, optionally narrowing player a's words
+ */
+async function startAbsurdle(candidates = null) {
+  const game = await GameService.createGame(PLAYERS, { mode: "absurdle" });
+  if (candidates) {
+    const state = store.get(game.id);
+    state.players.a.candidates = candidates;
+    store.set(game.id, state);
+  }
+  return game.id;
+}
+
+describe("processGuess (absurdle)", () => {
+  it("records the words left after every guess in the replay", async () => {
+    const gameId = await startAbsurdle();
+    const total = store.get(gameId).players.a.candidates.length;
+
+    const first = await GameService.processGuess(gameId, "a", "CRANE");
+    const second = await GameService.processGuess(gameId, "a", "MOIST");
+    const game = store.get(gameId);
+
+    const logged = game.replayLog
+      .filter((entry) => entry.type === "guess")
+      .map((entry) => entry.data.remaining);
+    expect(logged).toEqual([first.guess.remaining, second.guess.remaining]);
+    expect(second.guess.remaining).toBe(game.players.a.candidates.length);
+    expect(first.guess.remaining).toBeLessThan(total);
+    expect(second.guess.remaining).toBeLessThanOrEqual(first.guess.remaining);
+    expect(first.isCorrect).toBe(false);
+  });
+
+  it("gives the feedback of the word the pool was narrowed to", async () => {
+    const gameId = await startAbsurdle(["CRATE", "CRAZE", "GRATE", "SLOTH", "MOIST", "PLUMB"]);
+
+    const result = await GameService.processGuess(gameId, "a", "CRANE");
+
+    expect(result.guess.remaining).toBe(3);
+    expect(result.guess.evaluation.map((cell) => cell.color)).toEqual(Array(5).fill("grey"));
+    expect(store.get(gameId).players.a.candidates).toEqual(["SLOTH", "MOIST", "PLUMB"]);
+  });
+
+  it("wins as soon as a player's words are down to one", async () => {
+    const gameId = await startAbsurdle(["CRANE", "CRATE"]);
+
+    const result = await GameService.processGuess(gameId, "a", "CRANE");
+    const game = store.get(gameId);
+
+    expect(result).toMatchObject({ isCorrect: true, roundEnded: true, gameEnded: true });
+    expect(result.guess.remaining).toBe(1);
+    expect(game.winner).toBe("a");
+    expect(game.targetWord).toBe("CRATE");
+  });
+});
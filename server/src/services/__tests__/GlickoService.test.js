@@ -0,0 +1,154 @@
+import GlickoService from "../GlickoService.js";
+import EloService from "../EloService.js";
+
+const FRESH = { rating: 1200, deviation: 350, volatility: 0.06 };
+
+describe("calculateNewRating", () => {
+  it("moves two fresh players a long way", () => {
+    const won = GlickoService.calculateNewRating(FRESH, [
+      { rating: 1200, deviation: 350, score: 1 },
+    ]);
+    const lost = GlickoService.calculateNewRating(FRESH, [
+      { rating: 1200, deviation: 350, score: 0 },
+    ]);
+
+    expect(won.rating).toBeCloseTo(1362.31, 1);
+    expect(won.deviation).toBeCloseTo(290.32, 1);
+    expect(won.volatility).toBeCloseTo(0.06, 4);
+    expect(lost.rating).toBeCloseTo(1037.69, 1);
+    expect(lost.deviation).toBeCloseTo(won.deviation, 6);
+  });
+
+  it("matches the worked example in Glickman's paper", () => {
+    const result = GlickoService.calculateNewRating(
+      { rating: 1500, deviation: 200, volatility: 0.06 },
+      [
+        { rating: 1400, deviation: 30, score: 1 },
+        { rating: 1550, deviation: 100, score: 0 },
+        { rating: 1700, deviation: 300, score: 0 },
+      ]
+    );
+
+    expect(result.rating).toBeCloseTo(1464.05, 1);
+    expect(result.deviation).toBeCloseTo(151.52, 1);
+    expect(result.volatility).toBeCloseTo(0.06, 4);
+  });
+
+  it("scales a result by its weight", () => {
+    const result = (weight) =>
+      GlickoService.calculateNewRating(FRESH, [
+        { rating: 1200, deviation: 350, score: 1, weight },
+      ]);
+    const twice = GlickoService.calculateNewRating(FRESH, [
+      { rating: 1200, deviation: 350, score: 1 },
+      { rating: 1200, deviation: 350, score: 1 },
+    ]);
+
+    expect(result(undefined)).toEqual(result(1));
+    expect(result(0.5).rating).toBeCloseTo(1296.19, 1);
+    expect(result(0.5).deviation).toBeGreaterThan(result(1).deviation);
+    expect(result(2).rating).toBeCloseTo(twice.rating, 6);
+    expect(result(2).deviation).toBeCloseTo(twice.deviation, 6);
+  });
+
+  it("never lets the deviation fall below MIN_DEVIATION", () => {
+    const result = GlickoService.calculateNewRating(
+      { rating: 1500, deviation: GlickoService.MIN_DEVIATION, volatility: 0.01 },
+      [{ rating: 1500, deviation: 30, score: 0.5 }]
+    );
+
+    expect(result.rating).toBeCloseTo(1500, 6);
+    expect(result.deviation).toBe(GlickoService.MIN_DEVIATION);
+  });
+
+  it("only grows the deviation without games, up to DEFAULT_DEVIATION", () => {
+    const idle = GlickoService.calculateNewRating(
+      { rating: 1500, deviation: 200, volatility: 0.06 },
+      []
+    );
+
+    expect(idle.rating).toBe(1500);
+    expect(idle.deviation).toBeCloseTo(200.27, 2);
+    expect(GlickoService.calculateNewRating(FRESH, []).deviation).toBe(
+      GlickoService.DEFAULT_DEVIATION
+    );
+  });
+});
+
+describe("rateGlicko", () => {
+  const ratingSystem = EloService.RATING_SYSTEM;
+
+  afterEach(() => {
+    EloService.RATING_SYSTEM = ratingSystem;
+  });
+
+  // Transaction client holding one mode's stored Glicko values
+  const txWith = (rows) => ({
+    rating: { findMany: async () => rows },
+  });
+
+  it("starts a first game from the defaults and rates bots at BOT_DEVIATION", async () => {
+    EloService.RATING_SYSTEM = "elo";
+    const ratings = { p: { oldRating: 1200, newRating: 1216, delta: 16 } };
+
+    const updates = await EloService.rateGlicko(
+      txWith([]),
+      EloService.BOT_RATING_MODE,
+      [{ id: "p" }, { id: "bot", isBot: true, botDifficulty: "medium" }],
+      { p: [{ opponentId: "bot", score: 1 }] },
+      ratings
+    );
+    const expected = GlickoService.calculateNewRating(
+      {
+        rating: EloService.DEFAULT_RATING,
+        deviation: GlickoService.DEFAULT_DEVIATION,
+        volatility: GlickoService.DEFAULT_VOLATILITY,
+      },
+      [
+        {
+          rating: EloService.getBotRating("medium"),
+          deviation: GlickoService.BOT_DEVIATION,
+          score: 1,
+        },
+      ]
+    );
+
+    expect(updates).toEqual({
+      p: {
+        glickoRating: expected.rating,
+        glickoDeviation: expected.deviation,
+        glickoVolatility: expected.volatility,
+      },
+    });
+    // Elo still drives the shown rating
+    expect(ratings.p).toEqual({ oldRating: 1200, newRating: 1216, delta: 16 });
+  });
+
+  it("replaces the Elo result when Glicko drives the shown rating", async () => {
+    EloService.RATING_SYSTEM = "glicko";
+    const stored = (userId) => ({
+      userId,
+      glickoRating: 1200,
+      glickoDeviation: 350,
+      glickoVolatility: 0.06,
+    });
+    const ratings = {
+      a: { oldRating: 1200, newRating: 1216, delta: 16 },
+      b: { oldRating: 1200, newRating: 1184, delta: -16 },
+    };
+
+    await EloService.rateGlicko(
+      txWith([stored("a"), stored("b")]),
+      "duel",
+      [{ id: "a" }, { id: "b" }],
+      {
+        a: [{ opponentId: "b", score: 1 }],
+        b: [{ opponentId: "a", score: 0 }],
+      },
+      ratings
+    );
+
+    expect(ratings.a).toEqual({ oldRating: 1200, newRating: 1362, delta: 162 });
+    expect(ratings.b).toEqual({ oldRating: 1200, newRating: 1038, delta: -162 });
+  });
+});
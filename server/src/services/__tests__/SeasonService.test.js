@@ -0,0 +1,172 @@
+import { jest } from "@jest/globals";
+
+// Stand-in for the database: each test sets what the queries return
+const db = {};
+const prisma = {
+  season: {
+    findMany: (...args) => db.season.findMany(...args),
+    findFirst: (...args) => db.season.findFirst(...args),
+    count: (...args) => db.season.count(...args),
+    create: (...args) => db.season.create(...args),
+  },
+  $transaction: (work) => work(db.tx),
+};
+jest.unstable_mockModule("../../config/prisma.js", () => ({ prisma }));
+
+const { default: SeasonService } = await import("../SeasonService.js");
+const { default: EloService } = await import("../EloService.js");
+const { default: GlickoService } = await import("../GlickoService.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Transaction client for archiveSeason: whether the season is still
+ * unclaimed, and how many players finished it; raw statements are recorded
+ */
+function archiveTx({ claimed = 1, finishers = 5 } = {}) {
+  const statements = [];
+  return {
+    statements,
+    season: { updateMany: jest.fn(async () => ({ count: claimed })) },
+    $executeRaw: async (strings, ...values) => {
+      statements.push({ sql: strings.join("?"), values });
+      return statements.length === 1 ? finishers : 0;
+    },
+  };
+}
+
+beforeEach(() => {
+  SeasonService.current = null;
+  SeasonService.pending = null;
+});
+
+describe("archiveSeason", () => {
+  it("snapshots the standings, then soft-resets ratings and mirrors the duel rating", async () => {
+    db.tx = archiveTx();
+    const now = new Date("2026-04-01T00:00:00Z");
+
+    expect(await SeasonService.archiveSeason(3, now)).toBe(true);
+    expect(db.tx.season.updateMany).toHaveBeenCalledWith({
+      where: { id: 3, archivedAt: null },
+      data: { archivedAt: now },
+    });
+
+    const [standings, reset, users] = db.tx.statements;
+    expect(standings.sql).toContain("INSERT INTO season_standings");
+    expect(standings.values).toEqual([3, EloService.PROVISIONAL_GAMES]);
+    expect(reset.sql).toContain("UPDATE ratings");
+    expect(reset.values).toEqual(
+      expect.arrayContaining([
+        EloService.DEFAULT_RATING,
+        SeasonService.SOFT_RESET_FACTOR,
+        EloService.MIN_RATING,
+        SeasonService.RESET_DEVIATION,
+        GlickoService.DEFAULT_DEVIATION,
+        EloService.HISTORY_REASONS.SEASON_RESET,
+        now,
+      ])
+    );
+    expect(users.sql).toContain("UPDATE users");
+    expect(users.values).toEqual([EloService.DEFAULT_RATING_MODE]);
+  });
+
+  it("does nothing once another caller has archived the season", async () => {
+    db.tx = archiveTx({ claimed: 0 });
+
+    expect(await SeasonService.archiveSeason(3)).toBe(false);
+    expect(db.tx.statements).toHaveLength(0);
+  });
+
+  it("leaves ratings alone after a season nobody finished", async () => {
+    db.tx = archiveTx({ finishers: 0 });
+
+    expect(await SeasonService.archiveSeason(3)).toBe(false);
+    expect(db.tx.statements).toHaveLength(1);
+  });
+});
+
+describe("createSeason", () => {
+  const startsAt = new Date("2026-01-01T00:00:00Z");
+
+  beforeEach(() => {
+    db.season = {
+      count: async () => 2,
+      create: async ({ data }) => data,
+    };
+  });
+
+  it("runs for SEASON_LENGTH_DAYS and is numbered after the last one", async () => {
+    db.season.findFirst = async () => null;
+
+    expect(await SeasonService.createSeason(startsAt)).toEqual({
+      name: "Season 3",
+      startsAt,
+      endsAt: new Date(startsAt.getTime() + SeasonService.SEASON_LENGTH_DAYS * DAY_MS),
+    });
+  });
+
+  it("ends when a scheduled season starts", async () => {
+    const next = new Date(startsAt.getTime() + 10 * DAY_MS);
+    db.season.findFirst = async () => ({ startsAt: next });
+
+    expect((await SeasonService.createSeason(startsAt)).endsAt).toEqual(next);
+  });
+});
+
+describe("rollover", () => {
+  it("archives every ended season, oldest first, then opens a new one", async () => {
+    const archived = [];
+    const opened = { id: 9, endsAt: new Date(Date.now() + DAY_MS) };
+    db.season = {
+      findMany: async () => [{ id: 1 }, { id: 2 }],
+      findFirst: async () => null,
+      count: async () => 2,
+      create: async () => opened,
+    };
+    const archive = jest
+      .spyOn(SeasonService, "archiveSeason")
+      .mockImplementation(async (id) => archived.push(id) === 1);
+
+    expect(await SeasonService.rollover()).toBe(true);
+    expect(archived).toEqual([1, 2]);
+    expect(SeasonService.current).toBe(opened);
+
+    // The running season is cached until it ends
+    expect(await SeasonService.rollover()).toBe(false);
+    expect(archive).toHaveBeenCalledTimes(2);
+    archive.mockRestore();
+  });
+
+  it("shares one rollover between concurrent callers", async () => {
+    const findMany = jest.fn(async () => []);
+    db.season = {
+      findMany,
+      findFirst: async () => ({ id: 1, endsAt: new Date(Date.now() + DAY_MS) }),
+    };
+
+    const results = await Promise.all([SeasonService.rollover(), SeasonService.rollover()]);
+
+    expect(results).toEqual([false, false]);
+    expect(findMany).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("formatSeason", () => {
+  it("exposes whether the season has been archived", () => {
+    const season = {
+      id: 1,
+      name: "Season 1",
+      startsAt: new Date("2026-01-01"),
+      endsAt: new Date("2026-04-01"),
+      archivedAt: new Date("2026-04-01"),
+    };
+
+    expect(SeasonService.formatSeason(season)).toEqual({
+      id: 1,
+      name: "Season 1",
+      startsAt: season.startsAt,
+      endsAt: season.endsAt,
+      archived: true,
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import TierService from "../TierService.js";
+
+const GOLD_III = { tier: "Gold", division: 3 };
+
+describe("getTier", () => {
+  it("places a rating with no stored tier by its floor", () => {
+    expect(TierService.getTier(1200)).toEqual({ tier: "Gold", division: 2, name: "Gold II" });
+    expect(TierService.getTier(500).name).toBe("Bronze III");
+    expect(TierService.getTier(2400).name).toBe("Grandmaster");
+  });
+
+  it("keeps the stored tier while the rating is within the demotion buffer", () => {
+    expect(TierService.getTier(1140, GOLD_III).name).toBe("Gold III");
+    expect(TierService.getTier(1125, GOLD_III).name).toBe("Gold III");
+  });
+
+  it("demotes once the rating falls past the buffer", () => {
+    expect(TierService.getTier(1124, GOLD_III).name).toBe("Silver I");
+    expect(TierService.getTier(1120, GOLD_III).name).toBe("Silver I");
+  });
+
+  it("promotes as soon as the rating reaches the next floor", () => {
+    expect(TierService.getTier(1150, { tier: "Silver", division: 1 }).name).toBe("Gold III");
+    expect(TierService.getTier(1260, GOLD_III).name).toBe("Gold I");
+  });
+
+  it("applies the buffer to a drop of several divisions", () => {
+    const current = { tier: "Gold", division: 1 };
+
+    expect(TierService.getTier(1080).name).toBe("Silver II");
+    expect(TierService.getTier(1080, current).name).toBe("Silver I");
+  });
+
+  it("applies the buffer to single-division tiers", () => {
+    const master = { tier: "Master", division: null };
+    const grandmaster = { tier: "Grandmaster" };
+
+    expect(TierService.getTier(1575, master)).toEqual({
+      tier: "Master",
+      division: null,
+      name: "Master",
+    });
+    expect(TierService.getTier(1574, master).name).toBe("Diamond I");
+    expect(TierService.getTier(1775, grandmaster).name).toBe("Grandmaster");
+    expect(TierService.getTier(1774, grandmaster).name).toBe("Master");
+  });
+
+  it("ignores a stored tier that isn't on the ladder", () => {
+    expect(TierService.getTier(1140, { tier: "Copper", division: 3 }).name).toBe("Silver I");
+    expect(TierService.getTier(1140, { tier: "Gold", division: 4 }).name).toBe("Silver I");
+  });
+});
+
+describe("compareTiers", () => {
+  it("reports a promotion, a demotion or no change", () => {
+    const silver = TierService.getTier(1120);
+    const gold = TierService.getTier(1150);
+
+    expect(TierService.compareTiers(silver, gold)).toEqual({
+      before: silver,
+      after: gold,
+      change: "promoted",
+    });
+    expect(TierService.compareTiers(gold, silver).change).toBe("demoted");
+    expect(TierService.compareTiers(gold, gold).change).toBeNull();
+  });
+});
+
+describe("fromRow", () => {
+  it("uses the stored tier over the rating", () => {
+    expect(TierService.fromRow({ elo: 1130, ...GOLD_III }).name).toBe("Gold III");
+  });
+
+  it("falls back to the rating when no tier is stored", () => {
+    expect(TierService.fromRow({ elo: 1130, tier: null, division: null }).name).toBe("Silver I");
+  });
+});
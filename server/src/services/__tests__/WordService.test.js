@@ -0,0 +1,103 @@
+import WordService from "../WordService.js";
+
+describe("getHardModeViolation", () => {
+  const revealedBy = (guess, target) => [WordService.evaluateGuess(guess, target)];
+
+  it("requires revealed greens to stay in place", () => {
+    expect(WordService.getHardModeViolation("CLOUD", revealedBy("CRANE", "CREPT"))).toBe(
+      "2nd letter must be R"
+    );
+    expect(WordService.getHardModeViolation("CREST", revealedBy("CRANE", "CREPT"))).toBeNull();
+  });
+
+  it("requires revealed yellows to be reused", () => {
+    expect(WordService.getHardModeViolation("SPOIL", revealedBy("CRANE", "TORCH"))).toBe(
+      "Guess must contain C"
+    );
+    expect(WordService.getHardModeViolation("chord", revealedBy("CRANE", "TORCH"))).toBeNull();
+  });
+
+  it("requires a repeated letter as many times as it was revealed", () => {
+    // EERIE against THEME: one yellow E, one grey E and a green E
+    const revealed = revealedBy("EERIE", "THEME");
+
+    expect(WordService.getHardModeViolation("THOSE", revealed)).toBe("Guess must contain E");
+    expect(WordService.getHardModeViolation("THERE", revealed)).toBeNull();
+  });
+
+  it("checks every earlier guess", () => {
+    const revealed = [
+      ...revealedBy("CRANE", "CREPT"),
+      ...revealedBy("CREST", "CREPT"),
+    ];
+
+    expect(WordService.getHardModeViolation("CRESS", revealed)).toBe("5th letter must be T");
+    expect(WordService.getHardModeViolation("CREPT", revealed)).toBeNull();
+  });
+
+  it("allows anything before a hint is revealed", () => {
+    expect(WordService.getHardModeViolation("ZZZZZ", [])).toBeNull();
+  });
+});
+
+describe("toOrdinal", () => {
+  it("formats positions with their suffix", () => {
+    expect([1, 2, 3, 4, 5, 7].map((n) => WordService.toOrdinal(n))).toEqual([
+      "1st",
+      "2nd",
+      "3rd",
+      "4th",
+      "5th",
+      "7th",
+    ]);
+  });
+
+  it("uses th for the teens", () => {
+    expect([11, 12, 13, 111].map((n) => WordService.toOrdinal(n))).toEqual([
+      "11th",
+      "12th",
+      "13th",
+      "111th",
+    ]);
+    expect([21, 22, 23].map((n) => WordService.toOrdinal(n))).toEqual(["21st", "22nd", "23rd"]);
+  });
+});
+
+describe("word length dictionaries", () => {
+  beforeAll(async () => {
+    await WordService.initialize();
+  });
+
+  it.each(WordService.SUPPORTED_WORD_LENGTHS)("loads %i-letter answers of that length only", (length) => {
+    const answers = WordService.getAllAnswers(length);
+
+    expect(answers.length).toBeGreaterThan(0);
+    expect(answers.every((word) => word.length === length)).toBe(true);
+    expect(answers.every((word) => WordService.isValidGuess(word))).toBe(true);
+    expect(WordService.getRandomAnswer(length)).toHaveLength(length);
+  });
+
+  it("only supports lengths with a dictionary", () => {
+    expect(WordService.isSupportedLength(4)).toBe(true);
+    expect(WordService.isSupportedLength(7)).toBe(true);
+    expect(WordService.isSupportedLength(3)).toBe(false);
+    expect(WordService.isSupportedLength(8)).toBe(false);
+    expect(WordService.isSupportedLength(6, "es")).toBe(false);
+  });
+
+  it("rejects a length with no answers", () => {
+    expect(() => WordService.getRandomAnswer(8)).toThrow("No answers available for word length 8");
+  });
+
+  it("evaluates longer words letter by letter", () => {
+    expect(WordService.evaluateGuess("PLANETS", "PLANTER").map((cell) => cell.color)).toEqual([
+      "green",
+      "green",
+      "green",
+      "green",
+      "yellow",
+      "yellow",
+      "grey",
+    ]);
+  });
+});
@@ -4,8 +4,18 @@
 
 export const CONSTANTS = {
   // Game settings
+  GAME_MODES: {
+    DUEL: 'duel',
+    ROYALE: 'royale',
+    TEAMS: 'teams'
+  },
+  TEAM_SIZE: 2,
+  ROYALE_MIN_PLAYERS: 3,
+  ROYALE_MAX_PLAYERS: 8,
   WORD_LENGTH: 5,
+  WORD_LENGTHS: [4, 5, 6, 7],
   MAX_GUESSES: 6,
+  GUESS_LIMITS: [4, 5, 6, 7, 8],
   
   // ELO settings
   DEFAULT_ELO: 1200,
@@ -46,7 +56,7 @@ export const CONSTANTS = {
   REDIS_KEYS: {
     GAME: 'game:',
     WINNER: 'game:winner:',
-    MATCHMAKING_QUEUE: 'matchmaking:queue',
+    MATCHMAKING_QUEUE: 'matchmaking:queue:',
     MATCHMAKING_PLAYER: 'matchmaking:player:'
   },
   